@@ -60,6 +60,13 @@ export class Audio {
         });
     }
 
+    playTopple() {
+        // Play a falling tumble
+        [330, 262, 196, 131].forEach((freq, i) => {
+            setTimeout(() => this.playTone(freq, 0.12, 'triangle'), i * 80);
+        });
+    }
+
     playError() {
         this.playTone(200, 0.3, 'sawtooth');
     }
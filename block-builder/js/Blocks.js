@@ -0,0 +1,63 @@
+/**
+ * Blocks - The block palette for Block Builder
+ *
+ * Plain bricks plus coloured blocks and shaped pieces. Every block is
+ * shown by its emoji, and a target only counts as built when the block
+ * on it is the same kind.
+ *
+ * Wide blocks such as the 🪵 beam cover more than one column; they are
+ * only used in structural levels (see BuildArea.setStructural).
+ */
+
+export const BLOCKS = {
+    BRICK: '🧱',
+    RED: '🟥',
+    YELLOW: '🟨',
+    GREEN: '🟩',
+    BLUE: '🟦',
+    BROWN: '🟫',
+    WINDOW: '🪟',
+    DOOR: '🚪',
+    ROOF: '🔺',
+    BEAM: '🪵'
+};
+
+// Columns covered by blocks wider than one
+const WIDE_BLOCKS = {
+    [BLOCKS.BEAM]: 2
+};
+
+// Block used when a target or placement does not say which
+export const DEFAULT_BLOCK = BLOCKS.BRICK;
+
+// Marks a cell left empty in a blueprint row
+export const EMPTY_CELL = '.';
+
+/**
+ * Check if an emoji is a block in the palette
+ * @param {string} type - Block emoji
+ * @returns {boolean}
+ */
+export function isBlockType(type) {
+    return Object.values(BLOCKS).includes(type);
+}
+
+/**
+ * Get how many columns a block covers
+ * @param {string} type - Block emoji
+ * @returns {number}
+ */
+export function getBlockWidth(type) {
+    return WIDE_BLOCKS[type] || 1;
+}
+
+/**
+ * Get the block after this one among the one-column blocks, wrapping round
+ * (the sandbox steps a supply stack through them)
+ * @param {string} type - Block emoji
+ * @returns {string}
+ */
+export function getNextBlock(type) {
+    const blocks = Object.values(BLOCKS).filter(block => getBlockWidth(block) === 1);
+    return blocks[(blocks.indexOf(type) + 1) % blocks.length];
+}
@@ -3,7 +3,19 @@
  * 
  * The build area is on the right side of the workspace.
  * Blocks are placed from the bottom up (gravity simulation).
+ *
+ * In structural mode the build has to stand up:
+ * - Wide blocks (🪵) cover two columns and land on the taller one,
+ *   so they can leave a gap underneath
+ * - A block must rest on the ground or on a block below it
+ * - A wide block resting on both ends is a bridge and holds anything
+ * - A wide block resting on one end is an overhang: it tips over when more
+ *   blocks are stacked on its free end than on its resting end
+ * - Anything that tips over or loses what it rests on topples off the
+ *   build area, lowest first, until everything left is steady
  */
+import { DEFAULT_BLOCK, getBlockWidth } from './Blocks.js';
+
 export class BuildArea {
     /**
      * @param {number} width - Number of columns
@@ -12,8 +24,27 @@ export class BuildArea {
     constructor(width = 4, height = 4) {
         this.width = width;
         this.height = height;
-        this.blocks = []; // Array of {x, y, type} - placed blocks
+        this.blocks = []; // Array of {x, y, type, width?} - placed blocks (x is the left end)
         this.targets = []; // Array of {x, y, type} - target positions
+        this.structural = false;
+    }
+
+    /**
+     * Turn structural mode (wide blocks, support and toppling) on or off
+     * @param {boolean} enabled
+     */
+    setStructural(enabled) {
+        this.structural = enabled;
+    }
+
+    /**
+     * Get how many columns a block covers here
+     * Every block is one column wide outside structural mode
+     * @param {string} blockType - Block type (emoji)
+     * @returns {number}
+     */
+    getBlockWidth(blockType) {
+        return this.structural ? getBlockWidth(blockType) : 1;
     }
 
     /**
@@ -26,7 +57,24 @@ export class BuildArea {
         this.width = width;
         this.height = height;
         this.blocks = [];
-        this.targets = targets.map(t => ({ x: t.x, y: t.y, type: t.type || '🧱' }));
+        this.targets = targets.map(t => ({ x: t.x, y: t.y, type: t.type || DEFAULT_BLOCK }));
+    }
+
+    /**
+     * Change the size, keeping what is built on the ground
+     * Rows count from the top, so blocks and targets move with the ground;
+     * anything that no longer fits is dropped
+     * @param {number} width - Number of columns
+     * @param {number} height - Number of rows
+     */
+    resize(width, height) {
+        const shift = height - this.height;
+        const fits = item => item.y >= 0 && item.x + (item.width || 1) <= width;
+        this.blocks = this.blocks.map(b => ({ ...b, y: b.y + shift })).filter(fits);
+        this.targets = this.targets.map(t => ({ ...t, y: t.y + shift })).filter(fits);
+        this.width = width;
+        this.height = height;
+        if (this.structural) this.settle();
     }
 
     /**
@@ -34,7 +82,7 @@ export class BuildArea {
      * @param {Array<Object>} targets - Array of {x, y, type}
      */
     setTargets(targets) {
-        this.targets = targets.map(t => ({ x: t.x, y: t.y, type: t.type || '🧱' }));
+        this.targets = targets.map(t => ({ x: t.x, y: t.y, type: t.type || DEFAULT_BLOCK }));
     }
 
     /**
@@ -65,26 +113,30 @@ export class BuildArea {
      * @returns {boolean} True if has block
      */
     hasBlock(x, y) {
-        return this.blocks.some(b => b.x === x && b.y === y);
+        return this.getBlock(x, y) !== null;
     }
 
     /**
-     * Get the block at a position
+     * Get the block at a position (a wide block is found from any column it covers)
      * @param {number} x - Column
      * @param {number} y - Row
      * @returns {Object|null} Block object or null
      */
     getBlock(x, y) {
-        return this.blocks.find(b => b.x === x && b.y === y) || null;
+        return this.blocks.find(b => b.y === y && x >= b.x && x < b.x + (b.width || 1)) || null;
     }
 
     /**
-     * Get number of blocks in a column
+     * Get how high a column is built, up to its top block
+     * (gaps under wide blocks count)
      * @param {number} x - Column
-     * @returns {number} Number of blocks
+     * @returns {number} Number of rows
      */
     getColumnHeight(x) {
-        return this.blocks.filter(b => b.x === x).length;
+        for (let y = 0; y < this.height; y++) {
+            if (this.hasBlock(x, y)) return this.height - y;
+        }
+        return 0;
     }
 
     /**
@@ -98,28 +150,115 @@ export class BuildArea {
         return this.height - 1 - columnHeight;
     }
 
+    /**
+     * Get the Y position a block would land at, on the tallest column it covers
+     * @param {number} x - Column of the block's left end
+     * @param {string} blockType - Block type (emoji)
+     * @returns {number|null} Y position (negative if full), or null if it does not fit
+     */
+    getLandingY(x, blockType = DEFAULT_BLOCK) {
+        const width = this.getBlockWidth(blockType);
+        if (x < 0 || x + width > this.width) return null;
+
+        let y = this.height - 1;
+        for (let col = x; col < x + width; col++) {
+            y = Math.min(y, this.getNextY(col));
+        }
+        return y;
+    }
+
     /**
      * Place a block in a column (stacks from bottom)
-     * @param {number} x - Column
+     * In structural mode, anything left unsteady topples straight away
+     * @param {number} x - Column (left end of a wide block)
      * @param {string} blockType - Block type (emoji)
-     * @returns {Object} Result with success, position, and optional reason
+     * @returns {Object} Result with success, position, toppled blocks, and optional reason
      */
-    placeBlock(x, blockType = '🧱') {
+    placeBlock(x, blockType = DEFAULT_BLOCK) {
+        // Find the y position (stack on existing blocks)
+        const y = this.getLandingY(x, blockType);
+
         // Check bounds
-        if (x < 0 || x >= this.width) {
+        if (y === null) {
             return { success: false, reason: 'out-of-bounds' };
         }
 
-        // Find the y position (stack on existing blocks)
-        const y = this.getNextY(x);
-
         // Check if column is full
         if (y < 0) {
             return { success: false, reason: 'column-full' };
         }
 
-        this.blocks.push({ x, y, type: blockType });
-        return { success: true, position: { x, y }, type: blockType };
+        const block = { x, y, type: blockType };
+        const width = this.getBlockWidth(blockType);
+        if (width > 1) block.width = width;
+        this.blocks.push(block);
+
+        const toppled = this.structural ? this.settle() : [];
+        return { success: true, position: { x, y }, type: blockType, toppled };
+    }
+
+    /**
+     * Check if a cell has the ground or a block right under it
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {boolean}
+     */
+    isPropped(x, y) {
+        return y === this.height - 1 || this.hasBlock(x, y + 1);
+    }
+
+    /**
+     * Count the blocks stacked straight up on a cell
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {number}
+     */
+    getLoad(x, y) {
+        let load = 0;
+        while (this.hasBlock(x, y - load - 1)) load++;
+        return load;
+    }
+
+    /**
+     * Check if a placed block can stay where it is (structural rules)
+     * @param {Object} block - One of the placed blocks
+     * @returns {boolean}
+     */
+    isSteady(block) {
+        const columns = Array.from({ length: block.width || 1 }, (_, i) => block.x + i);
+        const resting = columns.filter(x => this.isPropped(x, block.y));
+        if (resting.length === 0) return false;
+        if (resting.length === columns.length) return true;
+
+        // Overhang: the free end may carry no more than the resting end
+        const free = columns.filter(x => !resting.includes(x));
+        const loadOn = cols => cols.reduce((sum, x) => sum + this.getLoad(x, block.y), 0);
+        return loadOn(free) <= loadOn(resting);
+    }
+
+    /**
+     * Topple unsteady blocks, lowest first, until the rest is steady
+     * @returns {Array<Object>} Toppled blocks, in the order they fell
+     */
+    settle() {
+        const toppled = [];
+        let block = this.findUnsteadyBlock();
+        while (block) {
+            this.blocks.splice(this.blocks.indexOf(block), 1);
+            toppled.push(block);
+            block = this.findUnsteadyBlock();
+        }
+        return toppled;
+    }
+
+    /**
+     * Find the lowest (then leftmost) block that cannot stay up
+     * @returns {Object|null}
+     */
+    findUnsteadyBlock() {
+        return [...this.blocks]
+            .sort((a, b) => b.y - a.y || a.x - b.x)
+            .find(block => !this.isSteady(block)) || null;
     }
 
     /**
@@ -154,20 +293,55 @@ export class BuildArea {
         return this.targets.every(t => this.isTargetMatched(t.x, t.y));
     }
 
+    /**
+     * Check if a target holds a block of the wrong kind
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {boolean} True if the target is filled but not matched
+     */
+    isTargetMismatched(x, y) {
+        return this.isTarget(x, y) && this.hasBlock(x, y) && !this.isTargetMatched(x, y);
+    }
+
     /**
      * Get progress information
-     * @returns {Object} {filled, total, matched}
+     * @returns {Object} {filled, total, matched, wrong, byType} - byType maps each
+     *   target block type to {matched, total}
      */
     getProgress() {
         const filled = this.targets.filter(t => this.hasBlock(t.x, t.y)).length;
         const matched = this.targets.filter(t => this.isTargetMatched(t.x, t.y)).length;
+        const byType = {};
+        this.targets.forEach(t => {
+            const counts = byType[t.type] || (byType[t.type] = { matched: 0, total: 0 });
+            counts.total++;
+            if (this.isTargetMatched(t.x, t.y)) counts.matched++;
+        });
         return {
             filled,
             matched,
-            total: this.targets.length
+            wrong: filled - matched,
+            total: this.targets.length,
+            byType
         };
     }
 
+    /**
+     * Get a copy of the placed blocks
+     * @returns {Object} { blocks }
+     */
+    getState() {
+        return { blocks: this.blocks.map(b => ({ ...b })) };
+    }
+
+    /**
+     * Restore a state returned by getState()
+     * @param {Object} state - Build area state
+     */
+    restoreState(state) {
+        this.blocks = state.blocks.map(b => ({ ...b }));
+    }
+
     /**
      * Clear all placed blocks
      */
@@ -3,6 +3,7 @@
  * 
  * The crane moves horizontally along a rail spanning supply and build areas.
  * It has a hook that can be lowered/raised to grab and place blocks.
+ * In two-crane levels each crane only reaches part of the rail (see CraneTeam).
  */
 export class Crane {
     // Hook states
@@ -15,11 +16,14 @@ export class Crane {
      * @param {number} totalColumns - Total columns (supply + build)
      * @param {number} supplyColumns - Number of supply columns
      * @param {number} startColumn - Starting column index
+     * @param {number[]} [reach] - [first, last] rail columns the crane can drive to (default: the whole rail)
      */
-    constructor(totalColumns, supplyColumns = 3, startColumn = 0) {
+    constructor(totalColumns, supplyColumns = 3, startColumn = 0, reach = null) {
         this.totalColumns = totalColumns;
         this.supplyColumns = supplyColumns;
         this.startColumn = startColumn;
+        this.minColumn = reach ? reach[0] : 0;
+        this.maxColumn = reach ? reach[1] : totalColumns - 1;
         this.column = startColumn;
         this.hookState = Crane.HOOK_RAISED;
         this.heldBlock = null;
@@ -31,7 +35,7 @@ export class Crane {
      * @returns {boolean} True if move succeeded
      */
     moveLeft() {
-        if (this.column <= 0) {
+        if (this.column <= this.minColumn) {
             return false;
         }
         if (this.hookState !== Crane.HOOK_RAISED) {
@@ -46,7 +50,7 @@ export class Crane {
      * @returns {boolean} True if move succeeded
      */
     moveRight() {
-        if (this.column >= this.totalColumns - 1) {
+        if (this.column >= this.maxColumn) {
             return false;
         }
         if (this.hookState !== Crane.HOOK_RAISED) {
@@ -206,4 +210,15 @@ export class Crane {
             isOverBuildArea: this.isOverBuildArea()
         };
     }
+
+    /**
+     * Restore a state returned by getState()
+     * @param {Object} state - Crane state
+     */
+    restoreState(state) {
+        this.column = state.column;
+        this.hookState = state.hookState;
+        this.hookDepth = state.hookDepth;
+        this.heldBlock = state.heldBlock;
+    }
 }
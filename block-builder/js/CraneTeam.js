@@ -0,0 +1,92 @@
+/**
+ * CraneTeam - Two cranes sharing one rail, each with its own program
+ *
+ * In two-crane levels every crane has a reach: the rail columns it can
+ * drive to. The first crane works the supply stacks and the second the
+ * build area; their reaches meet over a supply stack, the hand-off stack,
+ * where one crane leaves blocks for the other to pick up.
+ *
+ * Each crane has its own program lane, and the lanes run in lock-step:
+ * every tick each crane does the next command of its lane at the same time.
+ * A crane whose lane has ended stands still. Cranes may not share a column
+ * or pass each other, so when both hooks reach the hand-off stack at once
+ * they collide and the tick fails; a ⏳ wait block holds one crane back
+ * until the other has moved out of the way.
+ */
+import { Interpreter } from '../../shared/js/Interpreter.js';
+
+/**
+ * Debugger program that runs one Interpreter per lane in lock-step
+ * peek() hands out a { type: 'tick', commands } step, with the command
+ * each lane does this tick (null for a lane that has ended)
+ */
+export class TeamProgram {
+    /**
+     * @param {Array<Array>} lanes - Sequence commands for each crane
+     * @param {Object} options
+     * @param {function} options.sense - (condition, lane) => boolean
+     * @param {number} [options.maxSteps] - Steps before an until loop is halted
+     */
+    constructor(lanes, options) {
+        this.signature = JSON.stringify(lanes);
+        this.lanes = lanes.map((commands, lane) => new Interpreter(commands, {
+            sense: (condition) => options.sense(condition, lane),
+            maxSteps: options.maxSteps
+        }));
+    }
+
+    /**
+     * Get what every lane does next
+     * @returns {Object|null} { type: 'tick', commands }, or null when every lane has ended
+     */
+    peek() {
+        const commands = this.lanes.map(lane => lane.peek());
+        return commands.every(cmd => cmd === null) ? null : { type: 'tick', commands };
+    }
+
+    /**
+     * Move every lane that still has commands past this tick
+     */
+    advance() {
+        this.lanes.forEach(lane => {
+            if (lane.peek() !== null) lane.advance();
+        });
+    }
+
+    /**
+     * @returns {Array} Position of each lane
+     */
+    getState() {
+        return this.lanes.map(lane => lane.getState());
+    }
+
+    /**
+     * @param {Array} state - From getState()
+     */
+    restoreState(state) {
+        this.lanes.forEach((lane, i) => lane.restoreState(state[i]));
+    }
+}
+
+/**
+ * Find two cranes that ran into each other
+ * @param {number[]} columns - Rail column of each crane, in rail order
+ * @returns {number|null} Index of the first crane that is on or past the
+ *   next one, or null if every crane is clear of the others
+ */
+export function findCollision(columns) {
+    const index = columns.findIndex((column, i) => i > 0 && column <= columns[i - 1]);
+    return index === -1 ? null : index - 1;
+}
+
+/**
+ * Rail columns two reaches both cover (where the cranes hand blocks over)
+ * @param {number[]} a - [first, last] column of one reach
+ * @param {number[]} b - [first, last] column of the other
+ * @returns {number[]} Shared columns, left to right
+ */
+export function getSharedColumns(a, b) {
+    const first = Math.max(a[0], b[0]);
+    const last = Math.min(a[1], b[1]);
+    return Array.from({ length: Math.max(0, last - first + 1) }, (_, i) => first + i);
+}
@@ -21,7 +21,7 @@ export class DragDrop extends BaseDragDrop {
     setupPaletteButtons() {
         document.querySelectorAll('.command-btn').forEach(btn => {
             this.addTouchDragOnly(btn, 
-                () => ({ type: 'add', command: btn.dataset.command })
+                () => ({ type: 'add', command: btn.dataset.command, block: btn.dataset.block })
             );
         });
     }
@@ -51,32 +51,32 @@ export class DragDrop extends BaseDragDrop {
             if (loopBody) {
                 // Dropping into a loop body
                 const loopBlock = this.getLoopBlockFromBody(loopBody);
-                const targetLoopIndex = parseInt(loopBlock.dataset.index);
+                const targetLoopPath = this.getLoopPath(loopBlock);
                 const dropIndexInLoop = this.getDropIndexInLoop(touch, loopBody);
                 
                 if (data.type === 'add') {
                     // Adding new command to loop
-                    this.onAddToLoop(data.command, targetLoopIndex, dropIndexInLoop);
+                    this.onAddToLoop(data.command, targetLoopPath, dropIndexInLoop, data.block);
                 } else if (data.type === 'reorder') {
-                    // Moving from main sequence into loop (can't move loops into loops)
-                    if (!data.isLoop) {
-                        this.onMoveToLoop(data.index, targetLoopIndex, dropIndexInLoop);
-                    }
+                    // Moving from main sequence into loop (loops nest up to the sequence's max depth)
+                    this.onMoveToLoop(data.index, targetLoopPath, dropIndexInLoop);
                 } else if (data.type === 'reorder-loop-item') {
-                    if (data.loopIndex === targetLoopIndex) {
+                    if (this.isSameLoop(data.loopIndex, targetLoopPath)) {
                         // Reordering within the same loop
                         if (dropIndexInLoop !== data.cmdIndex && dropIndexInLoop !== data.cmdIndex + 1) {
-                            this.onReorderInLoop(targetLoopIndex, data.cmdIndex, dropIndexInLoop);
+                            this.onReorderInLoop(targetLoopPath, data.cmdIndex, dropIndexInLoop);
                         }
+                    } else {
+                        // Moving from one loop into another
+                        this.onMoveBetweenLoops(data.loopIndex, data.cmdIndex, targetLoopPath, dropIndexInLoop);
                     }
-                    // Note: Cross-loop moves are not supported
                 }
             } else {
                 // Dropping into main sequence area
                 const dropIndex = this.getDropIndex(touch);
                 
                 if (data.type === 'add') {
-                    this.onAddCommand(data.command, dropIndex);
+                    this.onAddCommand(data.command, dropIndex, data.block);
                 } else if (data.type === 'reorder') {
                     if (dropIndex !== data.index && dropIndex !== data.index + 1) {
                         this.onReorder(data.index, dropIndex);
@@ -3,14 +3,38 @@
  * 
  * Orchestrates the crane, supply stacks, build area, and command sequence.
  * Handles animations for the realistic crane hook mechanics.
+ * Two-crane levels give each crane its own trolley and program lane, run in
+ * lock-step by a TeamProgram (see CraneTeam).
  */
 import { Crane } from './Crane.js';
 import { Supply } from './Supply.js';
 import { BuildArea } from './BuildArea.js';
-import { Sequence } from './Sequence.js';
-import { getLevel, getTotalLevels, parseTargets } from './Levels.js';
+import { Sequence, CONDITIONS } from './Sequence.js';
+import { TeamProgram, findCollision, getSharedColumns } from './CraneTeam.js';
+import { expandMacro } from './Macros.js';
+import {
+    getLevel,
+    getTotalLevels,
+    parseTargets,
+    loadStoredLevelPack,
+    isCustomLevel,
+    createSandboxLevel,
+    createLevelFromBuild,
+    addCustomLevel,
+    getPalette,
+    SANDBOX_LIMITS
+} from './Levels.js';
+import { getNextBlock } from './Blocks.js';
 import { Audio } from './Audio.js';
 import { DragDrop } from './DragDrop.js';
+import { MacroPanel } from './MacroPanel.js';
+import { ProgressStore, GAME_IDS } from '../../shared/js/ProgressStore.js';
+import { Profiles } from '../../shared/js/Profiles.js';
+import { LevelSelect } from '../../shared/js/LevelSelect.js';
+import { Debugger, DEBUG_STATE } from '../../shared/js/Debugger.js';
+import { DebugControls } from '../../shared/js/DebugControls.js';
+import { Interpreter } from '../../shared/js/Interpreter.js';
+import { rateSolution, renderStars } from '../../shared/js/StarRating.js';
 
 // Animation timing constants (ms)
 const TIMING = {
@@ -19,21 +43,56 @@ const TIMING = {
     HOOK_RAISE: 350,
     BLOCK_GRAB: 100,
     BLOCK_RELEASE: 100,
+    TOPPLE: 600,
+    SAVED: 1200,
     COMMAND_DELAY: 200
 };
 
+// Colour of each crane in two-crane levels, on its trolley and program lane tab
+const CRANE_BADGES = ['🟠', '🟣'];
+
 export class Game {
     constructor() {
-        this.crane = null;
+        this.cranes = [];
+        this.trolleys = []; // { trolley, string, heldBlock } elements for each crane
+        this.handoffColumns = []; // Supply stacks two cranes can both reach
         this.supply = null;
         this.buildArea = null;
-        this.sequence = new Sequence();
+        this.sequences = [new Sequence()]; // One program lane per crane
+        this.activeLane = 0;
+        this.sequence = this.sequences[0]; // The lane being edited
+        this.failedLane = -1; // Lane blamed for the last failed tick
         this.audio = new Audio();
         this.dragDrop = null;
         
-        this.currentLevel = 1;
-        this.isRunning = false;
+        this.progress = new ProgressStore(GAME_IDS.BUILDER, {
+            // Import the first-visit flag written before progress was shared
+            migrate: (namespace, storage) => {
+                if (storage.getItem('blockbuilder-visited')) {
+                    namespace.data.visited = true;
+                }
+            }
+        });
+        this.levelSelect = null;
+        
+        loadStoredLevelPack();
+        this.unlockCustomLevels();
+        this.currentLevel = this.progress.getNextLevel(getTotalLevels());
         this.levelConfig = null;
+        this.isSandbox = false; // Free build with endless supply
+        
+        // Step-through runner; snapshots cranes, supply and build area
+        this.debugger = new Debugger({
+            execute: (cmd) => this.executeCommand(cmd),
+            snapshot: () => ({
+                cranes: this.cranes.map(crane => crane.getState()),
+                supply: this.supply.getState(),
+                buildArea: this.buildArea.getState()
+            }),
+            restore: (state) => this.restoreState(state),
+            onStep: (index, cmd) => this.highlightCommand(cmd),
+            onFail: (index, cmd) => this.markStoppedHere(cmd)
+        });
         
         // Calculated dimensions
         this.supplyColumns = 3;
@@ -44,13 +103,25 @@ export class Game {
         this.elements = {};
     }
 
+    /**
+     * A run is going; editing waits until it stops
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.debugControls.isRunning;
+    }
+
     /**
      * Initialize the game
      */
     init() {
         this.cacheElements();
         this.audio.init();
+        // Adds the 🎯 buttons, so it goes before the palette is wired up
+        this.macroPanel = new MacroPanel({ container: this.elements.macroBlocks });
+        this.setupDebugControls();
         this.setupDragDrop();
+        this.setupLevelSelect();
         this.setupEventListeners();
         this.setupResizeHandler();
         this.loadLevel(this.currentLevel);
@@ -76,16 +147,34 @@ export class Game {
             sequenceArea: document.getElementById('sequenceArea'),
             sequencePlaceholder: document.getElementById('sequencePlaceholder'),
             trashZone: document.getElementById('trashZone'),
+            laneTabs: document.getElementById('laneTabs'),
+            macroBlocks: document.getElementById('macroBlocks'),
             clearBtn: document.getElementById('clearBtn'),
             loopBtn: document.getElementById('loopBtn'),
             playBtn: document.getElementById('playBtn'),
             resetBtn: document.getElementById('resetBtn'),
+            pauseBtn: document.getElementById('pauseBtn'),
+            stepBtn: document.getElementById('stepBtn'),
+            stepBackBtn: document.getElementById('stepBackBtn'),
             levelNum: document.getElementById('levelNum'),
+            blueprint: document.getElementById('blueprint'),
             successOverlay: document.getElementById('successOverlay'),
+            successStars: document.getElementById('successStars'),
             nextBtn: document.getElementById('nextBtn'),
             helpBtn: document.getElementById('helpBtn'),
             helpOverlay: document.getElementById('helpOverlay'),
-            closeHelpBtn: document.getElementById('closeHelpBtn')
+            closeHelpBtn: document.getElementById('closeHelpBtn'),
+            levelSelectBtn: document.getElementById('levelSelectBtn'),
+            levelSelectOverlay: document.getElementById('levelSelectOverlay'),
+            levelSelectGrid: document.getElementById('levelSelectGrid'),
+            closeLevelSelectBtn: document.getElementById('closeLevelSelectBtn'),
+            sandboxBtn: document.getElementById('sandboxBtn'),
+            sandboxControls: document.getElementById('sandboxControls'),
+            narrowerBtn: document.getElementById('narrowerBtn'),
+            widerBtn: document.getElementById('widerBtn'),
+            shorterBtn: document.getElementById('shorterBtn'),
+            tallerBtn: document.getElementById('tallerBtn'),
+            saveBuildBtn: document.getElementById('saveBuildBtn')
         };
     }
 
@@ -96,14 +185,51 @@ export class Game {
         this.dragDrop = new DragDrop({
             sequenceArea: this.elements.sequenceArea,
             trashZone: this.elements.trashZone,
-            onAddCommand: (command, index) => this.addCommandAt(command, index),
+            onAddCommand: (command, index, block) => this.addCommandAt(command, index, block),
             onReorder: (from, to) => this.reorderCommand(from, to),
             onRemove: (index) => this.removeCommandAt(index),
             onReorderInLoop: (loopIndex, from, to) => this.reorderInLoop(loopIndex, from, to),
             onMoveFromLoop: (loopIndex, cmdIndex, targetIndex) => this.moveFromLoopToMain(loopIndex, cmdIndex, targetIndex),
             onMoveToLoop: (fromIndex, loopIndex, targetCmdIndex) => this.moveFromMainToLoop(fromIndex, loopIndex, targetCmdIndex),
             onRemoveFromLoop: (loopIndex, cmdIndex) => this.removeFromLoop(loopIndex, cmdIndex),
-            onAddToLoop: (command, loopIndex, cmdIndex) => this.addToLoop(command, loopIndex, cmdIndex)
+            onMoveBetweenLoops: (fromLoop, cmdIndex, toLoop, targetIndex) => this.moveBetweenLoops(fromLoop, cmdIndex, toLoop, targetIndex),
+            onAddToLoop: (command, loopIndex, cmdIndex, block) => this.addToLoop(command, loopIndex, cmdIndex, block)
+        });
+    }
+
+    /**
+     * Wire the run, pause and step buttons to the debugger
+     */
+    setupDebugControls() {
+        this.debugControls = new DebugControls({
+            debugger: this.debugger,
+            buttons: {
+                play: this.elements.playBtn,
+                pause: this.elements.pauseBtn,
+                step: this.elements.stepBtn,
+                stepBack: this.elements.stepBackBtn
+            },
+            getSource: () => this.getProgramSource(),
+            isEmpty: () => this.isProgramEmpty(),
+            prepare: () => this.prepareRun(),
+            onFinish: () => this.finishRun(),
+            onStepBack: () => {
+                this.clearStoppedMarker();
+                this.audio.playTone(440, 0.05);
+            },
+            onReset: () => this.reset()
+        });
+    }
+
+    /**
+     * Set up the level map overlay
+     */
+    setupLevelSelect() {
+        this.levelSelect = new LevelSelect({
+            container: this.elements.levelSelectGrid,
+            progress: this.progress,
+            getTotalLevels: () => getTotalLevels(),
+            onSelect: (level) => this.selectLevel(level)
         });
     }
 
@@ -116,16 +242,18 @@ export class Game {
             btn.addEventListener('click', () => {
                 if (!this.isRunning) {
                     const command = btn.dataset.command;
-                    this.addCommand(command);
+                    this.addCommand(command, btn.dataset.block);
                 }
             });
         });
 
         // Loop button
         this.elements.loopBtn.addEventListener('click', () => this.addLoop());
+        document.querySelectorAll('.until-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.addUntilLoop(btn.dataset.condition));
+        });
 
         // Control buttons
-        this.elements.playBtn.addEventListener('click', () => this.run());
         this.elements.resetBtn.addEventListener('click', () => this.reset());
         this.elements.clearBtn.addEventListener('click', () => this.clearSequence());
 
@@ -133,6 +261,31 @@ export class Game {
         this.elements.nextBtn.addEventListener('click', () => this.nextLevel());
         this.elements.helpBtn.addEventListener('click', () => this.showHelp());
         this.elements.closeHelpBtn.addEventListener('click', () => this.hideHelp());
+        this.elements.levelSelectBtn.addEventListener('click', () => this.showLevelSelect());
+        this.elements.closeLevelSelectBtn.addEventListener('click', () => this.hideLevelSelect());
+        this.elements.levelSelectOverlay.addEventListener('click', (e) => {
+            if (e.target === this.elements.levelSelectOverlay) {
+                this.hideLevelSelect();
+            }
+        });
+
+        // Sandbox
+        this.elements.sandboxBtn.addEventListener('click', () => this.startSandbox());
+        this.elements.narrowerBtn.addEventListener('click', () => this.resizeSandbox(-1, 0));
+        this.elements.widerBtn.addEventListener('click', () => this.resizeSandbox(1, 0));
+        this.elements.shorterBtn.addEventListener('click', () => this.resizeSandbox(0, -1));
+        this.elements.tallerBtn.addEventListener('click', () => this.resizeSandbox(0, 1));
+        this.elements.saveBuildBtn.addEventListener('click', () => this.saveSandboxBuild());
+        this.elements.supplyStacks.addEventListener('click', (e) => {
+            const column = e.target.closest('.supply-column');
+            if (column) this.changeSandboxBlock(Number(column.dataset.col));
+        });
+
+        // Program lanes of two-crane levels
+        this.elements.laneTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('.lane-tab');
+            if (tab) this.selectLane(Number(tab.dataset.lane));
+        });
 
         // Close help on overlay click
         this.elements.helpOverlay.addEventListener('click', (e) => {
@@ -162,10 +315,10 @@ export class Game {
             this.elements.workspace.style.setProperty('--workspace-scale', scale);
             
             // Recalculate crane positions after scale change (only if game is loaded)
-            if (this.crane) {
+            if (this.cranes.length > 0) {
                 requestAnimationFrame(() => {
                     this.columnPositions = this.calculateColumnPositions();
-                    this.renderCrane();
+                    this.renderCranes();
                 });
             }
         };
@@ -184,24 +337,34 @@ export class Game {
     loadLevel(levelNum) {
         this.levelConfig = getLevel(levelNum);
         this.currentLevel = levelNum;
-        
+        this.isSandbox = false;
+        this.startLevel();
+    }
+
+    /**
+     * Set up the cranes, supply and build area for the loaded level config
+     */
+    startLevel() {
         const { supply, buildArea, target, craneStart } = this.levelConfig;
         const totalColumns = this.supplyColumns + buildArea.width;
+        const cranes = this.levelConfig.cranes || [{ start: craneStart, reach: null }];
         
         // Initialize game components
         this.supply = new Supply(supply);
-        this.crane = new Crane(totalColumns, this.supplyColumns, craneStart);
+        this.cranes = cranes.map(({ start, reach }) => new Crane(totalColumns, this.supplyColumns, start, reach));
         this.buildArea = new BuildArea(buildArea.width, buildArea.height);
         this.buildArea.setTargets(parseTargets(target));
+        this.buildArea.setStructural(this.levelConfig.structural);
+        this.handoffColumns = cranes.slice(1).flatMap((crane, i) => getSharedColumns(cranes[i].reach, crane.reach));
         
-        // Calculate max stack height for layout
-        this.maxStackHeight = Math.max(
-            this.supply.getMaxHeight(),
-            buildArea.height,
-            4
-        );
+        this.maxStackHeight = this.calculateMaxStackHeight();
         
-        this.sequence.clear();
+        // A program lane for each crane
+        this.sequences = this.cranes.map(() => new Sequence());
+        this.activeLane = 0;
+        this.sequence = this.sequences[0];
+        this.setupTrolleys();
+        this.debugControls.stop();
         this.render();
         this.updateLevelDisplay();
         
@@ -211,6 +374,137 @@ export class Game {
         }
     }
 
+    /**
+     * Put a trolley on the rail for each crane; extra cranes copy the first
+     */
+    setupTrolleys() {
+        const first = this.elements.craneTrolley;
+        this.elements.craneRail.querySelectorAll('.crane-trolley.extra').forEach(el => el.remove());
+        const isTeam = this.cranes.length > 1;
+
+        this.trolleys = this.cranes.map((crane, index) => {
+            let trolley = first;
+            if (index > 0) {
+                trolley = first.cloneNode(true);
+                trolley.removeAttribute('id');
+                trolley.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+                trolley.classList.add('extra');
+                this.elements.craneRail.appendChild(trolley);
+            }
+            trolley.classList.remove('shake');
+            trolley.dataset.crane = index;
+            trolley.querySelector('.crane-badge').textContent = isTeam ? CRANE_BADGES[index] : '';
+            return {
+                trolley,
+                string: trolley.querySelector('.crane-string'),
+                heldBlock: trolley.querySelector('.held-block')
+            };
+        });
+    }
+
+    /**
+     * Calculate the tallest stack the layout has room for
+     * @returns {number} Rows
+     */
+    calculateMaxStackHeight() {
+        return Math.max(
+            this.supply.getMaxHeight(),
+            this.buildArea.height,
+            4
+        );
+    }
+
+    /**
+     * Open the levels kids saved from the sandbox to every profile
+     */
+    unlockCustomLevels() {
+        for (let level = 1; level <= getTotalLevels(); level++) {
+            if (isCustomLevel(level)) this.progress.unlock(`level:${level}`);
+        }
+    }
+
+    /**
+     * Free build: endless supply stacks, a build area of any size and
+     * nothing to match; the building can be saved as a level
+     */
+    startSandbox() {
+        this.hideLevelSelect();
+        this.levelConfig = createSandboxLevel();
+        this.isSandbox = true;
+        this.startLevel();
+    }
+
+    /**
+     * Step a sandbox supply stack on to the next kind of block
+     * @param {number} col - Supply column
+     */
+    changeSandboxBlock(col) {
+        if (!this.isSandbox || this.isRunning) return;
+        const columns = this.levelConfig.supply.columns;
+        columns[col] = [getNextBlock(columns[col][0])];
+        this.supply.setColumn(col, columns[col]);
+        this.audio.playGrab();
+        this.renderSupply();
+    }
+
+    /**
+     * Grow or shrink the sandbox build area, keeping what is built
+     * @param {number} dWidth - Columns to add (negative to remove)
+     * @param {number} dHeight - Rows to add (negative to remove)
+     */
+    resizeSandbox(dWidth, dHeight) {
+        if (!this.isSandbox || this.isRunning) return;
+        const { minWidth, maxWidth, minHeight, maxHeight } = SANDBOX_LIMITS;
+        const width = Math.max(minWidth, Math.min(maxWidth, this.buildArea.width + dWidth));
+        const height = Math.max(minHeight, Math.min(maxHeight, this.buildArea.height + dHeight));
+        if (width === this.buildArea.width && height === this.buildArea.height) {
+            this.showError();
+            return;
+        }
+
+        this.levelConfig.buildArea = { width, height };
+        this.buildArea.resize(width, height);
+
+        // Keep the crane where it is (or at the new right edge) and what it holds
+        const craneState = this.cranes[0].getState();
+        const totalColumns = this.supplyColumns + width;
+        const crane = new Crane(totalColumns, this.supplyColumns, this.levelConfig.craneStart);
+        crane.restoreState({ ...craneState, column: Math.min(craneState.column, totalColumns - 1) });
+        this.cranes = [crane];
+        this.maxStackHeight = this.calculateMaxStackHeight();
+
+        this.debugControls.stop();
+        this.render();
+        if (this.updateWorkspaceScale) {
+            this.updateWorkspaceScale();
+        }
+    }
+
+    /**
+     * Save the sandbox building as a level anyone on this device can play
+     */
+    saveSandboxBuild() {
+        if (!this.isSandbox || this.isRunning) return;
+        const level = createLevelFromBuild(
+            this.buildArea.getState().blocks,
+            this.levelConfig.buildArea,
+            new Profiles().getActiveProfile().avatar
+        );
+        const levelNum = level ? addCustomLevel(level) : null;
+        if (!levelNum) {
+            this.showError();
+            return;
+        }
+
+        this.progress.unlock(`level:${levelNum}`);
+        this.audio.playSuccess();
+        const btn = this.elements.saveBuildBtn;
+        btn.textContent = '✅';
+        setTimeout(() => {
+            btn.textContent = '💾';
+        }, TIMING.SAVED);
+    }
+
     /**
      * Render all game components
      */
@@ -218,7 +512,8 @@ export class Game {
         this.renderSupply();
         this.renderBuildArea();
         this.renderRailMarkers(); // After supply/build so we can measure the gap
-        this.renderCrane();
+        this.renderCranes();
+        this.renderLaneTabs();
         this.renderSequence();
     }
 
@@ -245,6 +540,7 @@ export class Game {
                 
                 const marker = document.createElement('div');
                 marker.className = 'rail-marker supply';
+                marker.classList.toggle('handoff', this.handoffColumns.includes(index));
                 marker.style.position = 'absolute';
                 marker.style.left = `${centerX}px`;
                 marker.style.transform = 'translateX(-50%)';
@@ -340,6 +636,10 @@ export class Game {
             const column = document.createElement('div');
             column.className = 'supply-column';
             column.dataset.col = col;
+            // Endless sandbox stacks: tap to pick the block
+            column.classList.toggle('endless', this.supply.unlimited);
+            // Two cranes pass blocks to each other on a hand-off stack
+            column.classList.toggle('handoff', this.handoffColumns.includes(col));
             
             const blocks = this.supply.getColumn(col);
             if (blocks.length === 0) {
@@ -388,9 +688,11 @@ export class Game {
                     const targetType = this.buildArea.getTargetType(x, y);
                     cell.dataset.target = targetType;
                     
-                    // Check if correctly filled
+                    // Check if correctly filled, or filled with the wrong kind of block
                     if (this.buildArea.isTargetMatched(x, y)) {
                         cell.classList.add('matched');
+                    } else if (this.buildArea.isTargetMismatched(x, y)) {
+                        cell.classList.add('wrong');
                     }
                 }
                 
@@ -401,6 +703,10 @@ export class Game {
                     const blockEl = document.createElement('div');
                     blockEl.className = 'cell-block';
                     blockEl.textContent = block.type;
+                    if (block.width > 1) {
+                        // Join the cells of a wide block
+                        blockEl.classList.add(x === block.x ? 'wide-start' : 'wide-end');
+                    }
                     cell.appendChild(blockEl);
                 }
                 
@@ -412,39 +718,128 @@ export class Game {
                 container.appendChild(cell);
             }
         }
+
+        this.renderBlueprint();
+    }
+
+    /**
+     * Render the blueprint: what the level builds and how many of each
+     * kind of block are in place
+     */
+    renderBlueprint() {
+        const container = this.elements.blueprint;
+        container.innerHTML = '';
+
+        const { byType } = this.buildArea.getProgress();
+        const types = Object.keys(byType);
+        const { picture } = this.levelConfig;
+        container.hidden = !picture && types.length < 2;
+        if (container.hidden) return;
+
+        if (picture) {
+            const pictureEl = document.createElement('span');
+            pictureEl.className = 'blueprint-picture';
+            pictureEl.textContent = picture;
+            container.appendChild(pictureEl);
+        }
+
+        types.forEach(type => {
+            const { matched, total } = byType[type];
+            const count = document.createElement('span');
+            count.className = 'blueprint-count';
+            count.classList.toggle('done', matched === total);
+            count.textContent = `${type}${matched}/${total}`;
+            count.setAttribute('aria-label', `${matched} of ${total}`);
+            container.appendChild(count);
+        });
+    }
+
+    /**
+     * Render every crane
+     */
+    renderCranes() {
+        this.cranes.forEach((crane, index) => this.renderCrane(index));
     }
 
     /**
      * Render crane position and hook state
+     * @param {number} [index] - Which crane
      */
-    renderCrane() {
+    renderCrane(index = 0) {
+        const crane = this.cranes[index];
+        const { trolley, string, heldBlock } = this.trolleys[index];
+
         // Position crane trolley using pre-calculated column positions
         let craneX;
-        if (this.columnPositions && this.columnPositions[this.crane.column] !== undefined) {
-            craneX = this.columnPositions[this.crane.column];
+        if (this.columnPositions && this.columnPositions[crane.column] !== undefined) {
+            craneX = this.columnPositions[crane.column];
         } else {
             // Fallback to basic calculation
             const columnWidth = this.cellSize + 6;
-            craneX = this.crane.column * columnWidth + columnWidth / 2;
+            craneX = crane.column * columnWidth + columnWidth / 2;
         }
         
-        this.elements.craneTrolley.style.left = `${craneX}px`;
+        trolley.style.left = `${craneX}px`;
         
         // Update hook state classes
-        const trolley = this.elements.craneTrolley;
         trolley.classList.remove('lowering', 'lowered', 'raising', 'holding', 'grabbing', 'releasing');
         
-        if (this.crane.isHolding()) {
+        if (crane.isHolding()) {
             trolley.classList.add('holding');
-            this.elements.heldBlock.textContent = this.crane.heldBlock;
+            heldBlock.textContent = crane.heldBlock;
         } else {
-            this.elements.heldBlock.textContent = '';
+            heldBlock.textContent = '';
         }
         
         // String length based on hook depth
         const baseStringHeight = 10;
-        const stringHeight = baseStringHeight + this.crane.hookDepth * this.cellSize;
-        this.elements.craneString.style.height = `${stringHeight}px`;
+        const stringHeight = baseStringHeight + crane.hookDepth * this.cellSize;
+        string.style.height = `${stringHeight}px`;
+    }
+
+    /**
+     * Render a tab for each crane's program lane (two-crane levels only)
+     */
+    renderLaneTabs() {
+        const container = this.elements.laneTabs;
+        container.innerHTML = '';
+        container.hidden = this.cranes.length < 2;
+        if (container.hidden) return;
+
+        this.sequences.forEach((sequence, lane) => {
+            const tab = document.createElement('button');
+            tab.className = 'lane-tab';
+            tab.classList.toggle('active', lane === this.activeLane);
+            tab.dataset.lane = lane;
+            tab.textContent = `🏗️${CRANE_BADGES[lane]}`;
+            tab.setAttribute('aria-label', `Crane ${lane + 1} program`);
+            container.appendChild(tab);
+        });
+    }
+
+    /**
+     * Edit another crane's program lane
+     * @param {number} lane - Crane index
+     */
+    selectLane(lane) {
+        if (this.isRunning || !this.sequences[lane]) return;
+        this.showLane(lane);
+        // Keep showing where a paused run is up to
+        if (this.debugger.state === DEBUG_STATE.PAUSED) {
+            this.highlightCommand(this.debugger.program.peek());
+        }
+        this.audio.playTone(440, 0.05);
+    }
+
+    /**
+     * Switch the sequence area to a program lane
+     * @param {number} lane - Crane index
+     */
+    showLane(lane) {
+        this.activeLane = lane;
+        this.sequence = this.sequences[lane];
+        this.renderLaneTabs();
+        this.renderSequence();
     }
 
     /**
@@ -461,7 +856,7 @@ export class Game {
         
         commands.forEach((cmd, index) => {
             if (cmd.type === 'loop') {
-                const loopBlock = this.createLoopBlock(cmd, index, this.sequence.activeLoopIndex === index);
+                const loopBlock = this.createLoopBlock(cmd, [index]);
                 this.elements.sequenceArea.appendChild(loopBlock);
             } else {
                 const item = this.createSequenceItem(cmd, index);
@@ -487,6 +882,7 @@ export class Game {
         const item = document.createElement('div');
         item.className = 'sequence-item';
         item.dataset.index = index;
+        item.dataset.path = index;
         
         // Add click to remove functionality
         item.addEventListener('click', () => {
@@ -495,7 +891,16 @@ export class Game {
             }
         });
         
-        // Create icon based on command type
+        this.appendCommandIcon(item, cmd);
+        return item;
+    }
+
+    /**
+     * Fill a sequence item with the icon for its command
+     * @param {HTMLElement} item - Sequence item element
+     * @param {Object} cmd - Command object
+     */
+    appendCommandIcon(item, cmd) {
         if (cmd.type === 'lower' || cmd.type === 'raise') {
             // Hook commands have stacked icons
             const hookIcon = document.createElement('span');
@@ -508,24 +913,39 @@ export class Game {
             
             item.appendChild(hookIcon);
             item.appendChild(arrowIcon);
+        } else if (cmd.type === 'find') {
+            // 🎯 over the block it goes to
+            const findIcon = document.createElement('span');
+            findIcon.className = 'seq-find-icon';
+            findIcon.textContent = Sequence.getIcon(cmd.type);
+
+            const blockIcon = document.createElement('span');
+            blockIcon.className = 'seq-find-block';
+            blockIcon.textContent = cmd.block;
+
+            item.appendChild(findIcon);
+            item.appendChild(blockIcon);
         } else {
             item.textContent = Sequence.getIcon(cmd.type);
         }
-        
-        return item;
     }
 
     /**
-     * Create a loop block element
+     * Create a loop block element, recursing into loops nested inside it
      * @param {Object} cmd - Loop command object
-     * @param {number} index - Command index
-     * @param {boolean} isActive - Whether this loop is active for adding commands
+     * @param {number[]} path - Path of the loop in the sequence
      * @returns {HTMLElement} Loop block element
      */
-    createLoopBlock(cmd, index, isActive) {
+    createLoopBlock(cmd, path) {
+        const isActive = this.sequence.isActiveLoop(path);
         const loopBlock = document.createElement('div');
         loopBlock.className = 'loop-block' + (isActive ? ' active' : '');
-        loopBlock.dataset.index = index;
+        loopBlock.dataset.path = path.join('.');
+        if (path.length === 1) {
+            loopBlock.dataset.index = path[0];
+        } else {
+            loopBlock.dataset.cmdIndex = path[path.length - 1];
+        }
 
         // Header with loop icon and iteration controls
         const header = document.createElement('div');
@@ -533,36 +953,45 @@ export class Game {
         
         const loopIcon = document.createElement('span');
         loopIcon.className = 'loop-icon';
-        loopIcon.textContent = '🔄';
+        loopIcon.textContent = this.sequence.isUntilLoop(cmd) ? '🔁' : '🔄';
         header.appendChild(loopIcon);
 
-        const iterControls = document.createElement('div');
-        iterControls.className = 'loop-iteration-controls';
-
-        const minusBtn = document.createElement('button');
-        minusBtn.className = 'iter-btn minus-btn';
-        minusBtn.textContent = '➖';
-        minusBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.updateLoopIterations(index, cmd.iterations - 1);
-        });
+        if (this.sequence.isUntilLoop(cmd)) {
+            // Picture of what the loop waits for
+            loopBlock.classList.add('until-loop');
+            const condition = document.createElement('span');
+            condition.className = 'loop-condition';
+            condition.textContent = CONDITIONS[cmd.until.condition] || '❓';
+            header.appendChild(condition);
+        } else {
+            const iterControls = document.createElement('div');
+            iterControls.className = 'loop-iteration-controls';
+
+            const minusBtn = document.createElement('button');
+            minusBtn.className = 'iter-btn minus-btn';
+            minusBtn.textContent = '➖';
+            minusBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.updateLoopIterations(path, cmd.iterations - 1);
+            });
 
-        const iterCount = document.createElement('span');
-        iterCount.className = 'iter-count';
-        iterCount.textContent = cmd.iterations;
+            const iterCount = document.createElement('span');
+            iterCount.className = 'iter-count';
+            iterCount.textContent = cmd.iterations;
 
-        const plusBtn = document.createElement('button');
-        plusBtn.className = 'iter-btn plus-btn';
-        plusBtn.textContent = '➕';
-        plusBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.updateLoopIterations(index, cmd.iterations + 1);
-        });
+            const plusBtn = document.createElement('button');
+            plusBtn.className = 'iter-btn plus-btn';
+            plusBtn.textContent = '➕';
+            plusBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.updateLoopIterations(path, cmd.iterations + 1);
+            });
 
-        iterControls.appendChild(minusBtn);
-        iterControls.appendChild(iterCount);
-        iterControls.appendChild(plusBtn);
-        header.appendChild(iterControls);
+            iterControls.appendChild(minusBtn);
+            iterControls.appendChild(iterCount);
+            iterControls.appendChild(plusBtn);
+            header.appendChild(iterControls);
+        }
 
         loopBlock.appendChild(header);
 
@@ -577,27 +1006,21 @@ export class Game {
             body.appendChild(placeholder);
         } else {
             cmd.commands.forEach((innerCmd, cmdIndex) => {
+                if (innerCmd.type === 'loop') {
+                    body.appendChild(this.createLoopBlock(innerCmd, [...path, cmdIndex]));
+                    return;
+                }
+
                 const item = document.createElement('div');
                 item.className = 'sequence-item loop-item';
+                this.appendCommandIcon(item, innerCmd);
                 
-                if (innerCmd.type === 'lower' || innerCmd.type === 'raise') {
-                    const hookIcon = document.createElement('span');
-                    hookIcon.className = 'seq-hook-icon';
-                    hookIcon.textContent = '🪝';
-                    const arrowIcon = document.createElement('span');
-                    arrowIcon.className = 'seq-arrow-icon';
-                    arrowIcon.textContent = innerCmd.type === 'lower' ? '⬇️' : '⬆️';
-                    item.appendChild(hookIcon);
-                    item.appendChild(arrowIcon);
-                } else {
-                    item.textContent = Sequence.getIcon(innerCmd.type);
-                }
-                
-                item.dataset.loopIndex = index;
+                item.dataset.loopIndex = path.join('.');
                 item.dataset.cmdIndex = cmdIndex;
+                item.dataset.path = [...path, cmdIndex].join('.');
                 item.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    this.removeFromLoop(index, cmdIndex);
+                    this.removeFromLoop(path, cmdIndex);
                 });
                 body.appendChild(item);
             });
@@ -606,13 +1029,14 @@ export class Game {
         loopBlock.appendChild(body);
 
         // Make loop items draggable
-        this.dragDrop.makeLoopItemsDraggable(body, index);
+        this.dragDrop.makeLoopItemsDraggable(body, path);
 
         // Click to select/deselect loop
         loopBlock.addEventListener('click', (e) => {
+            const ownPlaceholder = e.target.classList.contains('loop-placeholder') && e.target.parentElement === body;
             if (e.target === loopBlock || e.target === header || e.target === body || 
-                e.target === loopIcon || e.target.classList.contains('loop-placeholder')) {
-                this.selectLoop(isActive ? null : index);
+                e.target === loopIcon || ownPlaceholder) {
+                this.selectLoop(isActive ? null : path);
             }
         });
 
@@ -624,36 +1048,48 @@ export class Game {
      */
     addLoop() {
         if (this.isRunning) return;
-        this.sequence.addLoop(2);
-        this.sequence.setActiveLoop(this.sequence.commands.length - 1);
+        const path = this.sequence.addLoop(2);
+        this.sequence.setActiveLoop(path);
+        this.renderSequence();
+        this.audio.playTone(440, 0.05);
+    }
+
+    /**
+     * Add a "repeat until" loop and start filling it
+     * @param {string} condition - Key of CONDITIONS
+     */
+    addUntilLoop(condition) {
+        if (this.isRunning || !CONDITIONS[condition]) return;
+        const path = this.sequence.addUntilLoop(condition);
+        this.sequence.setActiveLoop(path);
         this.renderSequence();
         this.audio.playTone(440, 0.05);
     }
 
     /**
      * Select or deselect a loop for adding commands
-     * @param {number|null} index - Loop index or null to deselect
+     * @param {number[]|null} path - Loop path or null to deselect
      */
-    selectLoop(index) {
+    selectLoop(path) {
         if (this.isRunning) return;
-        this.sequence.setActiveLoop(index);
+        this.sequence.setActiveLoop(path);
         this.renderSequence();
     }
 
     /**
      * Update loop iterations
-     * @param {number} index - Loop index
+     * @param {number[]} path - Loop path
      * @param {number} iterations - New iteration count
      */
-    updateLoopIterations(index, iterations) {
+    updateLoopIterations(path, iterations) {
         if (this.isRunning) return;
-        this.sequence.updateLoopIterations(index, iterations);
+        this.sequence.updateLoopIterations(path, iterations);
         this.renderSequence();
     }
 
     /**
      * Remove a command from inside a loop
-     * @param {number} loopIndex - Loop index
+     * @param {number|number[]} loopIndex - Loop index or path
      * @param {number} cmdIndex - Command index within loop
      */
     removeFromLoop(loopIndex, cmdIndex) {
@@ -665,7 +1101,7 @@ export class Game {
 
     /**
      * Reorder commands within a loop
-     * @param {number} loopIndex - Loop index
+     * @param {number|number[]} loopIndex - Loop index or path
      * @param {number} fromIndex - Source command index within loop
      * @param {number} toIndex - Destination command index within loop
      */
@@ -678,7 +1114,7 @@ export class Game {
 
     /**
      * Move a command from inside a loop to the main sequence
-     * @param {number} loopIndex - Loop index
+     * @param {number|number[]} loopIndex - Loop index or path
      * @param {number} cmdIndex - Command index within loop
      * @param {number} targetIndex - Target index in main sequence
      */
@@ -692,7 +1128,7 @@ export class Game {
     /**
      * Move a command from main sequence into a loop
      * @param {number} fromIndex - Source index in main sequence
-     * @param {number} loopIndex - Target loop index
+     * @param {number|number[]} loopIndex - Target loop index or path
      * @param {number} cmdIndex - Target command index within loop
      */
     moveFromMainToLoop(fromIndex, loopIndex, cmdIndex) {
@@ -702,15 +1138,30 @@ export class Game {
         this.audio.playTone(440, 0.05);
     }
 
+    /**
+     * Move a command (or a whole loop) from one loop into another
+     * @param {number[]} fromLoop - Source loop path
+     * @param {number} cmdIndex - Command index within the source loop
+     * @param {number[]} toLoop - Target loop path
+     * @param {number} targetIndex - Target command index within the target loop
+     */
+    moveBetweenLoops(fromLoop, cmdIndex, toLoop, targetIndex) {
+        if (this.isRunning) return;
+        this.sequence.moveBetweenLoops(fromLoop, cmdIndex, toLoop, targetIndex);
+        this.renderSequence();
+        this.audio.playTone(440, 0.05);
+    }
+
     /**
      * Add a new command directly to a loop (from palette)
      * @param {string} command - Command type
-     * @param {number} loopIndex - Target loop index
+     * @param {number|number[]} loopIndex - Target loop index or path
      * @param {number} cmdIndex - Target command index within loop
+     * @param {string} [block] - Block emoji for a 🎯 find command
      */
-    addToLoop(command, loopIndex, cmdIndex) {
+    addToLoop(command, loopIndex, cmdIndex, block) {
         if (this.isRunning) return;
-        this.sequence.insertIntoLoop(loopIndex, cmdIndex, command);
+        this.sequence.insertIntoLoop(loopIndex, cmdIndex, command, block);
         this.renderSequence();
         this.audio.playTone(440, 0.05);
     }
@@ -718,9 +1169,10 @@ export class Game {
     /**
      * Add a command to the sequence
      * @param {string} type - Command type
+     * @param {string} [block] - Block emoji for a 🎯 find command
      */
-    addCommand(type) {
-        if (this.sequence.addCommand(type)) {
+    addCommand(type, block) {
+        if (this.sequence.addCommand(type, block)) {
             this.renderSequence();
             this.audio.playTone(440, 0.05);
         }
@@ -730,16 +1182,17 @@ export class Game {
      * Add a command at a specific index (for drag-drop insertion)
      * @param {string} type - Command type
      * @param {number} index - Index to insert at
+     * @param {string} [block] - Block emoji for a 🎯 find command
      */
-    addCommandAt(type, index) {
+    addCommandAt(type, index, block) {
         if (this.isRunning) return;
         
         // When drag-dropping to a specific position, always insert at that position
         // (ignore active loop - user is explicitly choosing where to drop)
         if (index !== undefined && index <= this.sequence.commands.length) {
-            this.sequence.insertAt(index, type);
+            this.sequence.insertAt(index, type, block);
         } else {
-            this.sequence.addCommand(type);
+            this.sequence.addCommand(type, block);
         }
         this.renderSequence();
         this.audio.playTone(440, 0.05);
@@ -777,146 +1230,293 @@ export class Game {
     }
 
     /**
-     * Run the command sequence
+     * Check if there is nothing to run (every lane is empty)
+     * @returns {boolean}
      */
-    async run() {
-        if (this.isRunning || this.sequence.isEmpty()) return;
-        
-        this.isRunning = true;
-        this.elements.playBtn.disabled = true;
-        
+    isProgramEmpty() {
+        return this.sequences.every(sequence => sequence.isEmpty());
+    }
+
+    /**
+     * What a run is made from: the sequence, or every lane in two-crane levels
+     * @returns {Array} Commands, or the commands of each lane
+     */
+    getProgramSource() {
+        return this.cranes.length > 1
+            ? this.sequences.map(sequence => sequence.commands)
+            : this.sequence.commands;
+    }
+
+    /**
+     * Start the debugger on a fresh world
+     */
+    async prepareRun() {
         // Reset game state but keep sequence
         this.supply.reset();
         this.buildArea.reset();
-        this.crane.reset();
+        this.cranes.forEach(crane => crane.reset());
         this.render();
+        if (this.cranes.length > 1) {
+            this.debugger.start(new TeamProgram(this.getProgramSource(), {
+                sense: (condition, lane) => this.checkCondition(condition, lane)
+            }));
+        } else {
+            this.debugger.start(new Interpreter(this.sequence.commands, {
+                sense: (condition) => this.checkCondition(condition)
+            }));
+        }
         
         await this.delay(TIMING.COMMAND_DELAY);
+    }
 
-        // Execute flattened commands (loops expanded)
-        const flatCommands = this.sequence.flatten();
-        for (let i = 0; i < flatCommands.length; i++) {
-            this.highlightFlatCommand(flatCommands, i);
-            await this.executeCommand(flatCommands[i]);
-            await this.delay(TIMING.COMMAND_DELAY);
+    /**
+     * Read the sensor of a "repeat until" loop
+     * @param {string} condition - Key of CONDITIONS
+     * @param {number} [index] - Crane whose lane the loop is in
+     * @returns {boolean}
+     */
+    checkCondition(condition, index = 0) {
+        const crane = this.cranes[index];
+        if (condition === 'block') {
+            const height = crane.isOverSupply()
+                ? this.supply.getColumnHeight(crane.getSupplyColumn())
+                : this.buildArea.getColumnHeight(crane.getBuildColumn());
+            return height > 0;
         }
-        
+        return false;
+    }
+
+    /**
+     * Every command ran: check the build
+     */
+    finishRun() {
         this.clearHighlight();
         
-        // Check win condition
-        if (this.buildArea.allTargetsMatched()) {
+        // Check win condition (the sandbox has nothing to match)
+        if (!this.isSandbox && this.buildArea.allTargetsMatched()) {
             this.showSuccess();
         }
-        
-        this.isRunning = false;
-        this.elements.playBtn.disabled = false;
     }
 
     /**
-     * Execute a single command with animations
+     * Put back a debugger snapshot and redraw
+     * @param {Object} state - { cranes, supply, buildArea }
+     */
+    restoreState(state) {
+        this.cranes.forEach((crane, index) => crane.restoreState(state.cranes[index]));
+        this.supply.restoreState(state.supply);
+        this.buildArea.restoreState(state.buildArea);
+        this.renderSupply();
+        this.renderBuildArea();
+        this.renderCranes();
+    }
+
+    /**
+     * Execute a single command (or a two-crane tick) with animations
      * @param {Object} cmd - Command object
+     * @returns {Promise<boolean>} False if a crane could not do it
      */
     async executeCommand(cmd) {
+        const ok = cmd.type === 'tick'
+            ? await this.executeTick(cmd.commands)
+            : await this.executeCraneCommand(cmd, 0);
+        await this.delay(TIMING.COMMAND_DELAY);
+        return ok;
+    }
+
+    /**
+     * Run one lock-step tick: every crane does its lane's command at once
+     * @param {Array<Object|null>} commands - Command for each crane (null once its lane has ended)
+     * @returns {Promise<boolean>} False if a crane could not do its command or the cranes collided
+     */
+    async executeTick(commands) {
+        const results = await Promise.all(commands.map((cmd, index) => {
+            return cmd ? this.executeCraneCommand(cmd, index) : true;
+        }));
+        this.failedLane = results.indexOf(false);
+        if (this.failedLane !== -1) return false;
+
+        const collision = findCollision(this.cranes.map(crane => crane.column));
+        if (collision === null) return true;
+
+        // Blame the crane that drove into the other one
+        const pair = [collision, collision + 1];
+        const movers = pair.filter(index => ['left', 'right'].includes(commands[index]?.type));
+        this.failedLane = movers.length > 0 ? movers[movers.length - 1] : collision + 1;
+        this.showError(collision);
+        this.trolleys[collision + 1].trolley.classList.add('shake');
+        return false;
+    }
+
+    /**
+     * Execute one crane's command
+     * @param {Object} cmd - Command object
+     * @param {number} index - Which crane
+     * @returns {Promise<boolean>} False if the crane could not do it
+     */
+    async executeCraneCommand(cmd, index) {
+        let ok = true;
         switch (cmd.type) {
+            case 'halt':
+                // A "repeat until" loop ran out of steps
+                this.showError(index);
+                ok = false;
+                break;
             case 'left':
-                await this.executeMoveLeft();
+                ok = await this.executeMoveLeft(index);
                 break;
             case 'right':
-                await this.executeMoveRight();
+                ok = await this.executeMoveRight(index);
                 break;
             case 'lower':
-                await this.executeLowerHook();
+                ok = await this.executeLowerHook(index);
                 break;
             case 'raise':
-                await this.executeRaiseHook();
+                ok = await this.executeRaiseHook(index);
+                break;
+            case 'wait':
+                // Stand still while the other crane works
+                await this.delay(TIMING.CRANE_MOVE);
+                break;
+            case 'find':
+            case 'home':
+            case 'take':
+            case 'put':
+                ok = await this.executeMacro(cmd, index);
                 break;
         }
+        return ok;
+    }
+
+    /**
+     * Execute a shortcut block as the crane steps it stands for
+     * @param {Object} cmd - Macro command object
+     * @param {number} index - Which crane
+     * @returns {Promise<boolean>} False if the macro cannot be done here or a step fails
+     */
+    async executeMacro(cmd, index) {
+        const steps = expandMacro(cmd, this.cranes[index], this.supply);
+        if (!steps) {
+            this.showError(index);
+            return false;
+        }
+        for (const type of steps) {
+            if (!await this.executeCraneCommand({ type }, index)) return false;
+        }
+        return true;
     }
 
     /**
      * Execute move left command
+     * @param {number} [index] - Which crane
+     * @returns {Promise<boolean>} False at the left end of the crane's reach
      */
-    async executeMoveLeft() {
-        if (this.crane.moveLeft()) {
+    async executeMoveLeft(index = 0) {
+        if (this.cranes[index].moveLeft()) {
             this.audio.playMove();
-            this.renderCrane();
+            this.renderCrane(index);
             await this.delay(TIMING.CRANE_MOVE);
-        } else {
-            this.showError();
+            return true;
         }
+        this.showError(index);
+        return false;
     }
 
     /**
      * Execute move right command
+     * @param {number} [index] - Which crane
+     * @returns {Promise<boolean>} False at the right end of the crane's reach
      */
-    async executeMoveRight() {
-        if (this.crane.moveRight()) {
+    async executeMoveRight(index = 0) {
+        if (this.cranes[index].moveRight()) {
             this.audio.playMove();
-            this.renderCrane();
+            this.renderCrane(index);
             await this.delay(TIMING.CRANE_MOVE);
-        } else {
-            this.showError();
+            return true;
         }
+        this.showError(index);
+        return false;
     }
 
     /**
      * Execute lower hook command
      * - If over supply and not holding: grab top block
+     * - If over supply and holding: put the block on top of the stack
      * - If over build area and holding: place block
+     * @param {number} [index] - Which crane
+     * @returns {Promise<boolean>} False if the hook is already down or the column or stack is full
      */
-    async executeLowerHook() {
-        if (!this.crane.startLower()) {
-            this.showError();
-            return;
+    async executeLowerHook(index = 0) {
+        const crane = this.cranes[index];
+        if (!crane.startLower()) {
+            this.showError(index);
+            return false;
         }
 
-        const trolley = this.elements.craneTrolley;
+        const { trolley } = this.trolleys[index];
         trolley.classList.add('lowering');
 
-        if (this.crane.isOverSupply() && !this.crane.isHolding()) {
+        if (crane.isOverSupply() && !crane.isHolding()) {
             // Lower to grab from supply
-            await this.animateLowerToSupply();
-        } else if (this.crane.isOverBuildArea() && this.crane.isHolding()) {
+            await this.animateLowerToSupply(index);
+        } else if (crane.isOverSupply()) {
+            // Lower to put the held block on a stack (digging for another)
+            if (!await this.animateLowerToStack(index)) {
+                trolley.classList.remove('lowering');
+                return false;
+            }
+        } else if (crane.isOverBuildArea() && crane.isHolding()) {
             // Lower to place block
-            await this.animateLowerToBuild();
+            if (!await this.animateLowerToBuild(index)) {
+                trolley.classList.remove('lowering');
+                return false;
+            }
         } else {
             // Lower to empty (no-op but animate)
-            await this.animateLowerEmpty();
+            await this.animateLowerEmpty(index);
         }
 
         trolley.classList.remove('lowering');
         trolley.classList.add('lowered');
+        return true;
     }
 
     /**
      * Execute raise hook command
+     * @param {number} [index] - Which crane
+     * @returns {Promise<boolean>} False if the hook is already up
      */
-    async executeRaiseHook() {
-        if (!this.crane.startRaise()) {
-            this.showError();
-            return;
+    async executeRaiseHook(index = 0) {
+        const crane = this.cranes[index];
+        if (!crane.startRaise()) {
+            this.showError(index);
+            return false;
         }
 
-        const trolley = this.elements.craneTrolley;
+        const { trolley } = this.trolleys[index];
         trolley.classList.add('raising');
 
-        await this.animateRaiseHook();
+        await this.animateRaiseHook(index);
 
         trolley.classList.remove('raising');
-        this.crane.completeRaise();
-        this.renderCrane();
+        crane.completeRaise();
+        this.renderCrane(index);
+        return true;
     }
 
     /**
      * Animate hook lowering to grab from supply
+     * @param {number} index - Which crane
      */
-    async animateLowerToSupply() {
-        const supplyCol = this.crane.getSupplyColumn();
+    async animateLowerToSupply(index) {
+        const crane = this.cranes[index];
+        const { trolley, heldBlock } = this.trolleys[index];
+        const supplyCol = crane.getSupplyColumn();
         const stackHeight = this.supply.getColumnHeight(supplyCol);
         
         if (stackHeight === 0) {
             // Nothing to grab, lower to bottom
-            await this.animateLowerEmpty();
+            await this.animateLowerEmpty(index);
             return;
         }
 
@@ -924,18 +1524,17 @@ export class Game {
         const depth = this.maxStackHeight - stackHeight + 1;
         
         // Animate string extending
-        await this.animateStringExtend(depth);
-        this.crane.completeLower(depth);
+        await this.animateStringExtend(depth, index);
+        crane.completeLower(depth);
         
         // Grab the block
         const blockType = this.supply.takeTop(supplyCol);
         if (blockType) {
-            this.crane.grabBlock(blockType);
+            crane.grabBlock(blockType);
             this.audio.playGrab();
             
-            const trolley = this.elements.craneTrolley;
             trolley.classList.add('grabbing');
-            this.elements.heldBlock.textContent = blockType;
+            heldBlock.textContent = blockType;
             trolley.classList.add('holding');
             
             await this.delay(TIMING.BLOCK_GRAB);
@@ -945,129 +1544,190 @@ export class Game {
         }
     }
 
+    /**
+     * Animate hook lowering to put the held block back on a supply stack
+     * @param {number} index - Which crane
+     * @returns {Promise<boolean>} False if the stack is full
+     */
+    async animateLowerToStack(index) {
+        const crane = this.cranes[index];
+        const { trolley, heldBlock } = this.trolleys[index];
+        const supplyCol = crane.getSupplyColumn();
+        const stackHeight = this.supply.getColumnHeight(supplyCol);
+
+        if (stackHeight >= this.maxStackHeight) {
+            this.showError(index);
+            return false;
+        }
+
+        // Calculate depth to just above the top of the stack
+        const depth = this.maxStackHeight - stackHeight;
+
+        await this.animateStringExtend(depth, index);
+        crane.completeLower(depth);
+
+        const blockType = crane.releaseBlock();
+        if (blockType) {
+            this.supply.putTop(supplyCol, blockType, this.maxStackHeight);
+            this.audio.playDrop();
+
+            trolley.classList.add('releasing');
+            trolley.classList.remove('holding');
+            heldBlock.textContent = '';
+
+            await this.delay(TIMING.BLOCK_RELEASE);
+            trolley.classList.remove('releasing');
+
+            this.renderSupply();
+        }
+        return true;
+    }
+
     /**
      * Animate hook lowering to place block in build area
+     * @param {number} index - Which crane
+     * @returns {Promise<boolean>} False if the column is full
      */
-    async animateLowerToBuild() {
-        const buildCol = this.crane.getBuildColumn();
-        const columnHeight = this.buildArea.getColumnHeight(buildCol);
+    async animateLowerToBuild(index) {
+        const crane = this.cranes[index];
+        const { trolley, heldBlock } = this.trolleys[index];
+        const buildCol = crane.getBuildColumn();
+        const landingY = this.buildArea.getLandingY(buildCol, crane.heldBlock);
         
-        // Calculate depth to place position (+1 to reach the ground/stack visually)
-        const depth = this.buildArea.height - columnHeight;
-        
-        if (depth < 0) {
-            // Column is full
-            this.showError();
-            return;
+        if (landingY === null || landingY < 0) {
+            // Column is full, or a wide block sticks out of the build area
+            this.showError(index);
+            return false;
         }
 
+        // Calculate depth to place position (+1 to reach the ground/stack visually)
+        const depth = landingY + 1;
+
         // Animate string extending
-        await this.animateStringExtend(depth);
-        this.crane.completeLower(depth);
+        await this.animateStringExtend(depth, index);
+        crane.completeLower(depth);
         
         // Release the block
-        const blockType = this.crane.releaseBlock();
+        const blockType = crane.releaseBlock();
         if (blockType) {
             const result = this.buildArea.placeBlock(buildCol, blockType);
             if (result.success) {
                 this.audio.playDrop();
                 
-                const trolley = this.elements.craneTrolley;
                 trolley.classList.add('releasing');
                 trolley.classList.remove('holding');
-                this.elements.heldBlock.textContent = '';
+                heldBlock.textContent = '';
                 
                 await this.delay(TIMING.BLOCK_RELEASE);
                 trolley.classList.remove('releasing');
                 
                 this.renderBuildArea();
+                if (result.toppled.length > 0) {
+                    await this.animateTopple(result.toppled);
+                }
             }
         }
+        return true;
+    }
+
+    /**
+     * Animate blocks toppling off the build area
+     * @param {Array<Object>} blocks - Toppled blocks from BuildArea.placeBlock
+     */
+    async animateTopple(blocks) {
+        this.audio.playTopple();
+
+        blocks.forEach(block => {
+            for (let x = block.x; x < block.x + (block.width || 1); x++) {
+                const cell = this.elements.buildGrid.querySelector(`[data-x="${x}"][data-y="${block.y}"]`);
+                if (!cell) continue;
+                const blockEl = document.createElement('div');
+                blockEl.className = 'cell-block toppling';
+                blockEl.textContent = block.type;
+                cell.appendChild(blockEl);
+            }
+        });
+
+        await this.delay(TIMING.TOPPLE);
+        this.renderBuildArea();
     }
 
     /**
      * Animate hook lowering to empty space
+     * @param {number} index - Which crane
      */
-    async animateLowerEmpty() {
+    async animateLowerEmpty(index) {
         const depth = this.maxStackHeight + 1; // +1 to reach ground level
-        await this.animateStringExtend(depth);
-        this.crane.completeLower(depth);
+        await this.animateStringExtend(depth, index);
+        this.cranes[index].completeLower(depth);
     }
 
     /**
      * Animate string extending to a depth
      * @param {number} depth - Number of rows to extend
+     * @param {number} index - Which crane
      */
-    async animateStringExtend(depth) {
+    async animateStringExtend(depth, index) {
         const baseHeight = 10;
         const targetHeight = baseHeight + depth * this.cellSize;
         
-        this.elements.craneString.style.height = `${targetHeight}px`;
+        this.trolleys[index].string.style.height = `${targetHeight}px`;
         await this.delay(TIMING.HOOK_LOWER);
     }
 
     /**
      * Animate hook raising back to top
+     * @param {number} index - Which crane
      */
-    async animateRaiseHook() {
-        this.elements.craneString.style.height = '10px';
+    async animateRaiseHook(index) {
+        this.trolleys[index].string.style.height = '10px';
         await this.delay(TIMING.HOOK_RAISE);
     }
 
     /**
      * Show error feedback
+     * @param {number} [index] - Crane to shake
      */
-    showError() {
+    showError(index = 0) {
         this.audio.playError();
-        this.elements.craneTrolley.classList.add('shake');
+        this.trolleys[index].trolley.classList.add('shake');
         setTimeout(() => {
-            this.elements.craneTrolley.classList.remove('shake');
         }, 400);
     }
 
     /**
-     * Highlight currently executing command (for flat commands)
-     * This tracks which command in the flattened sequence is executing
-     * @param {Array} flatCommands - Flattened command array
-     * @param {number} flatIndex - Current index in flattened array
+     * Find the sequence elements for a command handed out by the interpreter
+     * @param {Object} cmd - Command with the path of its block
+     * @returns {HTMLElement[]} Enclosing loop blocks (outermost first), then the command's own item
      */
-    highlightFlatCommand(flatCommands, flatIndex) {
-        // Clear all highlights
-        const items = this.elements.sequenceArea.querySelectorAll('.sequence-item, .loop-block');
-        items.forEach(item => item.classList.remove('executing'));
-        
-        // Find which original command this maps to
-        let count = 0;
-        const commands = this.sequence.getCommands();
-        
-        for (let i = 0; i < commands.length; i++) {
-            const cmd = commands[i];
-            if (cmd.type === 'loop') {
-                const loopSize = cmd.commands.length * cmd.iterations;
-                if (flatIndex < count + loopSize) {
-                    // Highlight the loop block
-                    const loopBlock = this.elements.sequenceArea.querySelector(`.loop-block[data-index="${i}"]`);
-                    if (loopBlock) {
-                        loopBlock.classList.add('executing');
-                        // Also highlight the specific command inside the loop
-                        const innerIndex = (flatIndex - count) % cmd.commands.length;
-                        const loopItems = loopBlock.querySelectorAll('.loop-item');
-                        if (loopItems[innerIndex]) {
-                            loopItems[innerIndex].classList.add('executing');
-                        }
-                    }
-                    return;
-                }
-                count += loopSize;
-            } else {
-                if (flatIndex === count) {
-                    const item = this.elements.sequenceArea.querySelector(`.sequence-item[data-index="${i}"]`);
-                    if (item) item.classList.add('executing');
-                    return;
-                }
-                count++;
-            }
+    getElementsForCommand(cmd) {
+        if (!cmd || !cmd.path) return [];
+
+        const elements = [];
+        for (let depth = 1; depth <= cmd.path.length; depth++) {
+            const key = cmd.path.slice(0, depth).join('.');
+            const el = this.elements.sequenceArea.querySelector(`[data-path="${key}"]`);
+            if (el) elements.push(el);
         }
+        return elements;
+    }
+
+    /**
+     * Pick out the command of the lane on show from a two-crane tick
+     * @param {Object|null} cmd - Command from the interpreter, or a tick
+     * @returns {Object|null} Command in the sequence area
+     */
+    getShownCommand(cmd) {
+        return cmd && cmd.type === 'tick' ? cmd.commands[this.activeLane] : cmd;
+    }
+
+    /**
+     * Highlight the command about to run and the loops around it
+     * @param {Object} cmd - Command from the interpreter
+     */
+    highlightCommand(cmd) {
+        this.clearHighlight();
+        this.getElementsForCommand(this.getShownCommand(cmd)).forEach(el => el.classList.add('executing'));
     }
 
     /**
@@ -1078,17 +1738,53 @@ export class Game {
         items.forEach(item => item.classList.remove('executing'));
     }
 
+    /**
+     * Put the "stopped here" marker on the block that failed
+     * @param {Object} cmd - Command from the interpreter
+     */
+    markStoppedHere(cmd) {
+        if (cmd && cmd.type === 'tick' && this.failedLane !== this.activeLane) {
+            // Show the lane of the crane that could not go on
+            this.showLane(this.failedLane);
+        }
+        this.clearHighlight();
+        this.clearStoppedMarker();
+        this.getElementsForCommand(this.getShownCommand(cmd)).at(-1)?.classList.add('stopped-here');
+    }
+
+    /**
+     * Remove the "stopped here" marker
+     */
+    clearStoppedMarker() {
+        this.elements.sequenceArea.querySelectorAll('.stopped-here').forEach(el => el.classList.remove('stopped-here'));
+    }
+
     /**
      * Reset current level
      */
     reset() {
-        this.loadLevel(this.currentLevel);
+        // Let the running command finish before rewinding everything
+        if (!this.debugControls.requestReset()) return;
+        if (this.isSandbox) {
+            this.startLevel();
+        } else {
+            this.loadLevel(this.currentLevel);
+        }
     }
 
     /**
      * Show success overlay
      */
     showSuccess() {
+        const solution = this.cranes.length > 1
+            ? {
+                blocks: this.sequences.reduce((sum, sequence) => sum + sequence.countBlocks(), 0),
+                lanes: this.sequences.map(sequence => sequence.toSolution().commands)
+            }
+            : this.sequence.toSolution();
+        const stars = rateSolution(solution.blocks, this.levelConfig.par);
+        this.progress.completeLevel(this.currentLevel, solution, stars);
+        renderStars(this.elements.successStars, stars);
         this.audio.playSuccess();
         this.elements.successOverlay.classList.add('visible');
     }
@@ -1113,7 +1809,49 @@ export class Game {
      * Update level display
      */
     updateLevelDisplay() {
-        this.elements.levelNum.textContent = this.currentLevel;
+        this.elements.levelNum.textContent = this.isSandbox ? '🧪' : this.currentLevel;
+        this.elements.sandboxControls.hidden = !this.isSandbox;
+        this.applyPalette();
+    }
+
+    /**
+     * Show only the palette blocks the level offers
+     */
+    applyPalette() {
+        const palette = getPalette(this.levelConfig);
+        document.querySelectorAll('.command-blocks:not(.macro-blocks) .command-btn').forEach(btn => {
+            btn.hidden = !palette.includes(btn.dataset.command);
+        });
+        this.macroPanel.applyPalette(palette, this.levelConfig.supply.columns.flat());
+        this.elements.loopBtn.hidden = !palette.includes('loop');
+        document.querySelectorAll('.until-btn').forEach(btn => {
+            btn.hidden = !palette.includes('until');
+        });
+    }
+
+    /**
+     * Show the level map
+     */
+    showLevelSelect() {
+        if (this.isRunning) return;
+        this.levelSelect.render(this.currentLevel);
+        this.elements.levelSelectOverlay.classList.add('visible');
+    }
+
+    /**
+     * Hide the level map
+     */
+    hideLevelSelect() {
+        this.elements.levelSelectOverlay.classList.remove('visible');
+    }
+
+    /**
+     * Jump to a level chosen on the level map
+     * @param {number} levelNum - Level number
+     */
+    selectLevel(levelNum) {
+        this.hideLevelSelect();
+        this.loadLevel(levelNum);
     }
 
     /**
@@ -7,14 +7,71 @@
  *   supply: { columns: [[blocks from bottom to top], ...] },
  *   buildArea: { width: number, height: number },
  *   target: [[x, y, blockType], ...],
- *   craneStart: number (column index)
+ *   craneStart: number (column index),
+ *   par: number (blocks in a good solution with loops; matching it earns 3 ⭐),
+ *   picture: emoji (optional - what a blueprint level builds, e.g. 🏠),
+ *   structural: boolean (optional - wide blocks, support and toppling; see BuildArea),
+ *   cranes: [{ start, reach: [first, last] }, ...] (optional - two-crane levels,
+ *     in place of craneStart; see CraneTeam),
+ *   palette: [item, ...] (optional - the blocks offered, from PALETTE_ITEMS;
+ *     see getPalette)
  * }
+ *
+ * Blueprint levels draw their target with parseBlueprint(), one string per
+ * row from the top, so the level reads like the picture it builds.
+ *
+ * Buildings saved from the sandbox become custom levels, stored on the
+ * device as a level pack and played after the built-in levels.
  * 
  * Coordinate system:
  * - Columns 0-2: Supply area (3 columns)
  * - Columns 3+: Build area
  * - Y: 0 = top row, increases downward
  */
+import { BLOCKS, EMPTY_CELL, isBlockType, getBlockWidth } from './Blocks.js';
+import { getSharedColumns } from './CraneTeam.js';
+
+// Storage key for the custom levels saved from the sandbox (shared by every profile)
+export const LEVEL_PACK_KEY = 'coding4kids_builder_levels';
+export const LEVEL_PACK_VERSION = 1;
+
+// Build area sizes the sandbox can be set to
+export const SANDBOX_LIMITS = {
+    minWidth: 3,
+    maxWidth: 6,
+    minHeight: 3,
+    maxHeight: 6
+};
+
+// Supply stacks a custom level deals its blocks into
+const SUPPLY_COLUMNS = 3;
+
+// Blocks a level's palette can offer: crane commands, macros (see Macros.js),
+// and the 🔄 and 🔁 loops
+export const PALETTE_ITEMS = [
+    'left', 'right', 'lower', 'raise', 'wait',
+    'find', 'home', 'take', 'put',
+    'loop', 'until'
+];
+
+// Palette of a level that does not list its own
+const DEFAULT_PALETTE = ['left', 'right', 'lower', 'raise', 'loop', 'until'];
+
+/**
+ * Turn a picture of the finished build into targets
+ * Rows go from the top down, one block emoji per cell and EMPTY_CELL for
+ * a gap; the last row sits on the ground
+ * @param {string[]} rows - Blueprint rows
+ * @param {number} height - Build area height
+ * @param {number} [left] - Build column under the first cell of each row
+ * @returns {Array} [[x, y, blockType], ...]
+ */
+export function parseBlueprint(rows, height, left = 0) {
+    const top = height - rows.length;
+    return rows.flatMap((row, i) => Array.from(row)
+        .map((type, j) => [left + j, top + i, type])
+        .filter(([, , type]) => type !== EMPTY_CELL));
+}
 
 export const LEVELS = [
     // Level 1: Single brick - basic pickup and place
@@ -31,7 +88,8 @@ export const LEVELS = [
         target: [
             [0, 3, '🧱']  // One brick at bottom-left of build area
         ],
-        craneStart: 2
+        craneStart: 2,
+        par: 5
     },
 
     // Level 2: Stack of 2 - teaches repetition
@@ -49,7 +107,8 @@ export const LEVELS = [
             [0, 3, '🧱'],
             [0, 2, '🧱']
         ],
-        craneStart: 2
+        craneStart: 2,
+        par: 7
     },
 
     // Level 3: Row of 3 - horizontal placement
@@ -68,7 +127,8 @@ export const LEVELS = [
             [1, 3, '🧱'],
             [2, 3, '🧱']
         ],
-        craneStart: 2
+        craneStart: 2,
+        par: 11
     },
 
     // Level 4: 2x2 square - grid thinking
@@ -86,7 +146,8 @@ export const LEVELS = [
             [0, 3, '🧱'], [1, 3, '🧱'],
             [0, 2, '🧱'], [1, 2, '🧱']
         ],
-        craneStart: 2
+        craneStart: 2,
+        par: 12
     },
 
     // Level 5: Wall with window - introduces windows
@@ -104,7 +165,8 @@ export const LEVELS = [
             [0, 3, '🧱'], [1, 3, '🧱'], [2, 3, '🧱'],
             [0, 2, '🧱'], [1, 2, '🪟'], [2, 2, '🧱']
         ],
-        craneStart: 2
+        craneStart: 2,
+        par: 18
     },
 
     // Level 6: Wall with door - introduces doors
@@ -123,7 +185,8 @@ export const LEVELS = [
             [0, 2, '🧱'], [1, 2, '🧱'], [2, 2, '🧱'],
             [0, 1, '🧱'], [1, 1, '🧱'], [2, 1, '🧱']
         ],
-        craneStart: 2
+        craneStart: 2,
+        par: 28
     },
 
     // Level 7: Simple house outline
@@ -142,7 +205,8 @@ export const LEVELS = [
             [0, 2, '🪟'], [2, 2, '🪟'],
             [0, 1, '🧱'], [1, 1, '🧱'], [2, 1, '🧱']
         ],
-        craneStart: 2
+        craneStart: 2,
+        par: 55
     },
 
     // Level 8: House with roof - introduces roof pieces
@@ -162,7 +226,8 @@ export const LEVELS = [
             [0, 2, '🧱'], [1, 2, '🧱'], [2, 2, '🧱'],
             [0, 1, '🔺'], [1, 1, '🔺'], [2, 1, '🔺']
         ],
-        craneStart: 2
+        craneStart: 2,
+        par: 81
     },
 
     // Level 9: Tall tower
@@ -183,7 +248,8 @@ export const LEVELS = [
             [1, 1, '🪟'],
             [1, 0, '🔺']
         ],
-        craneStart: 2
+        craneStart: 2,
+        par: 17
     },
 
     // Level 10: Complete house - final challenge
@@ -203,37 +269,523 @@ export const LEVELS = [
             [0, 2, '🧱'], [1, 2, '🧱'], [2, 2, '🧱'], [3, 2, '🧱'],
             [0, 1, '🔺'], [1, 1, '🔺'], [2, 1, '🔺'], [3, 1, '🔺']
         ],
-        craneStart: 2
+        craneStart: 2,
+        par: 96
+    },
+
+    // ===== Blueprints: coloured blocks, digging for the right one =====
+
+    // Level 11: Colour tower - move blocks out of the way to reach the 🟥
+    {
+        id: 11,
+        picture: '🗼',
+        supply: {
+            columns: [
+                [],
+                [],
+                ['🟥', '🟨', '🟦']
+            ]
+        },
+        buildArea: { width: 3, height: 4 },
+        target: parseBlueprint([
+            '🟨',
+            '🟦',
+            '🟥'
+        ], 4),
+        craneStart: 2,
+        par: 35
+    },
+
+    // Level 12: House - the roof is buried under the door
+    {
+        id: 12,
+        picture: '🏠',
+        supply: {
+            columns: [
+                ['🟥', '🟥', '🟥', '🟥'],
+                ['🪟', '🔺', '🚪'],
+                []
+            ]
+        },
+        buildArea: { width: 3, height: 4 },
+        target: parseBlueprint([
+            '.🔺.',
+            '🟥🪟🟥',
+            '🟥🚪🟥'
+        ], 4),
+        craneStart: 2,
+        par: 61
+    },
+
+    // Level 13: Bridge - a wooden deck on brick piers over the river
+    {
+        id: 13,
+        picture: '🌉',
+        supply: {
+            columns: [
+                ['🟫', '🟫'],
+                ['🟦', '🟦', '🟫'],
+                ['🟫', '🧱', '🧱']
+            ]
+        },
+        buildArea: { width: 4, height: 4 },
+        target: parseBlueprint([
+            '🟫🟫🟫🟫',
+            '🧱🟦🟦🧱'
+        ], 4),
+        craneStart: 2,
+        par: 66
+    },
+
+    // ===== Structures: 🪵 beams span two columns, overhangs can topple =====
+
+    // Level 14: Table - two beams, each resting on one leg
+    {
+        id: 14,
+        structural: true,
+        supply: {
+            columns: [
+                ['🧱', '🧱'],
+                ['🪵', '🪵'],
+                ['🧱', '🧱']
+            ]
+        },
+        buildArea: { width: 4, height: 4 },
+        target: parseBlueprint([
+            '🪵🪵🪵🪵',
+            '🧱..🧱'
+        ], 4),
+        craneStart: 2,
+        par: 28
+    },
+
+    // Level 15: Overhang - weigh down the resting end before loading the free end
+    {
+        id: 15,
+        structural: true,
+        supply: {
+            columns: [
+                ['🧱', '🧱'],
+                ['🪵'],
+                ['🧱', '🧱']
+            ]
+        },
+        buildArea: { width: 4, height: 4 },
+        target: parseBlueprint([
+            '🧱🧱',
+            '🪵🪵',
+            '🧱.'
+        ], 4),
+        craneStart: 2,
+        par: 27
+    },
+
+    // Level 16: Drawbridge - two overhangs, each with a counterweight
+    {
+        id: 16,
+        structural: true,
+        supply: {
+            columns: [
+                ['🧱', '🧱', '🧱', '🧱'],
+                ['🪵', '🪵'],
+                ['🧱', '🧱', '🧱', '🧱']
+            ]
+        },
+        buildArea: { width: 5, height: 4 },
+        target: parseBlueprint([
+            '🧱🧱.🧱🧱',
+            '🪵🪵.🪵🪵',
+            '🧱...🧱'
+        ], 4),
+        craneStart: 2,
+        par: 58
+    },
+
+    // Level 17: Two cranes - hand each block over, wait while the other crane is at the stack
+    {
+        id: 17,
+        supply: {
+            columns: [
+                ['🧱', '🧱'],
+                [],
+                []
+            ]
+        },
+        buildArea: { width: 3, height: 3 },
+        target: parseBlueprint([
+            '🧱',
+            '🧱'
+        ], 3),
+        cranes: [
+            { start: 0, reach: [0, 2] },
+            { start: 3, reach: [2, 5] }
+        ],
+        par: 20
+    },
+
+    // Level 18: Two cranes - the hand-off stack turns the blocks round
+    {
+        id: 18,
+        supply: {
+            columns: [
+                ['🟥', '🟦'],
+                [],
+                []
+            ]
+        },
+        buildArea: { width: 3, height: 3 },
+        target: parseBlueprint([
+            '🟦',
+            '🟥'
+        ], 3),
+        cranes: [
+            { start: 0, reach: [0, 2] },
+            { start: 3, reach: [2, 5] }
+        ],
+        par: 19
+    },
+
+    // Level 19: Traffic light - one crane fetches the next block while the other builds
+    {
+        id: 19,
+        supply: {
+            columns: [
+                ['🟨', '🟩'],
+                ['🟥'],
+                []
+            ]
+        },
+        buildArea: { width: 3, height: 3 },
+        target: parseBlueprint([
+            '🟥',
+            '🟨',
+            '🟩'
+        ], 3, 1),
+        cranes: [
+            { start: 0, reach: [0, 2] },
+            { start: 4, reach: [2, 5] }
+        ],
+        par: 27
+    },
+
+    // Level 20: Shortcuts - 🎯 go to a colour, ✊ grab, 🏠 go home, ✋ drop
+    {
+        id: 20,
+        palette: ['find', 'take', 'home', 'put', 'left', 'right'],
+        supply: {
+            columns: [
+                ['🟩', '🟥'],
+                ['🟦', '🟨'],
+                []
+            ]
+        },
+        buildArea: { width: 3, height: 3 },
+        target: parseBlueprint([
+            '🟨🟦',
+            '🟥🟩'
+        ], 3),
+        craneStart: 2,
+        par: 22
+    },
+
+    // Level 21: Shortcuts only find blocks on top - dig the others out first
+    {
+        id: 21,
+        palette: ['find', 'take', 'home', 'put', 'left', 'right'],
+        supply: {
+            columns: [
+                ['🟥', '🟨', '🟦'],
+                [],
+                []
+            ]
+        },
+        buildArea: { width: 3, height: 3 },
+        target: parseBlueprint([
+            '🟦',
+            '🟨',
+            '🟥'
+        ], 3),
+        craneStart: 2,
+        par: 22
     }
 ];
 
+// Levels saved from the sandbox, played after the built-ins
+let customLevels = [];
+
+/**
+ * Built-in levels followed by the custom ones
+ * @returns {Array}
+ */
+function getAllLevels() {
+    return [...LEVELS, ...customLevels];
+}
+
 /**
  * Get a level by number (1-indexed)
  * @param {number} levelNum - Level number
  * @returns {Object} Level configuration
  */
 export function getLevel(levelNum) {
-    const index = Math.max(0, Math.min(levelNum - 1, LEVELS.length - 1));
-    const level = LEVELS[index];
-    
-    // Deep copy to avoid mutation
+    const levels = getAllLevels();
+    const index = Math.max(0, Math.min(levelNum - 1, levels.length - 1));
+    return { ...normalizeLevel(levels[index]), id: index + 1 };
+}
+
+/**
+ * Get total number of levels
+ * @returns {number} Total levels
+ */
+export function getTotalLevels() {
+    return LEVELS.length + customLevels.length;
+}
+
+/**
+ * Copy a level into the shape getLevel() hands out
+ * @param {Object} level - Level data
+ * @returns {Object} Deep copy with every optional field filled in
+ */
+export function normalizeLevel(level) {
     return {
         id: level.id,
         supply: {
             columns: level.supply.columns.map(col => [...col])
         },
-        buildArea: { ...level.buildArea },
+        buildArea: { width: level.buildArea.width, height: level.buildArea.height },
         target: level.target.map(t => [...t]),
-        craneStart: level.craneStart
+        craneStart: level.craneStart,
+        par: Number.isInteger(level.par) ? level.par : null,
+        picture: level.picture || null,
+        structural: !!level.structural,
+        cranes: level.cranes ? level.cranes.map(crane => ({ start: crane.start, reach: [...crane.reach] })) : null,
+        palette: level.palette ? [...level.palette] : null
     };
 }
 
 /**
- * Get total number of levels
- * @returns {number} Total levels
+ * Get the blocks a level offers in the palette
+ * @param {Object} level - Level configuration
+ * @returns {string[]} PALETTE_ITEMS: the level's own list, or the crane
+ *   commands and loops (with ⏳ when there are two cranes)
  */
-export function getTotalLevels() {
-    return LEVELS.length;
+export function getPalette(level) {
+    if (level.palette) return [...level.palette];
+    return level.cranes ? [...DEFAULT_PALETTE, 'wait'] : [...DEFAULT_PALETTE];
+}
+
+/**
+ * Check if a level number is one of the custom levels
+ * @param {number} levelNum - Level number
+ * @returns {boolean}
+ */
+export function isCustomLevel(levelNum) {
+    return levelNum > LEVELS.length && levelNum <= getTotalLevels();
+}
+
+/**
+ * Replace the custom levels played after the built-ins
+ * @param {Array} levels - Valid levels (see parseLevelPack)
+ */
+export function setCustomLevels(levels) {
+    customLevels = levels.map(level => normalizeLevel(level));
+}
+
+/**
+ * Get the custom levels
+ * @returns {Array} Copies of the custom levels
+ */
+export function getCustomLevels() {
+    return customLevels.map(level => normalizeLevel(level));
+}
+
+/**
+ * Free-build level: endless supply stacks and nothing to match
+ * @param {number} [width] - Build area columns
+ * @param {number} [height] - Build area rows
+ * @returns {Object} Level configuration
+ */
+export function createSandboxLevel(width = 4, height = 4) {
+    return {
+        id: 0,
+        sandbox: true,
+        supply: {
+            columns: [[BLOCKS.BRICK], [BLOCKS.RED], [BLOCKS.BLUE]],
+            unlimited: true
+        },
+        buildArea: { width, height },
+        target: [],
+        craneStart: SUPPLY_COLUMNS - 1,
+        par: null,
+        picture: null,
+        structural: false
+    };
+}
+
+/**
+ * Turn a building into a level that asks for the same building
+ * The blocks are dealt into the supply stacks in the order they can be
+ * built (bottom row first), so every block needed next is on top
+ * @param {Array<Object>} blocks - Placed blocks {x, y, type, width?}
+ * @param {Object} buildArea - { width, height }
+ * @param {string|null} [picture] - Emoji shown with the blueprint (e.g. the maker's avatar)
+ * @returns {Object|null} Level, or null if nothing was built
+ */
+export function createLevelFromBuild(blocks, buildArea, picture = null) {
+    if (blocks.length === 0) return null;
+
+    const ordered = [...blocks].sort((a, b) => b.y - a.y || a.x - b.x);
+    const columns = Array.from({ length: SUPPLY_COLUMNS }, () => []);
+    ordered.forEach((block, i) => columns[i % SUPPLY_COLUMNS].unshift(block.type));
+
+    const target = ordered.flatMap(block => {
+        return Array.from({ length: block.width || 1 }, (_, i) => [block.x + i, block.y, block.type]);
+    });
+
+    return {
+        id: 0,
+        supply: { columns },
+        buildArea: { width: buildArea.width, height: buildArea.height },
+        target,
+        craneStart: SUPPLY_COLUMNS - 1,
+        par: null,
+        picture,
+        structural: blocks.some(block => (block.width || 1) > 1)
+    };
+}
+
+/**
+ * Turn levels into a level pack file
+ * @param {Array} levels - Levels to export
+ * @returns {string} JSON text
+ */
+export function exportLevelPack(levels) {
+    return JSON.stringify({
+        version: LEVEL_PACK_VERSION,
+        levels: levels.map(level => normalizeLevel(level))
+    }, null, 2);
+}
+
+/**
+ * Read a level pack, checking every level with validateLevel
+ * @param {string|Object} pack - JSON text or parsed pack
+ * @returns {Object} { levels: Array, errors: string[] } - levels is empty when there are errors
+ */
+export function parseLevelPack(pack) {
+    let data = pack;
+    if (typeof pack === 'string') {
+        try {
+            data = JSON.parse(pack);
+        } catch (error) {
+            return { levels: [], errors: [`Not valid JSON: ${error.message}`] };
+        }
+    }
+
+    if (!data || !Array.isArray(data.levels)) {
+        return { levels: [], errors: ['Pack must have a "levels" list'] };
+    }
+    if (data.version > LEVEL_PACK_VERSION) {
+        return { levels: [], errors: [`Pack version ${data.version} is newer than this game`] };
+    }
+
+    const errors = [];
+    data.levels.forEach((level, i) => {
+        const shapeError = getShapeError(level);
+        if (shapeError) {
+            errors.push(`Level ${i + 1}: ${shapeError}`);
+            return;
+        }
+        validateLevel(level).errors.forEach(error => errors.push(`Level ${i + 1}: ${error}`));
+    });
+
+    return {
+        levels: errors.length ? [] : data.levels.map(level => normalizeLevel(level)),
+        errors
+    };
+}
+
+/**
+ * Check a level has the fields validateLevel reads
+ * @param {Object} level - Parsed level
+ * @returns {string|null} What is wrong, or null
+ */
+function getShapeError(level) {
+    const isWhole = value => Number.isInteger(value) && value >= 0;
+    if (!level || typeof level !== 'object') return 'not an object';
+    if (!level.supply || !Array.isArray(level.supply.columns) ||
+        !level.supply.columns.every(col => Array.isArray(col) && col.every(type => typeof type === 'string'))) {
+        return 'supply must have columns of block emojis';
+    }
+    if (!level.buildArea || !isWhole(level.buildArea.width) || !isWhole(level.buildArea.height)) {
+        return 'buildArea must have whole number width and height';
+    }
+    if (!Array.isArray(level.target) || !level.target.every(t => {
+        return Array.isArray(t) && isWhole(t[0]) && isWhole(t[1]) && typeof t[2] === 'string';
+    })) {
+        return 'target must be [x, y, block] entries';
+    }
+    if (level.cranes != null) {
+        if (!Array.isArray(level.cranes) || !level.cranes.every(crane => {
+            return crane && isWhole(crane.start) && Array.isArray(crane.reach) &&
+                crane.reach.length === 2 && crane.reach.every(isWhole);
+        })) {
+            return 'cranes must be { start, reach: [first, last] } entries';
+        }
+    } else if (!isWhole(level.craneStart)) {
+        return 'craneStart must be a whole number';
+    }
+    if (level.par != null && !isWhole(level.par)) return 'par must be a whole number';
+    if (level.palette != null && (!Array.isArray(level.palette) ||
+        !level.palette.every(item => typeof item === 'string'))) {
+        return 'palette must be a list of blocks';
+    }
+    return null;
+}
+
+/**
+ * Load the custom levels stored on this device, if any
+ * @param {Storage} [storage] - Storage backend (default localStorage)
+ * @returns {number} How many custom levels were loaded
+ */
+export function loadStoredLevelPack(storage = globalThis.localStorage) {
+    try {
+        const stored = storage?.getItem(LEVEL_PACK_KEY);
+        const { levels } = stored ? parseLevelPack(stored) : { levels: [] };
+        setCustomLevels(levels);
+    } catch (error) {
+        console.error('Failed to load level pack:', error);
+        setCustomLevels([]);
+    }
+    return customLevels.length;
+}
+
+/**
+ * Store the custom levels, and use them now
+ * @param {Array} levels - Valid levels
+ * @param {Storage} [storage] - Storage backend (default localStorage)
+ */
+export function storeLevelPack(levels, storage = globalThis.localStorage) {
+    setCustomLevels(levels);
+    try {
+        if (levels.length) {
+            storage.setItem(LEVEL_PACK_KEY, exportLevelPack(levels));
+        } else {
+            storage.removeItem(LEVEL_PACK_KEY);
+        }
+    } catch (error) {
+        console.error('Failed to store level pack:', error);
+    }
+}
+
+/**
+ * Add a level to the end of the stored custom levels
+ * @param {Object} level - Level from createLevelFromBuild
+ * @param {Storage} [storage] - Storage backend (default localStorage)
+ * @returns {number|null} The new level's number, or null if it is not valid
+ */
+export function addCustomLevel(level, storage = globalThis.localStorage) {
+    if (getShapeError(level) || !validateLevel(level).valid) return null;
+    storeLevelPack([...customLevels, level], storage);
+    return getTotalLevels();
 }
 
 /**
@@ -269,6 +821,8 @@ export function validateLevel(level) {
     // Check target positions
     if (!target || !Array.isArray(target)) {
         errors.push('Missing target configuration');
+    } else if (target.length === 0) {
+        errors.push('Level needs at least one target');
     } else {
         for (const [x, y, type] of target) {
             if (x < 0 || x >= buildArea.width) {
@@ -279,18 +833,90 @@ export function validateLevel(level) {
             }
             if (!type) {
                 errors.push(`Target at (${x},${y}) missing block type`);
+            } else if (!isBlockType(type)) {
+                errors.push(`Target at (${x},${y}) has unknown block ${type}`);
+            } else if (getBlockWidth(type) > 1 && !level.structural) {
+                errors.push(`Target at (${x},${y}): ${type} needs a structural level`);
             }
         }
 
+        // Blocks needed of each kind (a wide block fills several target cells)
+        const needed = {};
+        Object.entries(countTypes(target.map(([, , type]) => type))).forEach(([type, cells]) => {
+            needed[type] = Math.ceil(cells / (level.structural ? getBlockWidth(type) : 1));
+        });
+
         // Check total blocks available vs needed
         const totalSupply = supply.columns.reduce((sum, col) => sum + col.length, 0);
-        if (totalSupply < target.length) {
-            errors.push(`Not enough supply blocks: ${totalSupply} < ${target.length} targets`);
+        const totalNeeded = Object.values(needed).reduce((sum, count) => sum + count, 0);
+        if (totalSupply < totalNeeded) {
+            errors.push(`Not enough supply blocks: ${totalSupply} < ${totalNeeded} needed`);
         }
+
+        // Check each kind of block is there often enough
+        const supplied = countTypes(supply.columns.flat());
+        Object.entries(needed).forEach(([type, count]) => {
+            if ((supplied[type] || 0) < count) {
+                errors.push(`Not enough ${type} blocks: ${supplied[type] || 0} < ${count} needed`);
+            }
+        });
+    }
+
+    if (level.cranes) {
+        getCraneErrors(level).forEach(error => errors.push(error));
     }
 
+    // Check the palette only offers known blocks
+    (level.palette || []).forEach(item => {
+        if (!PALETTE_ITEMS.includes(item)) {
+            errors.push(`Unknown palette block: ${item}`);
+        }
+    });
+
     return {
         valid: errors.length === 0,
         errors
     };
 }
+
+/**
+ * Check the cranes of a two-crane level: each starts inside its own reach,
+ * they are in rail order, and each pair meets over a supply stack
+ * @param {Object} level - Level with cranes
+ * @returns {string[]} Errors
+ */
+function getCraneErrors(level) {
+    const errors = [];
+    const lastColumn = SUPPLY_COLUMNS + (level.buildArea?.width || 0) - 1;
+    level.cranes.forEach(({ start, reach }, i) => {
+        if (reach[0] < 0 || reach[1] > lastColumn || reach[0] > reach[1]) {
+            errors.push(`Crane ${i + 1} reach ${reach[0]}-${reach[1]} is off the rail (0-${lastColumn})`);
+        }
+        if (start < reach[0] || start > reach[1]) {
+            errors.push(`Crane ${i + 1} starts at ${start}, outside its reach`);
+        }
+        if (i === 0) return;
+
+        const previous = level.cranes[i - 1];
+        if (start <= previous.start) {
+            errors.push(`Crane ${i + 1} must start right of crane ${i}`);
+        }
+        if (!getSharedColumns(previous.reach, reach).some(column => column < SUPPLY_COLUMNS)) {
+            errors.push(`Cranes ${i} and ${i + 1} have no supply stack to hand blocks over`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Count how many of each block type a list holds
+ * @param {Array<string>} types - Block emojis
+ * @returns {Object} Block type -> count
+ */
+function countTypes(types) {
+    const counts = {};
+    types.forEach(type => {
+        counts[type] = (counts[type] || 0) + 1;
+    });
+    return counts;
+}
@@ -0,0 +1,66 @@
+/**
+ * MacroPanel - Shortcut block palette for Block Builder
+ *
+ * Holds the 🎯 🏠 ✊ ✋ buttons (see Macros). The 🏠 ✊ ✋ buttons are in
+ * the page; a 🎯 go-to button is added for every block colour. Each level
+ * shows only the shortcuts its palette offers, and 🎯 only for blocks its
+ * supply has; the panel hides itself when none are left.
+ */
+import { BLOCKS } from './Blocks.js';
+
+export class MacroPanel {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Element that holds the shortcut buttons
+     */
+    constructor(options) {
+        this.container = options.container;
+        this.addFindButtons();
+    }
+
+    /**
+     * Add a 🎯 find button for every block, ahead of the other shortcuts
+     * Must run before palette buttons are wired up for tapping and dragging
+     */
+    addFindButtons() {
+        const buttons = Object.values(BLOCKS).map(block => {
+            const btn = document.createElement('button');
+            btn.className = 'command-btn command-find';
+            btn.dataset.command = 'find';
+            btn.dataset.block = block;
+            btn.draggable = true;
+            btn.hidden = true;
+            btn.setAttribute('aria-label', `Go to ${block}`);
+
+            const icon = document.createElement('span');
+            icon.className = 'command-hook-icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = '🎯';
+
+            const blockIcon = document.createElement('span');
+            blockIcon.className = 'command-arrow';
+            blockIcon.setAttribute('aria-hidden', 'true');
+            blockIcon.textContent = block;
+
+            btn.appendChild(icon);
+            btn.appendChild(blockIcon);
+            return btn;
+        });
+        this.container.prepend(...buttons);
+    }
+
+    /**
+     * Show the shortcuts a level offers
+     * @param {string[]} palette - Command types the level offers
+     * @param {string[]} supplyBlocks - Every block in the level's supply
+     */
+    applyPalette(palette, supplyBlocks) {
+        this.container.querySelectorAll('.command-btn').forEach(btn => {
+            const command = btn.dataset.command;
+            // 🎯 only for blocks the level has
+            btn.hidden = !palette.includes(command) ||
+                (command === 'find' && !supplyBlocks.includes(btn.dataset.block));
+        });
+        this.container.hidden = !this.container.querySelector('.command-btn:not([hidden])');
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Macros - High-level crane commands for older kids
+ *
+ * Each macro stands for a run of ⬅️ ➡️ 🪝⬇️ 🪝⬆️ steps, worked out from
+ * the world when the macro is reached, so the crane still animates every
+ * step and fails on the step it cannot do:
+ * - 🎯🟥 go to the nearest supply stack with a 🟥 on top
+ * - 🏠 go back to the column the crane started at
+ * - ✊ grab the top block of the stack below (lower + raise)
+ * - ✋ drop the held block here (lower + raise)
+ * A macro counts as one block, and takes one tick in two-crane levels.
+ */
+
+// Macro command types
+export const MACROS = ['find', 'home', 'take', 'put'];
+
+/**
+ * Check if a command type is a macro
+ * @param {string} type - Command type
+ * @returns {boolean}
+ */
+export function isMacro(type) {
+    return MACROS.includes(type);
+}
+
+/**
+ * Work out the primitive steps of a macro from where the crane is now
+ * @param {Object} cmd - Macro command ({ type, block } for find)
+ * @param {Crane} crane
+ * @param {Supply} supply
+ * @returns {string[]|null} Command types to run, or null if the macro
+ *   cannot be done here (no such stack, nothing to grab, nothing held)
+ */
+export function expandMacro(cmd, crane, supply) {
+    switch (cmd.type) {
+        case 'find': {
+            const column = findStack(cmd.block, crane, supply);
+            return column === null ? null : getMoves(crane.column, column);
+        }
+        case 'home':
+            return getMoves(crane.column, crane.startColumn);
+        case 'take':
+            if (crane.isHolding() || supply.peekTop(crane.getSupplyColumn()) === null) return null;
+            return ['lower', 'raise'];
+        case 'put':
+            return crane.isHolding() ? ['lower', 'raise'] : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Find the nearest supply stack in the crane's reach with a block on top
+ * (the one further left when two are as near)
+ * @param {string} block - Block emoji
+ * @param {Crane} crane
+ * @param {Supply} supply
+ * @returns {number|null} Rail column, or null if no stack has it on top
+ */
+export function findStack(block, crane, supply) {
+    const last = Math.min(crane.maxColumn, crane.supplyColumns - 1);
+    let nearest = null;
+    for (let column = crane.minColumn; column <= last; column++) {
+        if (supply.peekTop(column) !== block) continue;
+        if (nearest === null || Math.abs(column - crane.column) < Math.abs(nearest - crane.column)) {
+            nearest = column;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * @param {number} from - Rail column
+ * @param {number} to - Rail column
+ * @returns {string[]} ⬅️ or ➡️ steps between them
+ */
+function getMoves(from, to) {
+    return Array(Math.abs(to - from)).fill(to < from ? 'left' : 'right');
+}
@@ -3,9 +3,12 @@
  * Extends BaseSequence with crane-specific commands
  */
 import { BaseSequence } from '../../shared/js/BaseSequence.js';
+import { MACROS } from './Macros.js';
+import { isBlockType } from './Blocks.js';
 
 // Valid command types for block builder
-const VALID_COMMANDS = ['left', 'right', 'lower', 'raise'];
+// (wait keeps a crane still for one tick in two-crane levels; macros are in Macros.js)
+const VALID_COMMANDS = ['left', 'right', 'lower', 'raise', 'wait', ...MACROS];
 
 // Command icons
 const COMMAND_ICONS = {
@@ -13,30 +16,48 @@ const COMMAND_ICONS = {
     right: '➡️',
     lower: '⬇️',
     raise: '⬆️',
+    wait: '⏳',
+    find: '🎯',
+    home: '🏠',
+    take: '✊',
+    put: '✋',
     loop: '🔄'
 };
 
+// What a "repeat until" loop can wait for
+export const CONDITIONS = {
+    block: '🧱' // the hook would hit a block in the column below
+};
+
 export class Sequence extends BaseSequence {
     constructor() {
         super();
         this.nextId = 1;
     }
 
+    /**
+     * Make a new command
+     * @param {string} type - Command type
+     * @param {string|null} block - Block emoji a 🎯 find command goes to
+     * @returns {Object|null} Command, or null if the type (or find's block) is not valid
+     */
+    createCommand(type, block) {
+        if (!VALID_COMMANDS.includes(type)) return null;
+        if (type !== 'find') return { id: this.nextId++, type };
+        return isBlockType(block) ? { id: this.nextId++, type, block } : null;
+    }
+
     /**
      * Add a command to the sequence
      * @param {string} type - Command type
+     * @param {string|null} [block] - Block emoji for a 🎯 find command
      * @returns {boolean} Whether command was added
      */
-    addCommand(type) {
-        if (!VALID_COMMANDS.includes(type)) return false;
+    addCommand(type, block = null) {
+        const cmd = this.createCommand(type, block);
+        if (!cmd) return false;
         
-        const cmd = { id: this.nextId++, type };
-        
-        if (this.activeLoopIndex !== null) {
-            this.commands[this.activeLoopIndex].commands.push(cmd);
-        } else {
-            this.commands.push(cmd);
-        }
+        this.appendCommand(cmd);
         return true;
     }
 
@@ -44,31 +65,29 @@ export class Sequence extends BaseSequence {
      * Insert command at specific index in main sequence
      * @param {number} index - Insert position
      * @param {string} type - Command type
+     * @param {string|null} [block] - Block emoji for a 🎯 find command
      */
-    insertAt(index, type) {
-        if (!VALID_COMMANDS.includes(type)) return;
-        
-        const cmd = { id: this.nextId++, type };
+    insertAt(index, type, block = null) {
+        const cmd = this.createCommand(type, block);
+        if (!cmd) return;
         
-        if (this.activeLoopIndex !== null && index <= this.activeLoopIndex) {
-            this.activeLoopIndex++;
-        }
         this.commands.splice(index, 0, cmd);
     }
 
     /**
      * Insert command into a loop at specific index
-     * @param {number} loopIndex - Loop index in main sequence
+     * @param {number|number[]} loopRef - Loop index or path
      * @param {number} targetIndex - Insert position within loop
      * @param {string} type - Command type
+     * @param {string|null} [block] - Block emoji for a 🎯 find command
      */
-    insertIntoLoop(loopIndex, targetIndex, type) {
-        if (!VALID_COMMANDS.includes(type)) return;
+    insertIntoLoop(loopRef, targetIndex, type, block = null) {
+        const loop = this.getLoop(loopRef);
+        if (!loop) return;
         
-        const loop = this.commands[loopIndex];
-        if (!loop || loop.type !== 'loop') return;
+        const cmd = this.createCommand(type, block);
+        if (!cmd) return;
         
-        const cmd = { id: this.nextId++, type };
         loop.commands.splice(targetIndex, 0, cmd);
     }
 
@@ -77,20 +96,7 @@ export class Sequence extends BaseSequence {
      * @returns {Array} Flat array of commands
      */
     flatten() {
-        const flat = [];
-        const expandCommands = (cmds) => {
-            for (const cmd of cmds) {
-                if (cmd.type === 'loop') {
-                    for (let i = 0; i < cmd.iterations; i++) {
-                        expandCommands(cmd.commands);
-                    }
-                } else {
-                    flat.push(cmd);
-                }
-            }
-        };
-        expandCommands(this.commands);
-        return flat;
+        return this.flattenCommands();
     }
 
     /**
@@ -3,17 +3,21 @@
  * 
  * Supply stacks are on the left side of the workspace.
  * Each column holds a stack of blocks that can be picked up from the top.
+ * An unlimited supply (the sandbox) never runs out: the bottom block of
+ * each column can be taken again and again.
  */
 export class Supply {
     /**
      * @param {Object} config - Supply configuration
      * @param {Array<Array<string>>} config.columns - Array of columns, each containing block types from bottom to top
+     * @param {boolean} [config.unlimited] - Bottom blocks are endless
      */
     constructor(config = { columns: [] }) {
         // Deep copy to avoid mutation
         this.columns = config.columns.map(col => [...col]);
         this.initialColumns = config.columns.map(col => [...col]);
         this.columnCount = this.columns.length;
+        this.unlimited = !!config.unlimited;
     }
 
     /**
@@ -39,9 +43,43 @@ export class Supply {
             return null;
         }
         const column = this.columns[columnIndex];
+        if (this.unlimited && column.length === 1) {
+            return column[0];
+        }
         return column.length > 0 ? column.pop() : null;
     }
 
+    /**
+     * Replace the blocks in a column
+     * @param {number} columnIndex - Column index (0-based)
+     * @param {Array<string>} blocks - Block types from bottom to top
+     */
+    setColumn(columnIndex, blocks) {
+        if (columnIndex < 0 || columnIndex >= this.columnCount) {
+            return;
+        }
+        this.columns[columnIndex] = [...blocks];
+    }
+
+    /**
+     * Put a block on top of a column, e.g. to dig down to the one below
+     * @param {number} columnIndex - Column index (0-based)
+     * @param {string} blockType - Block type (emoji)
+     * @param {number} [maxHeight] - Tallest the column may grow
+     * @returns {boolean} False if there is no such column or it is full
+     */
+    putTop(columnIndex, blockType, maxHeight = Infinity) {
+        if (columnIndex < 0 || columnIndex >= this.columnCount) {
+            return false;
+        }
+        const column = this.columns[columnIndex];
+        if (column.length >= maxHeight) {
+            return false;
+        }
+        column.push(blockType);
+        return true;
+    }
+
     /**
      * Get the height of a column (number of blocks)
      * @param {number} columnIndex - Column index (0-based)
@@ -91,6 +129,22 @@ export class Supply {
         return this.columns.reduce((sum, col) => sum + col.length, 0);
     }
 
+    /**
+     * Get a copy of the current stacks
+     * @returns {Object} { columns }
+     */
+    getState() {
+        return { columns: this.columns.map(col => [...col]) };
+    }
+
+    /**
+     * Restore a state returned by getState()
+     * @param {Object} state - Supply state
+     */
+    restoreState(state) {
+        this.columns = state.columns.map(col => [...col]);
+    }
+
     /**
      * Reset supply to initial state
      */
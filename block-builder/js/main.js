@@ -9,8 +9,8 @@ document.addEventListener('DOMContentLoaded', () => {
     game.init();
     
     // Show help on first visit
-    if (!localStorage.getItem('blockbuilder-visited')) {
-        localStorage.setItem('blockbuilder-visited', 'true');
+    if (!game.progress.get('visited', false)) {
+        game.progress.set('visited', true);
         setTimeout(() => game.showHelp(), 500);
     }
 });
@@ -202,5 +202,171 @@ export function runBuildAreaTests() {
         assertEqual(progress.total, 3);
     });
 
+    test('Progress counts each block type and wrong blocks', () => {
+        const area = new BuildArea(3, 3);
+        area.setTargets([
+            { x: 0, y: 2, type: '🟥' },
+            { x: 1, y: 2, type: '🟥' },
+            { x: 0, y: 1, type: '🔺' }
+        ]);
+
+        area.placeBlock(0, '🟥');
+        area.placeBlock(1, '🟦');
+        area.placeBlock(0, '🔺');
+
+        const progress = area.getProgress();
+        assertEqual(progress.filled, 3);
+        assertEqual(progress.matched, 2);
+        assertEqual(progress.wrong, 1);
+        assertEqual(progress.byType['🟥'].matched, 1);
+        assertEqual(progress.byType['🟥'].total, 2);
+        assertEqual(progress.byType['🔺'].matched, 1);
+        assertEqual(progress.byType['🟦'], undefined);
+    });
+
+    test('Wrong colour on a target is mismatched, not matched', () => {
+        const area = new BuildArea(3, 3);
+        area.setTargets([{ x: 0, y: 2, type: '🟥' }]);
+        assertFalse(area.isTargetMismatched(0, 2), 'Empty target');
+
+        area.placeBlock(0, '🟦');
+        assertFalse(area.isTargetMatched(0, 2));
+        assertTrue(area.isTargetMismatched(0, 2));
+        assertFalse(area.allTargetsMatched());
+    });
+
+    test('Targets and placements default to a brick', () => {
+        const area = new BuildArea(3, 3);
+        area.setTargets([{ x: 1, y: 2 }]);
+        area.placeBlock(1);
+        assertEqual(area.getTargetType(1, 2), '🧱');
+        assertTrue(area.allTargetsMatched());
+    });
+
+    // Structural mode tests
+    test('Wide blocks are one column outside structural mode', () => {
+        const area = new BuildArea(3, 3);
+        area.placeBlock(0, '🪵');
+        assertFalse(area.hasBlock(1, 2));
+        assertEqual(area.placeBlock(2, '🪵').success, true);
+    });
+
+    test('A wide block covers two columns', () => {
+        const area = new BuildArea(3, 3);
+        area.setStructural(true);
+        const result = area.placeBlock(1, '🪵');
+        assertTrue(result.success);
+        assertEqual(area.getBlock(2, 2), area.getBlock(1, 2));
+        assertEqual(area.getBlockCount(), 1);
+        assertEqual(area.placeBlock(2, '🪵').reason, 'out-of-bounds');
+    });
+
+    test('A wide block lands on the taller column and leaves a gap', () => {
+        const area = new BuildArea(3, 4);
+        area.setStructural(true);
+        area.placeBlock(0);
+        area.placeBlock(0);
+        area.placeBlock(1);
+        const result = area.placeBlock(0, '🪵');
+        assertEqual(result.position.y, 1);
+        assertEqual(result.toppled.length, 0, 'Overhang with nothing on it stays up');
+        assertFalse(area.hasBlock(1, 2), 'Gap under the free end');
+        assertEqual(area.getColumnHeight(1), 3);
+        assertEqual(area.getNextY(1), 0);
+    });
+
+    test('A bridge holds blocks on either end', () => {
+        const area = new BuildArea(3, 3);
+        area.setStructural(true);
+        area.placeBlock(0);
+        area.placeBlock(1);
+        area.placeBlock(0, '🪵');
+        assertEqual(area.placeBlock(1).toppled.length, 0);
+        assertEqual(area.getBlockCount(), 4);
+    });
+
+    test('Loading the free end of an overhang topples it and its load', () => {
+        const area = new BuildArea(3, 3);
+        area.setStructural(true);
+        area.placeBlock(0);
+        const beam = area.placeBlock(0, '🪵');
+        const result = area.placeBlock(1);
+        assertEqual(result.toppled.length, 2);
+        assertEqual(result.toppled[0].type, '🪵', 'Lowest falls first');
+        assertEqual(result.toppled[1].type, '🧱');
+        assertEqual(result.toppled[0].y, beam.position.y);
+        assertEqual(area.getBlockCount(), 1, 'Only the leg is left');
+        assertFalse(area.hasBlock(1, 1));
+    });
+
+    test('A counterweight lets the free end carry as much', () => {
+        const area = new BuildArea(3, 4);
+        area.setStructural(true);
+        area.placeBlock(0);
+        area.placeBlock(0, '🪵');
+        area.placeBlock(0);
+        assertEqual(area.placeBlock(1).toppled.length, 0, 'One on each end');
+        assertEqual(area.placeBlock(1).toppled.length, 4, 'Two against one tips over');
+        assertEqual(area.getBlockCount(), 1);
+    });
+
+    test('isSteady follows the support rules', () => {
+        const area = new BuildArea(4, 3);
+        area.setStructural(true);
+        area.placeBlock(0);
+        area.placeBlock(0, '🪵');
+        const beam = area.getBlock(1, 1);
+        assertTrue(area.isSteady(beam));
+        assertTrue(area.isSteady(area.getBlock(0, 2)));
+        assertFalse(area.isSteady({ x: 2, y: 1, type: '🧱' }), 'Floating block');
+        assertTrue(area.isPropped(3, 2), 'Ground props the bottom row');
+        assertEqual(area.getLoad(0, 2), 1);
+    });
+
+    test('restoreState keeps wide blocks whole', () => {
+        const area = new BuildArea(3, 3);
+        area.setStructural(true);
+        area.placeBlock(0, '🪵');
+        const state = area.getState();
+        area.clear();
+        area.restoreState(state);
+        assertTrue(area.hasBlock(1, 2));
+    });
+
+    // Resize tests
+    test('Growing taller keeps blocks and targets on the ground', () => {
+        const area = new BuildArea(3, 3);
+        area.setTargets([{ x: 0, y: 2, type: '🧱' }]);
+        area.placeBlock(0);
+        area.resize(4, 5);
+        assertEqual(area.width, 4);
+        assertTrue(area.hasBlock(0, 4));
+        assertTrue(area.isTargetMatched(0, 4));
+        assertEqual(area.getNextY(0), 3);
+    });
+
+    test('Shrinking drops what no longer fits', () => {
+        const area = new BuildArea(4, 4);
+        area.placeBlock(0);
+        area.placeBlock(0);
+        area.placeBlock(0);
+        area.placeBlock(3);
+        area.resize(3, 2);
+        assertEqual(area.getBlockCount(), 2, 'Top block and last column gone');
+        assertTrue(area.hasBlock(0, 0));
+        assertTrue(area.hasBlock(0, 1));
+    });
+
+    // Snapshot tests
+    test('restoreState brings back placed blocks', () => {
+        const area = new BuildArea(3, 3);
+        area.placeBlock(0, '🧱');
+        const state = area.getState();
+        area.placeBlock(1, '🪟');
+        area.restoreState(state);
+        assertEqual(area.getBlockCount(), 1);
+        assertFalse(area.hasBlock(1, 2));
+    });
+
     return results;
 }
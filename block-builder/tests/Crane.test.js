@@ -194,5 +194,33 @@ export function runCraneTests() {
         assertFalse(state.isOverBuildArea);
     });
 
+    test('restoreState returns to a saved state', () => {
+        const crane = new Crane(7, 3, 0);
+        const state = crane.getState();
+        crane.moveRight();
+        crane.startLower();
+        crane.completeLower(2);
+        crane.grabBlock('🧱');
+        crane.restoreState(state);
+
+        assertEqual(crane.column, 0);
+        assertTrue(crane.isHookRaised());
+        assertFalse(crane.isHolding());
+        assertEqual(crane.hookDepth, 0);
+    });
+
+    // Reach tests
+    test('Crane only drives within its reach', () => {
+        const crane = new Crane(7, 3, 3, [2, 6]);
+        assertTrue(crane.moveLeft());
+        assertEqual(crane.column, 2);
+        assertFalse(crane.moveLeft(), 'Should stop at the first column of its reach');
+
+        const supplyCrane = new Crane(7, 3, 1, [0, 2]);
+        assertTrue(supplyCrane.moveRight());
+        assertFalse(supplyCrane.moveRight(), 'Should stop at the last column of its reach');
+        assertEqual(supplyCrane.column, 2);
+    });
+
     return results;
 }
@@ -0,0 +1,121 @@
+/**
+ * CraneTeam Tests
+ */
+import { TeamProgram, findCollision, getSharedColumns } from '../js/CraneTeam.js';
+
+export function runCraneTeamTests() {
+    const results = [];
+
+    function test(name, fn) {
+        try {
+            fn();
+            results.push({ name, passed: true });
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message} Expected ${expected}, got ${actual}`);
+        }
+    }
+
+    function assertArrayEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message} Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    // TeamProgram tests
+    test('TeamProgram hands out one command per lane each tick', () => {
+        const program = new TeamProgram([
+            [{ type: 'lower' }, { type: 'raise' }],
+            [{ type: 'wait' }, { type: 'left' }]
+        ], { sense: () => false });
+
+        assertArrayEqual(tickTypes(program.peek()), ['lower', 'wait']);
+        program.advance();
+        assertArrayEqual(tickTypes(program.peek()), ['raise', 'left']);
+        program.advance();
+        assertEqual(program.peek(), null, 'Should end when every lane has ended');
+    });
+
+    test('TeamProgram keeps a lane that has ended still', () => {
+        const program = new TeamProgram([
+            [{ type: 'right' }],
+            [{ type: 'loop', iterations: 3, commands: [{ type: 'wait' }] }]
+        ], { sense: () => false });
+
+        program.advance();
+        assertArrayEqual(tickTypes(program.peek()), [null, 'wait']);
+        program.advance();
+        program.advance();
+        assertEqual(program.peek(), null);
+    });
+
+    test('TeamProgram senses for the lane that asks', () => {
+        const asked = [];
+        const program = new TeamProgram([
+            [],
+            [{ type: 'loop', until: { condition: 'block', direction: null }, commands: [{ type: 'lower' }] }]
+        ], {
+            sense: (condition, lane) => {
+                asked.push(lane);
+                return false;
+            }
+        });
+
+        assertArrayEqual(tickTypes(program.peek()), [null, 'lower']);
+        assertEqual(asked[0], 1);
+    });
+
+    test('TeamProgram rewinds every lane together', () => {
+        const program = new TeamProgram([
+            [{ type: 'left' }, { type: 'right' }],
+            [{ type: 'lower' }, { type: 'raise' }]
+        ], { sense: () => false });
+
+        const state = program.getState();
+        program.advance();
+        program.restoreState(state);
+        assertArrayEqual(tickTypes(program.peek()), ['left', 'lower']);
+    });
+
+    test('TeamProgram signature covers every lane', () => {
+        const lanes = [[{ type: 'left' }], [{ type: 'right' }]];
+        assertEqual(new TeamProgram(lanes, { sense: () => false }).signature, JSON.stringify(lanes));
+    });
+
+    // Collision tests
+    test('findCollision is null while the cranes are apart', () => {
+        assertEqual(findCollision([1, 2]), null);
+        assertEqual(findCollision([0]), null);
+    });
+
+    test('findCollision finds cranes in the same column', () => {
+        assertEqual(findCollision([2, 2]), 0);
+    });
+
+    test('findCollision finds cranes that passed each other', () => {
+        assertEqual(findCollision([3, 2]), 0);
+        assertEqual(findCollision([0, 3, 3]), 1);
+    });
+
+    // Hand-off tests
+    test('getSharedColumns finds where two reaches meet', () => {
+        assertArrayEqual(getSharedColumns([0, 2], [2, 5]), [2]);
+        assertArrayEqual(getSharedColumns([0, 3], [1, 5]), [1, 2, 3]);
+        assertArrayEqual(getSharedColumns([0, 1], [2, 5]), []);
+    });
+
+    return results;
+}
+
+/**
+ * @param {Object|null} tick - From TeamProgram.peek()
+ * @returns {Array<string|null>} Command type for each lane
+ */
+function tickTypes(tick) {
+    return tick.commands.map(cmd => cmd && cmd.type);
+}
@@ -1,7 +1,33 @@
 /**
  * Tests for Levels module
  */
-import { LEVELS, getLevel, getTotalLevels, validateLevel, parseTargets } from '../js/Levels.js';
+import {
+    LEVELS,
+    getLevel,
+    getTotalLevels,
+    validateLevel,
+    parseTargets,
+    parseBlueprint,
+    createSandboxLevel,
+    createLevelFromBuild,
+    isCustomLevel,
+    setCustomLevels,
+    getCustomLevels,
+    exportLevelPack,
+    parseLevelPack,
+    loadStoredLevelPack,
+    storeLevelPack,
+    addCustomLevel,
+    getPalette,
+    LEVEL_PACK_KEY
+} from '../js/Levels.js';
+import { BLOCKS, getNextBlock } from '../js/Blocks.js';
+import { Crane } from '../js/Crane.js';
+import { Supply } from '../js/Supply.js';
+import { BuildArea } from '../js/BuildArea.js';
+import { Sequence } from '../js/Sequence.js';
+import { TeamProgram, findCollision } from '../js/CraneTeam.js';
+import { isMacro, expandMacro } from '../js/Macros.js';
 
 export function runLevelsTests() {
     const results = [];
@@ -154,6 +180,366 @@ export function runLevelsTests() {
         assertFalse(result.valid);
     });
 
+    test('validateLevel detects unknown block types', () => {
+        const invalidLevel = {
+            supply: { columns: [['🍕'], [], []] },
+            buildArea: { width: 4, height: 4 },
+            target: [[0, 3, '🍕']]
+        };
+        assertFalse(validateLevel(invalidLevel).valid);
+    });
+
+    test('validateLevel checks supply of each block type', () => {
+        const invalidLevel = {
+            supply: { columns: [['🟥', '🟥'], [], []] },
+            buildArea: { width: 4, height: 4 },
+            target: [[0, 3, '🟥'], [0, 2, '🟦']]
+        };
+        const result = validateLevel(invalidLevel);
+        assertFalse(result.valid);
+        assertTrue(result.errors.some(error => error.includes('🟦')));
+    });
+
+    test('Every level passes validateLevel', () => {
+        LEVELS.forEach(level => {
+            const result = validateLevel(level);
+            assertTrue(result.valid, `Level ${level.id}: ${result.errors.join(', ')}`);
+        });
+    });
+
+    // Blueprint tests
+    test('parseBlueprint reads rows from the top down to the ground', () => {
+        const target = parseBlueprint([
+            '.🔺',
+            '🟥🚪'
+        ], 4, 1);
+        assertEqual(JSON.stringify(target), JSON.stringify([
+            [2, 2, '🔺'],
+            [1, 3, '🟥'], [2, 3, '🚪']
+        ]));
+    });
+
+    test('getLevel copies the blueprint picture', () => {
+        const blueprint = LEVELS.find(level => level.picture);
+        assertEqual(getLevel(blueprint.id).picture, blueprint.picture);
+        assertEqual(getLevel(1).picture, null);
+    });
+
+    test('Starter levels can be built in par blocks', () => {
+        LEVELS.slice(0, 10).forEach(level => {
+            const commands = parseProgram(SOLUTIONS[level.id]);
+            assertEqual(new Sequence().countBlocks(commands), level.par, `Level ${level.id} par:`);
+            assertTrue(buildWith(level, commands).allTargetsMatched(), `Level ${level.id} not built`);
+        });
+    });
+
+    test('Starter pars need loops', () => {
+        // Level 2 repeats the same pick-up and drop, so a loop beats the flat program
+        const flat = parseProgram('D U R D U L D U R D U');
+        assertTrue(buildWith(LEVELS[1], flat).allTargetsMatched());
+        assertTrue(new Sequence().countBlocks(flat) > LEVELS[1].par);
+    });
+
+    test('Blueprint levels can be built in par blocks', () => {
+        const blueprints = LEVELS.filter(level => level.picture);
+        assertTrue(blueprints.length >= 3, 'Should have house, tower and bridge');
+        blueprints.forEach(level => {
+            const commands = parseProgram(SOLUTIONS[level.id]);
+            assertEqual(new Sequence().countBlocks(commands), level.par, `Level ${level.id} par:`);
+
+            const area = buildWith(level, commands);
+            assertTrue(area.allTargetsMatched(), `Level ${level.id} blueprint not built`);
+            assertEqual(area.getBlockCount(), level.target.length);
+        });
+    });
+
+    test('Structural levels can be built in par blocks', () => {
+        const structures = LEVELS.filter(level => level.structural);
+        assertTrue(structures.length >= 3);
+        structures.forEach(level => {
+            const commands = parseProgram(SOLUTIONS[level.id]);
+            assertEqual(new Sequence().countBlocks(commands), level.par, `Level ${level.id} par:`);
+            assertTrue(buildWith(level, commands).allTargetsMatched(), `Level ${level.id} not built`);
+        });
+    });
+
+    test('Loading an overhang before its counterweight topples it', () => {
+        const level = LEVELS.find(l => l.id === 15);
+        // Same as the par solution, but the free end is loaded first
+        const area = buildWith(level, parseProgram(
+            'D U R D U  2[L] D U 2[R] D U  3[L] D U 4[R] D U'
+        ));
+        assertEqual(area.getBlockCount(), 1, 'Only the leg should be left');
+        assertFalse(area.allTargetsMatched());
+    });
+
+    test('validateLevel keeps wide blocks to structural levels', () => {
+        const level = {
+            supply: { columns: [['🪵'], [], []] },
+            buildArea: { width: 4, height: 4 },
+            target: parseBlueprint(['🪵🪵'], 4)
+        };
+        assertFalse(validateLevel(level).valid);
+        assertTrue(validateLevel({ ...level, structural: true }).valid, 'One beam fills both cells');
+    });
+
+    test('Blueprint levels need digging', () => {
+        LEVELS.filter(level => level.picture).forEach(level => {
+            const buried = level.supply.columns.some(column => {
+                return column.slice(0, -1).some(type => !column.slice(-1).includes(type));
+            });
+            assertTrue(buried, `Level ${level.id} has no block to dig for`);
+        });
+    });
+
+    // Two-crane tests
+    test('Two-crane levels can be built in par blocks', () => {
+        const teams = LEVELS.filter(level => level.cranes);
+        assertTrue(teams.length >= 3);
+        teams.forEach(level => {
+            const lanes = TEAM_SOLUTIONS[level.id].map(text => parseProgram(text));
+            const blocks = lanes.reduce((sum, commands) => sum + new Sequence().countBlocks(commands), 0);
+            assertEqual(blocks, level.par, `Level ${level.id} par:`);
+
+            const { area, collided } = buildWithTeam(level, lanes);
+            assertFalse(collided, `Level ${level.id} cranes collided`);
+            assertTrue(area.allTargetsMatched(), `Level ${level.id} not built`);
+        });
+    });
+
+    test('Cranes collide when both hooks reach the hand-off stack', () => {
+        const level = LEVELS.find(l => l.id === 17);
+        // The build crane drives to the stack just as the supply crane gets there
+        const { area, collided } = buildWithTeam(level, [
+            parseProgram('2[D U R R D U L L]'),
+            parseProgram('3[W] 2[L D U R D U]')
+        ]);
+        assertTrue(collided);
+        assertEqual(area.getBlockCount(), 0);
+    });
+
+    test('Taking each block as it arrives builds level 18 upside down', () => {
+        const level = LEVELS.find(l => l.id === 18);
+        const { area, collided } = buildWithTeam(level, TEAM_SOLUTIONS[17].map(text => parseProgram(text)));
+        assertFalse(collided);
+        assertEqual(area.getBlockCount(), 2);
+        assertFalse(area.allTargetsMatched());
+    });
+
+    // Macro tests
+    test('Macro levels can be built in par blocks', () => {
+        const macroLevels = LEVELS.filter(level => level.palette && level.palette.includes('find'));
+        assertTrue(macroLevels.length >= 2);
+        macroLevels.forEach(level => {
+            const commands = parseProgram(MACRO_SOLUTIONS[level.id]);
+            assertEqual(new Sequence().countBlocks(commands), level.par, `Level ${level.id} par:`);
+            assertTrue(buildWith(level, commands).allTargetsMatched(), `Level ${level.id} not built`);
+        });
+    });
+
+    test('Macro levels only offer their own palette', () => {
+        LEVELS.filter(level => level.palette).forEach(level => {
+            const commands = new Sequence().flattenCommands(parseProgram(MACRO_SOLUTIONS[level.id]));
+            commands.forEach(({ type }) => {
+                assertTrue(level.palette.includes(type), `Level ${level.id} uses ${type}`);
+            });
+        });
+    });
+
+    test('getPalette falls back to the crane commands and loops', () => {
+        const palette = getPalette(getLevel(1));
+        ['left', 'right', 'lower', 'raise', 'loop', 'until'].forEach(item => {
+            assertTrue(palette.includes(item), `Missing ${item}`);
+        });
+        assertFalse(palette.includes('find'));
+        assertFalse(palette.includes('wait'), 'One crane has nothing to wait for');
+        assertTrue(getPalette(getLevel(17)).includes('wait'));
+    });
+
+    test('getPalette uses the level whitelist', () => {
+        const level = getLevel(20);
+        const palette = getPalette(level);
+        assertEqual(palette.join(), level.palette.join());
+        palette.push('lower');
+        assertFalse(getPalette(level).includes('lower'), 'Should return a copy');
+    });
+
+    test('validateLevel checks the palette', () => {
+        const level = {
+            supply: { columns: [['🧱'], [], []] },
+            buildArea: { width: 3, height: 3 },
+            target: [[0, 2, '🧱']],
+            craneStart: 0
+        };
+        assertTrue(validateLevel({ ...level, palette: ['find', 'take', 'home', 'put'] }).valid);
+        assertFalse(validateLevel({ ...level, palette: ['teleport'] }).valid);
+    });
+
+    test('getLevel copies the cranes', () => {
+        const level = getLevel(17);
+        assertEqual(level.cranes.length, 2);
+        assertEqual(level.cranes[1].reach[0], 2);
+        level.cranes[1].reach[0] = 0;
+        assertEqual(LEVELS[16].cranes[1].reach[0], 2, 'Should not mutate the level');
+        assertEqual(getLevel(1).cranes, null);
+    });
+
+    test('validateLevel checks the cranes', () => {
+        const level = {
+            supply: { columns: [['🧱'], [], []] },
+            buildArea: { width: 3, height: 3 },
+            target: [[0, 2, '🧱']],
+            cranes: [
+                { start: 0, reach: [0, 2] },
+                { start: 3, reach: [2, 5] }
+            ]
+        };
+        assertTrue(validateLevel(level).valid);
+        assertFalse(validateLevel({ ...level, cranes: [
+            { start: 0, reach: [0, 2] },
+            { start: 3, reach: [3, 5] }
+        ] }).valid, 'No hand-off stack');
+        assertFalse(validateLevel({ ...level, cranes: [
+            { start: 0, reach: [0, 2] },
+            { start: 3, reach: [2, 6] }
+        ] }).valid, 'Reach off the rail');
+        assertFalse(validateLevel({ ...level, cranes: [
+            { start: 3, reach: [0, 2] },
+            { start: 4, reach: [2, 5] }
+        ] }).valid, 'Starts outside its reach');
+        assertFalse(validateLevel({ ...level, cranes: [
+            { start: 2, reach: [0, 2] },
+            { start: 2, reach: [2, 5] }
+        ] }).valid, 'Both start at the hand-off stack');
+    });
+
+    // Sandbox tests
+    test('Sandbox level has endless supply and nothing to match', () => {
+        const level = createSandboxLevel(5, 3);
+        assertTrue(level.sandbox);
+        assertTrue(level.supply.unlimited);
+        assertEqual(level.supply.columns.length, 3);
+        assertEqual(level.target.length, 0);
+        assertEqual(level.buildArea.width, 5);
+        assertEqual(level.buildArea.height, 3);
+    });
+
+    test('getNextBlock steps through the one-column blocks', () => {
+        const seen = new Set();
+        let type = BLOCKS.BRICK;
+        for (let i = 0; i < Object.keys(BLOCKS).length; i++) {
+            seen.add(type);
+            type = getNextBlock(type);
+        }
+        assertFalse(seen.has(BLOCKS.BEAM), 'Beams are not offered');
+        assertEqual(seen.size, Object.keys(BLOCKS).length - 1);
+        assertEqual(getNextBlock(BLOCKS.ROOF), BLOCKS.BRICK, 'Wraps round');
+    });
+
+    test('createLevelFromBuild asks for the same building', () => {
+        const area = new BuildArea(4, 4);
+        ['🟥', '🟥', '🪟', '🔺'].forEach(type => area.placeBlock(1, type));
+        area.placeBlock(2, '🚪');
+        const level = createLevelFromBuild(area.getState().blocks, { width: 4, height: 4 }, '🐶');
+
+        assertTrue(validateLevel(level).valid, validateLevel(level).errors.join(', '));
+        assertEqual(level.picture, '🐶');
+        assertEqual(level.target.length, 5);
+        assertEqual(level.supply.columns.flat().length, 5);
+        assertFalse(level.structural);
+
+        // Dealt bottom row first, so each block needed next is on a top
+        const commands = parseProgram(
+            '2[L] D U 4[R] D U  3[L] D U 4[R] D U  3[L] D U 2[R] D U  4[L] D U 4[R] D U  3[L] D U 3[R] D U'
+        );
+        assertTrue(buildWith(level, commands).allTargetsMatched());
+    });
+
+    test('createLevelFromBuild needs something built', () => {
+        assertEqual(createLevelFromBuild([], { width: 4, height: 4 }), null);
+    });
+
+    // Custom level tests
+    test('Custom levels are played after the built-in levels', () => {
+        const custom = createLevelFromBuild([{ x: 0, y: 3, type: '🟩' }], { width: 4, height: 4 });
+        setCustomLevels([custom]);
+        try {
+            assertEqual(getTotalLevels(), LEVELS.length + 1);
+            assertTrue(isCustomLevel(LEVELS.length + 1));
+            assertFalse(isCustomLevel(LEVELS.length));
+            const level = getLevel(LEVELS.length + 1);
+            assertEqual(level.id, LEVELS.length + 1);
+            assertEqual(level.target[0][2], '🟩');
+            assertEqual(level.par, null);
+            // Changing the copy leaves the stored level alone
+            level.target.push([1, 3, '🟩']);
+            assertEqual(getCustomLevels()[0].target.length, 1);
+        } finally {
+            setCustomLevels([]);
+        }
+        assertEqual(getTotalLevels(), LEVELS.length);
+    });
+
+    test('exportLevelPack output can be read back by parseLevelPack', () => {
+        const levels = [getLevel(1), getLevel(12), getLevel(15)];
+        const { levels: parsed, errors } = parseLevelPack(exportLevelPack(levels));
+        assertEqual(errors.length, 0);
+        assertEqual(JSON.stringify(parsed), JSON.stringify(levels));
+    });
+
+    test('parseLevelPack reports broken JSON and invalid levels', () => {
+        assertEqual(parseLevelPack('{ nope').levels.length, 0);
+        assertTrue(parseLevelPack('{ nope').errors[0].startsWith('Not valid JSON'));
+        assertEqual(parseLevelPack({}).errors.length, 1);
+
+        const result = parseLevelPack({
+            levels: [
+                getLevel(1),
+                { ...getLevel(1), target: [[9, 0, '🧱']] },
+                { ...getLevel(1), supply: { columns: 'lots' } }
+            ]
+        });
+        assertEqual(result.levels.length, 0);
+        assertEqual(result.errors.length, 2);
+        assertTrue(result.errors[0].startsWith('Level 2:'));
+        assertTrue(result.errors[1].startsWith('Level 3:'));
+    });
+
+    test('addCustomLevel stores the level for everyone on the device', () => {
+        const storage = new MemoryStorage();
+        try {
+            const level = createLevelFromBuild([{ x: 1, y: 3, type: '🟦' }], { width: 3, height: 4 });
+            assertEqual(addCustomLevel(level, storage), LEVELS.length + 1);
+            assertEqual(addCustomLevel({ ...level, target: [] }, storage), null, 'Invalid level');
+            assertTrue(storage.getItem(LEVEL_PACK_KEY) !== null);
+            setCustomLevels([]);
+
+            assertEqual(loadStoredLevelPack(storage), 1);
+            assertEqual(getLevel(LEVELS.length + 1).buildArea.width, 3);
+
+            storeLevelPack([], storage);
+            assertEqual(storage.getItem(LEVEL_PACK_KEY), null);
+            assertEqual(loadStoredLevelPack(storage), 0);
+        } finally {
+            setCustomLevels([]);
+        }
+    });
+
+    test('loadStoredLevelPack ignores a corrupt pack', () => {
+        const storage = new MemoryStorage();
+        storage.setItem(LEVEL_PACK_KEY, 'not json');
+        assertEqual(loadStoredLevelPack(storage), 0);
+        assertEqual(getTotalLevels(), LEVELS.length);
+    });
+
+    // Star rating tests
+    test('Every level has a par for the star rating', () => {
+        LEVELS.forEach(level => {
+            assertTrue(Number.isInteger(level.par) && level.par > 0, `Level ${level.id} par:`);
+        });
+        assertEqual(getLevel(3).par, LEVELS[2].par);
+    });
+
     // Difficulty progression test
     test('Levels generally increase in difficulty', () => {
         const firstLevelTargets = LEVELS[0].target.length;
@@ -181,3 +567,196 @@ function assertFalse(value) {
         throw new Error(`Expected false, got ${value}`);
     }
 }
+
+// Par solutions for the starter, blueprint and structural levels: L/R move, D/U lower/raise
+// the hook, n[...] repeats the commands inside n times
+const SOLUTIONS = {
+    1: 'D U R D U',
+    2: '2[D U R D U L]',
+    3: '2[L] 3[D U 3[R] D U 2[L]]',
+    4: '2[2[L] 2[D U 3[R] D U 2[L]]]',
+    5: 'D U L D U L 2[3[D U 3[R] D U 2[L]] 3[L]]',
+    6: '2[L] 3[3[D U 3[R] D U 2[L]] 3[L]] D U 4[R] D U 2[L] D U 2[R] D U',
+    7: 'D U R 2[D U L L D U R R] 2[R D U L L D U R] D U 3[L] D U 5[R] D U 4[L] D U 4[R] D U' +
+        '  3[L] D U R R D U L L D U 3[R] D U',
+    8: 'L D U R R D U L L D U R 2[R R D U 3[L] D U] 5[R] D U 5[L] D U 3[R] D U 3[L] D U 4[R] D U' +
+        '  2[3[L] D U 4[R] D U L L] D U R D U 3[L] D U 5[R] D U 3[L] D U R R D U L L D U 3[R] D U',
+    9: '3[D U 2[R] D U 3[L] D U 3[R] D U 2[L]]',
+    10: 'L D U 4[R] D U 4[L] D U R R D U L L D U 3[R] D U 3[L] D U R R 2[D U 3[L] D U 3[R]]' +
+        '  2[3[R] D U 5[L] D U R] 2[3[R] D U 4[L] D U 3[R]] D U 3[L] D U R R 2[D U L L D U R R]' +
+        '  2[R D U 3[L] D U] 6[R] D U 4[L] D U 4[R] D U',
+    11: 'D U L D U  R D U L L D U  R R D U R D U  L L D U R R D U  3[L] D U 3[R] D U',
+    12: 'L D U 3[R] D U  3[L] D U R D U  L D U 3[R] D U' +
+        '  4[L] D U 3[R] D U  3[L] D U 5[R] D U  5[L] D U 3[R] D U  3[L] D U 5[R] D U' +
+        '  3[L] D U 2[R] D U',
+    13: 'D U R D U  L D U 4[R] D U  5[L] D U L D U  R D U 3[R] D U  3[L] D U 4[R] D U' +
+        '  3[L] D U 4[R] D U  6[L] D U 5[R] D U  5[L] D U 4[R] D U  4[L] D U 3[R] D U',
+    14: 'D U R D U  L D U 4[R] D U  5[L] D U 2[R] D U  2[L] D U 4[R] D U',
+    15: 'D U R D U  2[L] D U 2[R] D U  L D U R D U  3[L] D U 4[R] D U',
+    16: 'D U R D U  L D U 5[R] D U  6[L] D U 2[R] D U  2[L] D U 5[R] D U' +
+        '  4[L] D U R D U  L D U 5[R] D U  7[L] D U 4[R] D U  4[L] D U 6[R] D U'
+};
+
+// One program per crane
+const TEAM_SOLUTIONS = {
+    17: ['2[D U R R D U L L]', '6[W] 2[L D U R D U W W]'],
+    18: ['2[D U R R D U L L]', '2[7[W]] 2[L D U R D U]'],
+    19: ['2[D U R R D U L L] R D U R D U L', '5[W] 3[L L D U R R D U]']
+};
+
+// Par solutions for the macro levels
+const MACRO_SOLUTIONS = {
+    20: 'F🟥 G H R P  F🟩 G H R R P  F🟨 G H R P  F🟦 G H R R P',
+    21: 'F🟦 G R P  F🟨 G H P  F🟥 G H R P  F🟨 G R P  F🟦 G H R P'
+};
+
+const PROGRAM_COMMANDS = {
+    L: 'left', R: 'right', D: 'lower', U: 'raise', W: 'wait',
+    H: 'home', G: 'take', P: 'put'
+};
+
+/**
+ * Turn a solution string into sequence commands
+ * @param {string} text - e.g. 'D U 3[R] D U' (W waits; F🟥 finds a 🟥,
+ *   H goes home, G grabs and P drops)
+ * @returns {Array} Commands, with loops for n[...]
+ */
+function parseProgram(text) {
+    const tokens = text.match(/\d+\[|\]|F.|[LRDUWHGP]/gu);
+    let next = 0;
+    function parseCommands() {
+        const commands = [];
+        while (next < tokens.length && tokens[next] !== ']') {
+            const token = tokens[next++];
+            if (token.endsWith('[')) {
+                commands.push({ type: 'loop', iterations: parseInt(token, 10), commands: parseCommands() });
+                next++; // closing ]
+            } else if (token.startsWith('F')) {
+                commands.push({ type: 'find', block: token.slice(1) });
+            } else {
+                commands.push({ type: PROGRAM_COMMANDS[token] });
+            }
+        }
+        return commands;
+    }
+    return parseCommands();
+}
+
+/**
+ * Run commands the way the game does, without the animations
+ * @param {Object} level - Level from LEVELS
+ * @param {Array} commands - Sequence commands
+ * @returns {BuildArea} The finished build
+ */
+function buildWith(level, commands) {
+    const site = createSite(level);
+    const crane = new Crane(site.totalColumns, site.supplyColumns, level.craneStart);
+    new Sequence().flattenCommands(commands).forEach(cmd => runStep(site, crane, cmd));
+    return site.area;
+}
+
+/**
+ * Run one program per crane in lock-step, stopping if the cranes collide
+ * @param {Object} level - Two-crane level from LEVELS
+ * @param {Array<Array>} lanes - Sequence commands for each crane
+ * @returns {Object} { area, collided }
+ */
+function buildWithTeam(level, lanes) {
+    const site = createSite(level);
+    const cranes = level.cranes.map(({ start, reach }) => {
+        return new Crane(site.totalColumns, site.supplyColumns, start, reach);
+    });
+    const program = new TeamProgram(lanes, { sense: () => false });
+
+    for (let tick = program.peek(); tick; tick = program.peek()) {
+        tick.commands.forEach((cmd, i) => {
+            if (cmd) runStep(site, cranes[i], cmd);
+        });
+        if (findCollision(cranes.map(crane => crane.column)) !== null) {
+            return { area: site.area, collided: true };
+        }
+        program.advance();
+    }
+    return { area: site.area, collided: false };
+}
+
+/**
+ * @param {Object} level - Level from LEVELS
+ * @returns {Object} Supply, build area and rail size for a level
+ */
+function createSite(level) {
+    const supplyColumns = level.supply.columns.length;
+    const supply = new Supply(level.supply);
+    const area = new BuildArea(level.buildArea.width, level.buildArea.height);
+    area.setTargets(parseTargets(level.target));
+    area.setStructural(!!level.structural);
+    return {
+        supply,
+        area,
+        supplyColumns,
+        totalColumns: supplyColumns + level.buildArea.width,
+        maxStackHeight: Math.max(supply.getMaxHeight(), level.buildArea.height, 4)
+    };
+}
+
+/**
+ * Do one sequence command, running a macro step by step
+ * @param {Object} site - From createSite
+ * @param {Crane} crane
+ * @param {Object} cmd - Sequence command
+ */
+function runStep(site, crane, cmd) {
+    if (!isMacro(cmd.type)) {
+        runCommand(site, crane, cmd.type);
+        return;
+    }
+    (expandMacro(cmd, crane, site.supply) || []).forEach(type => runCommand(site, crane, type));
+}
+
+/**
+ * Do one crane command the way the game does
+ * @param {Object} site - From createSite
+ * @param {Crane} crane
+ * @param {string} type - Command type
+ */
+function runCommand(site, crane, type) {
+    const { supply, area, maxStackHeight } = site;
+    if (type === 'left') crane.moveLeft();
+    if (type === 'right') crane.moveRight();
+    if (type === 'raise' && crane.startRaise()) crane.completeRaise();
+    if (type !== 'lower' || !crane.startLower()) return;
+
+    crane.completeLower(1);
+    if (crane.isOverSupply()) {
+        const column = crane.getSupplyColumn();
+        if (!crane.isHolding()) {
+            const block = supply.takeTop(column);
+            if (block) crane.grabBlock(block);
+        } else if (supply.getColumnHeight(column) < maxStackHeight) {
+            supply.putTop(column, crane.releaseBlock(), maxStackHeight);
+        }
+    } else if (crane.isHolding()) {
+        const landingY = area.getLandingY(crane.getBuildColumn(), crane.heldBlock);
+        if (landingY !== null && landingY >= 0) {
+            area.placeBlock(crane.getBuildColumn(), crane.releaseBlock());
+        }
+    }
+}
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
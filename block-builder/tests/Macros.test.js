@@ -0,0 +1,132 @@
+/**
+ * Macros Tests
+ */
+import { isMacro, expandMacro, findStack } from '../js/Macros.js';
+import { Crane } from '../js/Crane.js';
+import { Supply } from '../js/Supply.js';
+import { Sequence } from '../js/Sequence.js';
+
+export function runMacrosTests() {
+    const results = [];
+
+    function test(name, fn) {
+        try {
+            fn();
+            results.push({ name, passed: true });
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message} Expected ${expected}, got ${actual}`);
+        }
+    }
+
+    function assertTrue(value, message = '') {
+        if (value !== true) {
+            throw new Error(`${message} Expected true, got ${value}`);
+        }
+    }
+
+    function assertFalse(value, message = '') {
+        if (value !== false) {
+            throw new Error(`${message} Expected false, got ${value}`);
+        }
+    }
+
+    function assertArrayEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message} Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    test('isMacro knows the macro blocks', () => {
+        ['find', 'home', 'take', 'put'].forEach(type => assertTrue(isMacro(type), type));
+        assertFalse(isMacro('left'));
+        assertFalse(isMacro('loop'));
+    });
+
+    // Find tests
+    test('findStack finds a stack with the block on top', () => {
+        const supply = new Supply({ columns: [['🟥'], ['🟦'], []] });
+        assertEqual(findStack('🟦', new Crane(6, 3, 0), supply), 1);
+    });
+
+    test('findStack ignores buried blocks', () => {
+        const supply = new Supply({ columns: [['🟥', '🟦'], [], []] });
+        assertEqual(findStack('🟥', new Crane(6, 3, 2), supply), null);
+    });
+
+    test('findStack picks the nearest stack', () => {
+        const supply = new Supply({ columns: [['🟥'], [], ['🟥']] });
+        assertEqual(findStack('🟥', new Crane(6, 3, 4), supply), 2);
+        assertEqual(findStack('🟥', new Crane(6, 3, 1), supply), 0, 'Ties go left');
+    });
+
+    test('findStack stays within the crane reach', () => {
+        const supply = new Supply({ columns: [['🟥'], [], ['🟦']] });
+        assertEqual(findStack('🟥', new Crane(6, 3, 3, [2, 5]), supply), null);
+        assertEqual(findStack('🟦', new Crane(6, 3, 3, [2, 5]), supply), 2);
+    });
+
+    test('find expands to moves along the rail', () => {
+        const supply = new Supply({ columns: [['🟥'], [], []] });
+        assertArrayEqual(expandMacro({ type: 'find', block: '🟥' }, new Crane(6, 3, 3), supply), ['left', 'left', 'left']);
+        assertArrayEqual(expandMacro({ type: 'find', block: '🟥' }, new Crane(6, 3, 0), supply), []);
+        assertEqual(expandMacro({ type: 'find', block: '🟦' }, new Crane(6, 3, 3), supply), null);
+    });
+
+    // Home tests
+    test('home goes back to the start column', () => {
+        const supply = new Supply({ columns: [[], [], []] });
+        const crane = new Crane(6, 3, 1);
+        crane.moveRight();
+        crane.moveRight();
+        assertArrayEqual(expandMacro({ type: 'home' }, crane, supply), ['left', 'left']);
+    });
+
+    // Take and put tests
+    test('take lowers and raises the hook over a block', () => {
+        const supply = new Supply({ columns: [['🟥'], [], []] });
+        assertArrayEqual(expandMacro({ type: 'take' }, new Crane(6, 3, 0), supply), ['lower', 'raise']);
+        assertEqual(expandMacro({ type: 'take' }, new Crane(6, 3, 1), supply), null, 'Nothing to grab');
+        assertEqual(expandMacro({ type: 'take' }, new Crane(6, 3, 4), supply), null, 'Not over the supply');
+    });
+
+    test('take fails when already holding a block', () => {
+        const supply = new Supply({ columns: [['🟥'], [], []] });
+        const crane = new Crane(6, 3, 0);
+        crane.grabBlock('🟦');
+        assertEqual(expandMacro({ type: 'take' }, crane, supply), null);
+    });
+
+    test('put needs a held block', () => {
+        const supply = new Supply({ columns: [[], [], []] });
+        const crane = new Crane(6, 3, 4);
+        assertEqual(expandMacro({ type: 'put' }, crane, supply), null);
+        crane.grabBlock('🟥');
+        assertArrayEqual(expandMacro({ type: 'put' }, crane, supply), ['lower', 'raise']);
+    });
+
+    // Sequence tests
+    test('Sequence keeps the block of a find command', () => {
+        const sequence = new Sequence();
+        sequence.addCommand('find', '🟥');
+        sequence.addCommand('take');
+        const [find, take] = sequence.getCommands();
+        assertEqual(find.block, '🟥');
+        assertEqual(take.block, undefined);
+        assertEqual(sequence.countBlocks(sequence.getCommands()), 2, 'A macro is one block');
+    });
+
+    test('Sequence rejects a find command without a known block', () => {
+        const sequence = new Sequence();
+        sequence.addCommand('find', '🍕');
+        sequence.addCommand('find');
+        assertEqual(sequence.getCommands().length, 0);
+    });
+
+    return results;
+}
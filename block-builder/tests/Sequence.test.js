@@ -262,6 +262,58 @@ export function runSequenceTests() {
         assertEqual(flat[5].type, 'raise');
     }));
 
+    // Test: Flatten nested loops
+    results.push(test('Flatten expands loops inside loops', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addCommand('right');
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addCommand('lower');
+        seq.addCommand('raise');
+        
+        const flat = seq.flatten();
+        assertEqual(flat.length, 10); // (right + (lower + raise) * 2) * 2
+        assertEqual(flat.map(cmd => cmd.type).join(','),
+            'right,lower,raise,lower,raise,right,lower,raise,lower,raise');
+    }));
+
+    // Test: Highlight mapping for nested loops
+    results.push(test('getPathForFlatIndex maps into nested loops', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addCommand('right');
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addCommand('lower');
+        
+        assertEqual(seq.getPathForFlatIndex(0).join('.'), '0.0');
+        assertEqual(seq.getPathForFlatIndex(2).join('.'), '0.1.0');
+        assertEqual(seq.getPathForFlatIndex(3).join('.'), '0.0');
+    }));
+
+    // Test: insertIntoLoop accepts nested paths
+    results.push(test('insertIntoLoop inserts into a nested loop', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addLoop(3);
+        
+        seq.insertIntoLoop([0, 0], 0, 'left');
+        
+        assertEqual(seq.commands[0].commands[0].commands[0].type, 'left');
+    }));
+
+    // Test: Repeat until loops have no count to flatten
+    results.push(test('Until loop keeps its condition and flattens once', () => {
+        const seq = new Sequence();
+        const path = seq.addUntilLoop('block');
+        seq.setActiveLoop(path);
+        seq.addCommand('right');
+        seq.updateLoopIterations(path, 4);
+        
+        assertEqual(seq.commands[0].until.condition, 'block');
+        assertEqual(seq.commands[0].iterations, undefined);
+        assertEqual(seq.flatten().length, 1);
+    }));
+
     return results;
 }
 
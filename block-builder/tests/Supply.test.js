@@ -130,5 +130,64 @@ export function runSupplyTests() {
         assertEqual(supply.isOverSupply(-1), false);
     });
 
+    // putTop tests
+    test('putTop stacks a block on a column', () => {
+        const supply = new Supply({ columns: [['🟥'], [], []] });
+        assertEqual(supply.putTop(0, '🟦'), true);
+        assertEqual(supply.peekTop(0), '🟦');
+        assertArrayEqual(supply.getColumn(0), ['🟥', '🟦']);
+    });
+
+    test('putTop refuses a full or missing column', () => {
+        const supply = new Supply({ columns: [['🟥', '🟨'], [], []] });
+        assertEqual(supply.putTop(0, '🟦', 2), false);
+        assertEqual(supply.putTop(5, '🟦'), false);
+        assertEqual(supply.getTotalBlocks(), 2);
+    });
+
+    test('reset undoes digging', () => {
+        const supply = new Supply({ columns: [['🟥', '🟦'], [], []] });
+        supply.putTop(1, supply.takeTop(0));
+        supply.reset();
+        assertArrayEqual(supply.getColumn(0), ['🟥', '🟦']);
+        assertEqual(supply.isColumnEmpty(1), true);
+    });
+
+    // Unlimited supply tests
+    test('Unlimited supply never runs out', () => {
+        const supply = new Supply({ columns: [['🧱'], ['🟥'], []], unlimited: true });
+        assertEqual(supply.takeTop(0), '🧱');
+        assertEqual(supply.takeTop(0), '🧱');
+        assertEqual(supply.getColumnHeight(0), 1);
+        assertEqual(supply.takeTop(2), null, 'An empty column stays empty');
+    });
+
+    test('Unlimited supply gives back blocks put on top first', () => {
+        const supply = new Supply({ columns: [['🧱'], [], []], unlimited: true });
+        supply.putTop(0, '🟦');
+        assertEqual(supply.takeTop(0), '🟦');
+        assertEqual(supply.takeTop(0), '🧱');
+    });
+
+    test('setColumn replaces a column', () => {
+        const supply = new Supply({ columns: [['🧱', '🧱'], [], []] });
+        supply.setColumn(0, ['🟨']);
+        supply.setColumn(7, ['🟨']);
+        assertArrayEqual(supply.getColumn(0), ['🟨']);
+        assertEqual(supply.getTotalBlocks(), 1);
+    });
+
+    // Snapshot tests
+    test('restoreState brings back a saved snapshot', () => {
+        const supply = new Supply({ columns: [['🧱', '🧱'], ['🪟']] });
+        supply.takeTop(0);
+        const state = supply.getState();
+        supply.takeTop(0);
+        supply.takeTop(1);
+        supply.restoreState(state);
+        assertArrayEqual(supply.getColumn(0), ['🧱']);
+        assertArrayEqual(supply.getColumn(1), ['🪟']);
+    });
+
     return results;
 }
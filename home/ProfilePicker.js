@@ -0,0 +1,152 @@
+/**
+ * ProfilePicker - "Who is playing?" bar for the home page
+ *
+ * Shows one round avatar per child, highlights the active one and lets a
+ * new child pick an animal and a colour. No reading required.
+ */
+import { Profiles, PROFILE_AVATARS, PROFILE_COLORS } from '../shared/js/Profiles.js';
+
+export class ProfilePicker {
+    constructor() {
+        this.profiles = new Profiles();
+        this.selectedAvatar = PROFILE_AVATARS[0];
+        this.selectedColor = PROFILE_COLORS[0];
+
+        this.elements = {
+            profileBar: document.getElementById('profileBar'),
+            overlay: document.getElementById('profileOverlay'),
+            preview: document.getElementById('profilePreview'),
+            avatarGrid: document.getElementById('avatarGrid'),
+            colorGrid: document.getElementById('colorGrid'),
+            cancelBtn: document.getElementById('cancelProfileBtn'),
+            confirmBtn: document.getElementById('confirmProfileBtn')
+        };
+    }
+
+    /**
+     * Build the picker and show the current profiles
+     */
+    init() {
+        this.renderChoices();
+        this.renderProfiles();
+
+        this.elements.cancelBtn.addEventListener('click', () => this.hidePicker());
+        this.elements.confirmBtn.addEventListener('click', () => this.confirmProfile());
+        this.elements.overlay.addEventListener('click', (e) => {
+            if (e.target === this.elements.overlay) this.hidePicker();
+        });
+    }
+
+    /**
+     * Render one avatar button per profile plus the ➕ button
+     */
+    renderProfiles() {
+        const bar = this.elements.profileBar;
+        const active = this.profiles.getActiveProfile();
+        bar.innerHTML = '';
+
+        this.profiles.getProfiles().forEach(profile => {
+            const btn = document.createElement('button');
+            btn.className = 'profile-btn';
+            btn.textContent = profile.avatar;
+            btn.style.setProperty('--profile-color', profile.color);
+            btn.setAttribute('aria-label', `Player ${profile.avatar}`);
+            btn.setAttribute('aria-pressed', String(profile.id === active.id));
+            if (profile.id === active.id) {
+                btn.classList.add('active');
+            }
+            btn.addEventListener('click', () => this.selectProfile(profile.id));
+            bar.appendChild(btn);
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'profile-btn add';
+        addBtn.textContent = '➕';
+        addBtn.setAttribute('aria-label', 'Add player');
+        addBtn.addEventListener('click', () => this.showPicker());
+        bar.appendChild(addBtn);
+    }
+
+    /**
+     * Render the avatar and colour choices in the picker
+     */
+    renderChoices() {
+        const { avatarGrid, colorGrid } = this.elements;
+
+        PROFILE_AVATARS.forEach(avatar => {
+            const btn = document.createElement('button');
+            btn.className = 'avatar-choice';
+            btn.textContent = avatar;
+            btn.dataset.avatar = avatar;
+            btn.setAttribute('aria-label', avatar);
+            btn.addEventListener('click', () => {
+                this.selectedAvatar = avatar;
+                this.updatePicker();
+            });
+            avatarGrid.appendChild(btn);
+        });
+
+        PROFILE_COLORS.forEach(color => {
+            const btn = document.createElement('button');
+            btn.className = 'color-choice';
+            btn.dataset.color = color;
+            btn.style.background = color;
+            btn.setAttribute('aria-label', color);
+            btn.addEventListener('click', () => {
+                this.selectedColor = color;
+                this.updatePicker();
+            });
+            colorGrid.appendChild(btn);
+        });
+    }
+
+    /**
+     * Reflect the current choice in the preview and grids
+     */
+    updatePicker() {
+        const { preview, avatarGrid, colorGrid } = this.elements;
+
+        preview.textContent = this.selectedAvatar;
+        preview.style.setProperty('--profile-color', this.selectedColor);
+
+        avatarGrid.querySelectorAll('.avatar-choice').forEach(btn => {
+            btn.classList.toggle('selected', btn.dataset.avatar === this.selectedAvatar);
+        });
+        colorGrid.querySelectorAll('.color-choice').forEach(btn => {
+            btn.classList.toggle('selected', btn.dataset.color === this.selectedColor);
+        });
+    }
+
+    /**
+     * Make a profile the one whose progress the games use
+     * @param {string} id - Profile id
+     */
+    selectProfile(id) {
+        this.profiles.setActiveProfile(id);
+        this.renderProfiles();
+    }
+
+    /**
+     * Open the new player picker
+     */
+    showPicker() {
+        this.updatePicker();
+        this.elements.overlay.classList.add('active');
+    }
+
+    /**
+     * Close the new player picker
+     */
+    hidePicker() {
+        this.elements.overlay.classList.remove('active');
+    }
+
+    /**
+     * Create the chosen profile and switch to it
+     */
+    confirmProfile() {
+        this.profiles.createProfile(this.selectedAvatar, this.selectedColor);
+        this.hidePicker();
+        this.renderProfiles();
+    }
+}
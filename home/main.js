@@ -0,0 +1,10 @@
+/**
+ * Main entry point for the home page
+ */
+import { ProfilePicker } from './ProfilePicker.js';
+
+// Initialize profile picker when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const picker = new ProfilePicker();
+    picker.init();
+});
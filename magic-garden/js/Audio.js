@@ -71,6 +71,46 @@ export class Audio {
         });
     }
 
+    playStep() {
+        // Two soft footsteps
+        this.playTone(200, 0.06, 'triangle');
+        setTimeout(() => this.playTone(180, 0.06, 'triangle'), 120);
+    }
+
+    playRain() {
+        // Pattering drops
+        [900, 700, 850, 650, 800].forEach((freq, i) => {
+            setTimeout(() => this.playTone(freq, 0.05, 'sine'), i * 60);
+        });
+    }
+
+    playNight() {
+        // Falling lullaby
+        [392, 330, 262].forEach((freq, i) => {
+            setTimeout(() => this.playTone(freq, 0.25, 'sine'), i * 150);
+        });
+    }
+
+    playWind() {
+        // Low whoosh
+        this.playTone(120, 0.4, 'sawtooth');
+        setTimeout(() => this.playTone(160, 0.3, 'sawtooth'), 150);
+    }
+
+    playFizzle() {
+        // An action the weather spoiled
+        this.playTone(220, 0.1, 'square');
+        setTimeout(() => this.playTone(160, 0.15, 'square'), 80);
+    }
+
+    playWeather(type) {
+        switch (type) {
+            case 'rain': this.playRain(); break;
+            case 'night': this.playNight(); break;
+            case 'wind': this.playWind(); break;
+        }
+    }
+
     playGrowth() {
         // Ascending tones
         const notes = [262, 330, 392];
@@ -100,6 +140,8 @@ export class Audio {
             case '☀️': this.playSun(); break;
             case '🎵': this.playMusic(); break;
             case '✨': this.playMagic(); break;
+            case '⬅️':
+            case '➡️': this.playStep(); break;
         }
     }
 
@@ -103,22 +103,24 @@ export class DragDrop extends BaseDragDrop {
             if (dropInfo.type === 'main') {
                 this.onAddCommand(data.command, dropInfo.index);
             } else if (dropInfo.type === 'loop') {
-                this.onAddToLoop(data.command, dropInfo.loopIndex, dropInfo.cmdIndex);
+                this.onAddToLoop(data.command, dropInfo.loopPath, dropInfo.cmdIndex);
             }
         } else if (data.type === 'reorder') {
             // Reordering within main sequence
             if (dropInfo.type === 'main') {
                 this.onReorder(data.index, dropInfo.index);
-            } else if (dropInfo.type === 'loop' && !data.isLoop) {
-                // Move from main to loop (not the loop itself)
-                this.onMoveToLoop(data.index, dropInfo.loopIndex, dropInfo.cmdIndex);
+            } else if (dropInfo.type === 'loop') {
+                // Move from main to loop (loops nest up to the sequence's max depth)
+                this.onMoveToLoop(data.index, dropInfo.loopPath, dropInfo.cmdIndex);
             }
         } else if (data.type === 'reorder-loop-item') {
             // Reordering from within a loop
             if (dropInfo.type === 'main') {
                 this.onMoveFromLoop(data.loopIndex, data.cmdIndex, dropInfo.index);
-            } else if (dropInfo.type === 'loop' && dropInfo.loopIndex === data.loopIndex) {
-                this.onReorderInLoop(data.loopIndex, data.cmdIndex, dropInfo.cmdIndex);
+            } else if (dropInfo.type === 'loop' && this.isSameLoop(data.loopIndex, dropInfo.loopPath)) {
+                this.onReorderInLoop(dropInfo.loopPath, data.cmdIndex, dropInfo.cmdIndex);
+            } else if (dropInfo.type === 'loop') {
+                this.onMoveBetweenLoops(data.loopIndex, data.cmdIndex, dropInfo.loopPath, dropInfo.cmdIndex);
             }
         }
     }
@@ -133,7 +135,9 @@ export class DragDrop extends BaseDragDrop {
         
         if (placeholderParent === this.sequenceArea) {
             // Dropping in main sequence
-            const items = Array.from(this.sequenceArea.querySelectorAll('.sequence-item, .loop-block, .drop-placeholder'));
+            const items = Array.from(this.sequenceArea.querySelectorAll(
+                ':scope > .sequence-item, :scope > .loop-block, :scope > .drop-placeholder'
+            ));
             const placeholderIndex = items.indexOf(this.placeholder);
             
             // Count only non-placeholder items before this position
@@ -146,11 +150,12 @@ export class DragDrop extends BaseDragDrop {
             
             return { type: 'main', index };
         } else if (placeholderParent?.classList.contains('loop-body')) {
-            // Dropping in a loop
-            const loopBlock = placeholderParent.closest('.loop-block');
-            const loopIndex = parseInt(loopBlock?.dataset.index);
+            // Dropping in a loop, which may be inside another loop
+            const loopPath = this.getLoopPath(this.getLoopBlockFromBody(placeholderParent));
             
-            const items = Array.from(placeholderParent.querySelectorAll('.loop-item, .drop-placeholder'));
+            const items = Array.from(placeholderParent.querySelectorAll(
+                ':scope > [data-cmd-index], :scope > .drop-placeholder'
+            ));
             const placeholderIndex = items.indexOf(this.placeholder);
             
             let cmdIndex = 0;
@@ -160,7 +165,7 @@ export class DragDrop extends BaseDragDrop {
                 }
             }
             
-            return { type: 'loop', loopIndex, cmdIndex };
+            return { type: 'loop', loopPath, cmdIndex };
         }
         
         return null;
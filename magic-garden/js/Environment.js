@@ -0,0 +1,142 @@
+/**
+ * Environment - Weather and time of day in the garden
+ *
+ * Levels can script weather that starts after a number of spell steps
+ * (every block the wizard casts or walks is one step):
+ * - 🌧️ Rain waters the pot the wizard stands at, as if 💧 was cast
+ * - 🌙 Night: ☀️ does nothing while it is dark
+ * - 🌬️ Wind blows ✨ magic dust away while it blows
+ * Night and wind last for `steps` steps, or to the end of the spell.
+ * Kids have to think about what the garden will be like when each
+ * action lands, not just which actions the plant needs.
+ */
+import { ACTIONS } from './Plants.js';
+
+// Kinds of weather a level can script
+export const WEATHER = {
+    RAIN: 'rain',
+    NIGHT: 'night',
+    WIND: 'wind'
+};
+
+// How each kind of weather is shown
+export const WEATHER_ICONS = {
+    [WEATHER.RAIN]: '🌧️',
+    [WEATHER.NIGHT]: '🌙',
+    [WEATHER.WIND]: '🌬️'
+};
+
+// Action each lasting weather stops from working
+const BLOCKED_ACTIONS = {
+    [WEATHER.NIGHT]: ACTIONS.SUN,
+    [WEATHER.WIND]: ACTIONS.MAGIC
+};
+
+export class Environment {
+    /**
+     * @param {Object[]} [events] - { type, step, steps }: weather that starts
+     *   after `step` spell steps and lasts `steps` steps (rain falls once)
+     */
+    constructor(events = []) {
+        this.events = events.map(event => ({ ...event }));
+        this.reset();
+    }
+
+    /**
+     * Go back to the start of the spell
+     */
+    reset() {
+        this.step = 0;
+    }
+
+    /**
+     * Get number of spell steps taken
+     * @returns {number}
+     */
+    getStep() {
+        return this.step;
+    }
+
+    /**
+     * Move on one spell step
+     */
+    advance() {
+        this.step++;
+    }
+
+    /**
+     * Weather that starts at the current step
+     * @returns {Object[]} Events
+     */
+    getStartingEvents() {
+        return this.events.filter(event => event.step === this.step);
+    }
+
+    /**
+     * Check if a lasting weather is on at the current step
+     * @param {string} type - WEATHER value
+     * @returns {boolean}
+     */
+    isActive(type) {
+        return this.getActive().includes(type);
+    }
+
+    /**
+     * Lasting weather on at the current step
+     * @returns {string[]} WEATHER values
+     */
+    getActive() {
+        return this.events
+            .filter(event => event.type !== WEATHER.RAIN && this.isEventOn(event))
+            .map(event => event.type);
+    }
+
+    /**
+     * Check if an event is under way at the current step
+     * Rain is only under way at the step it falls
+     * @param {Object} event - One of getEvents()
+     * @returns {boolean}
+     */
+    isEventOn(event) {
+        if (event.type === WEATHER.RAIN) return this.step === event.step;
+        return this.step >= event.step && this.step < event.step + (event.steps ?? Infinity);
+    }
+
+    /**
+     * Scripted weather
+     * @returns {Object[]} Copies of the events
+     */
+    getEvents() {
+        return this.events.map(event => ({ ...event }));
+    }
+
+    /**
+     * Check if the weather stops an action from working
+     * @param {string} action - Action emoji
+     * @returns {boolean}
+     */
+    blocks(action) {
+        return this.getActive().some(type => BLOCKED_ACTIONS[type] === action);
+    }
+
+    /**
+     * Check if any weather is scripted
+     * @returns {boolean}
+     */
+    hasWeather() {
+        return this.events.length > 0;
+    }
+}
+
+/**
+ * Check a level's weather script
+ * @param {*} events - The level's `weather`
+ * @returns {boolean} True if every event is known and starts at a whole step
+ */
+export function isValidWeather(events) {
+    return Array.isArray(events) && events.every(event => {
+        return Object.values(WEATHER).includes(event.type) &&
+            Number.isInteger(event.step) && event.step >= 0 &&
+            (event.steps === undefined || (Number.isInteger(event.steps) && event.steps > 0));
+    });
+}
@@ -3,13 +3,22 @@
  * 
  * Orchestrates the wizard, garden, and command sequence.
  */
-import { Garden, GROWTH_STAGES } from './Garden.js';
+import { GROWTH_STAGES } from './Garden.js';
+import { GardenBed } from './GardenBed.js';
 import { Wizard } from './Wizard.js';
-import { Sequence } from './Sequence.js';
+import { Sequence, CONDITIONS } from './Sequence.js';
 import { DragDrop } from './DragDrop.js';
 import { Audio } from './Audio.js';
-import { getLevel, getTotalLevels } from './Levels.js';
-import { ACTIONS } from './Plants.js';
+import { getLevel, getTotalLevels, getLevelPar, getLevelTargets, getLevelWeather, createSandboxLevel } from './Levels.js';
+import { ACTIONS, WILTED, getTotalPlants, getPlantByEmoji } from './Plants.js';
+import { SeedBook } from './SeedBook.js';
+import { diffRecipe, describeHint, HINT_TYPES } from './RecipeHints.js';
+import { Environment, WEATHER, WEATHER_ICONS } from './Environment.js';
+import { generateLevel, getPracticeDifficulty } from './LevelGenerator.js';
+import { ProgressStore, GAME_IDS } from '../../shared/js/ProgressStore.js';
+import { LevelSelect } from '../../shared/js/LevelSelect.js';
+import { Interpreter } from '../../shared/js/Interpreter.js';
+import { rateSolution, renderStars } from '../../shared/js/StarRating.js';
 
 // Animation timing constants (ms)
 const TIMING = {
@@ -18,17 +27,41 @@ const TIMING = {
     RESULT_DELAY: 800
 };
 
+// Progress data key holding the saved spell books
+const SPELL_BOOKS_KEY = 'spellBooks';
+
+// Progress data key holding the number of practice levels solved
+const PRACTICE_KEY = 'practiceSolved';
+
 export class Game {
     constructor() {
-        this.garden = new Garden();
+        this.bed = new GardenBed();
         this.wizard = null;
         this.sequence = new Sequence();
         this.audio = new Audio();
         this.dragDrop = null;
         
-        this.currentLevel = 1;
+        this.progress = new ProgressStore(GAME_IDS.GARDEN, {
+            // Import the first-visit flag written before progress was shared
+            migrate: (namespace, storage) => {
+                if (storage.getItem('magicgarden-visited')) {
+                    namespace.data.visited = true;
+                }
+            }
+        });
+        this.levelSelect = null;
+        this.seedBook = new SeedBook(this.progress);
+        this.sequence.setSpellBooks(this.progress.get(SPELL_BOOKS_KEY, []));
+        this.lastBloom = null; // Plant the sequence grew, until it is changed
+        
+        this.currentLevel = this.progress.getNextLevel(getTotalLevels());
         this.isRunning = false;
         this.levelConfig = null;
+        this.targets = []; // Target plant emoji of each pot
+        this.castPaths = []; // Sequence path of the block behind each pot's actions
+        this.environment = new Environment(); // Scripted weather of the level
+        this.isSandbox = false; // Free play with unlimited supply
+        this.isPractice = false; // Generated levels after the authored ones
         this.currentSupply = {}; // Track remaining supply
         
         this.elements = {};
@@ -43,8 +76,10 @@ export class Game {
         this.wizard = new Wizard(this.elements.wizard);
         this.wizard.init();
         this.setupDragDrop();
+        this.setupLevelSelect();
         this.setupEventListeners();
         this.loadLevel(this.currentLevel);
+        this.renderSpellBooks();
     }
 
     /**
@@ -53,24 +88,41 @@ export class Game {
     cacheElements() {
         this.elements = {
             wizard: document.getElementById('wizard'),
-            pot: document.getElementById('pot'),
-            plant: document.getElementById('plant'),
+            gardenArea: document.getElementById('gardenArea'),
+            gardenBed: document.getElementById('gardenBed'),
+            forecast: document.getElementById('forecast'),
             targetDisplay: document.getElementById('targetDisplay'),
-            targetFlower: document.getElementById('targetFlower'),
+            targetLayout: document.getElementById('targetLayout'),
             sequenceArea: document.getElementById('sequenceArea'),
             sequencePlaceholder: document.getElementById('sequencePlaceholder'),
             trashZone: document.getElementById('trashZone'),
             clearBtn: document.getElementById('clearBtn'),
             loopBtn: document.getElementById('loopBtn'),
+            untilBtn: document.getElementById('untilBtn'),
             playBtn: document.getElementById('playBtn'),
             resetBtn: document.getElementById('resetBtn'),
             levelNum: document.getElementById('levelNum'),
             successOverlay: document.getElementById('successOverlay'),
+            successStars: document.getElementById('successStars'),
             nextBtn: document.getElementById('nextBtn'),
             helpBtn: document.getElementById('helpBtn'),
             helpOverlay: document.getElementById('helpOverlay'),
             closeHelpBtn: document.getElementById('closeHelpBtn'),
-            commandPalette: document.getElementById('commandPalette')
+            levelSelectBtn: document.getElementById('levelSelectBtn'),
+            levelSelectOverlay: document.getElementById('levelSelectOverlay'),
+            levelSelectGrid: document.getElementById('levelSelectGrid'),
+            closeLevelSelectBtn: document.getElementById('closeLevelSelectBtn'),
+            practiceBtn: document.getElementById('practiceBtn'),
+            seedBookBtn: document.getElementById('seedBookBtn'),
+            seedBookOverlay: document.getElementById('seedBookOverlay'),
+            seedBookGrid: document.getElementById('seedBookGrid'),
+            seedBookCount: document.getElementById('seedBookCount'),
+            sandboxBtn: document.getElementById('sandboxBtn'),
+            closeSeedBookBtn: document.getElementById('closeSeedBookBtn'),
+            commandPalette: document.getElementById('commandPalette'),
+            spellBooks: document.getElementById('spellBooks'),
+            saveSpellBtn: document.getElementById('saveSpellBtn'),
+            successSaveSpellBtn: document.getElementById('successSaveSpellBtn')
         };
     }
 
@@ -87,11 +139,24 @@ export class Game {
             onReorderInLoop: (loopIdx, from, to) => this.reorderInLoop(loopIdx, from, to),
             onMoveFromLoop: (loopIdx, cmdIdx, targetIdx) => this.moveFromLoopToMain(loopIdx, cmdIdx, targetIdx),
             onMoveToLoop: (fromIdx, loopIdx, cmdIdx) => this.moveFromMainToLoop(fromIdx, loopIdx, cmdIdx),
+            onMoveBetweenLoops: (fromLoop, cmdIdx, toLoop, targetIdx) => this.moveBetweenLoops(fromLoop, cmdIdx, toLoop, targetIdx),
             onRemoveFromLoop: (loopIdx, cmdIdx) => this.removeFromLoop(loopIdx, cmdIdx),
             onAddToLoop: (cmd, loopIdx, cmdIdx) => this.addToLoop(cmd, loopIdx, cmdIdx)
         });
     }
 
+    /**
+     * Set up the level map overlay
+     */
+    setupLevelSelect() {
+        this.levelSelect = new LevelSelect({
+            container: this.elements.levelSelectGrid,
+            progress: this.progress,
+            getTotalLevels: () => getTotalLevels(),
+            onSelect: (level) => this.selectLevel(level)
+        });
+    }
+
     /**
      * Set up event listeners
      */
@@ -109,16 +174,43 @@ export class Game {
         if (this.elements.loopBtn) {
             this.elements.loopBtn.addEventListener('click', () => this.addLoop());
         }
+        if (this.elements.untilBtn) {
+            this.elements.untilBtn.addEventListener('click', () => {
+                this.addUntilLoop(this.elements.untilBtn.dataset.condition);
+            });
+        }
 
         // Control buttons
         this.elements.playBtn.addEventListener('click', () => this.run());
         this.elements.resetBtn.addEventListener('click', () => this.reset());
         this.elements.clearBtn.addEventListener('click', () => this.clearSequence());
+        this.elements.saveSpellBtn.addEventListener('click', () => this.saveSpell());
+        this.elements.successSaveSpellBtn.addEventListener('click', () => this.saveSpell());
 
         // Overlays
         this.elements.nextBtn.addEventListener('click', () => this.nextLevel());
         this.elements.helpBtn.addEventListener('click', () => this.showHelp());
         this.elements.closeHelpBtn.addEventListener('click', () => this.hideHelp());
+        this.elements.levelSelectBtn.addEventListener('click', () => this.showLevelSelect());
+        this.elements.closeLevelSelectBtn.addEventListener('click', () => this.hideLevelSelect());
+        this.elements.practiceBtn.addEventListener('click', () => {
+            this.hideLevelSelect();
+            this.startPractice();
+        });
+        this.elements.levelSelectOverlay.addEventListener('click', (e) => {
+            if (e.target === this.elements.levelSelectOverlay) {
+                this.hideLevelSelect();
+            }
+        });
+
+        this.elements.seedBookBtn.addEventListener('click', () => this.showSeedBook());
+        this.elements.closeSeedBookBtn.addEventListener('click', () => this.hideSeedBook());
+        this.elements.sandboxBtn.addEventListener('click', () => this.startSandbox());
+        this.elements.seedBookOverlay.addEventListener('click', (e) => {
+            if (e.target === this.elements.seedBookOverlay) {
+                this.hideSeedBook();
+            }
+        });
 
         this.elements.helpOverlay.addEventListener('click', (e) => {
             if (e.target === this.elements.helpOverlay) {
@@ -133,13 +225,19 @@ export class Game {
     loadLevel(levelNum) {
         this.levelConfig = getLevel(levelNum);
         this.currentLevel = levelNum;
+        this.isSandbox = false;
+        this.isPractice = false;
+        this.targets = getLevelTargets(this.levelConfig);
         
         // Reset supply from level config
         this.currentSupply = { ...this.levelConfig.supply };
         
         // Update UI
         this.elements.levelNum.textContent = levelNum;
-        this.elements.targetFlower.textContent = this.levelConfig.target;
+        this.buildGardenBed(this.targets.length);
+        this.renderTargets(this.targets);
+        this.environment = new Environment(getLevelWeather(this.levelConfig));
+        this.renderForecast();
         
         // Update available commands
         this.updateCommandPalette();
@@ -148,6 +246,131 @@ export class Game {
         this.reset();
     }
 
+    /**
+     * Switch to the free-play garden, where any bloom fills the seed book
+     */
+    startSandbox() {
+        this.hideSeedBook();
+        // Clear first so old commands aren't returned to the new supply
+        this.sequence.clear();
+        this.renderSequence();
+        
+        this.levelConfig = createSandboxLevel();
+        this.isSandbox = true;
+        this.isPractice = false;
+        this.targets = [];
+        this.currentSupply = { ...this.levelConfig.supply };
+        
+        this.elements.levelNum.textContent = '🧪';
+        this.buildGardenBed(1);
+        this.renderTargets(['📖']);
+        this.environment = new Environment();
+        this.renderForecast();
+        
+        this.updateCommandPalette();
+        this.reset();
+    }
+
+    /**
+     * Play a generated level once the authored ones are done
+     * Practice never ends; it gets harder as more levels are solved
+     */
+    startPractice() {
+        // Clear first so old commands aren't returned to the new supply
+        this.sequence.clear();
+        this.renderSequence();
+        
+        const solved = this.progress.get(PRACTICE_KEY, 0);
+        this.levelConfig = generateLevel({
+            difficulty: getPracticeDifficulty(solved),
+            id: getTotalLevels() + solved + 1,
+            avoid: this.isPractice ? this.targets[0] : null
+        });
+        this.isSandbox = false;
+        this.isPractice = true;
+        this.targets = getLevelTargets(this.levelConfig);
+        this.currentSupply = { ...this.levelConfig.supply };
+        
+        this.elements.levelNum.textContent = '🎲';
+        this.buildGardenBed(this.targets.length);
+        this.renderTargets(this.targets);
+        this.environment = new Environment();
+        this.renderForecast();
+        
+        this.updateCommandPalette();
+        this.reset();
+    }
+
+    /**
+     * Check if every authored level is done, so practice can start
+     * @returns {boolean}
+     */
+    isPracticeUnlocked() {
+        return this.progress.isLevelCompleted(getTotalLevels());
+    }
+
+    /**
+     * Make one pot per target; a bed of several pots puts the wizard
+     * above them so it can walk between them
+     * @param {number} size - Number of pots
+     */
+    buildGardenBed(size) {
+        this.bed.resize(size);
+        const container = this.elements.gardenBed;
+        container.innerHTML = '';
+        
+        for (let i = 0; i < size; i++) {
+            const potContainer = document.createElement('div');
+            potContainer.className = 'pot-container';
+            potContainer.dataset.pot = i;
+            
+            const pot = document.createElement('div');
+            pot.className = 'pot';
+            pot.setAttribute('aria-label', size > 1 ? `Flower pot ${i + 1}` : 'Flower pot');
+            
+            const plant = document.createElement('div');
+            plant.className = 'plant';
+            plant.setAttribute('aria-label', 'Growing plant');
+            
+            potContainer.appendChild(pot);
+            potContainer.appendChild(plant);
+            container.appendChild(potContainer);
+        }
+        
+        this.elements.gardenArea.classList.toggle('bed', size > 1);
+    }
+
+    /**
+     * Show the target of each pot, left to right
+     * @param {string[]} targets - Plant emoji
+     */
+    renderTargets(targets) {
+        const layout = this.elements.targetLayout;
+        layout.innerHTML = '';
+        targets.forEach((target, i) => {
+            const flower = document.createElement('span');
+            flower.className = 'target-flower';
+            flower.dataset.pot = i;
+            flower.textContent = target;
+            layout.appendChild(flower);
+        });
+    }
+
+    /**
+     * Stand the wizard over the pot it is at (only garden beds walk)
+     * @param {boolean} [animate] - False to jump there at once
+     * @returns {Promise}
+     */
+    async placeWizard(animate = true) {
+        if (this.bed.getSize() === 1) {
+            return this.wizard.walkTo(0, false);
+        }
+        const pot = this.elements.gardenBed.children[this.bed.getPosition()];
+        const wizard = this.elements.wizard;
+        const x = pot.offsetLeft + (pot.offsetWidth - wizard.offsetWidth) / 2;
+        return this.wizard.walkTo(x, animate);
+    }
+
     /**
      * Update command palette based on current supply
      */
@@ -169,7 +392,7 @@ export class Game {
                     badge.className = 'supply-badge';
                     btn.appendChild(badge);
                 }
-                badge.textContent = remaining;
+                badge.textContent = remaining === Infinity ? '∞' : remaining;
                 badge.style.display = remaining > 0 ? '' : 'none';
                 
                 // Visual feedback for empty supply
@@ -180,10 +403,90 @@ export class Game {
             }
         });
         
-        // Hide loop button (supply system doesn't use loops)
-        if (this.elements.loopBtn) {
-            this.elements.loopBtn.style.display = 'none';
-        }
+        // Loops repeat actions without using supply, so only levels
+        // that ask for them show the loop buttons
+        [this.elements.loopBtn, this.elements.untilBtn].forEach(btn => {
+            if (btn) btn.style.display = this.levelConfig.loops ? '' : 'none';
+        });
+        
+        this.updateSpellButtons();
+    }
+
+    /**
+     * Render one palette button per spell book, showing the plant it grows
+     */
+    renderSpellBooks() {
+        const container = this.elements.spellBooks;
+        container.innerHTML = '';
+        
+        this.sequence.spellBooks.forEach(book => {
+            const btn = document.createElement('button');
+            btn.className = 'spell-btn';
+            btn.dataset.spell = book.name;
+            btn.setAttribute('aria-label', `Spell for ${book.name}`);
+            
+            const plant = document.createElement('span');
+            plant.setAttribute('aria-hidden', 'true');
+            plant.textContent = book.name;
+            btn.appendChild(plant);
+            
+            const badge = document.createElement('span');
+            badge.className = 'spell-badge';
+            badge.setAttribute('aria-hidden', 'true');
+            badge.textContent = '📖';
+            btn.appendChild(badge);
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-spell';
+            deleteBtn.textContent = '✖';
+            deleteBtn.setAttribute('aria-label', 'Delete spell');
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteSpell(book.name);
+            });
+            btn.appendChild(deleteBtn);
+            
+            btn.addEventListener('click', () => this.addSpell(book.name));
+            container.appendChild(btn);
+        });
+        
+        this.updateSpellButtons();
+    }
+
+    /**
+     * Show the spell books this level can use and grey out the ones
+     * the remaining supply cannot pay for
+     */
+    updateSpellButtons() {
+        this.elements.spellBooks.querySelectorAll('.spell-btn').forEach(btn => {
+            const book = this.sequence.getSpellBook(btn.dataset.spell);
+            const usable = book && this.canUseSpell(book);
+            const affordable = usable && this.canAffordSpell(book);
+            btn.style.display = usable ? '' : 'none';
+            btn.disabled = !affordable || this.isRunning;
+            btn.classList.toggle('empty', !affordable);
+        });
+    }
+
+    /**
+     * Check if a spell only needs what the level offers
+     * @param {Object} book - Spell book
+     * @returns {boolean}
+     */
+    canUseSpell(book) {
+        const needs = Object.keys(this.sequence.countActions(book.commands));
+        if (!needs.every(action => this.levelConfig.supply[action])) return false;
+        return !!this.levelConfig.loops || !this.sequence.hasLoops(book.commands);
+    }
+
+    /**
+     * Check if the remaining supply covers every action of a spell
+     * @param {Object} book - Spell book
+     * @returns {boolean}
+     */
+    canAffordSpell(book) {
+        return Object.entries(this.sequence.countActions(book.commands))
+            .every(([action, count]) => (this.currentSupply[action] || 0) >= count);
     }
 
     /**
@@ -215,6 +518,75 @@ export class Game {
         }
     }
 
+    /**
+     * Put every action of a removed block back in the supply
+     * @param {Object} cmd - Removed command (an action or a spell)
+     */
+    returnActions(cmd) {
+        if (this.sequence.isSpell(cmd)) {
+            Object.entries(this.sequence.countActions(cmd.commands)).forEach(([action, count]) => {
+                for (let i = 0; i < count; i++) {
+                    this.returnAction(action);
+                }
+            });
+        } else if (cmd.type !== 'loop') {
+            this.returnAction(cmd.type);
+        }
+    }
+
+    /**
+     * Add a spell block, paying for each of its actions from the supply
+     * @param {string} name - Plant emoji of the spell book
+     */
+    addSpell(name) {
+        const book = this.sequence.getSpellBook(name);
+        if (this.isRunning || !book || !this.canUseSpell(book) || !this.canAffordSpell(book)) return;
+        
+        Object.entries(this.sequence.countActions(book.commands)).forEach(([action, count]) => {
+            for (let i = 0; i < count; i++) {
+                this.useAction(action);
+            }
+        });
+        this.sequence.addSpell(name);
+        this.renderSequence();
+    }
+
+    /**
+     * Save the sequence as the spell book of the plant it just grew
+     */
+    saveSpell() {
+        if (this.isRunning || !this.lastBloom) return;
+        if (!this.sequence.saveSpellBook(this.lastBloom.emoji)) return;
+        
+        this.progress.set(SPELL_BOOKS_KEY, this.sequence.getSpellBooks());
+        this.audio.playGrowth();
+        this.renderSpellBooks();
+        this.setLastBloom(null);
+    }
+
+    /**
+     * Delete a spell book; blocks already in the sequence stay
+     * @param {string} name - Plant emoji of the spell book
+     */
+    deleteSpell(name) {
+        if (this.isRunning) return;
+        this.sequence.deleteSpellBook(name);
+        this.progress.set(SPELL_BOOKS_KEY, this.sequence.getSpellBooks());
+        this.renderSpellBooks();
+    }
+
+    /**
+     * Remember which plant the sequence grew, offering to save it as a spell
+     * @param {Object|null} plant - Bloomed plant, or null once the sequence changes
+     */
+    setLastBloom(plant) {
+        this.lastBloom = plant;
+        [this.elements.saveSpellBtn, this.elements.successSaveSpellBtn].forEach(btn => {
+            btn.style.display = plant ? '' : 'none';
+            btn.textContent = plant ? `💾${plant.emoji}` : '💾';
+        });
+    }
+
     /**
      * Add a command to the sequence
      */
@@ -248,8 +620,8 @@ export class Game {
      */
     removeCommandAt(index) {
         const cmd = this.sequence.getCommand(index);
-        if (cmd && cmd.type !== 'loop') {
-            this.returnAction(cmd.type);
+        if (cmd) {
+            this.returnActions(cmd);
         }
         this.sequence.removeCommand(index);
         this.renderSequence();
@@ -263,6 +635,16 @@ export class Game {
         this.renderSequence();
     }
 
+    /**
+     * Add a "repeat until" loop block
+     * @param {string} condition - Key of CONDITIONS
+     */
+    addUntilLoop(condition) {
+        if (this.isRunning || !CONDITIONS[condition]) return;
+        this.sequence.addUntilLoop(condition);
+        this.renderSequence();
+    }
+
     /**
      * Reorder within a loop
      */
@@ -287,6 +669,14 @@ export class Game {
         this.renderSequence();
     }
 
+    /**
+     * Move from one loop into another (loops nest up to the sequence's max depth)
+     */
+    moveBetweenLoops(fromLoop, cmdIndex, toLoop, targetIndex) {
+        this.sequence.moveBetweenLoops(fromLoop, cmdIndex, toLoop, targetIndex);
+        this.renderSequence();
+    }
+
     /**
      * Remove from loop
      */
@@ -309,6 +699,9 @@ export class Game {
     renderSequence() {
         const commands = this.sequence.getCommands();
         
+        // A changed sequence may not grow the same plant
+        this.setLastBloom(null);
+        
         // Show placeholder if empty
         this.elements.sequencePlaceholder.style.display = commands.length ? 'none' : 'flex';
         
@@ -322,14 +715,16 @@ export class Game {
         // Render each command
         commands.forEach((cmd, index) => {
             if (cmd.type === 'loop') {
-                this.renderLoopBlock(cmd, index);
+                this.elements.sequenceArea.appendChild(this.createLoopBlock(cmd, [index]));
+            } else if (this.sequence.isSpell(cmd)) {
+                this.renderSpellItem(cmd, index);
             } else {
                 this.renderCommandItem(cmd.type, index);
             }
         });
         
-        // Make items draggable
-        const items = this.elements.sequenceArea.querySelectorAll('.sequence-item');
+        // Make items draggable; loop blocks are dragged by their icon
+        const items = this.elements.sequenceArea.querySelectorAll(':scope > .sequence-item, :scope > .loop-block');
         this.dragDrop.makeItemsDraggable(items);
     }
 
@@ -347,12 +742,33 @@ export class Game {
     }
 
     /**
-     * Render a loop block
+     * Render a spell block as the plant it grows
+     */
+    renderSpellItem(spell, index) {
+        const item = document.createElement('div');
+        item.className = 'sequence-item spell-item';
+        item.dataset.index = index;
+        item.textContent = spell.name;
+        item.setAttribute('role', 'listitem');
+        item.setAttribute('aria-label', `Spell for ${spell.name}`);
+        this.elements.sequenceArea.appendChild(item);
+    }
+
+    /**
+     * Create a loop block, recursing into loops nested inside it
+     * @param {Object} loop - Loop command
+     * @param {number[]} path - Path of the loop in the sequence
+     * @returns {HTMLElement}
      */
-    renderLoopBlock(loop, index) {
+    createLoopBlock(loop, path) {
         const block = document.createElement('div');
         block.className = 'loop-block';
-        block.dataset.index = index;
+        block.dataset.path = path.join('.');
+        if (path.length === 1) {
+            block.dataset.index = path[0];
+        } else {
+            block.dataset.cmdIndex = path[path.length - 1];
+        }
         
         // Header with icon and iteration controls
         const header = document.createElement('div');
@@ -360,8 +776,58 @@ export class Game {
         
         const icon = document.createElement('span');
         icon.className = 'loop-icon';
-        icon.textContent = '🔄';
+        icon.textContent = this.sequence.isUntilLoop(loop) ? '🔁' : '🔄';
+        header.appendChild(icon);
+        
+        if (this.sequence.isUntilLoop(loop)) {
+            // Picture of what the loop waits for
+            block.classList.add('until-loop');
+            const condition = document.createElement('span');
+            condition.className = 'loop-condition';
+            condition.textContent = CONDITIONS[loop.until.condition] || '❓';
+            header.appendChild(condition);
+        } else {
+            header.appendChild(this.createLoopCounter(loop, path));
+        }
         
+        // Body for loop commands
+        const body = document.createElement('div');
+        body.className = 'loop-body';
+        
+        if (loop.commands.length === 0) {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'loop-placeholder';
+            placeholder.textContent = '⬇️';
+            body.appendChild(placeholder);
+        } else {
+            loop.commands.forEach((cmd, cmdIndex) => {
+                if (cmd.type === 'loop') {
+                    body.appendChild(this.createLoopBlock(cmd, [...path, cmdIndex]));
+                    return;
+                }
+                const item = document.createElement('div');
+                item.className = this.sequence.isSpell(cmd) ? 'loop-item spell-item' : 'loop-item';
+                item.dataset.cmdIndex = cmdIndex;
+                item.textContent = this.sequence.isSpell(cmd) ? cmd.name : cmd.type;
+                body.appendChild(item);
+            });
+        }
+        
+        block.appendChild(header);
+        block.appendChild(body);
+        
+        // Make loop items draggable
+        this.dragDrop.makeLoopItemsDraggable(body, path);
+        return block;
+    }
+
+    /**
+     * Create the − count + controls of a counted loop
+     * @param {Object} loop - Loop command
+     * @param {number[]} path - Loop path
+     * @returns {HTMLElement}
+     */
+    createLoopCounter(loop, path) {
         const counter = document.createElement('div');
         counter.className = 'loop-counter';
         
@@ -370,7 +836,7 @@ export class Game {
         minusBtn.textContent = '−';
         minusBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.updateLoopIterations(index, loop.iterations - 1);
+            this.updateLoopIterations(path, loop.iterations - 1);
         });
         
         const count = document.createElement('span');
@@ -382,41 +848,14 @@ export class Game {
         plusBtn.textContent = '+';
         plusBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.updateLoopIterations(index, loop.iterations + 1);
+            this.updateLoopIterations(path, loop.iterations + 1);
         });
         
         counter.appendChild(minusBtn);
         counter.appendChild(count);
         counter.appendChild(plusBtn);
         
-        header.appendChild(icon);
-        header.appendChild(counter);
-        
-        // Body for loop commands
-        const body = document.createElement('div');
-        body.className = 'loop-body';
-        
-        if (loop.commands.length === 0) {
-            const placeholder = document.createElement('div');
-            placeholder.className = 'loop-placeholder';
-            placeholder.textContent = '⬇️';
-            body.appendChild(placeholder);
-        } else {
-            loop.commands.forEach((cmd, cmdIndex) => {
-                const item = document.createElement('div');
-                item.className = 'loop-item';
-                item.dataset.cmdIndex = cmdIndex;
-                item.textContent = cmd.type;
-                body.appendChild(item);
-            });
-        }
-        
-        block.appendChild(header);
-        block.appendChild(body);
-        this.elements.sequenceArea.appendChild(block);
-        
-        // Make loop items draggable
-        this.dragDrop.makeLoopItemsDraggable(body, index);
+        return counter;
     }
 
     /**
@@ -436,7 +875,10 @@ export class Game {
             '💧': 'Water',
             '☀️': 'Sunshine',
             '🎵': 'Music',
-            '✨': 'Magic'
+            '✨': 'Magic',
+            '❔': 'Any action',
+            '⬅️': 'Walk left',
+            '➡️': 'Walk right'
         };
         return labels[action] || action;
     }
@@ -447,11 +889,7 @@ export class Game {
     clearSequence() {
         // Return all actions to supply
         const commands = this.sequence.getCommands();
-        commands.forEach(cmd => {
-            if (cmd.type !== 'loop') {
-                this.returnAction(cmd.type);
-            }
-        });
+        commands.forEach(cmd => this.returnActions(cmd));
         this.sequence.clear();
         this.renderSequence();
     }
@@ -461,8 +899,13 @@ export class Game {
      */
     reset() {
         this.isRunning = false;
-        this.garden.reset();
+        this.bed.reset();
         this.wizard.reset();
+        this.placeWizard(false);
+        this.highlightCommand(null);
+        this.clearWiltHint();
+        this.environment.reset();
+        this.renderWeather();
         
         // Reset supply to level config
         this.currentSupply = { ...this.levelConfig.supply };
@@ -473,11 +916,26 @@ export class Game {
     }
 
     /**
-     * Render the garden state
+     * Render the garden state: every pot's plant, and which pot the wizard is at
      */
     renderGarden() {
-        const stage = this.garden.getStage();
-        const plant = this.elements.plant;
+        Array.from(this.elements.gardenBed.children).forEach((potContainer, i) => {
+            potContainer.classList.remove('matched', 'missed');
+            potContainer.classList.toggle('current', this.bed.getSize() > 1 && i === this.bed.getPosition());
+            this.renderPot(this.bed.getPot(i), potContainer.querySelector('.plant'));
+        });
+        this.elements.targetLayout.querySelectorAll('.target-flower').forEach(flower => {
+            flower.classList.remove('matched', 'missed');
+        });
+    }
+
+    /**
+     * Show one pot's growth stage
+     * @param {Garden} pot - Pot state
+     * @param {HTMLElement} plant - The pot's plant element
+     */
+    renderPot(pot, plant) {
+        const stage = pot.getStage();
         
         // Remove all stage classes
         plant.classList.remove('seeded', 'sprouting', 'growing', 'blooming', 'wilted');
@@ -499,7 +957,7 @@ export class Game {
                 plant.classList.add('growing');
                 break;
             case GROWTH_STAGES.BLOOMING:
-                const result = this.garden.getResult();
+                const result = pot.getResult();
                 plant.textContent = result ? result.emoji : '🌸';
                 plant.classList.add('blooming');
                 break;
@@ -518,99 +976,357 @@ export class Game {
         
         this.isRunning = true;
         this.enableControls(false);
-        this.garden.reset();
+        this.bed.reset();
         this.renderGarden();
+        this.clearWiltHint();
+        await this.placeWizard();
+        
+        // The block that cast each pot's actions, for hints if it wilts
+        this.castPaths = Array.from({ length: this.bed.getSize() }, () => []);
         
-        const actions = this.sequence.flatten();
+        // Weather due before the first step
+        this.environment.reset();
+        await this.applyWeather(null);
+        
+        // "Repeat until" loops look at the garden as it grows
+        const program = new Interpreter(this.sequence.getCommands(), {
+            sense: (condition) => this.checkCondition(condition)
+        });
         
         // Execute each action
-        for (let i = 0; i < actions.length; i++) {
-            const action = actions[i];
+        let cmd;
+        while ((cmd = program.peek()) !== null) {
+            const action = cmd.type;
             
             // Highlight current command
-            this.highlightCommand(i);
-            
-            // Wizard casts the action
-            await this.wizard.castAction(action);
-            this.audio.playAction(action);
+            this.highlightCommand(cmd);
             
-            // Apply to garden
-            this.garden.applyAction(action);
-            this.renderGarden();
+            // A loop that never finished: stop the spell on it
+            if (action === 'halt') {
+                await this.wizard.puzzled();
+                this.audio.playError();
+                this.highlightCommand(null);
+                this.isRunning = false;
+                this.enableControls(true);
+                return;
+            }
+            program.advance();
             
-            // Play growth sound if plant changed
-            if (this.garden.getStage() !== GROWTH_STAGES.EMPTY) {
-                this.audio.playGrowth();
+            if (this.bed.isMove(action)) {
+                // Walk to the next pot; there is nothing to bump into, the wizard just stays
+                if (this.bed.move(action)) {
+                    this.audio.playAction(action);
+                    this.renderGarden();
+                    await this.placeWizard();
+                } else {
+                    await this.wizard.puzzled();
+                }
+            } else if (this.environment.blocks(action)) {
+                // The weather spoils the action: nothing reaches the pot
+                await this.wizard.castAction(action);
+                this.audio.playFizzle();
+                await this.showFizzle();
+            } else {
+                // Wizard casts the action
+                await this.wizard.castAction(action);
+                this.audio.playAction(action);
+                
+                // Apply to the pot the wizard is at
+                this.bed.applyAction(action);
+                this.castPaths[this.bed.getPosition()].push(cmd.path);
+                this.renderGarden();
+                
+                // Play growth sound if plant changed
+                if (this.bed.getPot().getStage() !== GROWTH_STAGES.EMPTY) {
+                    this.audio.playGrowth();
+                }
+                
+                await this.delay(TIMING.ACTION_DELAY);
             }
             
-            await this.delay(TIMING.ACTION_DELAY);
+            // Every step moves the weather on
+            this.environment.advance();
+            await this.applyWeather(cmd.path);
         }
         
         // Clear command highlighting
-        this.highlightCommand(-1);
+        this.highlightCommand(null);
         
         // Finalize result
         await this.delay(TIMING.GROWTH_DELAY);
-        const result = this.garden.finalize();
+        const results = this.bed.finalize();
+        const isNew = results.map((plant, i) => {
+            return this.seedBook.record(plant, this.bed.getPot(i).getAppliedActions());
+        });
         this.renderGarden();
+        this.setLastBloom(this.bed.getOnlyBloom());
         
         await this.delay(TIMING.RESULT_DELAY);
         
         // Check for success
-        if (this.garden.matchesTarget(this.levelConfig.target)) {
-            await this.wizard.celebrate();
-            this.audio.playSuccess();
-            this.showSuccess();
+        if (this.isSandbox) {
+            await this.finishExperiment(results[0], isNew[0]);
         } else {
-            await this.wizard.puzzled();
-            this.audio.playError();
+            const matches = this.bed.getMatches(this.targets);
+            this.showPotFeedback(matches);
+            if (this.bed.matchesTargets(this.targets)) {
+                await this.wizard.celebrate();
+                this.audio.playSuccess();
+                this.showSuccess();
+            } else {
+                // Pots that did grow their flower still get a cheer
+                if (matches.some(Boolean)) {
+                    this.audio.playGrowth();
+                }
+                await this.wizard.puzzled();
+                this.audio.playError();
+                this.showWiltHint(results.indexOf(WILTED));
+            }
         }
         
         this.isRunning = false;
         this.enableControls(true);
     }
 
+    /**
+     * Mark each pot, and its target, as grown right or not
+     * Only garden beds get marks; a single pot's bloom says it all
+     * @param {boolean[]} matches - From GardenBed.getMatches()
+     */
+    showPotFeedback(matches) {
+        if (matches.length < 2) return;
+        const pots = this.elements.gardenBed.children;
+        const flowers = this.elements.targetLayout.querySelectorAll('.target-flower');
+        matches.forEach((matched, i) => {
+            pots[i].classList.add(matched ? 'matched' : 'missed');
+            flowers[i].classList.add(matched ? 'matched' : 'missed');
+        });
+    }
+
+    /**
+     * Start the weather due at the current step
+     * Rain waters the pot the wizard is at; night and wind change the sky
+     * @param {number[]|null} path - Block just cast, which rain is counted with for hints
+     */
+    async applyWeather(path) {
+        for (const event of this.environment.getStartingEvents()) {
+            this.audio.playWeather(event.type);
+            if (event.type === WEATHER.RAIN) {
+                this.elements.gardenArea.classList.add('raining');
+                await this.wizard.watchWeather();
+                this.bed.applyAction(ACTIONS.WATER);
+                this.castPaths[this.bed.getPosition()].push(path);
+                this.renderGarden();
+                await this.delay(TIMING.ACTION_DELAY);
+                this.elements.gardenArea.classList.remove('raining');
+            } else {
+                this.renderWeather();
+                await this.wizard.watchWeather();
+            }
+        }
+        this.renderWeather();
+    }
+
+    /**
+     * Show the level's weather: icon and the step it starts after
+     * (with the step it stops at for night and wind that end)
+     */
+    renderForecast() {
+        const forecast = this.elements.forecast;
+        forecast.innerHTML = '';
+        this.environment.getEvents().forEach(event => {
+            const item = document.createElement('span');
+            item.className = 'forecast-item';
+            item.setAttribute('aria-label', `${event.type} after ${event.step} steps`);
+            item.textContent = WEATHER_ICONS[event.type];
+            
+            const step = document.createElement('span');
+            step.className = 'forecast-step';
+            step.textContent = event.steps ? `${event.step}→${event.step + event.steps}` : event.step;
+            step.setAttribute('aria-hidden', 'true');
+            item.appendChild(step);
+            
+            forecast.appendChild(item);
+        });
+        this.renderWeather();
+    }
+
+    /**
+     * Darken the sky at night, blow wind across it, and mark the
+     * forecast with the weather that is on or over
+     */
+    renderWeather() {
+        const { environment } = this;
+        this.elements.gardenArea.classList.toggle('night', environment.isActive(WEATHER.NIGHT));
+        this.elements.gardenArea.classList.toggle('windy', environment.isActive(WEATHER.WIND));
+        
+        const items = this.elements.forecast.children;
+        environment.getEvents().forEach((event, i) => {
+            const on = environment.isEventOn(event);
+            items[i]?.classList.toggle('active', on);
+            items[i]?.classList.toggle('past', !on && environment.getStep() > event.step);
+        });
+    }
+
+    /**
+     * Shake the pot the wizard is at when the weather spoils an action
+     * @returns {Promise}
+     */
+    async showFizzle() {
+        const pot = this.elements.gardenBed.children[this.bed.getPosition()];
+        pot.classList.add('fizzled');
+        await this.delay(TIMING.ACTION_DELAY);
+        pot.classList.remove('fizzled');
+    }
+
+    /**
+     * Show on the sequence why a pot wilted: the first wrong slot with a
+     * ghost of the icon that belongs there, or a missing or extra action
+     * @param {number} potIndex - Wilted pot (-1 for none)
+     */
+    showWiltHint(potIndex) {
+        if (potIndex < 0) return;
+        const target = getPlantByEmoji(this.targets[potIndex]);
+        const hint = target && diffRecipe(this.bed.getPot(potIndex).getAppliedActions(), target);
+        const paths = this.castPaths[potIndex];
+        if (!hint || paths.length === 0) return;
+        
+        // A missing action at the end goes after the last block
+        const slot = this.getCommandElement(paths[Math.min(hint.index, paths.length - 1)]);
+        if (!slot) return;
+        
+        const badge = document.createElement('span');
+        badge.className = 'hint-badge';
+        badge.textContent = describeHint(hint);
+        badge.setAttribute('aria-hidden', 'true');
+        
+        if (hint.type === HINT_TYPES.MISSING) {
+            const ghost = document.createElement('div');
+            ghost.className = 'hint-ghost-slot';
+            ghost.textContent = hint.expected;
+            ghost.setAttribute('aria-label', `Missing ${this.getActionLabel(hint.expected)}`);
+            ghost.appendChild(badge);
+            if (hint.index < paths.length) {
+                slot.before(ghost);
+            } else {
+                slot.after(ghost);
+            }
+            return;
+        }
+        
+        slot.classList.add(hint.type === HINT_TYPES.EXTRA ? 'hint-extra' : 'hint-wrong');
+        if (hint.type === HINT_TYPES.WRONG) {
+            const ghost = document.createElement('span');
+            ghost.className = 'hint-ghost';
+            ghost.textContent = hint.expected;
+            ghost.setAttribute('aria-hidden', 'true');
+            slot.appendChild(ghost);
+        }
+        slot.appendChild(badge);
+    }
+
+    /**
+     * Take any wilt hint off the sequence
+     */
+    clearWiltHint() {
+        const area = this.elements.sequenceArea;
+        area.querySelectorAll('.hint-ghost-slot, .hint-ghost, .hint-badge').forEach(el => el.remove());
+        area.querySelectorAll('.hint-wrong, .hint-extra').forEach(el => {
+            el.classList.remove('hint-wrong', 'hint-extra');
+        });
+    }
+
+    /**
+     * React to a spell cast in the sandbox
+     * Any bloom is a success; a new plant opens the seed book on its page
+     * @param {Object|null} plant - Plant from finalize()
+     * @param {boolean} isNew - True if the plant was new to the seed book
+     */
+    async finishExperiment(plant, isNew) {
+        if (!plant || plant === WILTED) {
+            await this.wizard.puzzled();
+            this.audio.playError();
+            return;
+        }
+        
+        await this.wizard.celebrate();
+        this.audio.playSuccess();
+        if (isNew) {
+            this.showSeedBook(plant);
+        }
+    }
+
+    /**
+     * Read the sensor of a "repeat until" loop
+     * @param {string} condition - Key of CONDITIONS
+     * @returns {boolean}
+     */
+    checkCondition(condition) {
+        if (condition === 'bloom') {
+            return this.bed.wouldBloom();
+        }
+        return false;
+    }
+
     /**
      * Highlight a command during execution
+     * @param {Object|null} cmd - Command from the interpreter, or null to clear
      */
-    highlightCommand(index) {
+    highlightCommand(cmd) {
         // Remove existing highlights
-        document.querySelectorAll('.sequence-item.executing, .loop-item.executing').forEach(el => {
+        document.querySelectorAll('.sequence-item.executing, .loop-item.executing, .loop-block.executing').forEach(el => {
             el.classList.remove('executing');
         });
         
-        if (index >= 0) {
-            // Find the item at this index in flattened sequence
-            const items = document.querySelectorAll('.sequence-item, .loop-item');
-            let flatIndex = 0;
-            
-            items.forEach(item => {
-                if (flatIndex === index) {
-                    item.classList.add('executing');
-                }
-                flatIndex++;
-            });
+        if (!cmd || !cmd.path) return;
+        this.getCommandElement(cmd.path)?.classList.add('executing');
+    }
+
+    /**
+     * Find the block on the sequence area for a command path
+     * Top-level items and loops carry their index; blocks inside a loop their place in it
+     * @param {number[]} path - Path from the interpreter
+     * @returns {HTMLElement|null}
+     */
+    getCommandElement(path) {
+        if (!path) return null;
+        const [index, ...inner] = path;
+        let el = this.elements.sequenceArea.querySelector(`:scope > [data-index="${index}"]`);
+        for (const cmdIndex of inner) {
+            el = el?.querySelector(`:scope > .loop-body > [data-cmd-index="${cmdIndex}"]`);
         }
+        return el || null;
     }
 
     /**
      * Enable/disable controls
      */
     enableControls(enabled) {
-        document.querySelectorAll('.command-btn').forEach(btn => {
+        document.querySelectorAll('.command-btn, .spell-btn').forEach(btn => {
             btn.disabled = !enabled;
         });
+        if (enabled) {
+            this.updateSpellButtons();
+        }
         this.elements.playBtn.disabled = !enabled;
         this.elements.clearBtn.disabled = !enabled;
-        if (this.elements.loopBtn) {
-            this.elements.loopBtn.disabled = !enabled;
-        }
+        [this.elements.loopBtn, this.elements.untilBtn].forEach(btn => {
+            if (btn) btn.disabled = !enabled;
+        });
     }
 
     /**
      * Show success overlay
      */
     showSuccess() {
+        const solution = this.sequence.toSolution();
+        const stars = rateSolution(solution.blocks, getLevelPar(this.levelConfig));
+        if (this.isPractice) {
+            this.progress.set(PRACTICE_KEY, this.progress.get(PRACTICE_KEY, 0) + 1);
+        } else {
+            this.progress.completeLevel(this.currentLevel, solution, stars);
+        }
+        renderStars(this.elements.successStars, stars);
         this.elements.successOverlay.classList.add('active');
     }
 
@@ -620,7 +1336,10 @@ export class Game {
     nextLevel() {
         this.elements.successOverlay.classList.remove('active');
         
-        if (this.currentLevel < getTotalLevels()) {
+        if (this.isPractice || this.currentLevel >= getTotalLevels()) {
+            // The authored levels are done: practice goes on from here
+            this.startPractice();
+        } else {
             // Clear sequence first (before loading new level) to avoid
             // returning old commands to new level's supply
             this.sequence.clear();
@@ -631,6 +1350,53 @@ export class Game {
         }
     }
 
+    /**
+     * Show the level map
+     */
+    showLevelSelect() {
+        if (this.isRunning) return;
+        this.levelSelect.render(this.currentLevel);
+        this.elements.practiceBtn.style.display = this.isPracticeUnlocked() ? '' : 'none';
+        this.elements.levelSelectOverlay.classList.add('active');
+    }
+
+    /**
+     * Hide the level map
+     */
+    hideLevelSelect() {
+        this.elements.levelSelectOverlay.classList.remove('active');
+    }
+
+    /**
+     * Jump to a level chosen on the level map
+     * @param {number} levelNum - Level number
+     */
+    selectLevel(levelNum) {
+        this.hideLevelSelect();
+        // Clear first so old commands aren't returned to the new level's supply
+        this.sequence.clear();
+        this.renderSequence();
+        this.loadLevel(levelNum);
+    }
+
+    /**
+     * Show the seed book
+     * @param {Object|null} highlight - Plant just discovered
+     */
+    showSeedBook(highlight = null) {
+        if (this.isRunning && !highlight) return;
+        this.seedBook.render(this.elements.seedBookGrid, highlight);
+        this.elements.seedBookCount.textContent = `${this.seedBook.getDiscoveredCount()}/${getTotalPlants()}`;
+        this.elements.seedBookOverlay.classList.add('active');
+    }
+
+    /**
+     * Hide the seed book
+     */
+    hideSeedBook() {
+        this.elements.seedBookOverlay.classList.remove('active');
+    }
+
     /**
      * Show help overlay
      */
@@ -71,6 +71,16 @@ export class Garden {
         return this.result;
     }
 
+    /**
+     * Check if the actions so far would bloom into a flower if the spell
+     * ended now (used by "repeat until" loops)
+     * @returns {boolean} True if the recipe makes a plant
+     */
+    wouldBloom() {
+        const plant = getPlantForRecipe(this.appliedActions);
+        return plant !== null && plant !== WILTED;
+    }
+
     /**
      * Get current growth stage
      * @returns {string} Current stage
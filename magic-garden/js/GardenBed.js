@@ -0,0 +1,152 @@
+/**
+ * GardenBed - A row of pots the wizard walks along
+ *
+ * Each pot is its own Garden with its own actions and growth stage.
+ * Spell actions go to the pot the wizard stands at; ⬅️ and ➡️ walk to
+ * the next pot. Walking off either end leaves the wizard where it is,
+ * so a loop may take one step too many without spoiling the spell.
+ */
+import { Garden } from './Garden.js';
+import { WILTED } from './Plants.js';
+
+// Commands that walk the wizard between pots
+export const MOVES = {
+    LEFT: '⬅️',
+    RIGHT: '➡️'
+};
+
+export class GardenBed {
+    /**
+     * @param {number} [size] - Number of pots
+     */
+    constructor(size = 1) {
+        this.resize(size);
+    }
+
+    /**
+     * Replace the pots with a new, empty row
+     * @param {number} size - Number of pots (at least 1)
+     */
+    resize(size) {
+        this.pots = Array.from({ length: Math.max(1, size) }, () => new Garden());
+        this.position = 0;
+    }
+
+    /**
+     * Empty every pot and put the wizard back at the first one
+     */
+    reset() {
+        this.pots.forEach(pot => pot.reset());
+        this.position = 0;
+    }
+
+    /**
+     * Get number of pots
+     * @returns {number}
+     */
+    getSize() {
+        return this.pots.length;
+    }
+
+    /**
+     * Get the pot the wizard stands at
+     * @returns {number} Pot index
+     */
+    getPosition() {
+        return this.position;
+    }
+
+    /**
+     * Get a pot
+     * @param {number} [index] - Pot index (default: where the wizard stands)
+     * @returns {Garden|null}
+     */
+    getPot(index = this.position) {
+        return this.pots[index] || null;
+    }
+
+    /**
+     * Check if a command walks the wizard
+     * @param {string} action - Action emoji
+     * @returns {boolean}
+     */
+    isMove(action) {
+        return action === MOVES.LEFT || action === MOVES.RIGHT;
+    }
+
+    /**
+     * Walk the wizard one pot along
+     * @param {string} move - MOVES.LEFT or MOVES.RIGHT
+     * @returns {boolean} False if there is no pot that way
+     */
+    move(move) {
+        const next = this.position + (move === MOVES.LEFT ? -1 : 1);
+        if (next < 0 || next >= this.pots.length) return false;
+        this.position = next;
+        return true;
+    }
+
+    /**
+     * Cast an action on the pot the wizard stands at
+     * @param {string} action - Action emoji
+     * @returns {string} The pot's new growth stage
+     */
+    applyAction(action) {
+        return this.getPot().applyAction(action);
+    }
+
+    /**
+     * Check if the pot the wizard stands at would bloom now
+     * (used by "repeat until" loops)
+     * @returns {boolean}
+     */
+    wouldBloom() {
+        return this.getPot().wouldBloom();
+    }
+
+    /**
+     * Finish growing every pot
+     * @returns {Array<Object|null>} Each pot's plant, WILTED, or null if left empty
+     */
+    finalize() {
+        return this.pots.map(pot => pot.finalize());
+    }
+
+    /**
+     * The one kind of flower the bed grew
+     * @returns {Object|null} Plant, or null if nothing grew, a pot wilted
+     *   or the pots grew different flowers
+     */
+    getOnlyBloom() {
+        const results = this.pots.filter(pot => pot.hasGrowth()).map(pot => pot.getResult());
+        if (results.length === 0 || results.some(plant => !plant || plant === WILTED)) return null;
+        return results.every(plant => plant === results[0]) ? results[0] : null;
+    }
+
+    /**
+     * Which pots grew their target
+     * @param {string[]} targets - Plant emoji for each pot
+     * @returns {boolean[]}
+     */
+    getMatches(targets) {
+        return this.pots.map((pot, i) => !!pot.matchesTarget(targets[i]));
+    }
+
+    /**
+     * Count the pots that grew their target (for partial credit)
+     * @param {string[]} targets - Plant emoji for each pot
+     * @returns {number}
+     */
+    countMatches(targets) {
+        return this.getMatches(targets).filter(Boolean).length;
+    }
+
+    /**
+     * Check if every pot grew its target
+     * @param {string[]} targets - Plant emoji for each pot
+     * @returns {boolean}
+     */
+    matchesTargets(targets) {
+        return targets.length === this.pots.length && this.countMatches(targets) === this.pots.length;
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * LevelGenerator - Endless practice levels for Magic Garden
+ *
+ * Picks a target plant for a difficulty tier and builds its supply: the
+ * seed, the recipe's actions, and some distractor actions the spell does
+ * not need. Tiers go by how many orders the recipe's actions can be put
+ * in (💧💧☀️ has 3!/2! = 3), so harder levels give more to try and more
+ * left over. Every level is checked with validateLevel before it is used.
+ */
+import { ACTIONS, getAllPlants } from './Plants.js';
+import { validateLevel } from './Levels.js';
+
+export const DIFFICULTY = {
+    EASY: 'easy',
+    MEDIUM: 'medium',
+    HARD: 'hard'
+};
+
+// Recipe arrangements and distractor actions for each tier
+export const TIERS = {
+    [DIFFICULTY.EASY]: { minArrangements: 1, maxArrangements: 2, distractors: 0 },
+    [DIFFICULTY.MEDIUM]: { minArrangements: 3, maxArrangements: 6, distractors: 1 },
+    [DIFFICULTY.HARD]: { minArrangements: 7, maxArrangements: Infinity, distractors: 2 }
+};
+
+// Practice levels solved before the next tier starts
+export const LEVELS_PER_TIER = 3;
+
+// Generated levels tried before giving up
+const MAX_ATTEMPTS = 20;
+
+// Actions that can be added as distractors (a second seed never helps)
+const DISTRACTOR_ACTIONS = Object.values(ACTIONS).filter(action => action !== ACTIONS.SEED);
+
+/**
+ * Count the different orders a list of actions can be put in
+ * (n! divided by k! for each action repeated k times)
+ * @param {string[]} actions - Action emojis
+ * @returns {number}
+ */
+export function countArrangements(actions) {
+    const repeats = {};
+    actions.forEach(action => {
+        repeats[action] = (repeats[action] || 0) + 1;
+    });
+    return Object.values(repeats).reduce(
+        (total, count) => total / factorial(count),
+        factorial(actions.length)
+    );
+}
+
+/**
+ * Plants whose recipes fit a tier
+ * @param {string} difficulty - Key of TIERS
+ * @returns {Object[]} Plants
+ */
+export function getTierPlants(difficulty) {
+    const { minArrangements, maxArrangements } = TIERS[difficulty];
+    return getAllPlants().filter(plant => {
+        const arrangements = countArrangements(plant.recipe);
+        return arrangements >= minArrangements && arrangements <= maxArrangements;
+    });
+}
+
+/**
+ * Tier for the next practice level: a few of each, then hard from there on
+ * @param {number} solved - Practice levels solved so far
+ * @returns {string} DIFFICULTY value
+ */
+export function getPracticeDifficulty(solved) {
+    const tiers = Object.values(DIFFICULTY);
+    return tiers[Math.min(Math.floor(solved / LEVELS_PER_TIER), tiers.length - 1)];
+}
+
+/**
+ * Make a practice level
+ * @param {Object} [options]
+ * @param {string} [options.difficulty] - DIFFICULTY value
+ * @param {number} [options.id] - Level id
+ * @param {string|null} [options.avoid] - Plant emoji not to pick (e.g. the last target)
+ * @param {Function} [options.random] - Returns a number in [0, 1), for repeatable levels
+ * @returns {Object} Level object, with par set to the recipe's blocks
+ */
+export function generateLevel({ difficulty = DIFFICULTY.EASY, id = 1, avoid = null, random = Math.random } = {}) {
+    const tier = TIERS[difficulty];
+    if (!tier) {
+        throw new Error(`Unknown difficulty: ${difficulty}`);
+    }
+    const plants = getTierPlants(difficulty);
+    const choices = plants.length > 1 ? plants.filter(plant => plant.emoji !== avoid) : plants;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const plant = pick(choices, random);
+        const supply = { [ACTIONS.SEED]: 1 };
+        [...plant.recipe, ...pickDistractors(tier.distractors, random)].forEach(action => {
+            supply[action] = (supply[action] || 0) + 1;
+        });
+
+        const level = {
+            id,
+            target: plant.emoji,
+            supply,
+            par: plant.recipe.length + 1,
+            difficulty
+        };
+        if (validateLevel(level)) {
+            return level;
+        }
+    }
+    throw new Error(`Could not make a ${difficulty} level`);
+}
+
+/**
+ * @param {number} count - Distractor actions to add
+ * @param {Function} random
+ * @returns {string[]}
+ */
+function pickDistractors(count, random) {
+    return Array.from({ length: count }, () => pick(DISTRACTOR_ACTIONS, random));
+}
+
+/**
+ * @param {Array} items
+ * @param {Function} random
+ * @returns {*} One of the items
+ */
+function pick(items, random) {
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * @param {number} n
+ * @returns {number}
+ */
+function factorial(n) {
+    return n <= 1 ? 1 : n * factorial(n - 1);
+}
@@ -4,14 +4,22 @@
  * Level format:
  * {
  *   id: number,
- *   target: string (plant emoji),
- *   supply: Object (action emoji -> count available)
+ *   target: string (plant emoji, for a single pot),
+ *   targets: string[] (optional, plant emoji for each pot of a garden bed, left to right),
+ *   supply: Object (action or move emoji -> count available),
+ *   loops: boolean (optional, shows the 🔄 and 🔁🌸 loop blocks),
+ *   par: number (optional, blocks for 3 ⭐; defaults to the supply size),
+ *   weather: Object[] (optional, { type, step, steps } events, see Environment.js)
  * }
  * 
  * Supply system: Each level gives EXACT actions needed to solve,
- * so player just needs to figure out the correct ORDER.
+ * so player just needs to figure out the correct ORDER. Garden beds
+ * also give exactly the ➡️ steps needed to reach the last pot, and
+ * rain gives one of the 💧.
  */
 import { ACTIONS, PLANTS } from './Plants.js';
+import { MOVES } from './GardenBed.js';
+import { WEATHER, isValidWeather } from './Environment.js';
 
 export const LEVELS = [
     // Phase 1: Single action type - Only 1 possible arrangement!
@@ -146,7 +154,7 @@ export const LEVELS = [
         }
     },
     
-    // Level 12: Bouquet - grand finale (seed + water + sun + music + magic) - 24 arrangements
+    // Level 12: Bouquet - single-pot finale (seed + water + sun + music + magic) - 24 arrangements
     {
         id: 12,
         target: '💐',
@@ -157,6 +165,161 @@ export const LEVELS = [
             [ACTIONS.MUSIC]: 1,
             [ACTIONS.MAGIC]: 1
         }
+    },
+    
+    // Phase 6: Garden beds - the wizard walks ➡️ between pots
+    
+    // Level 13: Two tulips - the same spell in each pot
+    {
+        id: 13,
+        targets: ['🌷', '🌷'],
+        supply: {
+            [ACTIONS.SEED]: 2,
+            [ACTIONS.WATER]: 2,
+            [ACTIONS.SUN]: 2,
+            [MOVES.RIGHT]: 1
+        }
+    },
+    
+    // Level 14: Tulip then sunflower - same supply, each pot its own order
+    {
+        id: 14,
+        targets: ['🌷', '🌻'],
+        supply: {
+            [ACTIONS.SEED]: 2,
+            [ACTIONS.WATER]: 2,
+            [ACTIONS.SUN]: 2,
+            [MOVES.RIGHT]: 1
+        }
+    },
+    
+    // Level 15: Tulip, sunflower, tulip
+    {
+        id: 15,
+        targets: ['🌷', '🌻', '🌷'],
+        supply: {
+            [ACTIONS.SEED]: 3,
+            [ACTIONS.WATER]: 3,
+            [ACTIONS.SUN]: 3,
+            [MOVES.RIGHT]: 2
+        }
+    },
+    
+    // Level 16: A row of clovers - 🔄3 [🌱💧💧💧➡️] plants the whole bed
+    {
+        id: 16,
+        targets: ['🍀', '🍀', '🍀'],
+        supply: {
+            [ACTIONS.SEED]: 3,
+            [ACTIONS.WATER]: 9,
+            [MOVES.RIGHT]: 2
+        },
+        loops: true,
+        par: 6
+    },
+    
+    // Phase 7: Patterns - plants that grow from a rule, so more than one spell works
+    
+    // Level 17: Mushroom - 💧💧 and ✨ in any order
+    {
+        id: 17,
+        target: '🍄',
+        supply: {
+            [ACTIONS.SEED]: 1,
+            [ACTIONS.WATER]: 2,
+            [ACTIONS.MAGIC]: 1
+        }
+    },
+    
+    // Level 18: Palm - ☀️☀️ and 💧 in any order, but ✨ comes last
+    {
+        id: 18,
+        target: '🌴',
+        supply: {
+            [ACTIONS.SEED]: 1,
+            [ACTIONS.SUN]: 2,
+            [ACTIONS.WATER]: 1,
+            [ACTIONS.MAGIC]: 1
+        }
+    },
+    
+    // Level 19: Tree - 💧 first, ☀️ last, anything in between
+    {
+        id: 19,
+        target: '🌳',
+        supply: {
+            [ACTIONS.SEED]: 1,
+            [ACTIONS.WATER]: 2,
+            [ACTIONS.MUSIC]: 1,
+            [ACTIONS.SUN]: 1
+        }
+    },
+    
+    // Level 20: Rosette - start of a hyacinth, end of a hibiscus
+    {
+        id: 20,
+        target: '🏵️',
+        supply: {
+            [ACTIONS.SEED]: 1,
+            [ACTIONS.WATER]: 1,
+            [ACTIONS.MUSIC]: 1,
+            [ACTIONS.SUN]: 1,
+            [ACTIONS.MAGIC]: 1
+        }
+    },
+    
+    // Phase 8: Weather - think about what the garden is like when each action lands
+    
+    // Level 21: Rose - 🌧️ rain after two steps gives the second 💧
+    {
+        id: 21,
+        target: '🌹',
+        supply: {
+            [ACTIONS.SEED]: 1,
+            [ACTIONS.WATER]: 1,
+            [ACTIONS.SUN]: 1
+        },
+        weather: [{ type: WEATHER.RAIN, step: 2 }]
+    },
+    
+    // Level 22: Palm - 🌙 night on the second step, so ☀️ must wait (🌱💧☀️☀️✨)
+    {
+        id: 22,
+        target: '🌴',
+        supply: {
+            [ACTIONS.SEED]: 1,
+            [ACTIONS.WATER]: 1,
+            [ACTIONS.SUN]: 2,
+            [ACTIONS.MAGIC]: 1
+        },
+        weather: [{ type: WEATHER.NIGHT, step: 1, steps: 1 }]
+    },
+    
+    // Level 23: Mushroom - 🌬️ wind from the third step, so ✨ goes early (🌱✨💧💧)
+    {
+        id: 23,
+        target: '🍄',
+        supply: {
+            [ACTIONS.SEED]: 1,
+            [ACTIONS.WATER]: 2,
+            [ACTIONS.MAGIC]: 1
+        },
+        weather: [{ type: WEATHER.WIND, step: 2 }]
+    },
+    
+    // Level 24: Rose - rain and a night together (🌱 🌧️ 💧 ☀️)
+    {
+        id: 24,
+        target: '🌹',
+        supply: {
+            [ACTIONS.SEED]: 1,
+            [ACTIONS.WATER]: 1,
+            [ACTIONS.SUN]: 1
+        },
+        weather: [
+            { type: WEATHER.RAIN, step: 1 },
+            { type: WEATHER.NIGHT, step: 1, steps: 1 }
+        ]
     }
 ];
 
@@ -170,6 +333,49 @@ export function getLevel(levelNum) {
     return LEVELS[clamped - 1];
 }
 
+/**
+ * Target plant of each pot, left to right
+ * @param {Object} level - Level object
+ * @returns {string[]} Plant emoji (one per pot)
+ */
+export function getLevelTargets(level) {
+    return level.targets ? [...level.targets] : [level.target];
+}
+
+/**
+ * Weather scripted for a level
+ * @param {Object} level - Level object
+ * @returns {Object[]} Events (empty for fair weather)
+ */
+export function getLevelWeather(level) {
+    return level.weather ? level.weather.map(event => ({ ...event })) : [];
+}
+
+/**
+ * Blocks needed for 3 stars
+ * The supply holds exactly the actions the recipe needs, so without loops
+ * par is the whole supply; loop levels set a lower par of their own
+ * @param {Object} level - Level object
+ * @returns {number}
+ */
+export function getLevelPar(level) {
+    return level.par ?? Object.values(level.supply).reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Free-play garden for filling the seed book
+ * Every action is unlimited and both loop blocks are offered; there is no
+ * target, so any bloom counts
+ * @returns {Object} Level object
+ */
+export function createSandboxLevel() {
+    const supply = {};
+    Object.values(ACTIONS).forEach(action => {
+        supply[action] = Infinity;
+    });
+    return { id: 0, target: null, supply, loops: true, sandbox: true };
+}
+
 /**
  * Get total number of levels
  * @returns {number} Total level count
@@ -184,37 +390,43 @@ export function getTotalLevels() {
  * @returns {boolean} True if valid
  */
 export function validateLevel(level) {
-    if (!level.id || !level.target || !level.supply) {
+    if (!level.id || !(level.target || level.targets) || !level.supply) {
         return false;
     }
     
-    // Check target is a known plant
-    const targetPlant = PLANTS.find(p => p.emoji === level.target);
-    if (!targetPlant) {
+    // Check every target is a known plant
+    const targets = getLevelTargets(level);
+    const targetPlants = targets.map(emoji => PLANTS.find(p => p.emoji === emoji));
+    if (targets.length === 0 || targetPlants.some(plant => !plant)) {
         return false;
     }
     
-    // Check supply includes seed
-    if (!level.supply[ACTIONS.SEED] || level.supply[ACTIONS.SEED] < 1) {
+    if (level.weather && !isValidWeather(level.weather)) {
         return false;
     }
     
-    // Check recipe can be made with supply
-    const recipe = targetPlant.recipe;
+    // Check recipes can be made with supply, plus the 💧 each rain gives
     const supplyCopy = { ...level.supply };
-    
-    // Use seed first
-    supplyCopy[ACTIONS.SEED]--;
-    
-    // Check each recipe action
-    for (const action of recipe) {
-        if (!supplyCopy[action] || supplyCopy[action] < 1) {
+    const rain = getLevelWeather(level).filter(event => event.type === WEATHER.RAIN).length;
+    supplyCopy[ACTIONS.WATER] = (supplyCopy[ACTIONS.WATER] || 0) + rain;
+    for (const plant of targetPlants) {
+        // Use seed first
+        if (!supplyCopy[ACTIONS.SEED] || supplyCopy[ACTIONS.SEED] < 1) {
             return false;
         }
-        supplyCopy[action]--;
+        supplyCopy[ACTIONS.SEED]--;
+        
+        // Check each recipe action
+        for (const action of plant.recipe) {
+            if (!supplyCopy[action] || supplyCopy[action] < 1) {
+                return false;
+            }
+            supplyCopy[action]--;
+        }
     }
     
-    return true;
+    // Check the wizard can walk to the last pot
+    return (supplyCopy[MOVES.RIGHT] || 0) >= targets.length - 1;
 }
 
 /**
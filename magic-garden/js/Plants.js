@@ -3,6 +3,8 @@
  * 
  * Defines all discoverable plants and their recipes.
  * A recipe is a sequence of actions (after the seed) that produces a plant.
+ * Some plants grow from a rule instead of one exact order (see matchesRule),
+ * so kids can spot patterns like "lots of 💧, then ✨".
  */
 
 // All available actions
@@ -14,8 +16,13 @@ export const ACTIONS = {
     MAGIC: '✨'
 };
 
+// Wildcard in a rule pattern: matches any one action
+export const ANY = '❔';
+
 // Plant database with recipes
-// Recipe format: array of actions AFTER the seed
+// Recipe format: array of actions AFTER the seed. Plants with a `rule` grow
+// from any spell that follows it; their recipe is one example that does.
+// Exact recipes win over rules, and rules are tried in this order.
 export const PLANTS = [
     { emoji: '🌷', name: 'tulip', recipe: ['💧', '☀️'] },
     { emoji: '🌻', name: 'sunflower', recipe: ['☀️', '💧'] },
@@ -28,7 +35,33 @@ export const PLANTS = [
     { emoji: '🌼', name: 'daisy', recipe: ['☀️', '💧', '💧'] },
     { emoji: '💐', name: 'bouquet', recipe: ['💧', '☀️', '🎵', '✨'] },
     { emoji: '🪷', name: 'lotus', recipe: ['💧', '💧', '🎵'] },
-    { emoji: '🌾', name: 'wheat', recipe: ['☀️', '☀️', '💧'] }
+    { emoji: '🌾', name: 'wheat', recipe: ['☀️', '☀️', '💧'] },
+    
+    // Grown from rules
+    {
+        emoji: '🍄',
+        name: 'mushroom',
+        recipe: ['💧', '✨', '💧'],
+        rule: { counts: { '💧': { min: 2 }, '✨': { min: 1 }, '☀️': 0, '🎵': 0 } } // in any order, in the dark
+    },
+    {
+        emoji: '🌴',
+        name: 'palm',
+        recipe: ['☀️', '💧', '☀️', '✨'],
+        rule: { counts: { '☀️': { min: 2 } }, last: '✨' } // ✨ must come last
+    },
+    {
+        emoji: '🌳',
+        name: 'tree',
+        recipe: ['💧', '🎵', '💧', '☀️'],
+        rule: { pattern: ['💧', ANY, ANY, '☀️'] } // anything in the middle
+    },
+    {
+        emoji: '🏵️',
+        name: 'rosette',
+        recipe: ['💧', '🎵', '☀️', '✨'],
+        rule: { hybrid: ['🪻', '🌺'] } // starts like a hyacinth, ends like a hibiscus
+    }
 ];
 
 // Wilted plant for failed recipes
@@ -64,9 +97,86 @@ export function getPlantForRecipe(actions) {
     
     // Find matching plant
     const recipeStr = recipeToString(recipe);
-    const plant = PLANTS.find(p => recipeToString(p.recipe) === recipeStr);
+    const plant = PLANTS.find(p => !p.rule && recipeToString(p.recipe) === recipeStr);
+    if (plant) {
+        return plant;
+    }
     
-    return plant || WILTED;
+    // A second seed spoils every rule
+    if (recipe.includes(ACTIONS.SEED)) {
+        return WILTED;
+    }
+    return PLANTS.find(p => p.rule && matchesRule(p.rule, recipe)) || WILTED;
+}
+
+/**
+ * Check if a recipe follows a plant's rule
+ * Every part the rule has must hold:
+ * - counts: action -> exact count, or { min, max }, in any order
+ *   (actions not listed may appear any number of times)
+ * - pattern: actions in order, where ANY matches any one action
+ * - first / last: the action the recipe must start / end with
+ * - hybrid: [emojiA, emojiB] - the start of A's recipe followed by the end of B's
+ * @param {Object} rule - Plant rule
+ * @param {string[]} recipe - Actions after the seed
+ * @returns {boolean}
+ */
+export function matchesRule(rule, recipe) {
+    if (recipe.length === 0) return false;
+    if (rule.counts && !matchesCounts(rule.counts, recipe)) return false;
+    if (rule.pattern && !matchesPattern(rule.pattern, recipe)) return false;
+    if (rule.first && recipe[0] !== rule.first) return false;
+    if (rule.last && recipe[recipe.length - 1] !== rule.last) return false;
+    if (rule.hybrid && !matchesHybrid(rule.hybrid, recipe)) return false;
+    return true;
+}
+
+/**
+ * Check how many times each action appears, ignoring order
+ * @param {Object} counts - Action -> count or { min, max }
+ * @param {string[]} recipe - Actions after the seed
+ * @returns {boolean}
+ */
+function matchesCounts(counts, recipe) {
+    return Object.entries(counts).every(([action, limit]) => {
+        const count = recipe.filter(a => a === action).length;
+        if (typeof limit === 'number') return count === limit;
+        return count >= (limit.min ?? 0) && count <= (limit.max ?? Infinity);
+    });
+}
+
+/**
+ * Check actions in order, with ANY standing for any one action
+ * @param {string[]} pattern - Actions and wildcards
+ * @param {string[]} recipe - Actions after the seed
+ * @returns {boolean}
+ */
+function matchesPattern(pattern, recipe) {
+    return pattern.length === recipe.length &&
+        pattern.every((action, i) => action === ANY || action === recipe[i]);
+}
+
+/**
+ * Check the recipe is part of one plant's recipe then part of another's
+ * Both parts must be at least one action long
+ * @param {string[]} parents - Emoji of the plant giving the start and the one giving the end
+ * @param {string[]} recipe - Actions after the seed
+ * @returns {boolean}
+ */
+function matchesHybrid(parents, recipe) {
+    const [start, end] = parents.map(emoji => getPlantByEmoji(emoji));
+    if (!start || !end) return false;
+    
+    for (let split = 1; split < recipe.length; split++) {
+        const head = recipe.slice(0, split);
+        const tail = recipe.slice(split);
+        if (head.length > start.recipe.length || tail.length > end.recipe.length) continue;
+        
+        const startMatches = recipeToString(head) === recipeToString(start.recipe.slice(0, head.length));
+        const endMatches = recipeToString(tail) === recipeToString(end.recipe.slice(-tail.length));
+        if (startMatches && endMatches) return true;
+    }
+    return false;
 }
 
 /**
@@ -0,0 +1,251 @@
+/**
+ * RecipeHints - Explain why a spell wilted
+ *
+ * Compares the actions a pot was given with the spell that grows its target
+ * and finds the first slip: one action too many, one missing, or the wrong
+ * action in a slot. The game draws the hint on the sequence (a marked slot,
+ * a ghost of the icon that belongs there) so pre-readers can see what to fix.
+ *
+ * Plants grown from a rule have no one right order, so their hints come from
+ * the rule itself: counts that are too high or too low, the action a spell
+ * must end (or start) with, the fixed slots of a pattern, or the nearest
+ * spell a hybrid allows.
+ */
+import { ACTIONS, ANY, getPlantForRecipe, getPlantByEmoji, matchesRule } from './Plants.js';
+
+// Kinds of slip a hint can point at
+export const HINT_TYPES = {
+    EXTRA: 'extra',     // an action that should not be there
+    MISSING: 'missing', // an action left out
+    WRONG: 'wrong'      // a different action in this slot
+};
+
+/**
+ * Find the first slip between a spell and the target's recipe
+ * @param {string[]} actions - Actions the pot was given, seed included
+ * @param {Object} target - Plant the pot should have grown
+ * @returns {Object|null} { type, index, action, expected }, or null if nothing differs.
+ *   index is the slot in actions; action is what was cast there, expected what belongs there
+ *   (ANY for a pattern slot any action can fill)
+ */
+export function diffRecipe(actions, target) {
+    if (target.rule) {
+        const hint = diffRule(actions, target);
+        if (hint !== undefined) return hint;
+    }
+    return diffSteps(actions, [ACTIONS.SEED, ...target.recipe]);
+}
+
+/**
+ * Find the first slip between a spell and a plant's rule
+ * @param {string[]} actions - Actions the pot was given, seed included
+ * @param {Object} target - Plant with a rule
+ * @returns {Object|null|undefined} Hint, null if the spell grows the target,
+ *   or undefined when the rule is kept but another plant wins (an exact
+ *   recipe or an earlier rule), so the example recipe is the better guide
+ */
+function diffRule(actions, target) {
+    const { rule } = target;
+    if (actions[0] !== ACTIONS.SEED) {
+        return { type: HINT_TYPES.MISSING, index: 0, action: null, expected: ACTIONS.SEED };
+    }
+    // A second seed spoils every rule
+    const seed = actions.indexOf(ACTIONS.SEED, 1);
+    if (seed !== -1) {
+        return { type: HINT_TYPES.EXTRA, index: seed, action: ACTIONS.SEED, expected: null };
+    }
+
+    const recipe = actions.slice(1);
+    if (matchesRule(rule, recipe)) {
+        return getPlantForRecipe(actions) === target ? null : undefined;
+    }
+
+    if (rule.counts) {
+        const hint = diffCounts(actions, rule);
+        if (hint) return hint;
+    }
+    if (rule.first && recipe[0] !== rule.first) {
+        return { type: HINT_TYPES.MISSING, index: 1, action: null, expected: rule.first };
+    }
+    if (rule.last && recipe[recipe.length - 1] !== rule.last) {
+        return { type: HINT_TYPES.MISSING, index: actions.length, action: null, expected: rule.last };
+    }
+    if (rule.pattern) {
+        const hint = diffSteps(actions, [ACTIONS.SEED, ...rule.pattern], fitsSlot);
+        if (hint) return hint;
+    }
+    if (rule.hybrid) {
+        const spells = getHybridRecipes(rule.hybrid)
+            .map(spell => [ACTIONS.SEED, ...spell])
+            .filter(spell => getPlantForRecipe(spell) === target);
+        if (spells.length > 0) return diffSteps(actions, closest(actions, spells));
+    }
+    return undefined;
+}
+
+/**
+ * Hint for a spell that uses an action too often or too rarely
+ * An action over its limit is marked where it goes over; if another action
+ * is short at the same time, that slot is the one to swap. A short action
+ * is added at the end, or just before the action the rule wants last.
+ * @param {string[]} actions - Actions with the seed first
+ * @param {Object} rule - Rule with counts
+ * @returns {Object|null}
+ */
+function diffCounts(actions, rule) {
+    const seen = {};
+    const over = actions.findIndex((action, i) => {
+        if (i === 0) return false;
+        seen[action] = (seen[action] ?? 0) + 1;
+        return seen[action] > getLimit(rule.counts[action]).max;
+    });
+    const short = Object.keys(rule.counts).find(action => {
+        const count = actions.filter(a => a === action).length;
+        return count < getLimit(rule.counts[action]).min;
+    });
+
+    if (over !== -1 && short) {
+        return { type: HINT_TYPES.WRONG, index: over, action: actions[over], expected: short };
+    }
+    if (over !== -1) {
+        return { type: HINT_TYPES.EXTRA, index: over, action: actions[over], expected: null };
+    }
+    if (short) {
+        const endsRight = actions.length > 1 && actions[actions.length - 1] === rule.last;
+        const index = endsRight ? actions.length - 1 : actions.length;
+        return { type: HINT_TYPES.MISSING, index, action: null, expected: short };
+    }
+    return null;
+}
+
+/**
+ * @param {number|Object|undefined} limit - Rule count: exact, { min, max }, or not listed
+ * @returns {Object} { min, max }
+ */
+function getLimit(limit) {
+    if (typeof limit === 'number') return { min: limit, max: limit };
+    return { min: limit?.min ?? 0, max: limit?.max ?? Infinity };
+}
+
+/**
+ * Every spell a hybrid rule allows: a start of one plant's recipe and an
+ * end of the other's
+ * @param {string[]} parents - Emoji of the plant giving the start and the one giving the end
+ * @returns {string[][]} Recipes, seed not included
+ */
+function getHybridRecipes(parents) {
+    const [start, end] = parents.map(emoji => getPlantByEmoji(emoji));
+    if (!start || !end) return [];
+    return start.recipe.flatMap((_, i) => end.recipe.map((__, j) => [
+        ...start.recipe.slice(0, i + 1),
+        ...end.recipe.slice(j)
+    ]));
+}
+
+/**
+ * The spell fewest changes away (the first one on a tie)
+ * @param {string[]} actions
+ * @param {string[][]} spells
+ * @returns {string[]}
+ */
+function closest(actions, spells) {
+    const distances = spells.map(spell => editDistance(actions, spell));
+    return spells[distances.indexOf(Math.min(...distances))];
+}
+
+/**
+ * Actions to add, take out or swap to turn one spell into another
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    let previous = b.map((_, j) => j + 1);
+    previous.unshift(0);
+    a.forEach((action, i) => {
+        const row = [i + 1];
+        b.forEach((wanted, j) => {
+            row.push(Math.min(previous[j + 1] + 1, row[j] + 1, previous[j] + (action === wanted ? 0 : 1)));
+        });
+        previous = row;
+    });
+    return previous[b.length];
+}
+
+/**
+ * Find the first slip between a spell and the actions it should have had
+ * @param {string[]} actions - Actions the pot was given, seed included
+ * @param {string[]} expected - Actions that belong there, seed included
+ * @param {function} [matches] - Whether an action can stand in a slot
+ * @returns {Object|null} Hint, or null if nothing differs
+ */
+function diffSteps(actions, expected, matches = (action, wanted) => action === wanted) {
+    const index = actions.findIndex((action, i) => i >= expected.length || !matches(action, expected[i]));
+    const mismatch = index === -1 ? actions.length : index;
+    if (mismatch === expected.length && actions.length === expected.length) return null;
+
+    const action = actions[mismatch] ?? null;
+    const wanted = expected[mismatch] ?? null;
+
+    // One action too many: taking it out leaves the recipe
+    if (actions.length === expected.length + 1 && sameActions(removeAt(actions, mismatch), expected, matches)) {
+        return { type: HINT_TYPES.EXTRA, index: mismatch, action, expected: null };
+    }
+    // One action left out: putting it back gives the recipe
+    if (actions.length === expected.length - 1 && sameActions(actions, removeAt(expected, mismatch), matches)) {
+        return { type: HINT_TYPES.MISSING, index: mismatch, action: null, expected: wanted };
+    }
+
+    if (action === null) {
+        return { type: HINT_TYPES.MISSING, index: mismatch, action: null, expected: wanted };
+    }
+    if (wanted === null) {
+        return { type: HINT_TYPES.EXTRA, index: mismatch, action, expected: null };
+    }
+    return { type: HINT_TYPES.WRONG, index: mismatch, action, expected: wanted };
+}
+
+/**
+ * Short icon text for a hint, e.g. "➖💧" for one too many 💧
+ * @param {Object} hint - From diffRecipe
+ * @returns {string}
+ */
+export function describeHint(hint) {
+    switch (hint.type) {
+        case HINT_TYPES.EXTRA:
+            return `➖${hint.action}`;
+        case HINT_TYPES.MISSING:
+            return `➕${hint.expected}`;
+        default:
+            return `${hint.action}➡️${hint.expected}`;
+    }
+}
+
+/**
+ * @param {string[]} actions
+ * @param {number} index
+ * @returns {string[]} Copy without the action at index
+ */
+function removeAt(actions, index) {
+    return actions.filter((_, i) => i !== index);
+}
+
+/**
+ * @param {string[]} a - Actions cast
+ * @param {string[]} b - Actions wanted
+ * @param {function} matches - Whether an action can stand in a slot
+ * @returns {boolean}
+ */
+function sameActions(a, b, matches) {
+    return a.length === b.length && a.every((action, i) => matches(action, b[i]));
+}
+
+/**
+ * A pattern slot takes its own action, or any action if it is ANY
+ * @param {string} action
+ * @param {string} wanted
+ * @returns {boolean}
+ */
+function fitsSlot(action, wanted) {
+    return wanted === ANY || action === wanted;
+}
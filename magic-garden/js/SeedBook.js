@@ -0,0 +1,126 @@
+/**
+ * SeedBook - The catalog of plants a player has grown
+ *
+ * Every bloom is remembered in the profile's progress: the plant is
+ * unlocked as `plant:<name>` and the spell that grew it is kept under the
+ * `seedBook` data key. The book shows every plant, with the ones not yet
+ * grown as dark silhouettes, so kids can see what is left to discover.
+ */
+import { ACTIONS, WILTED, getAllPlants, getTotalPlants } from './Plants.js';
+
+// Data key holding plant name -> actions that grew it
+export const SEED_BOOK_KEY = 'seedBook';
+
+export class SeedBook {
+    /**
+     * @param {ProgressStore} progress - Magic Garden progress
+     */
+    constructor(progress) {
+        this.progress = progress;
+    }
+
+    /**
+     * Remember a bloom
+     * @param {Object|null} plant - Plant from Garden.finalize()
+     * @param {string[]} actions - Actions that grew it, seed included
+     * @returns {boolean} True if the plant was new to the book
+     */
+    record(plant, actions) {
+        if (!plant || plant === WILTED) return false;
+
+        const isNew = !this.isDiscovered(plant);
+        this.progress.unlock(`plant:${plant.name}`);
+        if (isNew || !this.getRecipes()[plant.name]) {
+            this.progress.set(SEED_BOOK_KEY, { ...this.getRecipes(), [plant.name]: [...actions] });
+        }
+        return isNew;
+    }
+
+    /**
+     * Check if a plant has been grown
+     * @param {Object} plant - Plant object
+     * @returns {boolean}
+     */
+    isDiscovered(plant) {
+        return this.progress.isUnlocked(`plant:${plant.name}`);
+    }
+
+    /**
+     * Actions that first grew a plant
+     * Plants grown before the book kept spells fall back to the plant's recipe
+     * @param {Object} plant - Plant object
+     * @returns {string[]|null} Action emojis, or null if not discovered
+     */
+    getRecipe(plant) {
+        if (!this.isDiscovered(plant)) return null;
+        const recipe = this.getRecipes()[plant.name];
+        return recipe ? [...recipe] : [ACTIONS.SEED, ...plant.recipe];
+    }
+
+    /**
+     * Spells kept in the book
+     * @returns {Object} Plant name -> action emojis
+     */
+    getRecipes() {
+        return this.progress.get(SEED_BOOK_KEY, {});
+    }
+
+    /**
+     * Every plant with what the player knows about it
+     * @returns {Object[]} { plant, discovered, recipe }
+     */
+    getEntries() {
+        return getAllPlants().map(plant => ({
+            plant,
+            discovered: this.isDiscovered(plant),
+            recipe: this.getRecipe(plant)
+        }));
+    }
+
+    /**
+     * Number of plants grown so far
+     * @returns {number}
+     */
+    getDiscoveredCount() {
+        return getAllPlants().filter(plant => this.isDiscovered(plant)).length;
+    }
+
+    /**
+     * Check if every plant has been grown
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.getDiscoveredCount() === getTotalPlants();
+    }
+
+    /**
+     * Fill an element with one page entry per plant
+     * @param {HTMLElement} container - Element to fill
+     * @param {Object|null} highlight - Plant to mark as just found
+     */
+    render(container, highlight = null) {
+        container.innerHTML = '';
+
+        this.getEntries().forEach(({ plant, discovered, recipe }) => {
+            const entry = document.createElement('div');
+            entry.className = discovered ? 'seed-book-entry discovered' : 'seed-book-entry';
+            entry.classList.toggle('new', plant === highlight);
+            entry.setAttribute('role', 'listitem');
+            entry.setAttribute('aria-label', discovered ? plant.name : 'Not found yet');
+
+            const flower = document.createElement('span');
+            flower.className = 'seed-book-plant';
+            flower.textContent = plant.emoji;
+            flower.setAttribute('aria-hidden', 'true');
+            entry.appendChild(flower);
+
+            const spell = document.createElement('span');
+            spell.className = 'seed-book-recipe';
+            spell.textContent = discovered ? recipe.join('') : '❔';
+            spell.setAttribute('aria-hidden', 'true');
+            entry.appendChild(spell);
+
+            container.appendChild(entry);
+        });
+    }
+}
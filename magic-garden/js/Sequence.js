@@ -1,13 +1,24 @@
 /**
  * Sequence - Command sequence management for Magic Garden
  * 
- * Extends BaseSequence with game-specific command handling.
+ * Extends BaseSequence with game-specific command handling and spell books:
+ * saved spells named after the plant they grew, placed in the sequence as
+ * one block.
  */
 import { BaseSequence } from '../../shared/js/BaseSequence.js';
 
+// What a "repeat until" loop can wait for
+export const CONDITIONS = {
+    bloom: '🌸' // the actions so far already make a flower
+};
+
 export class Sequence extends BaseSequence {
     constructor() {
         super();
+        // Spell books are { name, commands }, named by the plant emoji.
+        // A spell block carries its own copy of the spell, so it keeps
+        // working (and costing the same supply) if the book is replaced
+        this.spellBooks = [];
     }
 
     /**
@@ -18,18 +29,12 @@ export class Sequence extends BaseSequence {
     addCommand(action, index = null) {
         const command = { type: action };
         
-        if (this.activeLoopIndex !== null) {
-            // Add to active loop
-            const loop = this.commands[this.activeLoopIndex];
-            if (loop && loop.type === 'loop') {
-                loop.commands.push(command);
-            }
-        } else if (index !== null && index >= 0) {
+        if (this.activeLoop === null && index !== null && index >= 0) {
             // Insert at specific index
             this.commands.splice(index, 0, command);
         } else {
-            // Add to end
-            this.commands.push(command);
+            // Add to the active loop or the end
+            this.appendCommand(command);
         }
     }
 
@@ -48,55 +53,19 @@ export class Sequence extends BaseSequence {
      */
     removeCommand(index) {
         if (index >= 0 && index < this.commands.length) {
-            this.commands.splice(index, 1);
-            
-            // Update active loop index if needed
-            if (this.activeLoopIndex !== null) {
-                if (index === this.activeLoopIndex) {
-                    this.activeLoopIndex = null;
-                } else if (index < this.activeLoopIndex) {
-                    this.activeLoopIndex--;
-                }
-            }
-        }
-    }
-
-    /**
-     * Move command from one index to another
-     * @param {number} fromIndex - Source index
-     * @param {number} toIndex - Target index
-     */
-    moveCommand(fromIndex, toIndex) {
-        if (fromIndex < 0 || fromIndex >= this.commands.length) return;
-        if (toIndex < 0 || toIndex > this.commands.length) return;
-        
-        const [cmd] = this.commands.splice(fromIndex, 1);
-        const adjustedTo = toIndex > fromIndex ? toIndex - 1 : toIndex;
-        this.commands.splice(adjustedTo, 0, cmd);
-        
-        // Update active loop index
-        if (this.activeLoopIndex !== null) {
-            if (fromIndex === this.activeLoopIndex) {
-                this.activeLoopIndex = adjustedTo;
-            } else {
-                if (fromIndex < this.activeLoopIndex && adjustedTo >= this.activeLoopIndex) {
-                    this.activeLoopIndex--;
-                } else if (fromIndex > this.activeLoopIndex && adjustedTo <= this.activeLoopIndex) {
-                    this.activeLoopIndex++;
-                }
-            }
+            this.removeAt(index);
         }
     }
 
     /**
      * Add command to a loop at specific index
      * @param {string} action - Action emoji
-     * @param {number} loopIndex - Index of the loop
+     * @param {number|number[]} loopRef - Loop index or path
      * @param {number} cmdIndex - Index within loop
      */
-    addToLoop(action, loopIndex, cmdIndex) {
-        const loop = this.commands[loopIndex];
-        if (!loop || loop.type !== 'loop') return;
+    addToLoop(action, loopRef, cmdIndex) {
+        const loop = this.getLoop(loopRef);
+        if (!loop) return;
         
         const command = { type: action };
         loop.commands.splice(cmdIndex, 0, command);
@@ -106,8 +75,7 @@ export class Sequence extends BaseSequence {
      * Clear all commands
      */
     clear() {
-        this.commands = [];
-        this.activeLoopIndex = null;
+        super.clear();
     }
 
     /**
@@ -126,26 +94,128 @@ export class Sequence extends BaseSequence {
         return this.commands.length === 0;
     }
 
+    // ===== Spell Books =====
+    // A spell block is { type: 'function', name, commands }, which the
+    // Interpreter runs like a function call and countBlocks counts as one.
+
     /**
-     * Flatten sequence into array of action strings (expand loops)
-     * @returns {string[]} Array of action emojis
+     * Save the sequence as the spell book for a plant
+     * A plant has one book; saving again replaces it
+     * @param {string} name - Plant emoji the spell grows
+     * @returns {boolean} False if the sequence is empty
      */
-    flatten() {
-        const result = [];
-        
-        for (const cmd of this.commands) {
-            if (cmd.type === 'loop') {
-                for (let i = 0; i < cmd.iterations; i++) {
-                    for (const innerCmd of cmd.commands) {
-                        result.push(innerCmd.type);
-                    }
-                }
+    saveSpellBook(name) {
+        if (this.commands.length === 0) return false;
+
+        const book = { name, commands: JSON.parse(JSON.stringify(this.commands)) };
+        const index = this.spellBooks.findIndex(other => other.name === name);
+        if (index === -1) {
+            this.spellBooks.push(book);
+        } else {
+            this.spellBooks[index] = book;
+        }
+        return true;
+    }
+
+    /**
+     * Find a spell book
+     * @param {string} name - Plant emoji
+     * @returns {Object|null}
+     */
+    getSpellBook(name) {
+        return this.spellBooks.find(book => book.name === name) || null;
+    }
+
+    /**
+     * Get copies of all spell books (for saving)
+     * @returns {Object[]}
+     */
+    getSpellBooks() {
+        return JSON.parse(JSON.stringify(this.spellBooks));
+    }
+
+    /**
+     * Replace the spell books (when loading saved progress)
+     * Books without a name or commands are skipped
+     * @param {Object[]} books - Saved spell books
+     */
+    setSpellBooks(books) {
+        this.spellBooks = (Array.isArray(books) ? books : [])
+            .filter(book => book && typeof book.name === 'string' && Array.isArray(book.commands))
+            .map(book => ({ name: book.name, commands: JSON.parse(JSON.stringify(book.commands)) }));
+    }
+
+    /**
+     * Delete a spell book; spell blocks already placed keep working
+     * @param {string} name - Plant emoji
+     */
+    deleteSpellBook(name) {
+        this.spellBooks = this.spellBooks.filter(book => book.name !== name);
+    }
+
+    /**
+     * Add a spell block
+     * @param {string} name - Plant emoji of the spell book
+     * @param {number} [index] - Optional index to insert at
+     * @returns {Object|null} The placed block, or null if there is no such book
+     */
+    addSpell(name, index = null) {
+        const book = this.getSpellBook(name);
+        if (!book) return null;
+
+        const command = { type: 'function', name, commands: JSON.parse(JSON.stringify(book.commands)) };
+        if (this.activeLoop === null && index !== null && index >= 0) {
+            this.commands.splice(index, 0, command);
+        } else {
+            this.appendCommand(command);
+        }
+        return command;
+    }
+
+    /**
+     * Check if a command is a spell block
+     * @param {Object} cmd - Command
+     * @returns {boolean}
+     */
+    isSpell(cmd) {
+        return !!cmd && cmd.type === 'function';
+    }
+
+    /**
+     * Count the action blocks in commands, as the supply counts them
+     * Each block uses one action wherever it is; loops repeat actions
+     * without using more, and spells use what their blocks use
+     * @param {Array} commands - Commands to count
+     * @returns {Object} Action emoji -> count
+     */
+    countActions(commands) {
+        const counts = {};
+        const visit = list => list.forEach(cmd => {
+            if (Array.isArray(cmd.commands)) {
+                visit(cmd.commands);
             } else {
-                result.push(cmd.type);
+                counts[cmd.type] = (counts[cmd.type] || 0) + 1;
             }
-        }
-        
-        return result;
+        });
+        visit(commands);
+        return counts;
+    }
+
+    /**
+     * Check if commands contain a loop, inside spells too
+     * @param {Array} commands - Commands to search
+     * @returns {boolean}
+     */
+    hasLoops(commands) {
+        return commands.some(cmd => cmd.type === 'loop' || (this.isSpell(cmd) && this.hasLoops(cmd.commands)));
+    }
+
+    /**
+     * Flatten sequence into array of action strings (expand loops and spells)
+     * @returns {string[]} Array of action emojis
+     */
+    flatten() {
+        return this.flattenCommands().map(cmd => cmd.type);
     }
 
     /**
@@ -4,6 +4,9 @@
  * Manages the wizard character that casts spells.
  */
 
+// How long a walk to the next pot takes (ms), matching .wizard's translate transition
+const WALK_TIME = 500;
+
 export class Wizard {
     constructor(element) {
         this.element = element;
@@ -22,7 +25,7 @@ export class Wizard {
      */
     render() {
         this.element.textContent = '🧙';
-        this.element.classList.remove('casting', 'celebrating', 'puzzled');
+        this.element.classList.remove('casting', 'celebrating', 'puzzled', 'watching');
     }
 
     /**
@@ -45,6 +48,23 @@ export class Wizard {
         this.isAnimating = false;
     }
 
+    /**
+     * Walk sideways to stand over a pot of a garden bed
+     * Uses the CSS translate property, so it keeps its place while the
+     * cast and celebrate animations change transform
+     * @param {number} x - Pixels right of the wizard's resting place
+     * @param {boolean} [animate] - False to jump there at once
+     * @returns {Promise} Resolves when the walk completes
+     */
+    async walkTo(x, animate = true) {
+        this.element.classList.toggle('walking', animate);
+        this.element.style.setProperty('--wizard-x', `${x}px`);
+        if (animate) {
+            await this.delay(WALK_TIME);
+            this.element.classList.remove('walking');
+        }
+    }
+
     /**
      * Play celebration animation
      * @returns {Promise} Resolves when animation completes
@@ -65,6 +85,16 @@ export class Wizard {
         this.element.classList.remove('puzzled');
     }
 
+    /**
+     * Look up at the sky when the weather changes
+     * @returns {Promise} Resolves when animation completes
+     */
+    async watchWeather() {
+        this.element.classList.add('watching');
+        await this.delay(600);
+        this.element.classList.remove('watching');
+    }
+
     /**
      * Reset wizard to default state
      */
@@ -0,0 +1,107 @@
+/**
+ * Tests for Environment module
+ */
+import { Environment, WEATHER, isValidWeather } from '../js/Environment.js';
+import { ACTIONS } from '../js/Plants.js';
+
+export function runEnvironmentTests() {
+    const results = [];
+
+    function test(name, fn) {
+        try {
+            fn();
+            results.push({ name, passed: true });
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message} Expected ${expected}, got ${actual}`);
+        }
+    }
+
+    function assertTrue(value, message = '') {
+        if (value !== true) {
+            throw new Error(`${message} Expected true, got ${value}`);
+        }
+    }
+
+    function assertFalse(value, message = '') {
+        if (value !== false) {
+            throw new Error(`${message} Expected false, got ${value}`);
+        }
+    }
+
+    test('Fair weather blocks nothing', () => {
+        const environment = new Environment();
+        assertFalse(environment.hasWeather());
+        assertEqual(environment.getActive().length, 0);
+        Object.values(ACTIONS).forEach(action => assertFalse(environment.blocks(action)));
+    });
+
+    test('Weather starts after its step', () => {
+        const environment = new Environment([{ type: WEATHER.RAIN, step: 2 }]);
+        assertEqual(environment.getStartingEvents().length, 0);
+        environment.advance();
+        environment.advance();
+        assertEqual(environment.getStep(), 2);
+        assertEqual(environment.getStartingEvents()[0].type, WEATHER.RAIN);
+        environment.advance();
+        assertEqual(environment.getStartingEvents().length, 0);
+    });
+
+    test('Rain falls once and does not last', () => {
+        const environment = new Environment([{ type: WEATHER.RAIN, step: 0 }]);
+        assertFalse(environment.isActive(WEATHER.RAIN));
+        assertFalse(environment.blocks(ACTIONS.WATER));
+    });
+
+    test('☀️ does nothing at night', () => {
+        const environment = new Environment([{ type: WEATHER.NIGHT, step: 1, steps: 2 }]);
+        assertFalse(environment.blocks(ACTIONS.SUN));
+        environment.advance();
+        assertTrue(environment.isActive(WEATHER.NIGHT));
+        assertTrue(environment.blocks(ACTIONS.SUN));
+        assertFalse(environment.blocks(ACTIONS.WATER));
+        environment.advance();
+        assertTrue(environment.blocks(ACTIONS.SUN));
+        environment.advance();
+        assertFalse(environment.blocks(ACTIONS.SUN), 'Morning after 2 steps:');
+    });
+
+    test('Wind blows ✨ away until the spell ends', () => {
+        const environment = new Environment([{ type: WEATHER.WIND, step: 1 }]);
+        for (let i = 0; i < 10; i++) environment.advance();
+        assertTrue(environment.blocks(ACTIONS.MAGIC));
+        assertFalse(environment.blocks(ACTIONS.SUN));
+    });
+
+    test('reset goes back to the first step', () => {
+        const environment = new Environment([{ type: WEATHER.NIGHT, step: 0, steps: 1 }]);
+        environment.advance();
+        assertFalse(environment.isActive(WEATHER.NIGHT));
+        environment.reset();
+        assertTrue(environment.isActive(WEATHER.NIGHT));
+    });
+
+    test('Events are copied', () => {
+        const events = [{ type: WEATHER.RAIN, step: 1 }];
+        const environment = new Environment(events);
+        events[0].step = 5;
+        environment.advance();
+        assertEqual(environment.getStartingEvents().length, 1);
+    });
+
+    test('isValidWeather checks types and steps', () => {
+        assertTrue(isValidWeather([]));
+        assertTrue(isValidWeather([{ type: WEATHER.NIGHT, step: 0, steps: 3 }]));
+        assertFalse(isValidWeather({ type: WEATHER.RAIN, step: 1 }));
+        assertFalse(isValidWeather([{ type: 'snow', step: 1 }]));
+        assertFalse(isValidWeather([{ type: WEATHER.RAIN, step: 1.5 }]));
+        assertFalse(isValidWeather([{ type: WEATHER.WIND, step: 1, steps: 0 }]));
+    });
+
+    return results;
+}
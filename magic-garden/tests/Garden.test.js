@@ -154,5 +154,19 @@ export function runGardenTests() {
         assertTrue(garden.hasGrowth());
     });
 
+    // wouldBloom tests (read by "repeat until" loops)
+    test('wouldBloom is true once the actions make a flower', () => {
+        const garden = new Garden();
+        garden.applyAction(ACTIONS.SEED);
+        garden.applyAction(ACTIONS.WATER);
+        assertFalse(garden.wouldBloom());
+        
+        garden.applyAction(ACTIONS.SUN);
+        assertTrue(garden.wouldBloom());
+        
+        garden.applyAction(ACTIONS.SUN);
+        assertFalse(garden.wouldBloom());
+    });
+
     return results;
 }
@@ -0,0 +1,143 @@
+/**
+ * Tests for GardenBed module
+ */
+import { GardenBed, MOVES } from '../js/GardenBed.js';
+import { GROWTH_STAGES } from '../js/Garden.js';
+import { ACTIONS, WILTED } from '../js/Plants.js';
+
+export function runGardenBedTests() {
+    const results = [];
+
+    function test(name, fn) {
+        try {
+            fn();
+            results.push({ name, passed: true });
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message} Expected ${expected}, got ${actual}`);
+        }
+    }
+
+    function assertTrue(value, message = '') {
+        if (value !== true) {
+            throw new Error(`${message} Expected true, got ${value}`);
+        }
+    }
+
+    function assertFalse(value, message = '') {
+        if (value !== false) {
+            throw new Error(`${message} Expected false, got ${value}`);
+        }
+    }
+
+    // Cast a list of actions and moves
+    function cast(bed, commands) {
+        commands.forEach(cmd => {
+            if (bed.isMove(cmd)) {
+                bed.move(cmd);
+            } else {
+                bed.applyAction(cmd);
+            }
+        });
+    }
+
+    const TULIP = [ACTIONS.SEED, ACTIONS.WATER, ACTIONS.SUN];
+    const SUNFLOWER = [ACTIONS.SEED, ACTIONS.SUN, ACTIONS.WATER];
+
+    test('A bed starts with empty pots and the wizard at the first', () => {
+        const bed = new GardenBed(3);
+        assertEqual(bed.getSize(), 3);
+        assertEqual(bed.getPosition(), 0);
+        assertEqual(bed.getPot(2).getStage(), GROWTH_STAGES.EMPTY);
+    });
+
+    test('A bed always has at least one pot', () => {
+        assertEqual(new GardenBed(0).getSize(), 1);
+        assertEqual(new GardenBed().getSize(), 1);
+    });
+
+    test('Moves walk between pots and stop at the ends', () => {
+        const bed = new GardenBed(2);
+        assertFalse(bed.move(MOVES.LEFT));
+        assertTrue(bed.move(MOVES.RIGHT));
+        assertEqual(bed.getPosition(), 1);
+        assertFalse(bed.move(MOVES.RIGHT));
+        assertEqual(bed.getPosition(), 1);
+        assertTrue(bed.move(MOVES.LEFT));
+        assertEqual(bed.getPosition(), 0);
+    });
+
+    test('Actions only grow the pot the wizard is at', () => {
+        const bed = new GardenBed(2);
+        cast(bed, [ACTIONS.SEED, MOVES.RIGHT, ACTIONS.SEED, ACTIONS.WATER]);
+        assertEqual(bed.getPot(0).getAppliedActions().join(''), ACTIONS.SEED);
+        assertEqual(bed.getPot(1).getStage(), GROWTH_STAGES.SPROUTING);
+    });
+
+    test('Each pot grows its own flower', () => {
+        const bed = new GardenBed(2);
+        cast(bed, [...TULIP, MOVES.RIGHT, ...SUNFLOWER]);
+        const results = bed.finalize();
+        assertEqual(results[0].emoji, '🌷');
+        assertEqual(results[1].emoji, '🌻');
+        assertTrue(bed.matchesTargets(['🌷', '🌻']));
+    });
+
+    test('getMatches gives partial credit pot by pot', () => {
+        const bed = new GardenBed(3);
+        cast(bed, [...TULIP, MOVES.RIGHT, ...TULIP, MOVES.RIGHT, ...TULIP]);
+        bed.finalize();
+        const targets = ['🌷', '🌻', '🌷'];
+        assertEqual(bed.getMatches(targets).join(','), 'true,false,true');
+        assertEqual(bed.countMatches(targets), 2);
+        assertFalse(bed.matchesTargets(targets));
+    });
+
+    test('Empty pots are left empty by finalize', () => {
+        const bed = new GardenBed(2);
+        cast(bed, TULIP);
+        const results = bed.finalize();
+        assertEqual(results[1], null);
+        assertFalse(bed.matchesTargets(['🌷', '🌷']));
+    });
+
+    test('wouldBloom checks the pot the wizard is at', () => {
+        const bed = new GardenBed(2);
+        cast(bed, [...TULIP, MOVES.RIGHT, ACTIONS.SEED]);
+        assertFalse(bed.wouldBloom());
+        bed.move(MOVES.LEFT);
+        assertTrue(bed.wouldBloom());
+    });
+
+    test('getOnlyBloom names the one flower a bed grew', () => {
+        const bed = new GardenBed(3);
+        cast(bed, [...TULIP, MOVES.RIGHT, ...TULIP]);
+        bed.finalize();
+        assertEqual(bed.getOnlyBloom().emoji, '🌷');
+
+        const mixed = new GardenBed(2);
+        cast(mixed, [...TULIP, MOVES.RIGHT, ...SUNFLOWER]);
+        mixed.finalize();
+        assertEqual(mixed.getOnlyBloom(), null);
+
+        const wilted = new GardenBed(2);
+        cast(wilted, [...TULIP, MOVES.RIGHT, ACTIONS.SEED, ACTIONS.MAGIC]);
+        assertEqual(wilted.finalize()[1], WILTED);
+        assertEqual(wilted.getOnlyBloom(), null);
+    });
+
+    test('reset empties every pot and walks back', () => {
+        const bed = new GardenBed(2);
+        cast(bed, [...TULIP, MOVES.RIGHT, ACTIONS.SEED]);
+        bed.reset();
+        assertEqual(bed.getPosition(), 0);
+        assertFalse(bed.getPot(1).hasGrowth());
+    });
+
+    return results;
+}
@@ -0,0 +1,137 @@
+/**
+ * Tests for LevelGenerator module
+ */
+import {
+    generateLevel,
+    countArrangements,
+    getTierPlants,
+    getPracticeDifficulty,
+    DIFFICULTY,
+    TIERS,
+    LEVELS_PER_TIER
+} from '../js/LevelGenerator.js';
+import { validateLevel, getLevelPar } from '../js/Levels.js';
+import { ACTIONS, getPlantByEmoji } from '../js/Plants.js';
+
+export function runLevelGeneratorTests() {
+    const results = [];
+
+    function test(name, fn) {
+        try {
+            fn();
+            results.push({ name, passed: true });
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message} Expected ${expected}, got ${actual}`);
+        }
+    }
+
+    function assertTrue(value, message = '') {
+        if (value !== true) {
+            throw new Error(`${message} Expected true, got ${value}`);
+        }
+    }
+
+    function countSupply(level) {
+        return Object.values(level.supply).reduce((total, count) => total + count, 0);
+    }
+
+    test('countArrangements divides out repeated actions', () => {
+        const { WATER, SUN, MUSIC, MAGIC } = ACTIONS;
+        assertEqual(countArrangements([WATER, WATER, WATER]), 1);
+        assertEqual(countArrangements([WATER, SUN]), 2);
+        assertEqual(countArrangements([WATER, WATER, SUN]), 3);
+        assertEqual(countArrangements([WATER, SUN, MUSIC, MAGIC]), 24);
+    });
+
+    test('Every tier has plants to pick from', () => {
+        Object.values(DIFFICULTY).forEach(difficulty => {
+            assertTrue(getTierPlants(difficulty).length > 1, `${difficulty}:`);
+        });
+    });
+
+    test('Generated levels are valid for every tier', () => {
+        const random = seededRandom(7);
+        Object.values(DIFFICULTY).forEach(difficulty => {
+            for (let i = 0; i < 20; i++) {
+                const level = generateLevel({ difficulty, id: 100 + i, random });
+                assertTrue(validateLevel(level), `${difficulty} level ${i}:`);
+                assertEqual(level.difficulty, difficulty);
+            }
+        });
+    });
+
+    test('Supply is the seed, the recipe and the tier\'s distractors', () => {
+        const random = seededRandom(3);
+        Object.values(DIFFICULTY).forEach(difficulty => {
+            const level = generateLevel({ difficulty, random });
+            const plant = getPlantByEmoji(level.target);
+            assertEqual(countSupply(level), plant.recipe.length + 1 + TIERS[difficulty].distractors, `${difficulty}:`);
+            assertEqual(level.supply[ACTIONS.SEED], 1);
+        });
+    });
+
+    test('Targets match the tier\'s arrangements', () => {
+        const random = seededRandom(11);
+        Object.entries(TIERS).forEach(([difficulty, tier]) => {
+            const level = generateLevel({ difficulty, random });
+            const arrangements = countArrangements(getPlantByEmoji(level.target).recipe);
+            assertTrue(arrangements >= tier.minArrangements && arrangements <= tier.maxArrangements, `${difficulty}:`);
+        });
+    });
+
+    test('Par ignores the distractors', () => {
+        const level = generateLevel({ difficulty: DIFFICULTY.HARD, random: seededRandom(5) });
+        assertEqual(getLevelPar(level), getPlantByEmoji(level.target).recipe.length + 1);
+    });
+
+    test('The same random numbers make the same level', () => {
+        const a = generateLevel({ difficulty: DIFFICULTY.MEDIUM, random: seededRandom(42) });
+        const b = generateLevel({ difficulty: DIFFICULTY.MEDIUM, random: seededRandom(42) });
+        assertEqual(JSON.stringify(a), JSON.stringify(b));
+    });
+
+    test('avoid keeps the last target from coming straight back', () => {
+        const random = seededRandom(9);
+        for (let i = 0; i < 20; i++) {
+            assertTrue(generateLevel({ avoid: '🌷', random }).target !== '🌷');
+        }
+    });
+
+    test('Practice gets harder every few levels solved', () => {
+        assertEqual(getPracticeDifficulty(0), DIFFICULTY.EASY);
+        assertEqual(getPracticeDifficulty(LEVELS_PER_TIER), DIFFICULTY.MEDIUM);
+        assertEqual(getPracticeDifficulty(LEVELS_PER_TIER * 2), DIFFICULTY.HARD);
+        assertEqual(getPracticeDifficulty(1000), DIFFICULTY.HARD);
+    });
+
+    test('Unknown difficulty throws', () => {
+        let threw = false;
+        try {
+            generateLevel({ difficulty: 'impossible' });
+        } catch (e) {
+            threw = true;
+        }
+        assertTrue(threw);
+    });
+
+    return results;
+}
+
+// ===== Test Utilities =====
+
+/**
+ * Repeatable stand-in for Math.random
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
@@ -1,8 +1,11 @@
 /**
  * Tests for Levels module
  */
-import { LEVELS, getLevel, getTotalLevels, validateLevel, getAvailableActions } from '../js/Levels.js';
+import { LEVELS, getLevel, getTotalLevels, validateLevel, getAvailableActions, getLevelPar, createSandboxLevel, getLevelTargets, getLevelWeather } from '../js/Levels.js';
 import { ACTIONS, PLANTS } from '../js/Plants.js';
+import { GardenBed, MOVES } from '../js/GardenBed.js';
+import { Environment, WEATHER } from '../js/Environment.js';
+import { Sequence } from '../js/Sequence.js';
 
 export function runLevelsTests() {
     const results = [];
@@ -61,25 +64,33 @@ export function runLevelsTests() {
 
     test('All levels have valid target plant', () => {
         LEVELS.forEach((level, i) => {
-            const targetPlant = PLANTS.find(p => p.emoji === level.target);
-            assertTrue(targetPlant !== undefined, `Level ${i + 1} has invalid target ${level.target}`);
+            getLevelTargets(level).forEach(target => {
+                const targetPlant = PLANTS.find(p => p.emoji === target);
+                assertTrue(targetPlant !== undefined, `Level ${i + 1} has invalid target ${target}`);
+            });
         });
     });
 
     test('All levels include seed in supply', () => {
         LEVELS.forEach((level, i) => {
             assertTrue(
-                level.supply[ACTIONS.SEED] >= 1,
+                level.supply[ACTIONS.SEED] >= getLevelTargets(level).length,
                 `Level ${i + 1} missing seed in supply`
             );
         });
     });
 
+    // Rain waters a pot, so it stands in for one 💧 of the supply
+    function countRain(level) {
+        return getLevelWeather(level).filter(event => event.type === WEATHER.RAIN).length;
+    }
+
     test('All levels are solvable with supply', () => {
         LEVELS.forEach((level, i) => {
-            const targetPlant = PLANTS.find(p => p.emoji === level.target);
-            if (targetPlant) {
-                const supplyCopy = { ...level.supply };
+            const supplyCopy = { ...level.supply };
+            supplyCopy[ACTIONS.WATER] = (supplyCopy[ACTIONS.WATER] || 0) + countRain(level);
+            getLevelTargets(level).forEach(target => {
+                const targetPlant = PLANTS.find(p => p.emoji === target);
                 
                 // Use seed
                 assertTrue(supplyCopy[ACTIONS.SEED] >= 1, `Level ${i + 1} needs seed`);
@@ -93,25 +104,93 @@ export function runLevelsTests() {
                     );
                     supplyCopy[action]--;
                 }
-            }
+            });
         });
     });
 
     test('Supply gives exact ingredients needed (no extras)', () => {
         LEVELS.forEach((level, i) => {
-            const targetPlant = PLANTS.find(p => p.emoji === level.target);
-            if (targetPlant) {
-                // Count total supply
-                const totalSupply = Object.values(level.supply).reduce((a, b) => a + b, 0);
-                // Recipe length + 1 for seed
-                const recipeLength = targetPlant.recipe.length + 1;
-                assertEqual(
-                    totalSupply,
-                    recipeLength,
-                    `Level ${i + 1} supply should equal recipe length`
-                );
+            const targets = getLevelTargets(level);
+            // Count total supply
+            const totalSupply = Object.values(level.supply).reduce((a, b) => a + b, 0) + countRain(level);
+            // Recipe length + 1 for seed in each pot, plus the steps between pots
+            const recipeLength = targets.reduce((total, target) => {
+                return total + PLANTS.find(p => p.emoji === target).recipe.length + 1;
+            }, targets.length - 1);
+            assertEqual(
+                totalSupply,
+                recipeLength,
+                `Level ${i + 1} supply should equal recipe length`
+            );
+        });
+    });
+
+    test('Garden beds give one ➡️ per step between pots', () => {
+        LEVELS.forEach((level, i) => {
+            const steps = getLevelTargets(level).length - 1;
+            assertEqual(level.supply[MOVES.RIGHT] || 0, steps, `Level ${i + 1} steps`);
+            assertTrue(!level.supply[MOVES.LEFT], `Level ${i + 1} should not need ⬅️`);
+        });
+    });
+
+    test('The clover bed can be planted at par with one loop', () => {
+        const level = LEVELS.find(l => l.targets && l.loops);
+        const sequence = new Sequence();
+        sequence.addLoop(getLevelTargets(level).length);
+        [ACTIONS.SEED, ACTIONS.WATER, ACTIONS.WATER, ACTIONS.WATER, MOVES.RIGHT].forEach((action, i) => {
+            sequence.addToLoop(action, 0, i);
+        });
+        assertEqual(sequence.countBlocks(), getLevelPar(level));
+
+        const bed = new GardenBed(getLevelTargets(level).length);
+        sequence.flatten().forEach(action => {
+            if (bed.isMove(action)) {
+                bed.move(action);
+            } else {
+                bed.applyAction(action);
             }
         });
+        bed.finalize();
+        assertTrue(bed.matchesTargets(getLevelTargets(level)));
+    });
+
+    test('Weather levels grow their target only when timed right', () => {
+        // Cast actions one step at a time, as Game.run() does
+        function grow(level, actions) {
+            const bed = new GardenBed(1);
+            const environment = new Environment(getLevelWeather(level));
+            const rain = () => environment.getStartingEvents()
+                .filter(event => event.type === WEATHER.RAIN)
+                .forEach(() => bed.applyAction(ACTIONS.WATER));
+            actions.forEach(action => {
+                rain();
+                if (!environment.blocks(action)) bed.applyAction(action);
+                environment.advance();
+            });
+            rain();
+            return bed.finalize()[0].emoji;
+        }
+        const { SEED, WATER, SUN, MAGIC } = ACTIONS;
+        assertEqual(grow(getLevel(21), [SEED, WATER, SUN]), '🌹');
+        assertEqual(grow(getLevel(21), [SEED, SUN, WATER]), '🌼');
+        assertEqual(grow(getLevel(22), [SEED, WATER, SUN, SUN, MAGIC]), '🌴');
+        assertTrue(grow(getLevel(22), [SEED, SUN, WATER, SUN, MAGIC]) !== '🌴');
+        assertEqual(grow(getLevel(23), [SEED, MAGIC, WATER, WATER]), '🍄');
+        assertTrue(grow(getLevel(23), [SEED, WATER, WATER, MAGIC]) !== '🍄');
+        assertEqual(grow(getLevel(24), [SEED, WATER, SUN]), '🌹');
+    });
+
+    test('validateLevel checks the weather script', () => {
+        const level = { id: 99, target: '🌹', supply: { [ACTIONS.SEED]: 1, [ACTIONS.WATER]: 1, [ACTIONS.SUN]: 1 } };
+        assertTrue(!validateLevel(level), 'Rose needs a second 💧');
+        assertTrue(validateLevel({ ...level, weather: [{ type: WEATHER.RAIN, step: 2 }] }));
+        assertTrue(!validateLevel({ ...level, weather: [{ type: 'snow', step: 2 }] }));
+        assertTrue(!validateLevel({ ...level, weather: [{ type: WEATHER.RAIN, step: -1 }] }));
+    });
+
+    test('getLevelTargets gives one target per pot', () => {
+        assertEqual(getLevelTargets(getLevel(1)).join(''), '🍀');
+        assertEqual(getLevelTargets({ targets: ['🌷', '🌻'] }).join(''), '🌷🌻');
     });
 
     // Progression tests
@@ -138,6 +217,18 @@ export function runLevelsTests() {
         });
     });
 
+    test('validateLevel needs a seed and the steps for every pot', () => {
+        const bed = {
+            id: 99,
+            targets: ['🌷', '🌷'],
+            supply: { [ACTIONS.SEED]: 2, [ACTIONS.WATER]: 2, [ACTIONS.SUN]: 2, [MOVES.RIGHT]: 1 }
+        };
+        assertTrue(validateLevel(bed));
+        assertTrue(!validateLevel({ ...bed, supply: { ...bed.supply, [ACTIONS.SEED]: 1 } }));
+        assertTrue(!validateLevel({ ...bed, supply: { ...bed.supply, [MOVES.RIGHT]: 0 } }));
+        assertTrue(!validateLevel({ ...bed, targets: ['🌷', '🧪'] }));
+    });
+
     test('validateLevel returns false for invalid level', () => {
         const invalidLevel = {
             id: 99,
@@ -159,16 +250,21 @@ export function runLevelsTests() {
         assertTrue(!available.includes(ACTIONS.SUN));
     });
 
-    return results;
-}    });
+    test('getLevelPar defaults to the supply size', () => {
+        assertEqual(getLevelPar(getLevel(1)), 4);
+        assertEqual(getLevelPar({ ...getLevel(1), par: 3 }), 3);
+        LEVELS.forEach(level => {
+            assertTrue(getLevelPar(level) > 0, `Level ${level.id} needs a par`);
+        });
+    });
 
-    test('validateLevel returns false for invalid level', () => {
-        const invalidLevel = {
-            id: 99,
-            target: '🧪', // Invalid plant
-            availableActions: [ACTIONS.SEED]
-        };
-        assertTrue(!validateLevel(invalidLevel));
+    test('Sandbox level offers every action without limit', () => {
+        const sandbox = createSandboxLevel();
+        assertEqual(sandbox.target, null);
+        assertTrue(sandbox.loops);
+        Object.values(ACTIONS).forEach(action => {
+            assertEqual(sandbox.supply[action], Infinity, `${action} supply`);
+        });
     });
 
     return results;
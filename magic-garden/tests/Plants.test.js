@@ -1,7 +1,7 @@
 /**
  * Tests for Plants module
  */
-import { PLANTS, ACTIONS, getPlantForRecipe, isValidRecipe, getAllPlants, getPlantByEmoji, getTotalPlants, WILTED } from '../js/Plants.js';
+import { PLANTS, ACTIONS, ANY, getPlantForRecipe, matchesRule, isValidRecipe, getAllPlants, getPlantByEmoji, getTotalPlants, WILTED } from '../js/Plants.js';
 
 export function runPlantsTests() {
     const results = [];
@@ -101,6 +101,72 @@ export function runPlantsTests() {
         assertEqual(plant, null, 'Only seed should return null');
     });
 
+    test('Every plant grows from its own recipe', () => {
+        PLANTS.forEach(plant => {
+            assertEqual(getPlantForRecipe([ACTIONS.SEED, ...plant.recipe]), plant, `${plant.name}:`);
+        });
+    });
+
+    // Recipe rule tests
+    test('Counted rule grows in any order', () => {
+        [
+            [ACTIONS.WATER, ACTIONS.WATER, ACTIONS.MAGIC],
+            [ACTIONS.WATER, ACTIONS.MAGIC, ACTIONS.WATER],
+            [ACTIONS.MAGIC, ACTIONS.WATER, ACTIONS.WATER],
+            [ACTIONS.WATER, ACTIONS.WATER, ACTIONS.WATER, ACTIONS.MAGIC]
+        ].forEach(actions => {
+            assertEqual(getPlantForRecipe([ACTIONS.SEED, ...actions]).emoji, '🍄', actions.join(''));
+        });
+    });
+
+    test('Counted rule needs the minimum and respects zero counts', () => {
+        const rule = { counts: { [ACTIONS.WATER]: { min: 2 }, [ACTIONS.SUN]: 0 } };
+        assertTrue(matchesRule(rule, [ACTIONS.WATER, ACTIONS.MUSIC, ACTIONS.WATER]));
+        assertTrue(!matchesRule(rule, [ACTIONS.WATER, ACTIONS.MUSIC]));
+        assertTrue(!matchesRule(rule, [ACTIONS.WATER, ACTIONS.WATER, ACTIONS.SUN]));
+        assertTrue(!matchesRule({ counts: { [ACTIONS.WATER]: { max: 1 } } }, [ACTIONS.WATER, ACTIONS.WATER]));
+        assertTrue(matchesRule({ counts: { [ACTIONS.WATER]: 1 } }, [ACTIONS.SUN, ACTIONS.WATER]));
+    });
+
+    test('Last action rule: ✨ must come last', () => {
+        const palm = getPlantByEmoji('🌴');
+        assertEqual(getPlantForRecipe([ACTIONS.SEED, ACTIONS.SUN, ACTIONS.SUN, ACTIONS.MAGIC]), palm);
+        assertEqual(getPlantForRecipe([ACTIONS.SEED, ACTIONS.WATER, ACTIONS.SUN, ACTIONS.SUN, ACTIONS.MAGIC]), palm);
+        assertEqual(getPlantForRecipe([ACTIONS.SEED, ACTIONS.SUN, ACTIONS.MAGIC, ACTIONS.SUN]), WILTED);
+        assertTrue(matchesRule({ first: ACTIONS.SUN }, [ACTIONS.SUN, ACTIONS.WATER]));
+        assertTrue(!matchesRule({ first: ACTIONS.SUN }, [ACTIONS.WATER, ACTIONS.SUN]));
+    });
+
+    test('Pattern rule: wildcards match any one action', () => {
+        const rule = { pattern: [ACTIONS.WATER, ANY, ANY, ACTIONS.SUN] };
+        assertTrue(matchesRule(rule, [ACTIONS.WATER, ACTIONS.MUSIC, ACTIONS.MAGIC, ACTIONS.SUN]));
+        assertTrue(matchesRule(rule, [ACTIONS.WATER, ACTIONS.SUN, ACTIONS.WATER, ACTIONS.SUN]));
+        assertTrue(!matchesRule(rule, [ACTIONS.WATER, ACTIONS.MUSIC, ACTIONS.SUN]));
+        assertTrue(!matchesRule(rule, [ACTIONS.SUN, ACTIONS.MUSIC, ACTIONS.MUSIC, ACTIONS.SUN]));
+        assertEqual(getPlantForRecipe([ACTIONS.SEED, ACTIONS.WATER, ACTIONS.MAGIC, ACTIONS.MUSIC, ACTIONS.SUN]).emoji, '🌳');
+    });
+
+    test('Hybrid rule: start of one recipe, end of another', () => {
+        const rule = { hybrid: ['🪻', '🌺'] }; // 💧🎵☀️ and 💧☀️✨
+        assertTrue(matchesRule(rule, [ACTIONS.WATER, ACTIONS.MUSIC, ACTIONS.SUN, ACTIONS.MAGIC]));
+        assertTrue(matchesRule(rule, [ACTIONS.WATER, ACTIONS.MUSIC, ACTIONS.MAGIC]));
+        assertTrue(matchesRule(rule, [ACTIONS.WATER, ACTIONS.MUSIC, ACTIONS.SUN, ACTIONS.WATER, ACTIONS.SUN, ACTIONS.MAGIC]));
+        assertTrue(!matchesRule(rule, [ACTIONS.MUSIC, ACTIONS.SUN, ACTIONS.MAGIC]));
+        assertTrue(!matchesRule(rule, [ACTIONS.WATER, ACTIONS.MUSIC, ACTIONS.SUN]));
+        assertTrue(!matchesRule({ hybrid: ['🧪', '🌺'] }, [ACTIONS.WATER, ACTIONS.MAGIC]));
+    });
+
+    test('Exact recipes win over rules', () => {
+        // 💧☀️✨ is also the start of 🪻 (💧) + the end of 🌺 (☀️✨)
+        assertEqual(getPlantForRecipe([ACTIONS.SEED, ACTIONS.WATER, ACTIONS.SUN, ACTIONS.MAGIC]).emoji, '🌺');
+        assertEqual(getPlantForRecipe([ACTIONS.SEED, ACTIONS.WATER, ACTIONS.WATER, ACTIONS.WATER]).emoji, '🍀');
+    });
+
+    test('A second seed never matches a rule', () => {
+        const plant = getPlantForRecipe([ACTIONS.SEED, ACTIONS.WATER, ACTIONS.SEED, ACTIONS.WATER, ACTIONS.MAGIC]);
+        assertEqual(plant, WILTED);
+    });
+
     // Validation tests
     test('isValidRecipe returns true for valid recipes', () => {
         assertTrue(isValidRecipe([ACTIONS.SEED, ACTIONS.WATER, ACTIONS.SUN]));
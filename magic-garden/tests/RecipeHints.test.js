@@ -0,0 +1,179 @@
+/**
+ * Tests for RecipeHints module
+ */
+import { diffRecipe, describeHint, HINT_TYPES } from '../js/RecipeHints.js';
+import { ACTIONS, getPlantByEmoji, getPlantForRecipe } from '../js/Plants.js';
+
+export function runRecipeHintsTests() {
+    const results = [];
+
+    function test(name, fn) {
+        try {
+            fn();
+            results.push({ name, passed: true });
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message} Expected ${expected}, got ${actual}`);
+        }
+    }
+
+    const { SEED, WATER, SUN, MUSIC, MAGIC } = ACTIONS;
+    const tulip = getPlantByEmoji('🌷'); // 💧☀️
+    const rose = getPlantByEmoji('🌹'); // 💧💧☀️
+    const mushroom = getPlantByEmoji('🍄'); // 2+ 💧, 1+ ✨, no ☀️ or 🎵
+    const palm = getPlantByEmoji('🌴'); // 2+ ☀️, ✨ last
+    const tree = getPlantByEmoji('🌳'); // 💧❔❔☀️
+    const rosette = getPlantByEmoji('🏵️'); // start of 🪻 then end of 🌺
+
+    test('No hint when the spell is the recipe', () => {
+        assertEqual(diffRecipe([SEED, WATER, SUN], tulip), null);
+    });
+
+    test('One too many 💧 marks the extra slot', () => {
+        const hint = diffRecipe([SEED, WATER, WATER, WATER, SUN], rose);
+        assertEqual(hint.type, HINT_TYPES.EXTRA);
+        assertEqual(hint.index, 3);
+        assertEqual(hint.action, WATER);
+        assertEqual(describeHint(hint), `➖${WATER}`);
+    });
+
+    test('An extra action at the end is extra', () => {
+        const hint = diffRecipe([SEED, WATER, SUN, SUN], tulip);
+        assertEqual(hint.type, HINT_TYPES.EXTRA);
+        assertEqual(hint.index, 3);
+    });
+
+    test('A left-out action shows where it belongs', () => {
+        const hint = diffRecipe([SEED, WATER, SUN], rose);
+        assertEqual(hint.type, HINT_TYPES.MISSING);
+        assertEqual(hint.index, 2);
+        assertEqual(hint.expected, WATER);
+        assertEqual(describeHint(hint), `➕${WATER}`);
+    });
+
+    test('A short spell is missing its next action', () => {
+        const hint = diffRecipe([SEED], tulip);
+        assertEqual(hint.type, HINT_TYPES.MISSING);
+        assertEqual(hint.index, 1);
+        assertEqual(hint.expected, WATER);
+    });
+
+    test('A forgotten seed is missing at the start', () => {
+        const hint = diffRecipe([WATER, SUN], tulip);
+        assertEqual(hint.type, HINT_TYPES.MISSING);
+        assertEqual(hint.index, 0);
+        assertEqual(hint.expected, SEED);
+    });
+
+    test('Swapped actions mark the first wrong slot with the expected icon', () => {
+        const hint = diffRecipe([SEED, SUN, WATER], tulip);
+        assertEqual(hint.type, HINT_TYPES.WRONG);
+        assertEqual(hint.index, 1);
+        assertEqual(hint.action, SUN);
+        assertEqual(hint.expected, WATER);
+        assertEqual(describeHint(hint), `${SUN}➡️${WATER}`);
+    });
+
+    test('Spells off by more than one action still get the first wrong slot', () => {
+        const hint = diffRecipe([SEED, MUSIC, MUSIC, MUSIC, MUSIC], tulip);
+        assertEqual(hint.type, HINT_TYPES.WRONG);
+        assertEqual(hint.index, 1);
+        assertEqual(hint.expected, WATER);
+    });
+
+    // Rule plants
+    test('No hint when a spell in another order follows the rule', () => {
+        assertEqual(diffRecipe([SEED, MAGIC, WATER, WATER], mushroom), null);
+    });
+
+    test('An action the rule forbids is extra', () => {
+        const hint = diffRecipe([SEED, WATER, WATER, SUN, MAGIC], mushroom);
+        assertEqual(hint.type, HINT_TYPES.EXTRA);
+        assertEqual(hint.index, 3);
+        assertEqual(hint.action, SUN);
+    });
+
+    test('A forbidden action swaps for one the rule is short of', () => {
+        const hint = diffRecipe([SEED, MAGIC, WATER, SUN], mushroom);
+        assertEqual(hint.type, HINT_TYPES.WRONG);
+        assertEqual(hint.index, 3);
+        assertEqual(describeHint(hint), `${SUN}➡️${WATER}`);
+    });
+
+    test('An action the rule needs more of is missing at the end', () => {
+        const hint = diffRecipe([SEED, WATER, MAGIC], mushroom);
+        assertEqual(hint.type, HINT_TYPES.MISSING);
+        assertEqual(hint.index, 3);
+        assertEqual(hint.expected, WATER);
+    });
+
+    test('A missing action goes before the action the rule wants last', () => {
+        const hint = diffRecipe([SEED, SUN, MAGIC], palm);
+        assertEqual(hint.type, HINT_TYPES.MISSING);
+        assertEqual(hint.index, 2);
+        assertEqual(hint.expected, SUN);
+    });
+
+    test('A spell that does not end right is missing its last action', () => {
+        const hint = diffRecipe([SEED, SUN, SUN, WATER], palm);
+        assertEqual(hint.type, HINT_TYPES.MISSING);
+        assertEqual(hint.index, 4);
+        assertEqual(hint.expected, MAGIC);
+    });
+
+    test('Pattern hints skip the slots any action can fill', () => {
+        assertEqual(diffRecipe([SEED, WATER, SUN, MAGIC, SUN], tree), null);
+        const hint = diffRecipe([SEED, WATER, MUSIC, MUSIC, MAGIC], tree);
+        assertEqual(hint.type, HINT_TYPES.WRONG);
+        assertEqual(hint.index, 4);
+        assertEqual(hint.expected, SUN);
+    });
+
+    test('Hybrid hints lead to the nearest spell that grows the hybrid', () => {
+        const hint = diffRecipe([SEED, WATER, MUSIC, SUN], rosette); // a hyacinth
+        assertEqual(hint.type, HINT_TYPES.MISSING);
+        assertEqual(hint.index, 4);
+        assertEqual(hint.expected, MAGIC);
+    });
+
+    test('Following rule hints grows the target', () => {
+        const spells = [
+            [[SEED, WATER, WATER, SUN, MAGIC], mushroom],
+            [[SEED, MAGIC, WATER, SUN], mushroom],
+            [[SEED, MUSIC, MUSIC], mushroom],
+            [[SEED, MAGIC, WATER], palm],
+            [[SEED, SUN, MUSIC, MUSIC, SUN], tree],
+            [[SEED, SUN, SUN], rosette]
+        ];
+        spells.forEach(([actions, target]) => {
+            let spell = actions;
+            for (let step = 0; step < 6; step++) {
+                const hint = diffRecipe(spell, target);
+                if (!hint) break;
+                spell = applyHint(spell, hint);
+            }
+            assertEqual(getPlantForRecipe(spell), target, `${actions.join('')}:`);
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Make the change a hint asks for
+ * @param {string[]} actions
+ * @param {Object} hint - From diffRecipe
+ * @returns {string[]}
+ */
+function applyHint(actions, hint) {
+    const spell = [...actions];
+    if (hint.type === HINT_TYPES.EXTRA) spell.splice(hint.index, 1);
+    if (hint.type === HINT_TYPES.MISSING) spell.splice(hint.index, 0, hint.expected);
+    if (hint.type === HINT_TYPES.WRONG) spell[hint.index] = hint.expected;
+    return spell;
+}
@@ -0,0 +1,119 @@
+/**
+ * Tests for SeedBook module
+ */
+import { SeedBook, SEED_BOOK_KEY } from '../js/SeedBook.js';
+import { ACTIONS, WILTED, getPlantByEmoji, getTotalPlants } from '../js/Plants.js';
+import { ProgressStore, GAME_IDS } from '../../shared/js/ProgressStore.js';
+
+export function runSeedBookTests() {
+    const results = [];
+
+    function test(name, fn) {
+        try {
+            fn();
+            results.push({ name, passed: true });
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message} Expected ${expected}, got ${actual}`);
+        }
+    }
+
+    function assertTrue(value, message = '') {
+        if (value !== true) {
+            throw new Error(`${message} Expected true, got ${value}`);
+        }
+    }
+
+    function assertFalse(value, message = '') {
+        if (value !== false) {
+            throw new Error(`${message} Expected false, got ${value}`);
+        }
+    }
+
+    function createBook(storage = new MemoryStorage()) {
+        return new SeedBook(new ProgressStore(GAME_IDS.GARDEN, { storage }));
+    }
+
+    const tulip = getPlantByEmoji('🌷');
+    const tulipSpell = [ACTIONS.SEED, ACTIONS.WATER, ACTIONS.SUN];
+
+    test('A new book has every plant as a silhouette', () => {
+        const entries = createBook().getEntries();
+        assertEqual(entries.length, getTotalPlants());
+        assertTrue(entries.every(entry => !entry.discovered && entry.recipe === null));
+    });
+
+    test('record adds a bloom with the spell that grew it', () => {
+        const book = createBook();
+        assertTrue(book.record(tulip, tulipSpell));
+        assertTrue(book.isDiscovered(tulip));
+        assertEqual(book.getRecipe(tulip).join(''), tulipSpell.join(''));
+        assertEqual(book.getDiscoveredCount(), 1);
+    });
+
+    test('record reports a plant only the first time', () => {
+        const book = createBook();
+        book.record(tulip, tulipSpell);
+        assertFalse(book.record(tulip, tulipSpell));
+        assertEqual(book.getDiscoveredCount(), 1);
+    });
+
+    test('Wilted and empty pots are not recorded', () => {
+        const book = createBook();
+        assertFalse(book.record(WILTED, [ACTIONS.SEED, ACTIONS.MAGIC]));
+        assertFalse(book.record(null, []));
+        assertEqual(book.getDiscoveredCount(), 0);
+    });
+
+    test('The book is kept in saved progress', () => {
+        const storage = new MemoryStorage();
+        createBook(storage).record(tulip, tulipSpell);
+        const reloaded = createBook(storage);
+        assertTrue(reloaded.isDiscovered(tulip));
+        assertEqual(reloaded.getRecipe(tulip).join(''), tulipSpell.join(''));
+    });
+
+    test('Plants unlocked before the book show their recipe', () => {
+        const progress = new ProgressStore(GAME_IDS.GARDEN, { storage: new MemoryStorage() });
+        progress.unlock(`plant:${tulip.name}`);
+        const book = new SeedBook(progress);
+        assertEqual(progress.get(SEED_BOOK_KEY), null);
+        assertEqual(book.getRecipe(tulip).join(''), tulipSpell.join(''));
+    });
+
+    test('isComplete once every plant is found', () => {
+        const book = createBook();
+        book.getEntries().forEach(({ plant }) => {
+            assertFalse(book.isComplete());
+            book.record(plant, [ACTIONS.SEED, ...plant.recipe]);
+        });
+        assertTrue(book.isComplete());
+    });
+
+    return results;
+}
+
+// ===== Test Utilities =====
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
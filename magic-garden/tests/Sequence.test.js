@@ -0,0 +1,176 @@
+/**
+ * Tests for Sequence module
+ */
+import { Sequence } from '../js/Sequence.js';
+import { ACTIONS } from '../js/Plants.js';
+import { Interpreter } from '../../shared/js/Interpreter.js';
+
+export function runSequenceTests() {
+    const results = [];
+
+    function test(name, fn) {
+        try {
+            fn();
+            results.push({ name, passed: true });
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message} Expected ${expected}, got ${actual}`);
+        }
+    }
+
+    function assertTrue(value, message = '') {
+        if (value !== true) {
+            throw new Error(`${message} Expected true, got ${value}`);
+        }
+    }
+
+    function assertFalse(value, message = '') {
+        if (value !== false) {
+            throw new Error(`${message} Expected false, got ${value}`);
+        }
+    }
+
+    // Seed, then water twice in a loop: 🌱💧💧
+    function createCloverStart() {
+        const sequence = new Sequence();
+        sequence.addCommand(ACTIONS.SEED);
+        sequence.addLoop(2);
+        sequence.addToLoop(ACTIONS.WATER, 1, 0);
+        return sequence;
+    }
+
+    test('flatten expands loops into actions', () => {
+        assertEqual(createCloverStart().flatten().join(''), '🌱💧💧');
+    });
+
+    test('addToLoop adds an action to a loop inside a loop', () => {
+        const sequence = createCloverStart();
+        sequence.addLoop(3);
+        sequence.moveFromMainToLoop(2, 1, 1);
+        sequence.addToLoop(ACTIONS.SUN, [1, 1], 0);
+        assertEqual(sequence.getCommandAt([1, 1, 0]).type, ACTIONS.SUN);
+        assertEqual(sequence.countActions(sequence.getCommands())[ACTIONS.SUN], 1);
+    });
+
+    test('A loop moves from one loop into another', () => {
+        const sequence = createCloverStart();
+        sequence.addLoop(3);
+        sequence.addToLoop(ACTIONS.SUN, 2, 0);
+        sequence.addLoop(2);
+        sequence.moveFromMainToLoop(2, 1, 1);
+        // 🌱 🔄2[💧 🔄3[☀️]] 🔄2[]
+        sequence.moveBetweenLoops([1], 1, [2], 0);
+        assertEqual(sequence.getCommands().length, 3);
+        assertEqual(sequence.getCommandAt([1]).commands.length, 1);
+        assertEqual(sequence.getCommandAt([2, 0, 0]).type, ACTIONS.SUN);
+    });
+
+    test('flatten expands nested loops', () => {
+        const sequence = createCloverStart();
+        sequence.addLoop(2);
+        sequence.addToLoop(ACTIONS.SUN, 2, 0);
+        sequence.moveFromMainToLoop(2, 1, 1);
+        // 🌱 then (💧 then ☀️☀️) twice
+        assertEqual(sequence.flatten().join(''), '🌱💧☀️☀️💧☀️☀️');
+    });
+
+    test('saveSpellBook keeps the sequence, loops included', () => {
+        const sequence = createCloverStart();
+        assertTrue(sequence.saveSpellBook('🍀'));
+        const book = sequence.getSpellBook('🍀');
+        assertEqual(book.commands.length, 2);
+        assertEqual(book.commands[1].type, 'loop');
+    });
+
+    test('saveSpellBook refuses an empty sequence', () => {
+        const sequence = new Sequence();
+        assertFalse(sequence.saveSpellBook('🌷'));
+        assertEqual(sequence.spellBooks.length, 0);
+    });
+
+    test('Saving a plant again replaces its spell book', () => {
+        const sequence = createCloverStart();
+        sequence.saveSpellBook('🍀');
+        sequence.clear();
+        sequence.addCommand(ACTIONS.SEED);
+        sequence.saveSpellBook('🍀');
+        assertEqual(sequence.spellBooks.length, 1);
+        assertEqual(sequence.getSpellBook('🍀').commands.length, 1);
+    });
+
+    test('A spell block is one block that flattens to its actions', () => {
+        const sequence = createCloverStart();
+        sequence.saveSpellBook('🍀');
+        sequence.clear();
+        sequence.addSpell('🍀');
+        sequence.addCommand(ACTIONS.WATER);
+        assertEqual(sequence.countBlocks(), 2);
+        assertEqual(sequence.flatten().join(''), '🌱💧💧💧');
+    });
+
+    test('A spell block keeps working after its book is replaced or deleted', () => {
+        const sequence = createCloverStart();
+        sequence.saveSpellBook('🍀');
+        sequence.clear();
+        sequence.addSpell('🍀');
+        sequence.deleteSpellBook('🍀');
+        assertEqual(sequence.getSpellBook('🍀'), null);
+        assertEqual(sequence.flatten().join(''), '🌱💧💧');
+        assertEqual(sequence.addSpell('🍀'), null);
+    });
+
+    test('countActions counts each block once, as the supply does', () => {
+        const sequence = createCloverStart();
+        sequence.saveSpellBook('🍀');
+        sequence.addSpell('🍀');
+        const counts = sequence.countActions(sequence.getCommands());
+        assertEqual(counts[ACTIONS.SEED], 2);
+        assertEqual(counts[ACTIONS.WATER], 2);
+    });
+
+    test('hasLoops looks inside spell blocks', () => {
+        const sequence = createCloverStart();
+        sequence.saveSpellBook('🍀');
+        sequence.clear();
+        sequence.addCommand(ACTIONS.SEED);
+        assertFalse(sequence.hasLoops(sequence.getCommands()));
+        sequence.addSpell('🍀');
+        assertTrue(sequence.hasLoops(sequence.getCommands()));
+    });
+
+    test('Spell books survive a save and load', () => {
+        const sequence = createCloverStart();
+        sequence.saveSpellBook('🍀');
+        const saved = JSON.parse(JSON.stringify(sequence.getSpellBooks()));
+
+        const loaded = new Sequence();
+        loaded.setSpellBooks([...saved, { name: 42 }, null]);
+        assertEqual(loaded.spellBooks.length, 1);
+        loaded.addSpell('🍀');
+        assertEqual(loaded.flatten().join(''), '🌱💧💧');
+    });
+
+    test('The Interpreter runs a spell block and points at it', () => {
+        const sequence = createCloverStart();
+        sequence.saveSpellBook('🍀');
+        sequence.clear();
+        sequence.addSpell('🍀');
+        sequence.addCommand(ACTIONS.WATER);
+
+        const program = new Interpreter(sequence.getCommands(), { sense: () => false });
+        const ran = [];
+        let cmd;
+        while ((cmd = program.peek()) !== null) {
+            ran.push(`${cmd.type}${cmd.path.join('.')}`);
+            program.advance();
+        }
+        assertEqual(ran.join(' '), '🌱0 💧0 💧0 💧1');
+    });
+
+    return results;
+}
@@ -8,6 +8,10 @@ class PatternLibrary {
         this.patterns = new Map(); // id -> Pattern
         this.presets = new Map();  // id -> Pattern (presets only)
         this.userPatterns = new Map(); // id -> Pattern (user-created only)
+        this.progress = new ProgressStore(GAME_IDS.MUSIC, {
+            // Import patterns saved before progress was shared
+            migrate: ProgressStore.importLegacyKey('musicbox_user_patterns', 'userPatterns')
+        });
         
         this.initializePresets();
         this.loadUserPatterns();
@@ -266,25 +270,24 @@ class PatternLibrary {
     }
 
     /**
-     * Save user patterns to localStorage
+     * Save user patterns to the shared progress store
      */
     saveUserPatterns() {
         try {
             const userPatternsArray = Array.from(this.userPatterns.values()).map(p => p.serialize());
-            localStorage.setItem('musicbox_user_patterns', JSON.stringify(userPatternsArray));
+            this.progress.set('userPatterns', userPatternsArray);
         } catch (error) {
             console.error('Failed to save user patterns:', error);
         }
     }
 
     /**
-     * Load user patterns from localStorage
+     * Load user patterns from the shared progress store
      */
     loadUserPatterns() {
         try {
-            const stored = localStorage.getItem('musicbox_user_patterns');
-            if (stored) {
-                const userPatternsArray = JSON.parse(stored);
+            const userPatternsArray = this.progress.get('userPatterns', []);
+            if (userPatternsArray.length) {
                 userPatternsArray.forEach(patternData => {
                     const pattern = Pattern.deserialize(patternData);
                     this.patterns.set(pattern.id, pattern);
@@ -0,0 +1,562 @@
+/**
+ * LevelEditor - Teacher page for making Robot Path Painter levels
+ *
+ * Levels are painted on the same grid the game draws, checked live with
+ * validateLevel, solved when the teacher presses 🔍 Check (a big level can
+ * take a few seconds) and saved as a JSON level pack. "Use in game" stores
+ * the pack so the game plays it after the built-in levels.
+ */
+import { Grid } from '../js/Grid.js';
+import { HEADINGS, DEFAULT_HEADING } from '../js/Robot.js';
+import { Sequence } from '../js/Sequence.js';
+import { solveLevel } from '../js/Solver.js';
+import { toTurtleProgram, toAbsoluteProgram } from '../js/Turtle.js';
+import {
+    validateLevel,
+    parseLevelPack,
+    exportLevelPack,
+    loadStoredLevelPack,
+    storeLevelPack,
+    getCustomLevels,
+    getTotalLevels
+} from '../js/Levels.js';
+
+// Smallest and largest grid the editor offers
+export const MIN_GRID_SIZE = 3;
+export const MAX_GRID_SIZE = 8;
+
+/**
+ * Empty level to start painting on
+ * @returns {Object} Level data
+ */
+function createBlankLevel() {
+    return { gridSize: 5, start: { x: 0, y: 0 }, targets: [], obstacles: [] };
+}
+
+export class LevelEditor {
+    constructor() {
+        loadStoredLevelPack();
+        const stored = getCustomLevels();
+        this.levels = stored.length ? stored : [createBlankLevel()];
+        this.currentIndex = 0;
+        this.tool = 'target';
+        this.solutions = new Map();
+
+        this.elements = {
+            packList: document.getElementById('packList'),
+            addLevelBtn: document.getElementById('addLevelBtn'),
+            deleteLevelBtn: document.getElementById('deleteLevelBtn'),
+            toolBar: document.getElementById('toolBar'),
+            grid: document.getElementById('editorGrid'),
+            gridSize: document.getElementById('gridSize'),
+            shrinkBtn: document.getElementById('shrinkBtn'),
+            growBtn: document.getElementById('growBtn'),
+            commandSetBtn: document.getElementById('commandSetBtn'),
+            headingBtn: document.getElementById('headingBtn'),
+            checkBtn: document.getElementById('checkBtn'),
+            checkList: document.getElementById('checkList'),
+            packJson: document.getElementById('packJson'),
+            importErrors: document.getElementById('importErrors'),
+            exportBtn: document.getElementById('exportBtn'),
+            downloadBtn: document.getElementById('downloadBtn'),
+            importBtn: document.getElementById('importBtn'),
+            importFile: document.getElementById('importFile'),
+            useBtn: document.getElementById('useBtn'),
+            clearGameBtn: document.getElementById('clearGameBtn'),
+            useStatus: document.getElementById('useStatus')
+        };
+    }
+
+    /**
+     * Wire up the page and draw the first level
+     */
+    init() {
+        const { elements } = this;
+
+        elements.toolBar.querySelectorAll('.tool-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.selectTool(btn.dataset.tool));
+        });
+        elements.grid.addEventListener('click', (e) => {
+            const cell = e.target.closest('.grid-cell');
+            if (cell) this.applyTool(Number(cell.dataset.x), Number(cell.dataset.y));
+        });
+
+        elements.addLevelBtn.addEventListener('click', () => this.addLevel());
+        elements.deleteLevelBtn.addEventListener('click', () => this.deleteLevel());
+        elements.shrinkBtn.addEventListener('click', () => this.resize(-1));
+        elements.growBtn.addEventListener('click', () => this.resize(1));
+        elements.commandSetBtn.addEventListener('click', () => this.toggleCommandSet());
+        elements.headingBtn.addEventListener('click', () => this.turnStart());
+        elements.checkBtn.addEventListener('click', () => this.checkLevel());
+
+        elements.exportBtn.addEventListener('click', () => this.exportPack());
+        elements.downloadBtn.addEventListener('click', () => this.downloadPack());
+        elements.importBtn.addEventListener('click', () => this.importPack(elements.packJson.value));
+        elements.importFile.addEventListener('change', () => this.importFile());
+        elements.useBtn.addEventListener('click', () => this.useInGame());
+        elements.clearGameBtn.addEventListener('click', () => this.removeFromGame());
+
+        this.render();
+        elements.packJson.value = exportLevelPack(this.levels);
+    }
+
+    /**
+     * The level being painted
+     * @returns {Object}
+     */
+    get level() {
+        return this.levels[this.currentIndex];
+    }
+
+    /**
+     * Pick the tool used when a cell is clicked
+     * @param {string} tool - 'target' | 'rock' | 'star' | 'key' | 'door' | 'start' | 'erase'
+     */
+    selectTool(tool) {
+        this.tool = tool;
+        this.elements.toolBar.querySelectorAll('.tool-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+            btn.setAttribute('aria-pressed', String(btn.dataset.tool === tool));
+        });
+    }
+
+    /**
+     * Use the current tool on a cell
+     * Targets, rocks, items and doors toggle, so a second click takes them
+     * away again
+     * @param {number} x
+     * @param {number} y
+     */
+    applyTool(x, y) {
+        const level = this.level;
+        const key = `${x},${y}`;
+
+        switch (this.tool) {
+            case 'target':
+                level.targets = toggle(level.targets, key);
+                break;
+            case 'rock':
+                level.obstacles = toggle(level.obstacles, key);
+                break;
+            case 'star':
+            case 'key':
+                level.items = { ...level.items };
+                if (level.items[key] === this.tool) {
+                    delete level.items[key];
+                } else {
+                    level.items[key] = this.tool;
+                }
+                break;
+            case 'door':
+                level.doors = toggle(level.doors || [], key);
+                break;
+            case 'start':
+                level.start = { x, y };
+                break;
+            case 'erase':
+                level.targets = level.targets.filter(k => k !== key);
+                level.obstacles = level.obstacles.filter(k => k !== key);
+                level.doors = (level.doors || []).filter(k => k !== key);
+                level.items = { ...level.items };
+                delete level.items[key];
+                break;
+        }
+        dropStrayColors(level);
+        this.render();
+    }
+
+    /**
+     * Make the grid bigger or smaller
+     * Targets, rocks, items and doors that fall off the edge are dropped;
+     * the start is kept so validateLevel can point out that it needs moving
+     * @param {number} delta - +1 or -1
+     */
+    resize(delta) {
+        const level = this.level;
+        const size = level.gridSize + delta;
+        if (size < MIN_GRID_SIZE || size > MAX_GRID_SIZE) return;
+
+        const inside = key => key.split(',').map(Number).every(n => n < size);
+        level.gridSize = size;
+        level.targets = level.targets.filter(inside);
+        level.obstacles = level.obstacles.filter(inside);
+        level.doors = (level.doors || []).filter(inside);
+        level.items = Object.fromEntries(Object.entries(level.items || {}).filter(([key]) => inside(key)));
+        dropStrayColors(level);
+        this.render();
+    }
+
+    /**
+     * Switch the level between arrow blocks and turtle blocks
+     */
+    toggleCommandSet() {
+        const level = this.level;
+        if (level.commandSet === 'turtle') {
+            delete level.commandSet;
+            delete level.heading;
+        } else {
+            level.commandSet = 'turtle';
+            level.heading = DEFAULT_HEADING;
+        }
+        this.render();
+    }
+
+    /**
+     * Turn a turtle level's robot a quarter turn clockwise
+     */
+    turnStart() {
+        const level = this.level;
+        if (level.commandSet !== 'turtle') return;
+        level.heading = HEADINGS[(HEADINGS.indexOf(level.heading) + 1) % HEADINGS.length];
+        this.render();
+    }
+
+    /**
+     * Add a blank level after the current one
+     */
+    addLevel() {
+        this.levels.splice(this.currentIndex + 1, 0, createBlankLevel());
+        this.currentIndex++;
+        this.render();
+    }
+
+    /**
+     * Delete the current level (a pack always keeps one)
+     */
+    deleteLevel() {
+        if (this.levels.length === 1) {
+            this.levels = [createBlankLevel()];
+        } else {
+            this.levels.splice(this.currentIndex, 1);
+            this.currentIndex = Math.min(this.currentIndex, this.levels.length - 1);
+        }
+        this.render();
+    }
+
+    /**
+     * Switch to another level of the pack
+     * @param {number} index
+     */
+    selectLevel(index) {
+        this.currentIndex = index;
+        this.render();
+    }
+
+    /**
+     * Redraw the pack list, grid and checks
+     */
+    render() {
+        this.renderPackList();
+        this.renderGrid();
+        this.renderChecks();
+    }
+
+    /**
+     * One button per level, marked when the level has problems
+     */
+    renderPackList() {
+        const list = this.elements.packList;
+        list.innerHTML = '';
+
+        this.levels.forEach((level, index) => {
+            const item = document.createElement('li');
+            const btn = document.createElement('button');
+            const ok = this.getProblems(level).length === 0;
+            btn.className = 'pack-level';
+            btn.classList.toggle('active', index === this.currentIndex);
+            btn.textContent = `${ok ? '✅' : '⚠️'} ${index + 1}`;
+            btn.setAttribute('aria-label', `Level ${index + 1}`);
+            btn.addEventListener('click', () => this.selectLevel(index));
+            item.appendChild(btn);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Draw the level with the game's own grid, plus the robot on its start
+     */
+    renderGrid() {
+        const { grid: container, gridSize, commandSetBtn, headingBtn } = this.elements;
+        const level = this.level;
+        const isTurtle = level.commandSet === 'turtle';
+        const grid = new Grid(level.gridSize, level.targets, level.obstacles, level.colors);
+        grid.resetItems(level.items, level.doors);
+        grid.render(container);
+
+        const startCell = container.querySelector(`[data-x="${level.start.x}"][data-y="${level.start.y}"]`);
+        if (startCell) {
+            const robot = document.createElement('span');
+            robot.className = 'robot-emoji';
+            robot.textContent = '🤖';
+            // rotate, not transform, so the idle bounce still plays
+            if (isTurtle) robot.style.rotate = `${HEADINGS.indexOf(level.heading) * 90}deg`;
+            startCell.classList.add('robot');
+            startCell.appendChild(robot);
+        }
+
+        gridSize.textContent = `${level.gridSize}×${level.gridSize}`;
+        commandSetBtn.textContent = isTurtle ? '🐢 Turtle' : '⬆️➡️ Arrows';
+        commandSetBtn.setAttribute('aria-pressed', String(isTurtle));
+        headingBtn.hidden = !isTurtle;
+        headingBtn.textContent = `🤖${Sequence.getDirectionEmoji(level.heading)}`;
+    }
+
+    /**
+     * List what validateLevel and the solver say about the level
+     */
+    renderChecks() {
+        const problems = this.getProblems(this.level);
+        const list = this.elements.checkList;
+        list.innerHTML = '';
+
+        if (problems.length === 0) {
+            const { moves, blocks, loopSolution } = this.getSolution(this.level);
+            problems.push('✅ Ready to play');
+            problems.push(`🧮 Shortest: ${moves} blocks, ${blocks} with loops`);
+            problems.push(`⭐⭐⭐ Par: ${blocks} blocks`);
+            problems.push(...getReferenceSolutions(this.level, loopSolution));
+        }
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Everything that stops a level from being played
+     * @param {Object} level
+     * @returns {string[]} Messages, empty when the level is ready
+     */
+    getProblems(level) {
+        const { errors } = validateLevel(level);
+        const problems = errors.map(error => `⚠️ ${error}`);
+        const stars = Object.values(level.items || {}).filter(item => item === 'star');
+        if (level.targets.length === 0 && stars.length === 0) {
+            problems.push('🎯 Paint at least one target or place a ⭐');
+        } else if (errors.length === 0) {
+            const solution = this.getSolution(level);
+            if (!solution) {
+                problems.push('🔍 Press Check to run the solver');
+                return problems;
+            }
+            const { solvable } = solution;
+            if (solvable === false) problems.push('🚧 The robot cannot paint every target and collect every ⭐');
+            if (solvable === null) problems.push('🐢 Too big to check - try fewer targets');
+        }
+        return problems;
+    }
+
+    /**
+     * The solver's answer, if the level was checked since it last changed
+     * @param {Object} level
+     * @returns {Object|null} From solveLevel
+     */
+    getSolution(level) {
+        return this.solutions.get(getLayoutKey(level)) ?? null;
+    }
+
+    /**
+     * Solve a level, reusing the answer while it is unchanged
+     * Only run from buttons, never on every edit
+     * @param {Object} level
+     * @returns {Object} From solveLevel
+     */
+    solve(level) {
+        const key = getLayoutKey(level);
+        if (!this.solutions.has(key)) {
+            this.solutions.set(key, solveLevel(level));
+        }
+        return this.solutions.get(key);
+    }
+
+    /**
+     * Run the solver on the level being edited
+     */
+    checkLevel() {
+        this.solve(this.level);
+        this.render();
+    }
+
+    /**
+     * Run the solver on every level in the pack
+     */
+    checkAll() {
+        this.levels.forEach(level => this.solve(level));
+        this.render();
+    }
+
+    /**
+     * Levels with their par set from the solver, ready to save
+     * @param {Array} levels - Checked levels
+     * @returns {Array}
+     */
+    withPar(levels) {
+        return levels.map(level => {
+            const { solvable, blocks } = this.solve(level);
+            return solvable ? { ...level, par: blocks } : level;
+        });
+    }
+
+    /**
+     * Show the pack as JSON in the text box
+     */
+    exportPack() {
+        this.checkAll();
+        this.elements.packJson.value = exportLevelPack(this.withPar(this.levels));
+        this.showImportErrors([]);
+    }
+
+    /**
+     * Save the pack as a .json file
+     */
+    downloadPack() {
+        this.checkAll();
+        const blob = new Blob([exportLevelPack(this.withPar(this.levels))], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'robot-levels.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Replace the pack with one read from JSON
+     * Nothing changes if any level in it is broken
+     * @param {string} json - Level pack text
+     * @returns {boolean} True if the pack was loaded
+     */
+    importPack(json) {
+        const { levels, errors } = parseLevelPack(json);
+        if (errors.length === 0 && levels.length === 0) {
+            errors.push('The pack has no levels');
+        }
+        this.showImportErrors(errors);
+        if (errors.length > 0) return false;
+
+        this.levels = levels;
+        this.currentIndex = 0;
+        this.render();
+        return true;
+    }
+
+    /**
+     * Read a pack from the chosen file
+     */
+    async importFile() {
+        const input = this.elements.importFile;
+        const file = input.files[0];
+        if (!file) return;
+
+        const json = await file.text();
+        this.elements.packJson.value = json;
+        this.importPack(json);
+        input.value = '';
+    }
+
+    /**
+     * List import problems under the JSON box
+     * @param {string[]} errors
+     */
+    showImportErrors(errors) {
+        const list = this.elements.importErrors;
+        list.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = `⚠️ ${error}`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Store the pack so the game plays it after the built-in levels
+     * Every level is checked first; only levels without problems are sent
+     */
+    useInGame() {
+        this.checkAll();
+        const ready = this.levels.filter(level => this.getProblems(level).length === 0);
+        storeLevelPack(this.withPar(ready));
+        const skipped = this.levels.length - ready.length;
+        this.showStatus(skipped > 0
+            ? `🎮 ${ready.length} level(s) added, ${skipped} skipped (⚠️)`
+            : `🎮 ${ready.length} level(s) added - the game now has ${getTotalLevels()}`);
+    }
+
+    /**
+     * Take the pack out of the game
+     */
+    removeFromGame() {
+        storeLevelPack([]);
+        this.showStatus('🧹 Only the built-in levels are played');
+    }
+
+    /**
+     * @param {string} message
+     */
+    showStatus(message) {
+        this.elements.useStatus.textContent = message;
+    }
+}
+
+/**
+ * What the solver's answer depends on: everything but the par
+ * @param {Object} level
+ * @returns {string}
+ */
+function getLayoutKey(level) {
+    const { par, ...layout } = level;
+    return JSON.stringify(layout);
+}
+
+/**
+ * Add a key if missing, remove it if present
+ * @param {string[]} keys
+ * @param {string} key
+ * @returns {string[]}
+ */
+function toggle(keys, key) {
+    return keys.includes(key) ? keys.filter(k => k !== key) : [...keys, key];
+}
+
+/**
+ * The solver's answer written with arrows and with turtle turns, so a
+ * teacher can compare the two (only the level's own set counts for par)
+ * @param {Object} level
+ * @param {Array} loopSolution - From solveLevel
+ * @returns {string[]} Check list lines
+ */
+function getReferenceSolutions(level, loopSolution) {
+    const heading = level.heading ?? DEFAULT_HEADING;
+    const isTurtle = level.commandSet === 'turtle';
+    const absolute = isTurtle ? toAbsoluteProgram(loopSolution, heading) : loopSolution;
+    const turtle = isTurtle ? loopSolution : toTurtleProgram(loopSolution, heading);
+    return [`⬆️➡️ ${describeProgram(absolute)}`, `🐢 ${describeProgram(turtle)}`];
+}
+
+/**
+ * Write move, fire, bucket, turn and loop commands as block emojis
+ * @param {Array} commands
+ * @returns {string}
+ */
+function describeProgram(commands) {
+    return commands.map(cmd => {
+        switch (cmd.type) {
+            case 'loop': return `🔄${cmd.iterations}(${describeProgram(cmd.commands)})`;
+            case 'fire': return Sequence.getFireEmoji(cmd.direction);
+            case 'bucket': return Sequence.getBucketEmoji(cmd.color);
+            case 'turn': return Sequence.getTurnEmoji(cmd.direction);
+            default: return Sequence.getDirectionEmoji(cmd.direction);
+        }
+    }).join(' ');
+}
+
+/**
+ * Forget the colours of pixel-art targets that were taken away
+ * @param {Object} level - Level being edited
+ */
+function dropStrayColors(level) {
+    if (!level.colors) return;
+    Object.keys(level.colors).forEach(key => {
+        if (!level.targets.includes(key)) delete level.colors[key];
+    });
+}
@@ -0,0 +1,9 @@
+/**
+ * Main entry point for the level editor
+ */
+import { LevelEditor } from './LevelEditor.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.editor = new LevelEditor();
+    window.editor.init();
+});
@@ -38,7 +38,9 @@ export class Audio {
                 'save': { freq: 700, duration: 0.2, type: 'sine' },
                 'incomplete': { freq: 350, duration: 0.4, type: 'sine' },
                 'fire': { freq: 150, duration: 0.2, type: 'sawtooth' },
-                'explosion': { freq: 80, duration: 0.4, type: 'square' }
+                'explosion': { freq: 80, duration: 0.4, type: 'square' },
+                'pickup': { freq: 1000, duration: 0.15, type: 'triangle' },
+                'unlock': { freq: 500, duration: 0.25, type: 'square' }
             };
 
             const sound = sounds[type] || sounds.click;
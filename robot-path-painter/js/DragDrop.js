@@ -11,6 +11,8 @@ export class DragDrop extends BaseDragDrop {
         // Robot path painter specific callbacks
         this.onAddCommand = options.onAddCommand;
         this.onAddFireCommand = options.onAddFireCommand;
+        this.onAddBucketCommand = options.onAddBucketCommand;
+        this.onAddTurnCommand = options.onAddTurnCommand;
         this.onAddToLoop = options.onAddToLoop;
         
         this.setupPaletteButtons();
@@ -23,6 +25,26 @@ export class DragDrop extends BaseDragDrop {
         return 'var(--primary-color)';
     }
 
+    /**
+     * "if" blocks are dragged by their ❓ icon
+     */
+    getDragHandle(item) {
+        if (item.classList.contains('if-block')) {
+            return item.querySelector(':scope > .if-header .if-icon');
+        }
+        return super.getDragHandle(item);
+    }
+
+    /**
+     * Show just the sensor for a dragged "if" block
+     */
+    getDragGhostContent(sourceElement, data) {
+        if (sourceElement.classList.contains('if-block')) {
+            return sourceElement.querySelector('.if-sensor')?.textContent || '❓';
+        }
+        return super.getDragGhostContent(sourceElement, data);
+    }
+
     /**
      * Setup palette buttons for robot commands
      */
@@ -40,6 +62,20 @@ export class DragDrop extends BaseDragDrop {
                 () => ({ type: 'add', commandType: 'fire', direction: btn.dataset.fire })
             );
         });
+
+        // Paint buckets
+        document.querySelectorAll('.bucket-btn').forEach(btn => {
+            this.addTouchDragOnly(btn,
+                () => ({ type: 'add', commandType: 'bucket', color: btn.dataset.color })
+            );
+        });
+
+        // Turtle turns
+        document.querySelectorAll('.turn-btn').forEach(btn => {
+            this.addTouchDragOnly(btn,
+                () => ({ type: 'add', commandType: 'turn', direction: btn.dataset.turn })
+            );
+        });
     }
 
     /**
@@ -67,25 +103,25 @@ export class DragDrop extends BaseDragDrop {
             if (loopBody) {
                 // Dropping into a loop body
                 const loopBlock = this.getLoopBlockFromBody(loopBody);
-                const targetLoopIndex = parseInt(loopBlock.dataset.index);
+                const targetLoopPath = this.getLoopPath(loopBlock);
                 const dropIndexInLoop = this.getDropIndexInLoop(touch, loopBody);
                 
                 if (data.type === 'add') {
                     // Adding new command to loop
-                    this.onAddToLoop(data.commandType, data.direction, targetLoopIndex, dropIndexInLoop);
+                    this.onAddToLoop(data.commandType, data.direction ?? data.color, targetLoopPath, dropIndexInLoop);
                 } else if (data.type === 'reorder') {
-                    // Moving from main sequence into loop (can't move loops into loops)
-                    if (!data.isLoop) {
-                        this.onMoveToLoop(data.index, targetLoopIndex, dropIndexInLoop);
-                    }
+                    // Moving from main sequence into loop (loops nest up to the sequence's max depth)
+                    this.onMoveToLoop(data.index, targetLoopPath, dropIndexInLoop);
                 } else if (data.type === 'reorder-loop-item') {
-                    if (data.loopIndex === targetLoopIndex) {
+                    if (this.isSameLoop(data.loopIndex, targetLoopPath)) {
                         // Reordering within the same loop
                         if (dropIndexInLoop !== data.cmdIndex && dropIndexInLoop !== data.cmdIndex + 1) {
-                            this.onReorderInLoop(targetLoopIndex, data.cmdIndex, dropIndexInLoop);
+                            this.onReorderInLoop(targetLoopPath, data.cmdIndex, dropIndexInLoop);
                         }
+                    } else {
+                        // Moving from one loop into another
+                        this.onMoveBetweenLoops(data.loopIndex, data.cmdIndex, targetLoopPath, dropIndexInLoop);
                     }
-                    // Note: Cross-loop moves are not supported
                 }
             } else {
                 // Dropping into main sequence area
@@ -94,6 +130,10 @@ export class DragDrop extends BaseDragDrop {
                 if (data.type === 'add') {
                     if (data.commandType === 'fire') {
                         this.onAddFireCommand(data.direction, dropIndex);
+                    } else if (data.commandType === 'bucket') {
+                        this.onAddBucketCommand(data.color, dropIndex);
+                    } else if (data.commandType === 'turn') {
+                        this.onAddTurnCommand(data.direction, dropIndex);
                     } else {
                         this.onAddCommand(data.direction, dropIndex);
                     }
@@ -0,0 +1,97 @@
+/**
+ * FunctionPanel - Saved function buttons for Robot Path Painter
+ *
+ * One button per saved function, showing its picture name and its first
+ * few blocks: tap to call it, ✏️ to change it (↩️ while it is open), ✖ to
+ * delete it. While a function is open the sequence area is marked so it
+ * looks different from the main program.
+ */
+import { Sequence } from './Sequence.js';
+
+// Blocks shown on a function button before "..."
+const PREVIEW_LENGTH = 3;
+
+export class FunctionPanel {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Element that holds the function buttons
+     * @param {HTMLElement} options.sequenceArea - Sequence area, marked while editing
+     * @param {Sequence} options.sequence - Sequence that owns the functions
+     * @param {function} options.onCall - Called with a function index to add a call
+     * @param {function} options.onEdit - Called with a function index to open or close it
+     * @param {function} options.onDelete - Called with a function index to delete it
+     */
+    constructor(options) {
+        this.container = options.container;
+        this.sequenceArea = options.sequenceArea;
+        this.sequence = options.sequence;
+        this.onCall = options.onCall;
+        this.onEdit = options.onEdit;
+        this.onDelete = options.onDelete;
+    }
+
+    /**
+     * Render one button per saved function
+     */
+    render() {
+        const editing = this.sequence.editingFunction;
+        this.container.innerHTML = '';
+        this.sequenceArea.classList.toggle('editing-function', editing !== null);
+
+        this.sequence.savedFunctions.forEach((func, index) => {
+            this.container.appendChild(this.createFunctionButton(func, index, func === editing));
+        });
+    }
+
+    /**
+     * Create the button for one function
+     * @param {Object} func - Saved function
+     * @param {number} index - Function index
+     * @param {boolean} isEditing - Function is open in the sequence area
+     * @returns {HTMLElement}
+     */
+    createFunctionButton(func, index, isEditing) {
+        const btn = document.createElement('button');
+        btn.className = 'saved-function-btn' + (isEditing ? ' editing' : '');
+
+        const preview = document.createElement('span');
+        preview.className = 'function-preview';
+        const previewCommands = func.commands.slice(0, PREVIEW_LENGTH).map(c => this.getCommandPreview(c)).join('');
+        preview.textContent = `${func.name}: ${previewCommands}${func.commands.length > PREVIEW_LENGTH ? '...' : ''}`;
+        btn.appendChild(preview);
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'edit-function';
+        editBtn.textContent = isEditing ? '↩️' : '✏️';
+        editBtn.setAttribute('aria-label', isEditing ? 'Stop editing' : 'Edit function');
+        editBtn.addEventListener('click', (e) => { e.stopPropagation(); this.onEdit(index); });
+        btn.appendChild(editBtn);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'delete-function';
+        deleteBtn.textContent = '✖';
+        deleteBtn.addEventListener('click', (e) => { e.stopPropagation(); this.onDelete(index); });
+        btn.appendChild(deleteBtn);
+
+        btn.addEventListener('click', () => this.onCall(index));
+        return btn;
+    }
+
+    /**
+     * Short picture of a command for the function buttons
+     * @param {Object} cmd - Command
+     * @returns {string}
+     */
+    getCommandPreview(cmd) {
+        switch (cmd.type) {
+            case 'move': return Sequence.getDirectionEmoji(cmd.direction);
+            case 'fire': return '🚀';
+            case 'bucket': return '🪣';
+            case 'turn': return Sequence.getTurnEmoji(cmd.direction);
+            case 'loop': return cmd.until ? '🔁' : '🔄';
+            case 'if': return '❓';
+            case 'function': return Sequence.getFunctionEmoji(this.sequence.getFunction(cmd.id));
+            default: return '❓';
+        }
+    }
+}
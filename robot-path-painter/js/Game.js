@@ -2,17 +2,31 @@
  * Game Controller - Main game orchestration
  * Coordinates Robot, Grid, Sequence, Audio, and DragDrop
  */
-import { Robot } from './Robot.js';
-import { Grid } from './Grid.js';
-import { Sequence } from './Sequence.js';
+import { Robot, HEADINGS } from './Robot.js';
+import { Grid, PAINT_COLORS, ITEMS } from './Grid.js';
+import { Sequence, CONDITIONS, BRANCHES } from './Sequence.js';
+import { Interpreter } from '../../shared/js/Interpreter.js';
 import { Audio } from './Audio.js';
 import { DragDrop } from './DragDrop.js';
-import { getLevel, getTotalLevels } from './Levels.js';
+import { FunctionPanel } from './FunctionPanel.js';
+import { getLevel, getTotalLevels, loadStoredLevelPack } from './Levels.js';
+import { ProgressStore, GAME_IDS } from '../../shared/js/ProgressStore.js';
+import { LevelSelect } from '../../shared/js/LevelSelect.js';
+import { Debugger } from '../../shared/js/Debugger.js';
+import { DebugControls } from '../../shared/js/DebugControls.js';
+import { rateSolution, renderStars } from '../../shared/js/StarRating.js';
 
 export class Game {
     constructor() {
-        this.currentLevel = 1;
-        this.isPlaying = false;
+        this.progress = new ProgressStore(GAME_IDS.ROBOT);
+        // Levels made in the level editor come after the built-ins
+        loadStoredLevelPack();
+        this.currentLevel = this.progress.getNextLevel(getTotalLevels());
+        this.isPixelArt = false;
+        this.isTurtle = false;
+        // Angle the robot sprite is turned to, counted on past 360° so it
+        // always spins the short way round
+        this.spriteAngle = 0;
         this.initialObstacles = [];
         this.initializeComponents();
         this.initializeElements();
@@ -21,6 +35,14 @@ export class Game {
         this.loadLevel(this.currentLevel);
     }
 
+    /**
+     * A run is going; editing waits until it stops
+     * @returns {boolean}
+     */
+    get isPlaying() {
+        return this.debugControls.isRunning;
+    }
+
     initializeComponents() {
         const levelData = getLevel(1);
         this.robot = new Robot(levelData.start);
@@ -28,6 +50,13 @@ export class Game {
         this.sequence = new Sequence();
         this.audio = new Audio();
         this.initialObstacles = levelData.obstacles || [];
+        this.debugger = new Debugger({
+            execute: (cmd) => this.executeCommand(cmd),
+            snapshot: () => ({ robot: this.robot.getState(), grid: this.grid.getState() }),
+            restore: (state) => this.restoreState(state),
+            onStep: (index, cmd) => this.highlightCommand(cmd),
+            onFail: (index, cmd) => this.markStoppedHere(cmd)
+        });
     }
 
     initializeElements() {
@@ -39,38 +68,95 @@ export class Game {
             trashZone: document.getElementById('trashZone'),
             playBtn: document.getElementById('playBtn'),
             resetBtn: document.getElementById('resetBtn'),
+            pauseBtn: document.getElementById('pauseBtn'),
+            stepBtn: document.getElementById('stepBtn'),
+            stepBackBtn: document.getElementById('stepBackBtn'),
             clearBtn: document.getElementById('clearBtn'),
             saveBtn: document.getElementById('saveBtn'),
             loopBtn: document.getElementById('loopBtn'),
+            bucketBlocks: document.getElementById('bucketBlocks'),
+            inventory: document.getElementById('inventory'),
             helpBtn: document.getElementById('helpBtn'),
             closeHelpBtn: document.getElementById('closeHelpBtn'),
             nextBtn: document.getElementById('nextBtn'),
             successOverlay: document.getElementById('successOverlay'),
+            successStars: document.getElementById('successStars'),
             helpOverlay: document.getElementById('helpOverlay'),
-            levelNum: document.getElementById('levelNum')
+            levelNum: document.getElementById('levelNum'),
+            levelSelectBtn: document.getElementById('levelSelectBtn'),
+            levelSelectOverlay: document.getElementById('levelSelectOverlay'),
+            levelSelectGrid: document.getElementById('levelSelectGrid'),
+            closeLevelSelectBtn: document.getElementById('closeLevelSelectBtn')
         };
+
+        this.levelSelect = new LevelSelect({
+            container: this.elements.levelSelectGrid,
+            progress: this.progress,
+            getTotalLevels: () => getTotalLevels(),
+            onSelect: (level) => this.selectLevel(level)
+        });
+
+        this.functionPanel = new FunctionPanel({
+            container: this.elements.savedFunctionsContainer,
+            sequenceArea: this.elements.sequenceArea,
+            sequence: this.sequence,
+            onCall: (index) => this.addFunctionToSequence(index),
+            onEdit: (index) => this.editFunction(index),
+            onDelete: (index) => this.deleteFunction(index)
+        });
+
+        this.debugControls = new DebugControls({
+            debugger: this.debugger,
+            buttons: {
+                play: this.elements.playBtn,
+                pause: this.elements.pauseBtn,
+                step: this.elements.stepBtn,
+                stepBack: this.elements.stepBackBtn
+            },
+            // Functions are expanded so editing one also starts a fresh run
+            getSource: () => this.sequence.expandFunctions(),
+            isEmpty: () => this.sequence.isEmpty(),
+            prepare: () => this.prepareRun(),
+            onFinish: () => this.finishRun(),
+            onStepBack: () => {
+                this.clearStoppedMarker();
+                this.audio.play('click');
+            },
+            onReset: () => this.resetLevel()
+        });
         
         this.dragDrop = new DragDrop({
             sequenceArea: this.elements.sequenceArea,
             trashZone: this.elements.trashZone,
             onAddCommand: (direction, index) => this.addCommandAt(direction, index),
             onAddFireCommand: (direction, index) => this.addFireCommandAt(direction, index),
+            onAddBucketCommand: (color, index) => this.addBucketCommandAt(color, index),
+            onAddTurnCommand: (side, index) => this.addTurnCommandAt(side, index),
             onReorder: (from, to) => this.reorderCommand(from, to),
             onRemove: (index) => this.removeCommand(index),
             onReorderInLoop: (loopIndex, from, to) => this.reorderInLoop(loopIndex, from, to),
             onMoveFromLoop: (loopIndex, cmdIndex, targetIndex) => this.moveFromLoopToMain(loopIndex, cmdIndex, targetIndex),
             onMoveToLoop: (fromIndex, loopIndex, targetCmdIndex) => this.moveFromMainToLoop(fromIndex, loopIndex, targetCmdIndex),
             onRemoveFromLoop: (loopIndex, cmdIndex) => this.removeFromLoop(loopIndex, cmdIndex),
+            onMoveBetweenLoops: (fromLoop, cmdIndex, toLoop, targetIndex) => this.moveBetweenLoops(fromLoop, cmdIndex, toLoop, targetIndex),
             onAddToLoop: (cmdType, direction, loopIndex, cmdIndex) => this.addToLoop(cmdType, direction, loopIndex, cmdIndex)
         });
     }
 
     loadLevel(levelNum) {
         const levelData = getLevel(levelNum);
-        this.robot.setStartPosition(levelData.start);
-        this.grid.configure(levelData.gridSize, levelData.targets, levelData.obstacles);
+        this.levelData = levelData;
+        this.robot.setStartPosition(levelData.start, levelData.heading);
+        this.grid.configure(levelData.gridSize, levelData.targets, levelData.obstacles, levelData.colors);
         this.initialObstacles = levelData.obstacles || [];
-        this.sequence.clear();
+        // Buckets are only offered when the picture has colours
+        this.isPixelArt = Object.keys(levelData.colors || {}).length > 0;
+        this.elements.bucketBlocks.hidden = !this.isPixelArt;
+        this.grid.resetItems(levelData.items, levelData.doors);
+        this.isTurtle = levelData.commandSet === 'turtle';
+        this.applyCommandSet();
+        this.sequence.reset();
+        this.debugControls.stop();
         this.elements.levelNum.textContent = levelNum;
         this.render();
         // Wait for layout to complete before positioning robot
@@ -84,7 +170,33 @@ export class Game {
     render() {
         this.grid.render(this.elements.gridContainer, this.robot.position);
         this.renderSequence();
-        this.renderSavedFunctions();
+        this.functionPanel.render();
+    }
+
+    /**
+     * Offer the arrow blocks, or 🔼 forward and ↩️ ↪️ turns in turtle levels
+     */
+    applyCommandSet() {
+        document.querySelectorAll('.command-btn, .fire-btn').forEach(btn => {
+            const isForward = (btn.dataset.command ?? btn.dataset.fire) === 'forward';
+            btn.hidden = isForward !== this.isTurtle;
+        });
+        document.querySelectorAll('.turn-btn').forEach(btn => {
+            btn.hidden = !this.isTurtle;
+        });
+    }
+
+    /**
+     * Show the ⭐ collected out of the level's stars and the 🔑 carried
+     */
+    updateInventory() {
+        const items = Object.values(this.levelData.items || {});
+        const stars = items.filter(item => item === 'star').length;
+        const parts = [];
+        if (stars > 0) parts.push(`${ITEMS.star}${this.robot.countItem('star')}/${stars}`);
+        if (items.includes('key')) parts.push(`${ITEMS.key}${this.robot.countItem('key')}`);
+        this.elements.inventory.textContent = parts.join(' ');
+        this.elements.inventory.hidden = parts.length === 0;
     }
 
     updateRobotOverlay(animate = true) {
@@ -94,10 +206,28 @@ export class Game {
             robotOverlay = document.createElement('div');
             robotOverlay.id = 'robotOverlay';
             robotOverlay.className = 'robot-overlay idle';
-            robotOverlay.textContent = '🤖';
+            const sprite = document.createElement('span');
+            sprite.className = 'robot-sprite';
+            sprite.textContent = '🤖';
+            robotOverlay.appendChild(sprite);
+            const bucket = document.createElement('span');
+            bucket.className = 'robot-bucket';
+            robotOverlay.appendChild(bucket);
             this.elements.gridContainer.appendChild(robotOverlay);
         }
 
+        const bucket = robotOverlay.querySelector('.robot-bucket');
+        bucket.textContent = PAINT_COLORS[this.robot.color];
+        bucket.hidden = !this.isPixelArt;
+        this.updateInventory();
+
+        // Turtle robots turn to face their heading
+        const angle = this.isTurtle ? HEADINGS.indexOf(this.robot.heading) * 90 : 0;
+        this.spriteAngle += ((angle - this.spriteAngle) % 360 + 540) % 360 - 180;
+        const sprite = robotOverlay.querySelector('.robot-sprite');
+        sprite.style.transition = animate ? '' : 'none';
+        sprite.style.transform = `rotate(${this.spriteAngle}deg)`;
+
         const pos = this.grid.getCellPosition(
             this.elements.gridContainer,
             this.robot.position.x,
@@ -125,76 +255,160 @@ export class Game {
     }
 
     renderSequence() {
-        const items = this.elements.sequenceArea.querySelectorAll('.sequence-item, .loop-block');
+        const items = this.elements.sequenceArea.querySelectorAll('.sequence-item, .loop-block, .if-block');
         items.forEach(item => item.remove());
         this.elements.sequencePlaceholder.style.display = this.sequence.isEmpty() ? 'block' : 'none';
 
         this.sequence.commands.forEach((cmd, index) => {
             if (cmd.type === 'loop') {
-                const loopBlock = this.createLoopBlock(cmd, index, this.sequence.activeLoopIndex === index);
+                const loopBlock = this.createLoopBlock(cmd, [index]);
                 this.elements.sequenceArea.appendChild(loopBlock);
+            } else if (cmd.type === 'if') {
+                const ifBlock = this.createIfBlock(cmd, [index]);
+                ifBlock.dataset.index = index;
+                this.elements.sequenceArea.appendChild(ifBlock);
             } else {
-                const item = document.createElement('div');
-                item.className = 'sequence-item';
-                if (cmd.type === 'function') {
-                    item.classList.add('function-call');
-                    item.innerHTML = `📦${cmd.id}`;
-                } else if (cmd.type === 'fire') {
-                    item.classList.add('fire-command');
-                    item.textContent = Sequence.getFireEmoji(cmd.direction);
-                } else {
-                    item.textContent = Sequence.getDirectionEmoji(cmd.direction);
-                }
+                const item = this.createCommandItem(cmd, [index]);
                 item.dataset.index = index;
+                item.dataset.path = index;
                 this.elements.sequenceArea.appendChild(item);
             }
         });
         
         // Make items draggable for reordering (only direct children, not items inside loops)
-        const sequenceItems = this.elements.sequenceArea.querySelectorAll(':scope > .sequence-item, :scope > .loop-block');
+        const sequenceItems = this.elements.sequenceArea.querySelectorAll(':scope > .sequence-item, :scope > .loop-block, :scope > .if-block');
         this.dragDrop.makeItemsDraggable(sequenceItems);
     }
 
-    createLoopBlock(cmd, index, isActive) {
+    /**
+     * Create the block for a move, fire, bucket, turn or function command
+     * @param {Object} cmd - Command
+     * @param {number[]} [path] - Path of the command, needed for a call's number button
+     * @returns {HTMLElement}
+     */
+    createCommandItem(cmd, path) {
+        const item = document.createElement('div');
+        item.className = 'sequence-item';
+        if (cmd.type === 'function') {
+            item.classList.add('function-call');
+            item.textContent = Sequence.getFunctionEmoji(this.sequence.getFunction(cmd.id));
+            if (cmd.arg !== undefined && path) {
+                item.appendChild(this.createCallArgument(cmd, path));
+            }
+        } else if (cmd.type === 'fire') {
+            item.classList.add('fire-command');
+            item.textContent = Sequence.getFireEmoji(cmd.direction);
+        } else if (cmd.type === 'bucket') {
+            item.classList.add('bucket-command');
+            item.textContent = Sequence.getBucketEmoji(cmd.color);
+        } else if (cmd.type === 'turn') {
+            item.classList.add('turn-command');
+            item.textContent = Sequence.getTurnEmoji(cmd.direction);
+        } else {
+            item.textContent = Sequence.getDirectionEmoji(cmd.direction);
+        }
+        return item;
+    }
+
+    /**
+     * Create the number a function call passes to its 📏 loop; tap to count up
+     * @param {Object} cmd - Function call
+     * @param {number[]} path - Path of the call
+     * @returns {HTMLElement}
+     */
+    createCallArgument(cmd, path) {
+        const argBtn = document.createElement('button');
+        argBtn.className = 'call-arg-btn';
+        argBtn.textContent = cmd.arg;
+        argBtn.setAttribute('aria-label', `Size ${cmd.arg}`);
+        argBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.cycleCallArgument(path, cmd);
+        });
+        return argBtn;
+    }
+
+    /**
+     * Create the 📏 button that makes a loop repeat by the function's number
+     * @param {Object} cmd - Loop command
+     * @param {number[]} path - Path of the loop
+     * @returns {HTMLElement}
+     */
+    createParamToggle(cmd, path) {
+        const paramBtn = document.createElement('button');
+        paramBtn.className = 'param-btn' + (cmd.param ? ' active' : '');
+        paramBtn.textContent = '📏';
+        paramBtn.setAttribute('aria-label', 'Repeat by the function number');
+        paramBtn.setAttribute('aria-pressed', String(!!cmd.param));
+        paramBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleLoopParameter(path, cmd);
+        });
+        return paramBtn;
+    }
+
+    /**
+     * Create a loop block, recursing into loops nested inside it
+     * @param {Object} cmd - Loop command
+     * @param {number[]} path - Path of the loop in the sequence
+     * @returns {HTMLElement}
+     */
+    createLoopBlock(cmd, path) {
+        const isActive = this.sequence.isActiveLoop(path);
         const loopBlock = document.createElement('div');
         loopBlock.className = 'loop-block' + (isActive ? ' active' : '');
-        loopBlock.dataset.index = index;
+        loopBlock.dataset.path = path.join('.');
+        if (path.length === 1) {
+            loopBlock.dataset.index = path[0];
+        } else {
+            loopBlock.dataset.cmdIndex = path[path.length - 1];
+        }
 
         const header = document.createElement('div');
         header.className = 'loop-header';
         
         const loopIcon = document.createElement('span');
         loopIcon.className = 'loop-icon';
-        loopIcon.textContent = '🔄';
+        loopIcon.textContent = this.sequence.isUntilLoop(cmd) ? '🔁' : '🔄';
         header.appendChild(loopIcon);
 
-        const iterControls = document.createElement('div');
-        iterControls.className = 'loop-iteration-controls';
-
-        const minusBtn = document.createElement('button');
-        minusBtn.className = 'iter-btn minus-btn';
-        minusBtn.textContent = '➖';
-        minusBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.updateLoopIterations(index, cmd.iterations - 1);
-        });
+        if (this.sequence.isUntilLoop(cmd)) {
+            loopBlock.classList.add('until-loop');
+            this.appendSensorButtons(header, cmd.until, path, cmd);
+        } else if (cmd.param) {
+            header.appendChild(this.createParamToggle(cmd, path));
+        } else {
+            const iterControls = document.createElement('div');
+            iterControls.className = 'loop-iteration-controls';
+
+            const minusBtn = document.createElement('button');
+            minusBtn.className = 'iter-btn minus-btn';
+            minusBtn.textContent = '➖';
+            minusBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.updateLoopIterations(path, cmd.iterations - 1);
+            });
 
-        const iterCount = document.createElement('span');
-        iterCount.className = 'iter-count';
-        iterCount.textContent = cmd.iterations;
+            const iterCount = document.createElement('span');
+            iterCount.className = 'iter-count';
+            iterCount.textContent = cmd.iterations;
 
-        const plusBtn = document.createElement('button');
-        plusBtn.className = 'iter-btn plus-btn';
-        plusBtn.textContent = '➕';
-        plusBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.updateLoopIterations(index, cmd.iterations + 1);
-        });
+            const plusBtn = document.createElement('button');
+            plusBtn.className = 'iter-btn plus-btn';
+            plusBtn.textContent = '➕';
+            plusBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.updateLoopIterations(path, cmd.iterations + 1);
+            });
 
-        iterControls.appendChild(minusBtn);
-        iterControls.appendChild(iterCount);
-        iterControls.appendChild(plusBtn);
-        header.appendChild(iterControls);
+            iterControls.appendChild(minusBtn);
+            iterControls.appendChild(iterCount);
+            iterControls.appendChild(plusBtn);
+            if (this.sequence.isEditingFunction()) {
+                iterControls.appendChild(this.createParamToggle(cmd, path));
+            }
+            header.appendChild(iterControls);
+        }
 
         loopBlock.appendChild(header);
 
@@ -208,24 +422,25 @@ export class Game {
             body.appendChild(placeholder);
         } else {
             cmd.commands.forEach((innerCmd, cmdIndex) => {
-                const item = document.createElement('div');
-                item.className = 'sequence-item loop-item';
-                
-                if (innerCmd.type === 'function') {
-                    item.classList.add('function-call');
-                    item.innerHTML = `📦${innerCmd.id}`;
-                } else if (innerCmd.type === 'fire') {
-                    item.classList.add('fire-command');
-                    item.textContent = Sequence.getFireEmoji(innerCmd.direction);
-                } else {
-                    item.textContent = Sequence.getDirectionEmoji(innerCmd.direction);
+                if (innerCmd.type === 'loop') {
+                    body.appendChild(this.createLoopBlock(innerCmd, [...path, cmdIndex]));
+                    return;
+                }
+                if (innerCmd.type === 'if') {
+                    const ifBlock = this.createIfBlock(innerCmd, [...path, cmdIndex]);
+                    ifBlock.dataset.cmdIndex = cmdIndex;
+                    body.appendChild(ifBlock);
+                    return;
                 }
-                
-                item.dataset.loopIndex = index;
+
+                const item = this.createCommandItem(innerCmd, [...path, cmdIndex]);
+                item.classList.add('loop-item');
+                item.dataset.loopIndex = path.join('.');
                 item.dataset.cmdIndex = cmdIndex;
+                item.dataset.path = [...path, cmdIndex].join('.');
                 item.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    this.removeFromLoop(index, cmdIndex);
+                    this.removeFromLoop(path, cmdIndex);
                 });
                 body.appendChild(item);
             });
@@ -234,39 +449,113 @@ export class Game {
         loopBlock.appendChild(body);
 
         // Make loop items draggable
-        this.dragDrop.makeLoopItemsDraggable(body, index);
+        this.dragDrop.makeLoopItemsDraggable(body, path);
 
         loopBlock.addEventListener('click', (e) => {
+            const ownPlaceholder = e.target.classList.contains('loop-placeholder') && e.target.parentElement === body;
             if (e.target === loopBlock || e.target === header || e.target === body || 
-                e.target === loopIcon || e.target.classList.contains('loop-placeholder')) {
-                this.selectLoop(isActive ? null : index);
+                e.target === loopIcon || ownPlaceholder) {
+                this.selectLoop(isActive ? null : path);
             }
         });
 
         return loopBlock;
     }
 
-    renderSavedFunctions() {
-        this.elements.savedFunctionsContainer.innerHTML = '';
-        this.sequence.savedFunctions.forEach((func, index) => {
-            const btn = document.createElement('button');
-            btn.className = 'saved-function-btn';
-            
-            const preview = document.createElement('span');
-            preview.className = 'function-preview';
-            const previewCommands = func.commands.slice(0, 3).map(c => Sequence.getDirectionEmoji(c.direction)).join('');
-            preview.innerHTML = `📦${index + 1}: ${previewCommands}${func.commands.length > 3 ? '...' : ''}`;
-            btn.appendChild(preview);
-
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'delete-function';
-            deleteBtn.textContent = '✖';
-            deleteBtn.addEventListener('click', (e) => { e.stopPropagation(); this.deleteFunction(index); });
-            btn.appendChild(deleteBtn);
-
-            btn.addEventListener('click', () => this.addFunctionToSequence(index));
-            this.elements.savedFunctionsContainer.appendChild(btn);
+    /**
+     * Create an "if" block: sensor and direction in the header,
+     * then a ✅ branch and a ❌ branch
+     * @param {Object} cmd - If command
+     * @param {number[]} path - Path of the block in the sequence
+     * @returns {HTMLElement}
+     */
+    createIfBlock(cmd, path) {
+        const ifBlock = document.createElement('div');
+        ifBlock.className = 'if-block';
+        ifBlock.dataset.path = path.join('.');
+
+        const header = document.createElement('div');
+        header.className = 'if-header';
+
+        const ifIcon = document.createElement('span');
+        ifIcon.className = 'if-icon';
+        ifIcon.textContent = '❓';
+        header.appendChild(ifIcon);
+
+        this.appendSensorButtons(header, cmd, path, cmd);
+
+        ifBlock.appendChild(header);
+        BRANCHES.forEach(branch => ifBlock.appendChild(this.createBranch(cmd, path, branch)));
+        return ifBlock;
+    }
+
+    /**
+     * Add the sensor and direction buttons of an "if" block or
+     * "repeat until" loop; tapping them cycles through the choices
+     * @param {HTMLElement} header - Block header
+     * @param {Object} sensor - { condition, direction }
+     * @param {number[]} path - Path of the block
+     * @param {Object} cmd - The block
+     */
+    appendSensorButtons(header, sensor, path, cmd) {
+        const sensorBtn = document.createElement('button');
+        sensorBtn.className = 'if-sensor';
+        sensorBtn.textContent = Sequence.getConditionEmoji(sensor.condition);
+        sensorBtn.setAttribute('aria-label', `Check for ${sensor.condition}`);
+        sensorBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.cycleCondition(path, cmd);
         });
+        header.appendChild(sensorBtn);
+
+        const directionBtn = document.createElement('button');
+        directionBtn.className = 'if-direction';
+        directionBtn.textContent = Sequence.getDirectionEmoji(sensor.direction);
+        directionBtn.setAttribute('aria-label', `Look ${sensor.direction}`);
+        directionBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.cycleConditionDirection(path, cmd);
+        });
+        header.appendChild(directionBtn);
+    }
+
+    /**
+     * Create one branch of an "if" block; tap it to fill it from the palette
+     * @param {Object} cmd - If command
+     * @param {number[]} path - Path of the block
+     * @param {string} branch - 'then' or 'else'
+     * @returns {HTMLElement}
+     */
+    createBranch(cmd, path, branch) {
+        const isActive = this.sequence.isActiveBranch(path, branch);
+        const body = document.createElement('div');
+        body.className = `if-branch ${branch}-branch` + (isActive ? ' active' : '');
+        body.dataset.branch = branch;
+
+        const label = document.createElement('span');
+        label.className = 'branch-label';
+        label.textContent = branch === 'then' ? '✅' : '❌';
+        body.appendChild(label);
+
+        cmd[branch].forEach((innerCmd, cmdIndex) => {
+            const item = this.createCommandItem(innerCmd);
+            item.classList.add('branch-item');
+            item.dataset.branchIndex = cmdIndex;
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeFromBranch(path, branch, cmdIndex);
+            });
+            body.appendChild(item);
+        });
+
+        body.addEventListener('click', (e) => {
+            if (e.target === body || e.target === label) {
+                e.stopPropagation();
+                this.selectBranch(isActive ? null : path, branch);
+            }
+        });
+
+        return body;
     }
 
     // ===== Command Management =====
@@ -315,6 +604,48 @@ export class Game {
         this.audio.play('click');
     }
 
+    addBucketCommand(color) {
+        if (this.isPlaying) return;
+        this.sequence.addBucketCommand(color);
+        this.renderSequence();
+        this.audio.play('click');
+    }
+
+    addBucketCommandAt(color, index) {
+        if (this.isPlaying) return;
+
+        // When drag-dropping to a specific position, always insert at that position
+        // (ignore active loop - user is explicitly choosing where to drop)
+        if (index !== undefined && index <= this.sequence.commands.length) {
+            this.sequence.insertAt(Sequence.createAction('bucket', color), index);
+        } else {
+            this.sequence.addBucketCommand(color);
+        }
+        this.renderSequence();
+        this.audio.play('click');
+    }
+
+    addTurnCommand(side) {
+        if (this.isPlaying) return;
+        this.sequence.addTurnCommand(side);
+        this.renderSequence();
+        this.audio.play('click');
+    }
+
+    addTurnCommandAt(side, index) {
+        if (this.isPlaying) return;
+
+        // When drag-dropping to a specific position, always insert at that position
+        // (ignore active loop - user is explicitly choosing where to drop)
+        if (index !== undefined && index <= this.sequence.commands.length) {
+            this.sequence.insertAt(Sequence.createAction('turn', side), index);
+        } else {
+            this.sequence.addTurnCommand(side);
+        }
+        this.renderSequence();
+        this.audio.play('click');
+    }
+
     reorderCommand(fromIndex, toIndex) {
         if (this.isPlaying) return;
         this.sequence.moveCommand(fromIndex, toIndex);
@@ -324,21 +655,120 @@ export class Game {
 
     addLoop() {
         if (this.isPlaying) return;
-        this.sequence.addLoop(2);
-        this.sequence.setActiveLoop(this.sequence.commands.length - 1);
+        const path = this.sequence.addLoop(2);
+        this.sequence.setActiveLoop(path);
+        this.renderSequence();
+        this.audio.play('click');
+    }
+
+    /**
+     * Add an "if" block and start filling its ✅ branch
+     * @param {string} condition - Key of CONDITIONS
+     */
+    addIf(condition) {
+        if (this.isPlaying) return;
+        const path = this.sequence.addIf(condition, this.getSensorDirection());
+        if (path) this.sequence.setActiveBranch(path, 'then');
+        this.renderSequence();
+        this.audio.play('click');
+    }
+
+    /**
+     * Select or deselect the branch that tapped commands go into
+     * @param {number[]|null} path - Path of the "if" block, or null to deselect
+     * @param {string} branch - 'then' or 'else'
+     */
+    selectBranch(path, branch) {
+        if (this.isPlaying) return;
+        this.sequence.setActiveBranch(path, branch);
+        this.renderSequence();
+    }
+
+    /**
+     * Add a "repeat until" loop and start filling it
+     * @param {string} condition - Key of CONDITIONS
+     */
+    addUntilLoop(condition) {
+        if (this.isPlaying) return;
+        const path = this.sequence.addUntilLoop(condition, this.getSensorDirection());
+        if (path) this.sequence.setActiveLoop(path);
+        this.renderSequence();
+        this.audio.play('click');
+    }
+
+    /**
+     * Way a new sensor looks: the cell ahead for turtle robots
+     * @returns {string}
+     */
+    getSensorDirection() {
+        return this.isTurtle ? 'forward' : 'right';
+    }
+
+    /**
+     * Switch an "if" block or "repeat until" loop to the next sensor
+     * @param {number[]} path - Path of the block
+     * @param {Object} cmd - The block
+     */
+    cycleCondition(path, cmd) {
+        if (this.isPlaying) return;
+        const sensor = cmd.until || cmd;
+        const conditions = Object.keys(CONDITIONS);
+        const next = conditions[(conditions.indexOf(sensor.condition) + 1) % conditions.length];
+        this.setBlockCondition(path, cmd, next, sensor.direction);
+    }
+
+    /**
+     * Turn a block's sensor to look the next way round
+     * @param {number[]} path - Path of the block
+     * @param {Object} cmd - The block
+     */
+    cycleConditionDirection(path, cmd) {
+        // Turtle robots only look ahead
+        if (this.isPlaying || this.isTurtle) return;
+        const sensor = cmd.until || cmd;
+        const directions = ['up', 'right', 'down', 'left'];
+        const next = directions[(directions.indexOf(sensor.direction) + 1) % directions.length];
+        this.setBlockCondition(path, cmd, sensor.condition, next);
+    }
+
+    /**
+     * Store a new sensor setting on an "if" block or "repeat until" loop
+     * @param {number[]} path - Path of the block
+     * @param {Object} cmd - The block
+     * @param {string} condition - Key of CONDITIONS
+     * @param {string} direction - Direction to look in
+     */
+    setBlockCondition(path, cmd, condition, direction) {
+        if (this.sequence.isUntilLoop(cmd)) {
+            this.sequence.setUntilCondition(path, condition, direction);
+        } else {
+            this.sequence.setCondition(path, condition, direction);
+        }
         this.renderSequence();
         this.audio.play('click');
     }
 
-    selectLoop(index) {
+    /**
+     * Remove a command from an "if" branch
+     * @param {number[]} path - Path of the "if" block
+     * @param {string} branch - 'then' or 'else'
+     * @param {number} cmdIndex - Index within the branch
+     */
+    removeFromBranch(path, branch, cmdIndex) {
         if (this.isPlaying) return;
-        this.sequence.setActiveLoop(index);
+        this.sequence.removeFromBranch(path, branch, cmdIndex);
         this.renderSequence();
     }
 
-    updateLoopIterations(index, iterations) {
+    selectLoop(path) {
         if (this.isPlaying) return;
-        this.sequence.updateLoopIterations(index, iterations);
+        this.sequence.setActiveLoop(path);
+        this.renderSequence();
+    }
+
+    updateLoopIterations(path, iterations) {
+        if (this.isPlaying) return;
+        this.sequence.updateLoopIterations(path, iterations);
         this.renderSequence();
     }
 
@@ -350,7 +780,7 @@ export class Game {
 
     /**
      * Reorder commands within a loop
-     * @param {number} loopIndex - Loop index
+     * @param {number|number[]} loopIndex - Loop index or path
      * @param {number} fromIndex - Source command index within loop
      * @param {number} toIndex - Destination command index within loop
      */
@@ -363,7 +793,7 @@ export class Game {
 
     /**
      * Move a command from inside a loop to the main sequence
-     * @param {number} loopIndex - Loop index
+     * @param {number|number[]} loopIndex - Loop index or path
      * @param {number} cmdIndex - Command index within loop
      * @param {number} targetIndex - Target index in main sequence
      */
@@ -377,7 +807,7 @@ export class Game {
     /**
      * Move a command from main sequence into a loop
      * @param {number} fromIndex - Source index in main sequence
-     * @param {number} loopIndex - Target loop index
+     * @param {number|number[]} loopIndex - Target loop index or path
      * @param {number} cmdIndex - Target command index within loop
      */
     moveFromMainToLoop(fromIndex, loopIndex, cmdIndex) {
@@ -387,23 +817,65 @@ export class Game {
         this.audio.play('click');
     }
 
+    /**
+     * Move a command (or a whole loop) from one loop into another
+     * @param {number[]} fromLoop - Source loop path
+     * @param {number} cmdIndex - Command index within the source loop
+     * @param {number[]} toLoop - Target loop path
+     * @param {number} targetIndex - Target command index within the target loop
+     */
+    moveBetweenLoops(fromLoop, cmdIndex, toLoop, targetIndex) {
+        if (this.isPlaying) return;
+        this.sequence.moveBetweenLoops(fromLoop, cmdIndex, toLoop, targetIndex);
+        this.renderSequence();
+        this.audio.play('click');
+    }
+
     /**
      * Add a new command directly to a loop (from palette)
-     * @param {string} cmdType - Command type ('move' or 'fire')
-     * @param {string} direction - Direction
-     * @param {number} loopIndex - Target loop index
+     * @param {string} cmdType - Command type ('move', 'fire' or 'bucket')
+     * @param {string} value - Direction, or colour for a bucket
+     * @param {number|number[]} loopIndex - Target loop index or path
      * @param {number} cmdIndex - Target command index within loop
      */
-    addToLoop(cmdType, direction, loopIndex, cmdIndex) {
+    addToLoop(cmdType, value, loopIndex, cmdIndex) {
         if (this.isPlaying) return;
-        this.sequence.insertIntoLoop(loopIndex, cmdIndex, cmdType, direction);
+        this.sequence.insertIntoLoop(loopIndex, cmdIndex, cmdType, value);
         this.renderSequence();
         this.audio.play('click');
     }
 
     addFunctionToSequence(functionIndex) {
         if (this.isPlaying) return;
-        this.sequence.addFunctionCall(functionIndex);
+        if (!this.sequence.addFunctionCall(functionIndex)) {
+            // A function cannot call itself
+            this.showFeedback('🔁❌');
+            return;
+        }
+        this.renderSequence();
+        this.audio.play('click');
+    }
+
+    /**
+     * Count a function call's number up, back to 1 after 9
+     * @param {number[]} path - Path of the call
+     * @param {Object} cmd - The call
+     */
+    cycleCallArgument(path, cmd) {
+        if (this.isPlaying) return;
+        this.sequence.setCallArgument(path, cmd.arg % 9 + 1);
+        this.renderSequence();
+        this.audio.play('click');
+    }
+
+    /**
+     * Switch a loop in a function between its own count and the function's 📏 number
+     * @param {number[]} path - Path of the loop
+     * @param {Object} cmd - The loop
+     */
+    toggleLoopParameter(path, cmd) {
+        if (this.isPlaying) return;
+        this.sequence.setLoopParameter(path, !cmd.param);
         this.renderSequence();
         this.audio.play('click');
     }
@@ -423,9 +895,10 @@ export class Game {
     }
 
     saveFunction() {
+        if (this.isPlaying) return;
         if (this.sequence.isEmpty()) { this.showFeedback('❌'); return; }
         if (this.sequence.saveAsFunction()) {
-            this.renderSavedFunctions();
+            this.render();
             this.audio.play('save');
             this.showFeedback('💾✅');
         } else {
@@ -433,81 +906,171 @@ export class Game {
         }
     }
 
+    /**
+     * Open a function in the sequence area, or close it without saving
+     * if it is already open
+     * @param {number} index - Function index
+     */
+    editFunction(index) {
+        if (this.isPlaying) return;
+        if (this.sequence.savedFunctions[index] === this.sequence.editingFunction) {
+            this.sequence.finishEditing(false);
+        } else {
+            this.sequence.editFunction(index);
+        }
+        this.render();
+        this.audio.play('click');
+    }
+
     deleteFunction(index) {
+        if (this.isPlaying) return;
         this.sequence.deleteFunction(index);
-        this.renderSavedFunctions();
+        this.render();
     }
 
     // ===== Game Execution =====
 
-    async play() {
-        if (this.isPlaying || this.sequence.isEmpty()) return;
-        this.isPlaying = true;
-        this.elements.playBtn.disabled = true;
-
+    /**
+     * Put the level back and start the debugger on the sequence
+     */
+    prepareRun() {
         this.robot.reset();
         this.grid.clearPaint();
         this.grid.resetObstacles(this.initialObstacles);
+        this.grid.resetItems(this.levelData.items, this.levelData.doors);
         this.render();
         this.updateRobotOverlay(false);
+        this.debugger.start(new Interpreter(this.sequence.expandFunctions(), {
+            sense: (condition, direction) => this.checkCondition(condition, direction)
+        }));
+    }
 
-        const flatSequence = this.sequence.flatten();
+    /**
+     * Read a sensor for an "if" block or "repeat until" loop
+     * @param {string} condition - Key of CONDITIONS
+     * @param {string} direction - Which neighbouring cell to look at
+     * @returns {boolean}
+     */
+    checkCondition(condition, direction) {
+        const nextPos = this.getNextPosition(direction);
+        const nextKey = `${nextPos.x},${nextPos.y}`;
+        if (condition === 'rock') return this.grid.hasObstacle(nextKey);
+        if (condition === 'painted') return this.grid.isPainted(nextKey);
+        if (condition === 'wall') {
+            const size = this.grid.size;
+            return nextPos.x < 0 || nextPos.y < 0 || nextPos.x >= size || nextPos.y >= size;
+        }
+        return false;
+    }
 
-        for (let i = 0; i < flatSequence.length; i++) {
-            const cmd = flatSequence[i];
-            this.highlightCommand(i);
-            
-            if (cmd.type === 'fire') {
-                await this.executeFireCommand(cmd.direction);
-                await this.delay(300);
-                continue;
-            }
+    async finishRun() {
+        if (this.grid.isComplete()) {
+            await this.delay(300);
+            this.showSuccess();
+        } else {
+            this.audio.play('incomplete');
+            this.showFeedback('🤔');
+        }
+        this.clearHighlights();
+    }
 
-            const nextPos = this.getNextPosition(cmd.direction);
-            const nextKey = `${nextPos.x},${nextPos.y}`;
-            
-            if (this.grid.hasObstacle(nextKey)) {
-                this.audio.play('error');
-                this.showFeedback('💥🪨');
-                await this.delay(500);
-                this.resetLevel();
-                return;
-            }
-            
-            this.robot.move(cmd.direction);
+    /**
+     * Run one move, fire, bucket or turn chosen by the interpreter
+     * Moving onto an item picks it up; moving into a door uses up a 🔑
+     * @returns {Promise<boolean>} False if the robot crashed, reached a door
+     *   without a key, painted a target the wrong colour or a loop never ended
+     */
+    async executeCommand(cmd) {
+        if (cmd.type === 'halt') {
+            this.audio.play('error');
+            this.showFeedback('♾️');
+            await this.delay(500);
+            return false;
+        }
 
-            if (this.robot.isOutOfBounds(this.grid.size)) {
-                this.updateRobotOverlay(true);
-                await this.delay(250);
+        if (cmd.type === 'fire') {
+            await this.executeFireCommand(cmd.direction);
+            await this.delay(300);
+            return true;
+        }
+
+        if (cmd.type === 'bucket') {
+            this.robot.setColor(cmd.color);
+            this.updateRobotOverlay(false);
+            this.audio.play('paint');
+            await this.delay(250);
+            return true;
+        }
+
+        if (cmd.type === 'turn') {
+            this.robot.turn(cmd.direction);
+            this.updateRobotOverlay(true);
+            this.audio.play('move');
+            await this.delay(250);
+            return true;
+        }
+
+        const nextPos = this.getNextPosition(cmd.direction);
+        const nextKey = `${nextPos.x},${nextPos.y}`;
+
+        if (this.grid.hasObstacle(nextKey)) {
+            this.audio.play('error');
+            this.showFeedback('💥🪨');
+            await this.delay(500);
+            return false;
+        }
+
+        if (this.grid.hasDoor(nextKey)) {
+            if (!this.robot.useItem('key')) {
                 this.audio.play('error');
-                this.showFeedback('💥');
+                this.showFeedback('🔒');
                 await this.delay(500);
-                this.resetLevel();
-                return;
+                return false;
             }
+            this.grid.openDoor(nextKey);
+            this.audio.play('unlock');
+        }
 
+        this.robot.move(cmd.direction);
+
+        if (this.robot.isOutOfBounds(this.grid.size)) {
             this.updateRobotOverlay(true);
-            this.audio.play('move');
             await this.delay(250);
-
-            this.grid.paintCell(this.robot.getPositionKey());
-            this.grid.render(this.elements.gridContainer, this.robot.position);
-            this.updateRobotOverlay(false);
-            this.audio.play('paint');
-            await this.delay(200);
+            this.audio.play('error');
+            this.showFeedback('💥');
+            await this.delay(500);
+            return false;
         }
 
-        if (this.grid.allTargetsPainted()) {
-            await this.delay(300);
-            this.showSuccess();
-        } else {
-            this.audio.play('incomplete');
-            this.showFeedback('🤔');
+        this.updateRobotOverlay(true);
+        this.audio.play('move');
+        await this.delay(250);
+
+        const key = this.robot.getPositionKey();
+        this.grid.paintCell(key, this.robot.color);
+        const item = this.grid.takeItem(key);
+        if (item) this.robot.pickUp(item);
+        this.grid.render(this.elements.gridContainer, this.robot.position);
+        this.updateRobotOverlay(false);
+
+        if (this.grid.isWrongColor(key)) {
+            this.audio.play('error');
+            this.showFeedback('❌🎨');
+            await this.delay(500);
+            return false;
         }
 
-        this.isPlaying = false;
-        this.elements.playBtn.disabled = false;
-        this.clearHighlights();
+        this.audio.play(item ? 'pickup' : 'paint');
+        await this.delay(200);
+        return true;
+    }
+
+    restoreState(state) {
+        this.robot.restoreState(state.robot);
+        this.grid.restoreState(state.grid);
+        this.clearProjectile();
+        this.grid.render(this.elements.gridContainer, this.robot.position);
+        this.updateRobotOverlay(false);
     }
 
     getNextPosition(direction) {
@@ -517,14 +1080,18 @@ export class Game {
             'left': { x: -1, y: 0 },
             'right': { x: 1, y: 0 }
         };
-        const delta = deltas[direction] || { x: 0, y: 0 };
+        const delta = deltas[this.robot.resolveDirection(direction)] || { x: 0, y: 0 };
         return {
             x: this.robot.position.x + delta.x,
             y: this.robot.position.y + delta.y
         };
     }
 
-    async executeFireCommand(direction) {
+    /**
+     * @param {string} aim - up, down, left, right or forward
+     */
+    async executeFireCommand(aim) {
+        const direction = this.robot.resolveDirection(aim);
         const deltas = {
             'up': { x: 0, y: -1 },
             'down': { x: 0, y: 1 },
@@ -553,6 +1120,12 @@ export class Game {
             
             await this.moveProjectileTo(projectilePos.x, projectilePos.y);
             await this.delay(80);
+
+            // Doors stop shots without breaking
+            if (this.grid.hasDoor(posKey)) {
+                await this.showExplosion(projectilePos.x, projectilePos.y);
+                break;
+            }
             
             if (this.grid.hasObstacle(posKey)) {
                 this.grid.removeObstacle(posKey);
@@ -635,38 +1208,45 @@ export class Game {
         }
     }
 
-    highlightCommand(flatIndex) {
+    /**
+     * Find the block an interpreted command came from
+     * Commands run by an "if" or a function light up that whole block
+     * @param {Object|null} cmd - Command from the interpreter
+     * @returns {HTMLElement|null}
+     */
+    getBlockForCommand(cmd) {
+        if (!cmd?.path) return null;
+        return this.elements.sequenceArea.querySelector(`[data-path="${cmd.path.join('.')}"]`);
+    }
+
+    highlightCommand(cmd) {
         this.clearHighlights();
-        const items = this.elements.sequenceArea.querySelectorAll('.sequence-item, .loop-block');
-        let count = 0;
-        for (let i = 0; i < this.sequence.commands.length; i++) {
-            const cmd = this.sequence.commands[i];
-            if (cmd.type === 'function') {
-                if (count + cmd.commands.length > flatIndex) { items[i]?.classList.add('executing'); return; }
-                count += cmd.commands.length;
-            } else if (cmd.type === 'loop') {
-                const loopTotal = cmd.commands.length * cmd.iterations;
-                if (count + loopTotal > flatIndex) { items[i]?.classList.add('executing'); return; }
-                count += loopTotal;
-            } else {
-                if (count === flatIndex) { items[i]?.classList.add('executing'); return; }
-                count++;
-            }
-        }
+        this.getBlockForCommand(cmd)?.classList.add('executing');
     }
 
     clearHighlights() {
-        this.elements.sequenceArea.querySelectorAll('.sequence-item, .loop-block').forEach(item => item.classList.remove('executing'));
+        this.elements.sequenceArea.querySelectorAll('.sequence-item, .loop-block, .if-block').forEach(item => item.classList.remove('executing'));
+    }
+
+    markStoppedHere(cmd) {
+        this.clearHighlights();
+        this.clearStoppedMarker();
+        this.getBlockForCommand(cmd)?.classList.add('stopped-here');
+    }
+
+    clearStoppedMarker() {
+        this.elements.sequenceArea.querySelectorAll('.stopped-here').forEach(item => item.classList.remove('stopped-here'));
     }
 
     // ===== Game State =====
 
     resetLevel() {
+        // Let the running command finish before rewinding everything
+        if (!this.debugControls.requestReset()) return;
         this.robot.reset();
         this.grid.clearPaint();
         this.grid.resetObstacles(this.initialObstacles);
-        this.isPlaying = false;
-        this.elements.playBtn.disabled = false;
+        this.grid.resetItems(this.levelData.items, this.levelData.doors);
         this.render();
         this.updateRobotOverlay(false);
         this.clearHighlights();
@@ -679,10 +1259,41 @@ export class Game {
     }
 
     showSuccess() {
+        const solution = this.sequence.toSolution();
+        const stars = rateSolution(solution.blocks, this.getPar());
+        this.progress.completeLevel(this.currentLevel, solution, stars);
+        renderStars(this.elements.successStars, stars);
         this.elements.successOverlay.classList.add('active');
         this.audio.playSuccessMelody();
     }
 
+    /**
+     * Blocks needed for 3 stars
+     * The editor saves a par with every level it checked; hand-written
+     * levels without one give full stars rather than running the solver
+     * @returns {number|null}
+     */
+    getPar() {
+        return this.levelData.par ?? null;
+    }
+
+    showLevelSelect() {
+        if (this.isPlaying) return;
+        this.levelSelect.render(this.currentLevel);
+        this.elements.levelSelectOverlay.classList.add('active');
+    }
+
+    hideLevelSelect() {
+        this.elements.levelSelectOverlay.classList.remove('active');
+    }
+
+    selectLevel(levelNum) {
+        this.hideLevelSelect();
+        this.currentLevel = levelNum;
+        this.loadLevel(levelNum);
+        this.audio.play('click');
+    }
+
     showFeedback(emoji) {
         const feedback = document.createElement('div');
         feedback.className = 'floating-feedback';
@@ -733,6 +1344,16 @@ export class Game {
             btn.addEventListener('click', () => this.addFireCommand(btn.dataset.fire));
         });
 
+        // Paint buckets - click only (touch drag handled by DragDrop)
+        document.querySelectorAll('.bucket-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.addBucketCommand(btn.dataset.color));
+        });
+
+        // Turtle turns - click only (touch drag handled by DragDrop)
+        document.querySelectorAll('.turn-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.addTurnCommand(btn.dataset.turn));
+        });
+
         // Sequence area - desktop drag and drop
         this.elements.sequenceArea.addEventListener('dragover', (e) => { 
             e.preventDefault(); 
@@ -758,11 +1379,16 @@ export class Game {
         });
 
         // Control buttons
-        this.elements.playBtn.addEventListener('click', () => this.play());
         this.elements.resetBtn.addEventListener('click', () => this.resetLevel());
         this.elements.clearBtn.addEventListener('click', () => this.clearSequence());
         this.elements.saveBtn.addEventListener('click', () => this.saveFunction());
         this.elements.loopBtn.addEventListener('click', () => this.addLoop());
+        document.querySelectorAll('.if-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.addIf(btn.dataset.condition));
+        });
+        document.querySelectorAll('.until-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.addUntilLoop(btn.dataset.condition));
+        });
 
         // Overlays
         this.elements.helpBtn.addEventListener('click', () => this.elements.helpOverlay.classList.add('active'));
@@ -771,16 +1397,27 @@ export class Game {
             if (e.target === this.elements.helpOverlay) this.elements.helpOverlay.classList.remove('active'); 
         });
         this.elements.nextBtn.addEventListener('click', () => this.nextLevel());
+        this.elements.levelSelectBtn.addEventListener('click', () => this.showLevelSelect());
+        this.elements.closeLevelSelectBtn.addEventListener('click', () => this.hideLevelSelect());
+        this.elements.levelSelectOverlay.addEventListener('click', (e) => {
+            if (e.target === this.elements.levelSelectOverlay) this.hideLevelSelect();
+        });
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (this.isPlaying) return;
             switch (e.key) {
-                case 'ArrowUp': this.addCommand('up'); break;
-                case 'ArrowDown': this.addCommand('down'); break;
-                case 'ArrowLeft': this.addCommand('left'); break;
-                case 'ArrowRight': this.addCommand('right'); break;
-                case 'Enter': case ' ': this.play(); break;
+                case 'ArrowUp': this.addCommand(this.isTurtle ? 'forward' : 'up'); break;
+                case 'ArrowDown': if (!this.isTurtle) this.addCommand('down'); break;
+                case 'ArrowLeft':
+                case 'ArrowRight': {
+                    // Turtle robots turn on the spot instead
+                    const side = e.key === 'ArrowLeft' ? 'left' : 'right';
+                    if (this.isTurtle) this.addTurnCommand(side);
+                    else this.addCommand(side);
+                    break;
+                }
+                case 'Enter': case ' ': this.debugControls.play(); break;
                 case 'Escape': this.resetLevel(); break;
             }
         });
@@ -1,26 +1,91 @@
 /**
  * Grid - Handles grid state, rendering, and cell operations
+ *
+ * Painted cells remember the colour they were painted with. A target can
+ * ask for a colour (pixel-art levels); painting it any other colour is a
+ * mistake, while a target without one takes any colour.
+ *
+ * Items lie on cells until the robot steps onto them and picks them up.
+ * A door blocks the robot like a rock, but cannot be shot; a robot with
+ * a key opens it (using the key up) and walks through.
  */
+
+// Paint bucket colours
+export const PAINT_COLORS = {
+    yellow: '🟨',
+    red: '🟥',
+    green: '🟩',
+    blue: '🟦'
+};
+
+// Colour the robot paints with until it dips into a bucket
+export const DEFAULT_COLOR = 'yellow';
+
+// Items the robot can pick up
+export const ITEMS = {
+    star: '⭐',
+    key: '🔑'
+};
+
 export class Grid {
-    constructor(size, targetCells = [], obstacles = []) {
+    /**
+     * @param {number} size - Cells along each side
+     * @param {string[]} targetCells - "x,y" keys to paint
+     * @param {string[]} obstacles - "x,y" keys of rocks
+     * @param {Object} targetColors - { "x,y": colour } for targets that need a colour
+     */
+    constructor(size, targetCells = [], obstacles = [], targetColors = {}) {
         this.size = size;
         this.targetCells = new Set(targetCells);
-        this.paintedCells = new Set();
+        this.targetColors = new Map(Object.entries(targetColors));
+        this.paintedCells = new Map();
         this.obstacles = new Set(obstacles);
+        this.items = new Map();
+        this.doors = new Set();
     }
 
-    paintCell(positionKey) {
-        this.paintedCells.add(positionKey);
+    /**
+     * @param {string} positionKey - "x,y"
+     * @param {string} [color] - Key of PAINT_COLORS
+     */
+    paintCell(positionKey, color = DEFAULT_COLOR) {
+        this.paintedCells.set(positionKey, color);
     }
 
     isPainted(positionKey) {
         return this.paintedCells.has(positionKey);
     }
 
+    /**
+     * @param {string} positionKey - "x,y"
+     * @returns {string|null} Colour the cell is painted, or null if unpainted
+     */
+    getPaintColor(positionKey) {
+        return this.paintedCells.get(positionKey) ?? null;
+    }
+
     isTarget(positionKey) {
         return this.targetCells.has(positionKey);
     }
 
+    /**
+     * @param {string} positionKey - "x,y"
+     * @returns {string|null} Colour the target needs, or null if any colour will do
+     */
+    getTargetColor(positionKey) {
+        return this.targetColors.get(positionKey) ?? null;
+    }
+
+    /**
+     * Check if a target has been painted a colour it does not want
+     * @param {string} positionKey - "x,y"
+     * @returns {boolean}
+     */
+    isWrongColor(positionKey) {
+        const wanted = this.getTargetColor(positionKey);
+        return wanted !== null && this.isPainted(positionKey) && this.getPaintColor(positionKey) !== wanted;
+    }
+
     hasObstacle(positionKey) {
         return this.obstacles.has(positionKey);
     }
@@ -33,24 +98,96 @@ export class Grid {
         this.obstacles = new Set(obstacles);
     }
 
+    /**
+     * Put back the level's items and close its doors
+     * @param {Object} items - { "x,y": item } (keys of ITEMS)
+     * @param {string[]} doors - "x,y" keys of doors
+     */
+    resetItems(items = {}, doors = []) {
+        this.items = new Map(Object.entries(items));
+        this.doors = new Set(doors);
+    }
+
+    /**
+     * @param {string} positionKey - "x,y"
+     * @returns {string|null} Item lying on the cell, or null
+     */
+    getItem(positionKey) {
+        return this.items.get(positionKey) ?? null;
+    }
+
+    /**
+     * Pick up the item lying on a cell
+     * @param {string} positionKey - "x,y"
+     * @returns {string|null} The item taken, or null if there was none
+     */
+    takeItem(positionKey) {
+        const item = this.getItem(positionKey);
+        this.items.delete(positionKey);
+        return item;
+    }
+
+    /**
+     * @param {string} item - Key of ITEMS
+     * @returns {number} How many are still lying on the grid
+     */
+    countItems(item) {
+        return [...this.items.values()].filter(value => value === item).length;
+    }
+
+    hasDoor(positionKey) {
+        return this.doors.has(positionKey);
+    }
+
+    openDoor(positionKey) {
+        return this.doors.delete(positionKey);
+    }
+
     allTargetsPainted() {
         for (const target of this.targetCells) {
-            if (!this.paintedCells.has(target)) {
+            if (!this.paintedCells.has(target) || this.isWrongColor(target)) {
                 return false;
             }
         }
         return true;
     }
 
+    /**
+     * Check the level is won: every target painted and every ⭐ collected
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.allTargetsPainted() && this.countItems('star') === 0;
+    }
+
     clearPaint() {
         this.paintedCells.clear();
     }
 
-    configure(size, targets, obstacles = []) {
+    getState() {
+        return {
+            paintedCells: [...this.paintedCells.entries()],
+            obstacles: [...this.obstacles],
+            items: [...this.items.entries()],
+            doors: [...this.doors]
+        };
+    }
+
+    restoreState(state) {
+        this.paintedCells = new Map(state.paintedCells);
+        this.obstacles = new Set(state.obstacles);
+        this.items = new Map(state.items);
+        this.doors = new Set(state.doors);
+    }
+
+    configure(size, targets, obstacles = [], targetColors = {}) {
         this.size = size;
         this.targetCells = new Set(targets);
+        this.targetColors = new Map(Object.entries(targetColors));
         this.paintedCells.clear();
         this.obstacles = new Set(obstacles);
+        this.items.clear();
+        this.doors.clear();
     }
 
     render(container, robotPosition) {
@@ -68,9 +205,14 @@ export class Grid {
 
                 if (this.isTarget(key)) {
                     cell.classList.add('target');
+                    if (this.getTargetColor(key)) {
+                        cell.dataset.targetColor = this.getTargetColor(key);
+                    }
                 }
                 if (this.isPainted(key)) {
                     cell.classList.add('painted');
+                    cell.dataset.paint = this.getPaintColor(key);
+                    cell.classList.toggle('wrong-color', this.isWrongColor(key));
                 }
                 if (this.hasObstacle(key)) {
                     cell.classList.add('obstacle');
@@ -79,6 +221,20 @@ export class Grid {
                     obstacle.textContent = '🪨';
                     cell.appendChild(obstacle);
                 }
+                if (this.hasDoor(key)) {
+                    cell.classList.add('door');
+                    const door = document.createElement('span');
+                    door.className = 'door-emoji';
+                    door.textContent = '🚪';
+                    cell.appendChild(door);
+                }
+                if (this.getItem(key)) {
+                    const item = document.createElement('span');
+                    item.className = 'item-emoji';
+                    item.dataset.item = this.getItem(key);
+                    item.textContent = ITEMS[this.getItem(key)];
+                    cell.appendChild(item);
+                }
 
                 container.appendChild(cell);
             }
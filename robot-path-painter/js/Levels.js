@@ -1,44 +1,297 @@
 /**
  * Levels - Level definitions and loading
+ *
+ * Built-in levels come first; level packs made in the level editor
+ * (editor/index.html) are stored in localStorage and load after them.
+ *
+ * Pixel-art levels add `colors: { "x,y": colour }` for targets that must
+ * be painted a certain colour (keys of PAINT_COLORS in Grid.js).
+ *
+ * Levels can also lay out `items: { "x,y": item }` to pick up (keys of
+ * ITEMS in Grid.js) and `doors: ["x,y"]` that each need a 🔑 to open.
+ * A level is won once every target is painted and every ⭐ collected.
+ *
+ * `commandSet: 'turtle'` swaps the ⬆️ ⬇️ ⬅️ ➡️ blocks for Logo-style
+ * 🔼 forward, ↩️ turn left and ↪️ turn right; the robot starts facing
+ * `heading` (see Robot.js).
  */
+import { PAINT_COLORS, ITEMS } from './Grid.js';
+import { HEADINGS, DEFAULT_HEADING } from './Robot.js';
+
+// Each level's `par` is the fewest blocks the solver (Solver.js) needs
+// with loops; matching it earns 3 stars (see shared/js/StarRating.js).
+
+// Storage key for the level pack the editor sends to the game
+export const LEVEL_PACK_KEY = 'coding4kids_robot_levels';
+export const LEVEL_PACK_VERSION = 1;
+
+// Blocks a level can be played with: absolute arrows, or turtle turns
+export const COMMAND_SETS = ['absolute', 'turtle'];
+
 export const LEVELS = [
     // Level 1: Simple horizontal line (intro - no obstacles)
-    { gridSize: 5, start: { x: 0, y: 2 }, targets: ['1,2', '2,2'] },
+    { gridSize: 5, start: { x: 0, y: 2 }, targets: ['1,2', '2,2'], par: 2 },
     // Level 2: L-shape (learning turns - no obstacles)
-    { gridSize: 5, start: { x: 0, y: 0 }, targets: ['1,0', '2,0', '2,1', '2,2'] },
+    { gridSize: 5, start: { x: 0, y: 0 }, targets: ['1,0', '2,0', '2,1', '2,2'], par: 4 },
     // Level 3: Intro to obstacles - rock visible but doesn't block path
-    { gridSize: 5, start: { x: 0, y: 2 }, targets: ['1,2', '2,2', '3,2'], obstacles: ['2,1'] },
+    { gridSize: 5, start: { x: 0, y: 2 }, targets: ['1,2', '2,2', '3,2'], obstacles: ['2,1'], par: 2 },
     // Level 4: Navigate around obstacles
-    { gridSize: 5, start: { x: 0, y: 2 }, targets: ['1,2', '1,1', '2,1', '2,2', '3,2'], obstacles: ['0,1', '3,1'] },
+    { gridSize: 5, start: { x: 0, y: 2 }, targets: ['1,2', '1,1', '2,1', '2,2', '3,2'], obstacles: ['0,1', '3,1'], par: 5 },
     // Level 5: More obstacles to navigate around
-    { gridSize: 5, start: { x: 1, y: 1 }, targets: ['2,1', '3,1', '3,2', '3,3', '2,3', '1,3', '1,2'], obstacles: ['2,2', '0,2'] },
+    { gridSize: 5, start: { x: 1, y: 1 }, targets: ['2,1', '3,1', '3,2', '3,3', '2,3', '1,3', '1,2'], obstacles: ['2,2', '0,2'], par: 7 },
     // Level 6: First REQUIRED shooting - obstacle blocks the only path
-    { gridSize: 5, start: { x: 0, y: 2 }, targets: ['1,2', '2,2', '3,2', '4,2'], obstacles: ['2,2'] },
+    { gridSize: 5, start: { x: 0, y: 2 }, targets: ['1,2', '2,2', '3,2', '4,2'], obstacles: ['2,2'], par: 3 },
     // Level 7: Larger grid perimeter
-    { gridSize: 6, start: { x: 0, y: 0 }, targets: ['1,0', '2,0', '3,0', '4,0', '4,1', '4,2', '4,3', '4,4', '3,4', '2,4', '1,4', '0,4', '0,3', '0,2', '0,1'] },
+    { gridSize: 6, start: { x: 0, y: 0 }, targets: ['1,0', '2,0', '3,0', '4,0', '4,1', '4,2', '4,3', '4,4', '3,4', '2,4', '1,4', '0,4', '0,3', '0,2', '0,1'], par: 8 },
     // Level 8: Diagonal staircase
-    { gridSize: 6, start: { x: 0, y: 5 }, targets: ['0,4', '1,4', '1,3', '2,3', '2,2', '3,2', '3,1', '4,1', '4,0', '5,0'] },
+    { gridSize: 6, start: { x: 0, y: 5 }, targets: ['0,4', '1,4', '1,3', '2,3', '2,2', '3,2', '3,1', '4,1', '4,0', '5,0'], par: 3 },
     // Level 9: Cross pattern - shoot obstacle in center
-    { gridSize: 7, start: { x: 3, y: 0 }, targets: ['3,1', '3,2', '3,3', '3,4', '3,5', '3,6', '0,3', '1,3', '2,3', '4,3', '5,3', '6,3'], obstacles: ['3,3'] },
+    { gridSize: 7, start: { x: 3, y: 0 }, targets: ['3,1', '3,2', '3,3', '3,4', '3,5', '3,6', '0,3', '1,3', '2,3', '4,3', '5,3', '6,3'], obstacles: ['3,3'], par: 13 },
     // Level 10: Large perimeter
-    { gridSize: 7, start: { x: 0, y: 0 }, targets: ['1,0', '2,0', '3,0', '4,0', '5,0', '6,0', '6,1', '6,2', '6,3', '6,4', '6,5', '6,6', '5,6', '4,6', '3,6', '2,6', '1,6', '0,6', '0,5', '0,4', '0,3', '0,2', '0,1'] },
+    { gridSize: 7, start: { x: 0, y: 0 }, targets: ['1,0', '2,0', '3,0', '4,0', '5,0', '6,0', '6,1', '6,2', '6,3', '6,4', '6,5', '6,6', '5,6', '4,6', '3,6', '2,6', '1,6', '0,6', '0,5', '0,4', '0,3', '0,2', '0,1'], par: 8 },
     // Level 11: Shoot multiple obstacles
-    { gridSize: 6, start: { x: 0, y: 2 }, targets: ['1,2', '2,2', '3,2', '4,2', '5,2'], obstacles: ['2,2', '4,2'] },
+    { gridSize: 6, start: { x: 0, y: 2 }, targets: ['1,2', '2,2', '3,2', '4,2', '5,2'], obstacles: ['2,2', '4,2'], par: 4 },
     // Level 12: Complex path with obstacles
-    { gridSize: 6, start: { x: 0, y: 0 }, targets: ['1,0', '2,0', '3,0', '3,1', '3,2', '3,3', '3,4', '3,5'], obstacles: ['3,2', '2,3'] }
+    { gridSize: 6, start: { x: 0, y: 0 }, targets: ['1,0', '2,0', '3,0', '3,1', '3,2', '3,3', '3,4', '3,5'], obstacles: ['3,2', '2,3'], par: 5 },
+    // Level 13: First paint bucket - yellow, then red
+    { gridSize: 5, start: { x: 0, y: 2 }, targets: ['1,2', '2,2', '3,2', '4,2'], colors: { '1,2': 'yellow', '2,2': 'yellow', '3,2': 'red', '4,2': 'red' }, par: 5 },
+    // Level 14: Traffic light - a new colour for every cell
+    { gridSize: 5, start: { x: 2, y: 4 }, targets: ['2,3', '2,2', '2,1'], colors: { '2,3': 'green', '2,2': 'yellow', '2,1': 'red' }, par: 6 },
+    // Level 15: Flower - walk around the yellow middle while painting red petals
+    {
+        gridSize: 5,
+        start: { x: 2, y: 4 },
+        targets: ['2,3', '2,2', '1,1', '3,1', '2,0', '2,1'],
+        colors: { '2,3': 'green', '2,2': 'red', '1,1': 'red', '3,1': 'red', '2,0': 'red', '2,1': 'yellow' },
+        par: 12
+    },
+    // Level 16: First stars - step off the path to collect them
+    { gridSize: 5, start: { x: 0, y: 2 }, targets: ['1,2', '2,2', '3,2', '4,2'], items: { '2,1': 'star', '4,3': 'star' }, par: 6 },
+    // Level 17: Locked corner - fetch the key before the door
+    { gridSize: 5, start: { x: 0, y: 0 }, targets: ['4,4'], items: { '0,4': 'key' }, doors: ['3,4', '4,3'], par: 4 },
+    // Level 18: Two keys, two locked stars
+    {
+        gridSize: 6,
+        start: { x: 0, y: 5 },
+        targets: ['0,4', '0,3', '0,2', '0,1', '5,1', '5,2', '5,3'],
+        obstacles: ['1,1', '1,2', '1,3', '2,0'],
+        items: { '0,0': 'key', '3,0': 'star', '5,0': 'key', '5,5': 'star' },
+        doors: ['1,0', '5,4', '4,5'],
+        par: 8
+    },
+    // Level 19: First turtle level - forward, one turn, forward
+    { gridSize: 5, start: { x: 0, y: 4 }, targets: ['0,3', '0,2', '0,1', '1,1', '2,1', '3,1'], commandSet: 'turtle', heading: 'up', par: 5 },
+    // Level 20: Turtle square - the same side and turn over and over
+    {
+        gridSize: 5,
+        start: { x: 0, y: 0 },
+        targets: ['1,0', '2,0', '3,0', '4,0', '4,1', '4,2', '4,3', '4,4', '3,4', '2,4', '1,4', '0,4', '0,3', '0,2', '0,1'],
+        commandSet: 'turtle',
+        heading: 'right',
+        par: 6
+    },
+    // Level 21: Turtle staircase - turns take turns
+    {
+        gridSize: 6,
+        start: { x: 0, y: 5 },
+        targets: ['0,4', '1,4', '1,3', '2,3', '2,2', '3,2', '3,1', '4,1', '4,0', '5,0'],
+        commandSet: 'turtle',
+        heading: 'up',
+        par: 8
+    }
 ];
 
+// Levels from an imported pack, played after the built-ins
+let customLevels = [];
+
+/**
+ * Built-in levels followed by the custom pack
+ * @returns {Array}
+ */
+function getAllLevels() {
+    return [...LEVELS, ...customLevels];
+}
+
 export function getLevel(levelNum) {
-    const index = Math.min(levelNum - 1, LEVELS.length - 1);
-    const level = LEVELS[Math.max(0, index)];
-    return { 
-        ...level,
+    const levels = getAllLevels();
+    const index = Math.min(levelNum - 1, levels.length - 1);
+    return normalizeLevel(levels[Math.max(0, index)]);
+}
+
+export function getTotalLevels() {
+    return LEVELS.length + customLevels.length;
+}
+
+/**
+ * Replace the custom levels played after the built-ins
+ * @param {Array} levels - Valid levels (see parseLevelPack)
+ */
+export function setCustomLevels(levels) {
+    customLevels = levels.map(level => normalizeLevel(level));
+}
+
+/**
+ * Get the custom levels
+ * @returns {Array} Copies of the custom levels
+ */
+export function getCustomLevels() {
+    return customLevels.map(level => normalizeLevel(level));
+}
+
+/**
+ * Copy a level into the shape getLevel() hands out
+ * @param {Object} level - Level data
+ * @returns {Object} { gridSize, start, targets, obstacles, colors?, items?, doors?,
+ *   commandSet?, heading?, par? }
+ */
+export function normalizeLevel(level) {
+    const normalized = {
+        gridSize: level.gridSize,
+        start: { x: level.start.x, y: level.start.y },
+        targets: [...level.targets],
         obstacles: level.obstacles ? [...level.obstacles] : []
     };
+    if (level.colors && Object.keys(level.colors).length > 0) {
+        normalized.colors = { ...level.colors };
+    }
+    if (level.items && Object.keys(level.items).length > 0) {
+        normalized.items = { ...level.items };
+    }
+    if (level.doors && level.doors.length > 0) {
+        normalized.doors = [...level.doors];
+    }
+    if (level.commandSet === 'turtle') {
+        normalized.commandSet = 'turtle';
+        normalized.heading = level.heading ?? DEFAULT_HEADING;
+    }
+    if (Number.isInteger(level.par)) {
+        normalized.par = level.par;
+    }
+    return normalized;
 }
 
-export function getTotalLevels() {
-    return LEVELS.length;
+/**
+ * Turn levels into a level pack file
+ * @param {Array} levels - Levels to export
+ * @returns {string} JSON text
+ */
+export function exportLevelPack(levels) {
+    return JSON.stringify({
+        version: LEVEL_PACK_VERSION,
+        levels: levels.map(level => normalizeLevel(level))
+    }, null, 2);
+}
+
+/**
+ * Read a level pack, checking every level with validateLevel
+ * @param {string|Object} pack - JSON text or parsed pack
+ * @returns {Object} { levels: Array, errors: string[] } - levels is empty when there are errors
+ */
+export function parseLevelPack(pack) {
+    let data = pack;
+    if (typeof pack === 'string') {
+        try {
+            data = JSON.parse(pack);
+        } catch (error) {
+            return { levels: [], errors: [`Not valid JSON: ${error.message}`] };
+        }
+    }
+
+    if (!data || !Array.isArray(data.levels)) {
+        return { levels: [], errors: ['Pack must have a "levels" list'] };
+    }
+    if (data.version > LEVEL_PACK_VERSION) {
+        return { levels: [], errors: [`Pack version ${data.version} is newer than this game`] };
+    }
+
+    const errors = [];
+    data.levels.forEach((level, i) => {
+        const shapeError = getShapeError(level);
+        if (shapeError) {
+            errors.push(`Level ${i + 1}: ${shapeError}`);
+            return;
+        }
+        validateLevel(level).errors.forEach(error => errors.push(`Level ${i + 1}: ${error}`));
+    });
+
+    return {
+        levels: errors.length ? [] : data.levels.map(level => normalizeLevel(level)),
+        errors
+    };
+}
+
+/**
+ * Check a level has the fields validateLevel reads
+ * @param {Object} level - Parsed level
+ * @returns {string|null} What is wrong, or null
+ */
+function getShapeError(level) {
+    const isKey = key => typeof key === 'string' && /^-?\d+,-?\d+$/.test(key);
+    if (!level || typeof level !== 'object') return 'not an object';
+    if (!Number.isInteger(level.gridSize) || level.gridSize < 1) return 'gridSize must be a whole number';
+    if (!level.start || !Number.isInteger(level.start.x) || !Number.isInteger(level.start.y)) {
+        return 'start must have whole number x and y';
+    }
+    if (!Array.isArray(level.targets) || !level.targets.every(isKey)) return 'targets must be "x,y" strings';
+    if (level.obstacles !== undefined && (!Array.isArray(level.obstacles) || !level.obstacles.every(isKey))) {
+        return 'obstacles must be "x,y" strings';
+    }
+    if (level.colors !== undefined && (!level.colors || typeof level.colors !== 'object' ||
+        Array.isArray(level.colors) || !Object.keys(level.colors).every(isKey))) {
+        return 'colors must map "x,y" strings to colours';
+    }
+    if (level.items !== undefined && (!level.items || typeof level.items !== 'object' ||
+        Array.isArray(level.items) || !Object.keys(level.items).every(isKey))) {
+        return 'items must map "x,y" strings to items';
+    }
+    if (level.doors !== undefined && (!Array.isArray(level.doors) || !level.doors.every(isKey))) {
+        return 'doors must be "x,y" strings';
+    }
+    if (level.commandSet !== undefined && !COMMAND_SETS.includes(level.commandSet)) {
+        return `commandSet must be one of ${COMMAND_SETS.join(', ')}`;
+    }
+    if (level.heading !== undefined && !HEADINGS.includes(level.heading)) {
+        return `heading must be one of ${HEADINGS.join(', ')}`;
+    }
+    if (level.par !== undefined && (!Number.isInteger(level.par) || level.par < 0)) {
+        return 'par must be a whole number';
+    }
+    return null;
+}
+
+/**
+ * Load the pack the level editor stored, if any
+ * @param {Storage} [storage] - Storage backend (default localStorage)
+ * @returns {number} How many custom levels were loaded
+ */
+export function loadStoredLevelPack(storage = globalThis.localStorage) {
+    try {
+        const stored = storage?.getItem(LEVEL_PACK_KEY);
+        const { levels } = stored ? parseLevelPack(stored) : { levels: [] };
+        setCustomLevels(levels);
+    } catch (error) {
+        console.error('Failed to load level pack:', error);
+        setCustomLevels([]);
+    }
+    return customLevels.length;
+}
+
+/**
+ * Store a pack for the game to load, and use it now
+ * @param {Array} levels - Valid levels
+ * @param {Storage} [storage] - Storage backend (default localStorage)
+ */
+export function storeLevelPack(levels, storage = globalThis.localStorage) {
+    setCustomLevels(levels);
+    try {
+        if (levels.length) {
+            storage.setItem(LEVEL_PACK_KEY, exportLevelPack(levels));
+        } else {
+            storage.removeItem(LEVEL_PACK_KEY);
+        }
+    } catch (error) {
+        console.error('Failed to store level pack:', error);
+    }
 }
 
 /**
@@ -78,6 +331,46 @@ export function validateLevel(level) {
         }
     }
 
+    // Check pixel-art colours are known and on targets
+    for (const [key, color] of Object.entries(level.colors || {})) {
+        if (!PAINT_COLORS[color]) {
+            errors.push(`Unknown colour ${color} at ${key}`);
+        }
+        if (!targets.includes(key)) {
+            errors.push(`Colour at ${key}, which is not a target`);
+        }
+    }
+
+    // Check items and doors are on free cells, and doors can be opened
+    const isOutside = (key) => {
+        const [x, y] = key.split(',').map(Number);
+        return x < 0 || x >= gridSize || y < 0 || y >= gridSize;
+    };
+    const items = level.items || {};
+    const doors = level.doors || [];
+    for (const [key, item] of Object.entries(items)) {
+        if (!ITEMS[item]) {
+            errors.push(`Unknown item ${item} at ${key}`);
+        }
+        if (isOutside(key)) {
+            errors.push(`Item ${key} out of bounds for grid size ${gridSize}`);
+        }
+        if (key === startKey || obstacles.includes(key) || doors.includes(key)) {
+            errors.push(`Item at ${key} is not on a free cell`);
+        }
+    }
+    for (const door of doors) {
+        if (isOutside(door)) {
+            errors.push(`Door ${door} out of bounds for grid size ${gridSize}`);
+        }
+        if (door === startKey || obstacles.includes(door)) {
+            errors.push(`Door at ${door} is not on a free cell`);
+        }
+    }
+    if (doors.length > 0 && !Object.values(items).includes('key')) {
+        errors.push('Doors but no key to open them');
+    }
+
     return {
         valid: errors.length === 0,
         errors
@@ -1,12 +1,88 @@
 /**
  * Robot - Handles robot state and movement
+ *
+ * The robot always faces a heading. Absolute levels never turn it; in
+ * turtle levels it turns left and right, and moves, shots and sensors
+ * aimed 'forward' go the way it faces.
  */
+import { DEFAULT_COLOR } from './Grid.js';
+
+// Headings in clockwise order, so turning right is one step on
+export const HEADINGS = ['up', 'right', 'down', 'left'];
+
+// Heading a robot starts with when the level does not give one
+export const DEFAULT_HEADING = 'up';
+
 export class Robot {
-    constructor(startPosition) {
+    /**
+     * @param {Object} startPosition - { x, y }
+     * @param {string} [startHeading] - One of HEADINGS
+     */
+    constructor(startPosition, startHeading = DEFAULT_HEADING) {
         this.startPosition = { ...startPosition };
         this.position = { ...startPosition };
+        this.startHeading = startHeading;
+        this.heading = startHeading;
+        // Paint colour, changed by 🪣 bucket commands
+        this.color = DEFAULT_COLOR;
+        // Items picked up on the way (keys of ITEMS)
+        this.inventory = [];
+    }
+
+    /**
+     * @param {string} color - Key of PAINT_COLORS
+     */
+    setColor(color) {
+        this.color = color;
+    }
+
+    /**
+     * @param {string} item - Key of ITEMS
+     */
+    pickUp(item) {
+        this.inventory.push(item);
+    }
+
+    /**
+     * @param {string} item - Key of ITEMS
+     * @returns {number} How many the robot carries
+     */
+    countItem(item) {
+        return this.inventory.filter(held => held === item).length;
+    }
+
+    /**
+     * Use up one carried item, such as a 🔑 on a door
+     * @param {string} item - Key of ITEMS
+     * @returns {boolean} False if the robot has none
+     */
+    useItem(item) {
+        const index = this.inventory.indexOf(item);
+        if (index === -1) return false;
+        this.inventory.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Turn a quarter turn on the spot
+     * @param {string} side - 'left' or 'right'
+     */
+    turn(side) {
+        const step = side === 'left' ? HEADINGS.length - 1 : 1;
+        this.heading = HEADINGS[(HEADINGS.indexOf(this.heading) + step) % HEADINGS.length];
+    }
+
+    /**
+     * @param {string} direction - up, down, left, right or forward
+     * @returns {string} The absolute direction, with forward as the heading
+     */
+    resolveDirection(direction) {
+        return direction === 'forward' ? this.heading : direction;
     }
 
+    /**
+     * @param {string} direction - up, down, left, right or forward
+     */
     move(direction) {
         const deltas = {
             'up': { x: 0, y: -1 },
@@ -14,7 +90,7 @@ export class Robot {
             'left': { x: -1, y: 0 },
             'right': { x: 1, y: 0 }
         };
-        const delta = deltas[direction];
+        const delta = deltas[this.resolveDirection(direction)];
         if (delta) {
             this.position.x += delta.x;
             this.position.y += delta.y;
@@ -37,10 +113,37 @@ export class Robot {
 
     reset() {
         this.position = { ...this.startPosition };
+        this.heading = this.startHeading;
+        this.color = DEFAULT_COLOR;
+        this.inventory = [];
     }
 
-    setStartPosition(newStart) {
+    /**
+     * @param {Object} newStart - { x, y }
+     * @param {string} [heading] - One of HEADINGS
+     */
+    setStartPosition(newStart, heading = DEFAULT_HEADING) {
         this.startPosition = { ...newStart };
         this.position = { ...newStart };
+        this.startHeading = heading;
+        this.heading = heading;
+        this.color = DEFAULT_COLOR;
+        this.inventory = [];
+    }
+
+    getState() {
+        return {
+            position: { ...this.position },
+            heading: this.heading,
+            color: this.color,
+            inventory: [...this.inventory]
+        };
+    }
+
+    restoreState(state) {
+        this.position = { ...state.position };
+        this.heading = state.heading;
+        this.color = state.color;
+        this.inventory = [...state.inventory];
     }
 }
@@ -3,26 +3,60 @@
  * Extends BaseSequence with robot-specific commands and functions
  */
 import { BaseSequence } from '../../shared/js/BaseSequence.js';
+import { PAINT_COLORS } from './Grid.js';
 
-// Direction emojis
+// Direction emojis; forward is the way the robot faces (turtle levels)
 const DIRECTION_EMOJIS = {
     up: '⬆️',
     down: '⬇️',
     left: '⬅️',
-    right: '➡️'
+    right: '➡️',
+    forward: '🔼'
 };
 
 const FIRE_EMOJIS = {
     up: '🚀⬆️',
     down: '🚀⬇️',
     left: '🚀⬅️',
-    right: '🚀➡️'
+    right: '🚀➡️',
+    forward: '🚀🔼'
 };
 
+// Quarter turns of a turtle-level robot
+export const TURN_EMOJIS = {
+    left: '↩️',
+    right: '↪️'
+};
+
+// Sensors an "if" block or "repeat until" loop can check in the cell next to the robot
+export const CONDITIONS = {
+    rock: '🪨',
+    painted: '🎨',
+    wall: '🧱'
+};
+
+// Branches of an "if" block: then runs when the sensor says yes
+export const BRANCHES = ['then', 'else'];
+
+// Commands the robot does in one step; the only ones a branch can hold
+const ACTIONS = ['move', 'fire', 'bucket', 'turn'];
+
+// Picture names for saved functions; one each, so this caps how many can be saved
+export const FUNCTION_NAMES = ['📦', '🎁', '🧰', '🎒', '🧺', '💼'];
+
+// Number a call passes to a function with a 📏 loop until the child changes it
+const DEFAULT_ARGUMENT = 2;
+
 export class Sequence extends BaseSequence {
     constructor() {
         super();
+        // Functions are { id, name, commands }; calls refer to them by id,
+        // so changing a function changes every call to it
         this.savedFunctions = [];
+        this.nextFunctionId = 1;
+        this.editingFunction = null;
+        this.mainCommands = null;
+        this.activeBranch = null;
     }
 
     /**
@@ -31,11 +65,7 @@ export class Sequence extends BaseSequence {
      */
     addCommand(direction) {
         const cmd = { type: 'move', direction };
-        if (this.activeLoopIndex !== null) {
-            this.commands[this.activeLoopIndex].commands.push(cmd);
-        } else {
-            this.commands.push(cmd);
-        }
+        this.appendCommand(cmd);
     }
 
     /**
@@ -44,11 +74,39 @@ export class Sequence extends BaseSequence {
      */
     addFireCommand(direction) {
         const cmd = { type: 'fire', direction };
-        if (this.activeLoopIndex !== null) {
-            this.commands[this.activeLoopIndex].commands.push(cmd);
-        } else {
-            this.commands.push(cmd);
-        }
+        this.appendCommand(cmd);
+    }
+
+    /**
+     * Add a 🪣 bucket command that changes the robot's paint colour
+     * @param {string} color - Key of PAINT_COLORS
+     * @returns {boolean} Whether the command was added
+     */
+    addBucketCommand(color) {
+        if (!PAINT_COLORS[color]) return false;
+        this.appendCommand({ type: 'bucket', color });
+        return true;
+    }
+
+    /**
+     * Add a turn command for turtle levels
+     * @param {string} side - 'left' or 'right'
+     * @returns {boolean} Whether the command was added
+     */
+    addTurnCommand(side) {
+        if (!TURN_EMOJIS[side]) return false;
+        this.appendCommand({ type: 'turn', direction: side });
+        return true;
+    }
+
+    /**
+     * Make a move, fire, bucket or turn command
+     * @param {string} type - 'move', 'fire', 'bucket' or 'turn'
+     * @param {string} value - Direction (side for a turn), or colour for a bucket
+     * @returns {Object}
+     */
+    static createAction(type, value) {
+        return type === 'bucket' ? { type, color: value } : { type, direction: value };
     }
 
     /**
@@ -57,87 +115,509 @@ export class Sequence extends BaseSequence {
      * @param {number} index - Insert position
      */
     insertAt(cmd, index) {
-        if (this.activeLoopIndex !== null && index <= this.activeLoopIndex) {
-            this.activeLoopIndex++;
-        }
         this.commands.splice(index, 0, cmd);
     }
 
     /**
      * Insert command into a loop at specific index
-     * @param {number} loopIndex - Loop index in main sequence
+     * @param {number|number[]} loopRef - Loop index or path
      * @param {number} targetIndex - Insert position within loop
-     * @param {string} type - Command type ('move' or 'fire')
-     * @param {string} direction - Direction
+     * @param {string} type - Command type ('move', 'fire', 'bucket' or 'turn')
+     * @param {string} value - Direction (side for a turn), or colour for a bucket
+     */
+    insertIntoLoop(loopRef, targetIndex, type, value) {
+        const loop = this.getLoop(loopRef);
+        if (!loop) return;
+
+        loop.commands.splice(targetIndex, 0, Sequence.createAction(type, value));
+    }
+
+    /**
+     * Add an "if" block
+     * Goes into the active loop like any other command, never into a branch
+     * @param {string} condition - Key of CONDITIONS
+     * @param {string} direction - Which neighbouring cell the sensor checks
+     * @returns {number[]|null} Path of the new block
+     */
+    addIf(condition, direction = 'right') {
+        if (!CONDITIONS[condition] || !DIRECTION_EMOJIS[direction]) return null;
+
+        const cmd = { type: 'if', condition, direction, then: [], else: [] };
+        this.activeBranch = null;
+        this.appendCommand(cmd);
+        return this.findPath(cmd);
+    }
+
+    /**
+     * Add a "repeat until" loop that stops when the sensor says yes
+     * @param {string} condition - Key of CONDITIONS
+     * @param {string} direction - Which neighbouring cell the sensor checks
+     * @returns {number[]|null} Path of the new loop
+     */
+    addUntilLoop(condition, direction = 'right') {
+        if (!CONDITIONS[condition] || !DIRECTION_EMOJIS[direction]) return null;
+        return super.addUntilLoop(condition, direction);
+    }
+
+    /**
+     * Change what a "repeat until" loop checks
+     * @param {number[]} path - Path of the loop
+     * @param {string} condition - Key of CONDITIONS
+     * @param {string} direction - Direction to look in
      */
-    insertIntoLoop(loopIndex, targetIndex, type, direction) {
-        const loop = this.commands[loopIndex];
-        if (!loop || loop.type !== 'loop') return;
-        
-        const cmd = { type, direction };
-        loop.commands.splice(targetIndex, 0, cmd);
+    setUntilCondition(path, condition, direction) {
+        if (!CONDITIONS[condition] || !DIRECTION_EMOJIS[direction]) return;
+        super.setUntilCondition(path, condition, direction);
+    }
+
+    /**
+     * Change what an "if" block checks
+     * @param {number[]} path - Path of the block
+     * @param {string} condition - Key of CONDITIONS
+     * @param {string} direction - Direction to look in
+     */
+    setCondition(path, condition, direction) {
+        const block = this.getIfBlock(path);
+        if (!block || !CONDITIONS[condition] || !DIRECTION_EMOJIS[direction]) return;
+        block.condition = condition;
+        block.direction = direction;
+    }
+
+    /**
+     * Get an "if" block
+     * @param {number[]} path - Path of the block
+     * @returns {Object|null}
+     */
+    getIfBlock(path) {
+        const cmd = this.getCommandAt(path);
+        return cmd?.type === 'if' ? cmd : null;
+    }
+
+    /**
+     * Choose the branch that tapped commands go into
+     * @param {number[]|null} path - Path of the "if" block, or null to deselect
+     * @param {string} [branch] - 'then' or 'else'
+     */
+    setActiveBranch(path, branch) {
+        const block = path === null ? null : this.getIfBlock(path);
+        this.activeLoop = null;
+        this.activeBranch = block && BRANCHES.includes(branch) ? { block, branch } : null;
+    }
+
+    /**
+     * Check if a branch is the one receiving tapped commands
+     * @param {number[]} path - Path of the "if" block
+     * @param {string} branch - 'then' or 'else'
+     * @returns {boolean}
+     */
+    isActiveBranch(path, branch) {
+        return this.activeBranch !== null &&
+            this.activeBranch.branch === branch &&
+            this.activeBranch.block === this.getIfBlock(path);
+    }
+
+    /**
+     * Set the active loop; a branch and a loop are never active together
+     * @param {number|number[]|null} loopRef - Loop index or path, or null to deselect
+     */
+    setActiveLoop(loopRef) {
+        super.setActiveLoop(loopRef);
+        this.activeBranch = null;
+    }
+
+    /**
+     * Add a command to the active branch, loop, or main sequence
+     * Branches only hold moves, fires and buckets
+     * @param {Object} cmd - Command object
+     */
+    appendCommand(cmd) {
+        const isAction = ACTIONS.includes(cmd.type);
+        if (isAction && this.activeBranch && this.findPath(this.activeBranch.block)) {
+            this.activeBranch.block[this.activeBranch.branch].push(cmd);
+        } else {
+            super.appendCommand(cmd);
+        }
+    }
+
+    /**
+     * Insert a move, fire or bucket into a branch
+     * @param {number[]} path - Path of the "if" block
+     * @param {string} branch - 'then' or 'else'
+     * @param {number} targetIndex - Insert position within the branch
+     * @param {string} type - Command type ('move', 'fire', 'bucket' or 'turn')
+     * @param {string} value - Direction (side for a turn), or colour for a bucket
+     */
+    insertIntoBranch(path, branch, targetIndex, type, value) {
+        const block = this.getIfBlock(path);
+        if (!block || !BRANCHES.includes(branch)) return;
+        if (!ACTIONS.includes(type)) return;
+
+        block[branch].splice(targetIndex, 0, Sequence.createAction(type, value));
+    }
+
+    /**
+     * Remove a command from a branch
+     * @param {number[]} path - Path of the "if" block
+     * @param {string} branch - 'then' or 'else'
+     * @param {number} cmdIndex - Index within the branch
+     */
+    removeFromBranch(path, branch, cmdIndex) {
+        const block = this.getIfBlock(path);
+        if (block && BRANCHES.includes(branch)) {
+            block[branch].splice(cmdIndex, 1);
+        }
+    }
+
+    /**
+     * Forget the active loop or branch if it is being removed
+     * @param {Object} removed - Command leaving the sequence
+     */
+    releaseActiveLoop(removed) {
+        super.releaseActiveLoop(removed);
+        const block = this.activeBranch?.block;
+        if (removed && block && (removed === block || this.containsCommand(removed, block))) {
+            this.activeBranch = null;
+        }
+    }
+
+    /**
+     * Clear all commands
+     */
+    clear() {
+        super.clear();
+        this.activeBranch = null;
+    }
+
+    /**
+     * Drop any function being edited and clear the main sequence
+     * clear() alone only empties what is shown, which may be a function body
+     */
+    reset() {
+        this.finishEditing(false);
+        this.clear();
+    }
+
+    /**
+     * Count blocks, including the commands inside both branches of an "if"
+     * @param {Array} commands - Commands to count (default: whole sequence)
+     * @returns {number}
+     */
+    countBlocks(commands = this.commands) {
+        return commands.reduce((total, cmd) => {
+            if (cmd.type === 'if') {
+                return total + 1 + cmd.then.length + cmd.else.length;
+            }
+            return total + super.countBlocks([cmd]);
+        }, 0);
+    }
+
+    /**
+     * Snapshot the sequence for saving, with the functions it calls
+     * @returns {Object} { blocks, commands, functions } deep copy
+     */
+    toSolution() {
+        return {
+            ...super.toSolution(),
+            functions: JSON.parse(JSON.stringify(this.savedFunctions))
+        };
+    }
+
+    // ===== Functions =====
+    // A function call is { type: 'function', id } plus an `arg` when the
+    // function has a 📏 loop (a loop with `param: true`). The 📏 loop repeats
+    // as many times as the call's argument says.
+
+    /**
+     * Find a saved function
+     * @param {number} id - Function id
+     * @returns {Object|null}
+     */
+    getFunction(id) {
+        return this.savedFunctions.find(func => func.id === id) || null;
     }
 
     /**
      * Add a function call to the sequence
+     * A function being edited cannot call itself, directly or through another function
      * @param {number} functionIndex - Index of saved function
+     * @returns {boolean} Whether the call was added
      */
     addFunctionCall(functionIndex) {
         const func = this.savedFunctions[functionIndex];
-        if (func) {
-            const cmd = {
-                type: 'function',
-                id: functionIndex + 1,
-                commands: [...func.commands]
-            };
-            if (this.activeLoopIndex !== null) {
-                this.commands[this.activeLoopIndex].commands.push(cmd);
-            } else {
-                this.commands.push(cmd);
-            }
+        if (!func) return false;
+        if (this.editingFunction && this.callsFunction([{ type: 'function', id: func.id }], this.editingFunction.id)) {
+            return false;
         }
+
+        const cmd = { type: 'function', id: func.id };
+        if (this.hasParameter(func)) {
+            cmd.arg = DEFAULT_ARGUMENT;
+        }
+        this.appendCommand(cmd);
+        return true;
     }
 
     /**
-     * Save current sequence as a function
+     * Save the current sequence as a new function, or store the changes
+     * to the function being edited
+     * Everything is kept: loops, fire, "if" blocks and calls to other functions
      * @returns {boolean} Whether save was successful
      */
     saveAsFunction() {
-        const moveCommands = this.commands.filter(cmd => cmd.type === 'move');
-        if (moveCommands.length === 0) return false;
-        this.savedFunctions.push({ commands: [...moveCommands] });
+        if (this.editingFunction) {
+            return this.finishEditing(true);
+        }
+        if (this.commands.length === 0) return false;
+
+        const name = FUNCTION_NAMES.find(n => !this.savedFunctions.some(func => func.name === n));
+        if (!name) return false;
+
+        this.savedFunctions.push({
+            id: this.nextFunctionId++,
+            name,
+            commands: JSON.parse(JSON.stringify(this.commands))
+        });
+        return true;
+    }
+
+    /**
+     * Replace a function's body; every call picks up the change
+     * @param {number} id - Function id
+     * @param {Array} commands - New body (copied)
+     * @returns {boolean} False if the body would make the function call itself
+     */
+    updateFunction(id, commands) {
+        const func = this.getFunction(id);
+        if (!func || this.callsFunction(commands, id)) return false;
+        func.commands = JSON.parse(JSON.stringify(commands));
+        this.syncArguments();
+        return true;
+    }
+
+    /**
+     * Open a function's body in the sequence so it can be changed
+     * The main sequence is put aside until editing finishes
+     * @param {number} functionIndex - Index of saved function
+     */
+    editFunction(functionIndex) {
+        const func = this.savedFunctions[functionIndex];
+        if (!func) return;
+        if (this.editingFunction) {
+            this.finishEditing(false);
+        }
+
+        this.mainCommands = this.commands;
+        this.commands = JSON.parse(JSON.stringify(func.commands));
+        this.editingFunction = func;
+        this.activeLoop = null;
+        this.activeBranch = null;
+    }
+
+    /**
+     * Stop editing a function and bring the main sequence back
+     * @param {boolean} save - Store the edited body in the function
+     * @returns {boolean} False if there was nothing to finish or the body was refused
+     */
+    finishEditing(save) {
+        if (!this.editingFunction) return false;
+        if (save && !this.updateFunction(this.editingFunction.id, this.commands)) {
+            return false;
+        }
+
+        this.commands = this.mainCommands;
+        this.mainCommands = null;
+        this.editingFunction = null;
+        this.activeLoop = null;
+        this.activeBranch = null;
+        this.syncArguments();
         return true;
     }
 
     /**
-     * Delete a saved function
+     * Check if a function body is open in the sequence
+     * @returns {boolean}
+     */
+    isEditingFunction() {
+        return this.editingFunction !== null;
+    }
+
+    /**
+     * Delete a saved function and every call to it
      * @param {number} index - Function index
      */
     deleteFunction(index) {
+        const func = this.savedFunctions[index];
+        if (!func) return;
+        if (this.editingFunction === func) {
+            this.finishEditing(false);
+        }
+
         this.savedFunctions.splice(index, 1);
+        const isCall = cmd => cmd.type === 'function' && cmd.id === func.id;
+        this.commands = this.removeMatching(this.commands, isCall);
+        if (this.mainCommands) {
+            this.mainCommands = this.removeMatching(this.mainCommands, isCall);
+        }
+        this.savedFunctions.forEach(other => {
+            other.commands = this.removeMatching(other.commands, isCall);
+        });
+        this.activeLoop = null;
+        this.activeBranch = null;
     }
 
     /**
-     * Flatten sequence by expanding loops and functions
-     * @returns {Array} Flat array of commands
+     * Remove commands at any depth
+     * @param {Array} commands - Commands to filter
+     * @param {function} predicate - (cmd) => true to remove
+     * @returns {Array} The same array, filtered in place
      */
-    flatten() {
-        const flat = [];
-        const expandCommands = (cmds) => {
-            for (const cmd of cmds) {
-                if (cmd.type === 'function') {
-                    expandCommands(cmd.commands);
-                } else if (cmd.type === 'loop') {
-                    for (let i = 0; i < cmd.iterations; i++) {
-                        expandCommands(cmd.commands);
-                    }
+    removeMatching(commands, predicate) {
+        for (let i = commands.length - 1; i >= 0; i--) {
+            const cmd = commands[i];
+            if (predicate(cmd)) {
+                commands.splice(i, 1);
+            } else if (cmd.type === 'loop') {
+                this.removeMatching(cmd.commands, predicate);
+            } else if (cmd.type === 'if') {
+                BRANCHES.forEach(branch => this.removeMatching(cmd[branch], predicate));
+            }
+        }
+        return commands;
+    }
+
+    /**
+     * Check if commands call a function, directly or through other functions
+     * @param {Array} commands - Commands to search
+     * @param {number} id - Function id
+     * @param {number[]} [visited] - Functions already searched
+     * @returns {boolean}
+     */
+    callsFunction(commands, id, visited = []) {
+        return commands.some(cmd => {
+            if (cmd.type === 'loop') return this.callsFunction(cmd.commands, id, visited);
+            if (cmd.type === 'if') return BRANCHES.some(branch => this.callsFunction(cmd[branch], id, visited));
+            if (cmd.type !== 'function') return false;
+            if (cmd.id === id) return true;
+            if (visited.includes(cmd.id)) return false;
+            const func = this.getFunction(cmd.id);
+            return !!func && this.callsFunction(func.commands, id, [...visited, cmd.id]);
+        });
+    }
+
+    /**
+     * Check if a function takes a number (has a 📏 loop in its body)
+     * @param {Object} func - Saved function
+     * @returns {boolean}
+     */
+    hasParameter(func) {
+        const search = commands => commands.some(cmd =>
+            cmd.type === 'loop' && (cmd.param || search(cmd.commands)));
+        return search(func.commands);
+    }
+
+    /**
+     * Make a loop repeat by the function's number instead of its own count
+     * Only means something inside a function body
+     * @param {number|number[]} loopRef - Loop index or path
+     * @param {boolean} useParam - True for a 📏 loop
+     */
+    setLoopParameter(loopRef, useParam) {
+        const loop = this.getLoop(loopRef);
+        if (loop && !this.isUntilLoop(loop)) {
+            if (useParam) {
+                loop.param = true;
+            } else {
+                delete loop.param;
+            }
+        }
+    }
+
+    /**
+     * Change the number a function call passes
+     * @param {number[]} path - Path of the call
+     * @param {number} arg - New number (clamped 1-9)
+     */
+    setCallArgument(path, arg) {
+        const cmd = this.getCommandAt(path);
+        if (cmd && cmd.type === 'function' && cmd.arg !== undefined) {
+            cmd.arg = Math.max(1, Math.min(9, arg));
+        }
+    }
+
+    /**
+     * Keep call arguments in step with the functions: add one where a
+     * function gained a 📏 loop, drop it where the function lost it
+     */
+    syncArguments() {
+        const update = commands => commands.forEach(cmd => {
+            if (cmd.type === 'loop') {
+                update(cmd.commands);
+            } else if (cmd.type === 'if') {
+                BRANCHES.forEach(branch => update(cmd[branch]));
+            } else if (cmd.type === 'function') {
+                const func = this.getFunction(cmd.id);
+                if (func && this.hasParameter(func)) {
+                    cmd.arg = cmd.arg ?? DEFAULT_ARGUMENT;
                 } else {
-                    flat.push(cmd);
+                    delete cmd.arg;
                 }
             }
-        };
-        expandCommands(this.commands);
-        return flat;
+        });
+        update(this.commands);
+        if (this.mainCommands) update(this.mainCommands);
+        this.savedFunctions.forEach(func => update(func.commands));
+    }
+
+    /**
+     * Copy of commands with each function call carrying its current body
+     * 📏 loops take the number of the call they run in. A call that would
+     * loop back into a function already running gets an empty body.
+     * @param {Array} [commands] - Commands to expand (default: whole sequence)
+     * @param {number|null} [arg] - Number passed to the function being expanded
+     * @param {number[]} [calling] - Ids of the functions being expanded
+     * @returns {Array} Command tree for the Interpreter
+     */
+    expandFunctions(commands = this.commands, arg = null, calling = []) {
+        return commands.map(cmd => {
+            if (cmd.type === 'loop') {
+                const iterations = cmd.param && arg !== null ? arg : cmd.iterations;
+                return { ...cmd, iterations, commands: this.expandFunctions(cmd.commands, arg, calling) };
+            }
+            if (cmd.type === 'if') {
+                return {
+                    ...cmd,
+                    then: this.expandFunctions(cmd.then, arg, calling),
+                    else: this.expandFunctions(cmd.else, arg, calling)
+                };
+            }
+            if (cmd.type === 'function') {
+                const func = this.getFunction(cmd.id);
+                const body = func && !calling.includes(cmd.id)
+                    ? this.expandFunctions(func.commands, cmd.arg ?? null, [...calling, cmd.id])
+                    : [];
+                return { ...cmd, commands: body };
+            }
+            return { ...cmd };
+        });
+    }
+
+    /**
+     * Flatten sequence by expanding loops and functions
+     * "if" blocks are kept as they are and "repeat until" loops appear once;
+     * only the Interpreter can decide them
+     * @returns {Array} Flat array of commands
+     */
+    flatten() {
+        return this.flattenCommands(this.expandFunctions());
+    }
+
+    /**
+     * Map an index in flatten() back to the block that produced it
+     * @param {number} flatIndex - Index in the flattened sequence
+     * @returns {number[]|null} Path of the block
+     */
+    getPathForFlatIndex(flatIndex) {
+        return super.getPathForFlatIndex(flatIndex, this.expandFunctions());
     }
 
     /**
@@ -149,6 +629,33 @@ export class Sequence extends BaseSequence {
         return DIRECTION_EMOJIS[direction] || '❓';
     }
 
+    /**
+     * Get sensor emoji for an "if" block
+     * @param {string} condition - Key of CONDITIONS
+     * @returns {string} Emoji
+     */
+    static getConditionEmoji(condition) {
+        return CONDITIONS[condition] || '❓';
+    }
+
+    /**
+     * Get the picture name of a function
+     * @param {Object|null} func - Saved function
+     * @returns {string} Emoji
+     */
+    static getFunctionEmoji(func) {
+        return func ? func.name : '❓';
+    }
+
+    /**
+     * Get the emoji of a 🪣 bucket command
+     * @param {string} color - Key of PAINT_COLORS
+     * @returns {string} Emoji
+     */
+    static getBucketEmoji(color) {
+        return `🪣${PAINT_COLORS[color] || '❓'}`;
+    }
+
     /**
      * Get fire emoji
      * @param {string} direction - Direction
@@ -157,4 +664,12 @@ export class Sequence extends BaseSequence {
     static getFireEmoji(direction) {
         return FIRE_EMOJIS[direction] || '🚀';
     }
+
+    /**
+     * @param {string} side - 'left' or 'right'
+     * @returns {string} Emoji of a turn command
+     */
+    static getTurnEmoji(side) {
+        return TURN_EMOJIS[side] || '❓';
+    }
 }
@@ -0,0 +1,377 @@
+/**
+ * Solver - Finds the shortest programs that finish a robot level
+ *
+ * The search is breadth-first over the same Robot and Grid state the game
+ * snapshots: where the robot stands and faces, which colour and items it
+ * carries, which targets are painted and which rocks, items and doors are
+ * left. Every move, fire, bucket or turn is one step, so the first layer
+ * that paints every target and collects every ⭐ gives the fewest commands.
+ * Buckets are only tried in levels with coloured targets, and turtle levels
+ * try forward moves and turns instead of the four arrows.
+ *
+ * Levels with many targets have too many paint patterns to search in full,
+ * so each pass drops states that cannot finish within a bound (using a
+ * distance estimate that never overshoots). The bound starts at that
+ * estimate and grows by one until a pass finds a solution; a pass that drops
+ * nothing and finds nothing proves the level cannot be finished.
+ *
+ * The shortest solutions are then wrapped in loops (nested up to the
+ * sequence's loop depth) to find the fewest blocks a player needs.
+ */
+import { Robot } from './Robot.js';
+import { Grid } from './Grid.js';
+import { DEFAULT_MAX_LOOP_DEPTH } from '../../shared/js/BaseSequence.js';
+
+export const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+// Largest repeat count a loop block can be set to
+export const MAX_LOOP_ITERATIONS = 9;
+
+// States searched before the solver gives up on a level
+export const MAX_SOLVER_STATES = 50000;
+
+// Shortest solutions tried when looking for the best use of loops
+export const MAX_SOLUTIONS = 200;
+
+const DELTAS = {
+    'up': { x: 0, y: -1 },
+    'down': { x: 0, y: 1 },
+    'left': { x: -1, y: 0 },
+    'right': { x: 1, y: 0 }
+};
+
+/**
+ * Find the shortest solutions of a level
+ * @param {Object} level - Level data (see getLevel)
+ * @param {Object} [options]
+ * @param {number} [options.maxStates] - Give up after this many states
+ * @param {number} [options.maxLoopDepth] - How deep loops may be nested
+ * @returns {Object} {
+ *   solvable: boolean|null - null when the search gave up,
+ *   moves: number - fewest commands without loops,
+ *   blocks: number - fewest blocks with loops,
+ *   solution: Array - flat commands for `moves`,
+ *   loopSolution: Array - command tree for `blocks`
+ * }
+ */
+export function solveLevel(level, options = {}) {
+    const maxStates = options.maxStates ?? MAX_SOLVER_STATES;
+    const maxLoopDepth = options.maxLoopDepth ?? DEFAULT_MAX_LOOP_DEPTH;
+    const world = createWorld(level);
+    const start = { robot: world.robot.getState(), grid: world.grid.getState() };
+
+    let searched = 0;
+    for (let bound = estimateMoves(world, start); ; bound++) {
+        const result = search(world, start, bound, maxStates - searched);
+        if (!result) {
+            return { solvable: null, moves: null, blocks: null, solution: null, loopSolution: null };
+        }
+        searched += result.states;
+
+        if (result.goals.length > 0) {
+            const solutions = listSolutions(result);
+            const compressed = solutions.map(commands => compressWithLoops(commands, maxLoopDepth));
+            const best = compressed.reduce((a, b) => (b.blocks < a.blocks ? b : a));
+            return {
+                solvable: true,
+                moves: result.depth,
+                blocks: best.blocks,
+                solution: solutions[0],
+                loopSolution: best.commands
+            };
+        }
+        if (!result.pruned) {
+            return { solvable: false, moves: null, blocks: null, solution: null, loopSolution: null };
+        }
+    }
+}
+
+/**
+ * Robot and grid used to try commands
+ * @param {Object} level - Level data
+ * @returns {Object} { robot, grid, targets, stars, commands }
+ */
+function createWorld(level) {
+    const colors = level.colors || {};
+    const items = level.items || {};
+    const buckets = [...new Set(Object.values(colors))].map(color => ({ type: 'bucket', color }));
+    const grid = new Grid(level.gridSize, level.targets, level.obstacles || [], colors);
+    grid.resetItems(items, level.doors || []);
+    const directions = level.commandSet === 'turtle' ? ['forward'] : DIRECTIONS;
+    const turns = level.commandSet === 'turtle'
+        ? ['left', 'right'].map(side => ({ type: 'turn', direction: side }))
+        : [];
+    const toCell = key => {
+        const [x, y] = key.split(',').map(Number);
+        return { key, x, y };
+    };
+    return {
+        robot: new Robot(level.start, level.heading),
+        grid,
+        targets: level.targets.map(key => ({ ...toCell(key), color: colors[key] ?? null })),
+        // Stars off the targets (one on a target goes when it is painted)
+        stars: Object.keys(items)
+            .filter(key => items[key] === 'star' && !level.targets.includes(key))
+            .map(toCell),
+        // Every command worth trying in this level
+        commands: [
+            ...['move', 'fire'].flatMap(type => directions.map(direction => ({ type, direction }))),
+            ...turns,
+            ...buckets
+        ]
+    };
+}
+
+/**
+ * Run one command the way the game does
+ * Crashes, locked doors, wrong colours, shots that hit nothing (or a door)
+ * and buckets of the colour already carried give null, as they never help
+ * @param {Object} world - From createWorld, already holding the state to start from
+ * @param {Object} cmd - { type: 'move'|'fire'|'turn', direction } or { type: 'bucket', color }
+ * @returns {Object|null} New { robot, grid } state
+ */
+export function applyCommand(world, cmd) {
+    const { robot, grid } = world;
+
+    if (cmd.type === 'bucket') {
+        if (robot.color === cmd.color) return null;
+        robot.setColor(cmd.color);
+        return { robot: robot.getState(), grid: grid.getState() };
+    }
+
+    if (cmd.type === 'turn') {
+        robot.turn(cmd.direction);
+        return { robot: robot.getState(), grid: grid.getState() };
+    }
+
+    const delta = DELTAS[robot.resolveDirection(cmd.direction)];
+
+    if (cmd.type === 'fire') {
+        const shot = { ...robot.position };
+        do {
+            shot.x += delta.x;
+            shot.y += delta.y;
+            if (grid.hasDoor(`${shot.x},${shot.y}`)) return null;
+            if (grid.removeObstacle(`${shot.x},${shot.y}`)) {
+                return { robot: robot.getState(), grid: grid.getState() };
+            }
+        } while (shot.x >= 0 && shot.y >= 0 && shot.x < grid.size && shot.y < grid.size);
+        return null;
+    }
+
+    const next = `${robot.position.x + delta.x},${robot.position.y + delta.y}`;
+    if (grid.hasObstacle(next)) return null;
+    if (grid.hasDoor(next)) {
+        if (!robot.useItem('key')) return null;
+        grid.openDoor(next);
+    }
+
+    robot.move(cmd.direction);
+    if (robot.isOutOfBounds(grid.size)) return null;
+
+    grid.paintCell(robot.getPositionKey(), robot.color);
+    if (grid.isWrongColor(robot.getPositionKey())) return null;
+    const item = grid.takeItem(robot.getPositionKey());
+    if (item) robot.pickUp(item);
+    return { robot: robot.getState(), grid: grid.getState() };
+}
+
+/**
+ * Put a state into the world's robot and grid
+ */
+function restore(world, state) {
+    world.robot.restoreState(state.robot);
+    world.grid.restoreState(state.grid);
+}
+
+/**
+ * Key for a state; painted cells that are not targets do not matter, nor
+ * the order items were picked up in
+ */
+function getStateKey(world, state) {
+    const painted = new Map(state.grid.paintedCells);
+    const targets = world.targets.map(t => (painted.has(t.key) ? 1 : 0)).join('');
+    const rocks = [...state.grid.obstacles].sort().join(';');
+    const items = state.grid.items.map(([key]) => key).sort().join(';');
+    const doors = [...state.grid.doors].sort().join(';');
+    const { position, heading, color, inventory } = state.robot;
+    const carried = [...inventory].sort().join(';');
+    return `${position.x},${position.y}|${heading}|${color}|${carried}|${targets}|${rocks}|${items}|${doors}`;
+}
+
+/**
+ * Fewest commands that could still finish from a state
+ * Every unpainted target and uncollected ⭐ needs its own move, and the
+ * robot must at least walk to the nearest and to the farthest one; on top
+ * of that it needs a bucket for every colour still wanted that it is not
+ * carrying
+ * @returns {number}
+ */
+function estimateMoves(world, state) {
+    const painted = new Map(state.grid.paintedCells);
+    const items = new Map(state.grid.items);
+    const { x, y } = state.robot.position;
+    const colors = new Set();
+    let left = 0;
+    let nearest = Infinity;
+    let farthest = 0;
+
+    const visit = cell => {
+        const distance = Math.abs(cell.x - x) + Math.abs(cell.y - y);
+        left++;
+        nearest = Math.min(nearest, distance);
+        farthest = Math.max(farthest, distance);
+    };
+    world.targets.forEach(target => {
+        if (painted.has(target.key)) return;
+        visit(target);
+        if (target.color) colors.add(target.color);
+    });
+    world.stars.forEach(star => {
+        if (items.has(star.key)) visit(star);
+    });
+    colors.delete(state.robot.color);
+
+    return left === 0 ? 0 : Math.max(left, nearest + left - 1, farthest) + colors.size;
+}
+
+/**
+ * One breadth-first pass, keeping only states that can finish within bound
+ * Every way into a state at its first depth is kept, so all shortest
+ * solutions can be listed afterwards
+ * @param {number} budget - States this pass may keep before giving up
+ * @returns {Object|null} { goals, nodes, depth, states, pruned }, or null
+ *   when the budget ran out
+ */
+function search(world, start, bound, budget) {
+    const startKey = getStateKey(world, start);
+    const nodes = new Map([[startKey, { depth: 0, parents: [] }]]);
+    let layer = [{ key: startKey, state: start }];
+    let depth = 0;
+    let pruned = false;
+
+    if (estimateMoves(world, start) === 0) {
+        return { goals: [startKey], nodes, depth, states: 1, pruned };
+    }
+
+    while (layer.length > 0) {
+        const next = [];
+        const goals = [];
+        depth++;
+
+        for (const { key, state } of layer) {
+            for (const cmd of world.commands) {
+                restore(world, state);
+                const nextState = applyCommand(world, cmd);
+                if (!nextState) continue;
+
+                const nextKey = getStateKey(world, nextState);
+                const node = nodes.get(nextKey);
+                if (node) {
+                    if (node.depth === depth) node.parents.push({ key, cmd });
+                    continue;
+                }
+
+                const estimate = estimateMoves(world, nextState);
+                if (depth + estimate > bound) {
+                    pruned = true;
+                    continue;
+                }
+
+                nodes.set(nextKey, { depth, parents: [{ key, cmd }] });
+                if (nodes.size > budget) return null;
+                next.push({ key: nextKey, state: nextState });
+                if (estimate === 0) goals.push(nextKey);
+            }
+        }
+
+        if (goals.length > 0) {
+            return { goals, nodes, depth, states: nodes.size, pruned };
+        }
+        layer = next;
+    }
+
+    return { goals: [], nodes, depth, states: nodes.size, pruned };
+}
+
+/**
+ * Walk back from the goals to list shortest solutions
+ * @returns {Array<Array>} Up to MAX_SOLUTIONS flat command lists
+ */
+function listSolutions({ goals, nodes }) {
+    const solutions = [];
+
+    const walk = (key, tail) => {
+        if (solutions.length >= MAX_SOLUTIONS) return;
+        const { parents } = nodes.get(key);
+        if (parents.length === 0) {
+            solutions.push(tail);
+            return;
+        }
+        parents.forEach(parent => walk(parent.key, [parent.cmd, ...tail]));
+    };
+
+    goals.forEach(goal => walk(goal, []));
+    return solutions;
+}
+
+/**
+ * Wrap repeated runs of commands in loops using as few blocks as possible
+ * A loop is one block plus its body, as BaseSequence.countBlocks counts it
+ * @param {Array} commands - Flat move, fire, bucket and turn commands
+ * @param {number} [maxDepth] - How deep loops may be nested
+ * @returns {Object} { blocks: number, commands: Array }
+ */
+export function compressWithLoops(commands, maxDepth = DEFAULT_MAX_LOOP_DEPTH) {
+    const ids = commands.map(cmd => `${cmd.type}:${cmd.direction ?? cmd.color}`);
+    const memo = new Map();
+
+    // Best way to write commands[from..to) with `depth` loop levels left
+    const best = (from, to, depth) => {
+        const memoKey = `${from},${to},${depth}`;
+        if (memo.has(memoKey)) return memo.get(memoKey);
+
+        let result = { blocks: to - from, build: () => commands.slice(from, to).map(cmd => ({ ...cmd })) };
+
+        for (let split = from + 1; split < to; split++) {
+            const left = best(from, split, depth);
+            const right = best(split, to, depth);
+            if (left.blocks + right.blocks < result.blocks) {
+                result = { blocks: left.blocks + right.blocks, build: () => [...left.build(), ...right.build()] };
+            }
+        }
+
+        if (depth > 0) {
+            const length = to - from;
+            for (let size = 1; size <= length / 2; size++) {
+                const iterations = length / size;
+                if (!Number.isInteger(iterations) || iterations > MAX_LOOP_ITERATIONS) continue;
+                if (!repeats(ids, from, to, size)) continue;
+
+                const body = best(from, from + size, depth - 1);
+                if (1 + body.blocks < result.blocks) {
+                    result = {
+                        blocks: 1 + body.blocks,
+                        build: () => [{ type: 'loop', iterations, commands: body.build() }]
+                    };
+                }
+            }
+        }
+
+        memo.set(memoKey, result);
+        return result;
+    };
+
+    const result = best(0, commands.length, maxDepth);
+    return { blocks: result.blocks, commands: result.build() };
+}
+
+/**
+ * Check ids[from..to) is the first `size` ids over and over
+ */
+function repeats(ids, from, to, size) {
+    for (let i = from + size; i < to; i++) {
+        if (ids[i] !== ids[i - size]) return false;
+    }
+    return true;
+}
@@ -0,0 +1,97 @@
+/**
+ * Turtle - Converts programs between absolute arrows and turtle turns
+ *
+ * A teacher reference: the same path written with ⬆️ ⬇️ ⬅️ ➡️ or with
+ * 🔼 ↩️ ↪️. Count loops are unrolled first, as a turtle loop body may end
+ * facing another way each time round, and the converted commands are
+ * wrapped back into loops with compressWithLoops. "If" blocks, "repeat
+ * until" loops and function calls depend on the grid, so programs with
+ * them are not converted.
+ */
+import { Robot, HEADINGS, DEFAULT_HEADING } from './Robot.js';
+import { compressWithLoops } from './Solver.js';
+
+/**
+ * Write a program with forward moves and turns
+ * @param {Array} commands - Sequence commands
+ * @param {string} [heading] - Way the robot faces at the start
+ * @returns {Array|null} Turtle commands, or null if the program cannot be converted
+ */
+export function toTurtleProgram(commands, heading = DEFAULT_HEADING) {
+    const flat = unroll(commands);
+    if (!flat) return null;
+
+    // Only the robot's heading is used, to keep track of which way it faces
+    const robot = new Robot({ x: 0, y: 0 }, heading);
+    const converted = [];
+    flat.forEach(cmd => {
+        if ((cmd.type === 'move' || cmd.type === 'fire') && cmd.direction !== 'forward') {
+            getTurns(robot.heading, cmd.direction).forEach(side => {
+                robot.turn(side);
+                converted.push({ type: 'turn', direction: side });
+            });
+            converted.push({ type: cmd.type, direction: 'forward' });
+        } else {
+            if (cmd.type === 'turn') robot.turn(cmd.direction);
+            converted.push({ ...cmd });
+        }
+    });
+    return compressWithLoops(converted).commands;
+}
+
+/**
+ * Write a program with the four arrows
+ * @param {Array} commands - Sequence commands
+ * @param {string} [heading] - Way the robot faces at the start
+ * @returns {Array|null} Absolute commands, or null if the program cannot be converted
+ */
+export function toAbsoluteProgram(commands, heading = DEFAULT_HEADING) {
+    const flat = unroll(commands);
+    if (!flat) return null;
+
+    const robot = new Robot({ x: 0, y: 0 }, heading);
+    const converted = [];
+    flat.forEach(cmd => {
+        if (cmd.type === 'turn') {
+            robot.turn(cmd.direction);
+        } else if (cmd.direction === 'forward') {
+            converted.push({ type: cmd.type, direction: robot.heading });
+        } else {
+            converted.push({ ...cmd });
+        }
+    });
+    return compressWithLoops(converted).commands;
+}
+
+/**
+ * Fewest quarter turns from one heading to another
+ * @param {string} from - One of HEADINGS
+ * @param {string} to - One of HEADINGS
+ * @returns {string[]} 'left' and 'right' turns (two rights to turn around)
+ */
+export function getTurns(from, to) {
+    const steps = (HEADINGS.indexOf(to) - HEADINGS.indexOf(from) + HEADINGS.length) % HEADINGS.length;
+    if (steps === 3) return ['left'];
+    return Array(steps).fill('right');
+}
+
+/**
+ * Spell out count loops
+ * @param {Array} commands
+ * @returns {Array|null} Flat commands, or null for blocks that read the grid
+ */
+function unroll(commands) {
+    const flat = [];
+    for (const cmd of commands) {
+        if (cmd.type === 'loop' && !cmd.until && !cmd.param) {
+            const body = unroll(cmd.commands);
+            if (!body) return null;
+            for (let i = 0; i < cmd.iterations; i++) flat.push(...body);
+        } else if (cmd.type === 'loop' || cmd.type === 'if' || cmd.type === 'function') {
+            return null;
+        } else {
+            flat.push(cmd);
+        }
+    }
+    return flat;
+}
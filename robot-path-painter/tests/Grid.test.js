@@ -1,7 +1,7 @@
 /**
  * Tests for Grid class
  */
-import { Grid } from '../js/Grid.js';
+import { Grid, DEFAULT_COLOR } from '../js/Grid.js';
 
 export function runGridTests() {
     const results = [];
@@ -155,6 +155,105 @@ export function runGridTests() {
         assertTrue(grid.hasObstacle('3,3'));
     }));
 
+    // Test: Grid state snapshot round-trips
+    results.push(test('Grid restoreState brings back paint and obstacles', () => {
+        const grid = new Grid(5, ['0,0'], ['2,2']);
+        grid.paintCell('1,1');
+        const state = grid.getState();
+
+        grid.paintCell('0,0');
+        grid.removeObstacle('2,2');
+        grid.restoreState(state);
+
+        assertTrue(grid.isPainted('1,1'));
+        assertFalse(grid.isPainted('0,0'));
+        assertTrue(grid.hasObstacle('2,2'));
+    }));
+
+    // Test: Paint colours
+    results.push(test('Grid remembers the colour of each painted cell', () => {
+        const grid = new Grid(5, []);
+        grid.paintCell('1,1', 'red');
+        grid.paintCell('2,2');
+        
+        assertEqual(grid.getPaintColor('1,1'), 'red');
+        assertEqual(grid.getPaintColor('2,2'), DEFAULT_COLOR);
+        assertEqual(grid.getPaintColor('3,3'), null);
+    }));
+
+    // Test: Pixel-art targets
+    results.push(test('Coloured targets only count in their own colour', () => {
+        const grid = new Grid(5, ['1,1', '2,2'], [], { '1,1': 'red' });
+        assertEqual(grid.getTargetColor('1,1'), 'red');
+        assertEqual(grid.getTargetColor('2,2'), null);
+        
+        grid.paintCell('1,1', 'blue');
+        grid.paintCell('2,2', 'green');
+        assertTrue(grid.isWrongColor('1,1'));
+        assertFalse(grid.isWrongColor('2,2'), 'A plain target takes any colour');
+        assertFalse(grid.allTargetsPainted());
+        
+        grid.paintCell('1,1', 'red');
+        assertFalse(grid.isWrongColor('1,1'));
+        assertTrue(grid.allTargetsPainted());
+    }));
+
+    // Test: Colours survive snapshots and configure
+    results.push(test('Grid restoreState brings back paint colours', () => {
+        const grid = new Grid(5, ['0,0'], [], { '0,0': 'green' });
+        grid.paintCell('0,0', 'green');
+        const state = grid.getState();
+        
+        grid.paintCell('0,0', 'red');
+        grid.restoreState(state);
+        assertEqual(grid.getPaintColor('0,0'), 'green');
+        
+        grid.configure(5, ['0,0']);
+        assertEqual(grid.getTargetColor('0,0'), null);
+    }));
+
+    // Test: Items and doors
+    results.push(test('Grid items are taken once and doors open', () => {
+        const grid = new Grid(5, []);
+        grid.resetItems({ '1,0': 'key', '2,0': 'star' }, ['3,0']);
+        assertEqual(grid.takeItem('1,0'), 'key');
+        assertEqual(grid.takeItem('1,0'), null, 'Should be gone once taken');
+        assertEqual(grid.countItems('star'), 1);
+        
+        assertTrue(grid.hasDoor('3,0'));
+        assertTrue(grid.openDoor('3,0'));
+        assertFalse(grid.hasDoor('3,0'));
+    }));
+
+    // Test: Stars are part of winning
+    results.push(test('Grid is only complete once every star is collected', () => {
+        const grid = new Grid(5, ['0,1']);
+        grid.resetItems({ '2,2': 'star', '3,3': 'key' });
+        grid.paintCell('0,1');
+        assertTrue(grid.allTargetsPainted());
+        assertFalse(grid.isComplete());
+        
+        grid.takeItem('2,2');
+        assertTrue(grid.isComplete(), 'Keys left lying around do not matter');
+    }));
+
+    // Test: Items and doors survive snapshots
+    results.push(test('Grid restoreState brings back items and doors', () => {
+        const grid = new Grid(5, []);
+        grid.resetItems({ '1,1': 'star' }, ['2,2']);
+        const state = grid.getState();
+        
+        grid.takeItem('1,1');
+        grid.openDoor('2,2');
+        grid.restoreState(state);
+        assertEqual(grid.getItem('1,1'), 'star');
+        assertTrue(grid.hasDoor('2,2'));
+        
+        grid.configure(5, []);
+        assertEqual(grid.getItem('1,1'), null);
+        assertFalse(grid.hasDoor('2,2'));
+    }));
+
     return results;
 }
 
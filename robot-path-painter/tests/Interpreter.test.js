@@ -0,0 +1,181 @@
+/**
+ * Tests for Interpreter class
+ */
+import { Interpreter } from '../../shared/js/Interpreter.js';
+import { Sequence } from '../js/Sequence.js';
+
+export function runInterpreterTests() {
+    const results = [];
+
+    // Test: Plain commands run in order
+    results.push(test('Runs plain commands in order', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.addFireCommand('right');
+        
+        const actions = runAll(new Interpreter(seq.commands, { sense: () => false }));
+        
+        assertEqual(actions.join(','), 'move up,fire right');
+    }));
+
+    // Test: Loops repeat, including nested loops
+    results.push(test('Repeats nested loops', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addCommand('up');
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addCommand('right');
+        
+        const actions = runAll(new Interpreter(seq.commands, { sense: () => false }));
+        
+        assertEqual(actions.length, 6);
+        assertEqual(actions.join(','), 'move up,move right,move right,move up,move right,move right');
+    }));
+
+    // Test: If picks a branch from the sensor
+    results.push(test('If runs then or else from the sensor', () => {
+        const seq = new Sequence();
+        const path = seq.addIf('rock', 'right');
+        seq.insertIntoBranch(path, 'then', 0, 'fire', 'right');
+        seq.insertIntoBranch(path, 'else', 0, 'move', 'right');
+        
+        const yes = runAll(new Interpreter(seq.commands, { sense: () => true }));
+        const no = runAll(new Interpreter(seq.commands, { sense: () => false }));
+        
+        assertEqual(yes.join(','), 'fire right');
+        assertEqual(no.join(','), 'move right');
+    }));
+
+    // Test: Conditions are decided with live state, not up front
+    results.push(test('Conditions are checked when reached', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addLoop(3));
+        const path = seq.addIf('rock', 'right');
+        seq.insertIntoBranch([0, 0], 'then', 0, 'fire', 'right');
+        seq.insertIntoBranch([0, 0], 'else', 0, 'move', 'right');
+        
+        // A single rock right in front: fire once, then the way is clear
+        let rock = true;
+        const checks = [];
+        const interpreter = new Interpreter(seq.commands, {
+            sense: (condition, direction) => {
+                checks.push(`${condition} ${direction}`);
+                return rock;
+            }
+        });
+        const actions = [];
+        let cmd;
+        while ((cmd = interpreter.peek()) !== null) {
+            actions.push(`${cmd.type} ${cmd.direction}`);
+            if (cmd.type === 'fire') rock = false;
+            interpreter.advance();
+        }
+        
+        assertEqual(path.join('.'), '0.0');
+        assertEqual(actions.join(','), 'fire right,move right,move right');
+        assertEqual(checks.length, 3);
+        assertEqual(checks[0], 'rock right');
+    }));
+
+    // Test: Actions report the block to highlight
+    results.push(test('Branch actions report the if block path', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.setActiveLoop(seq.addLoop(2));
+        const path = seq.addIf('painted', 'down');
+        seq.insertIntoBranch(path, 'else', 0, 'move', 'down');
+        
+        const interpreter = new Interpreter(seq.commands, { sense: () => false });
+        assertEqual(interpreter.peek().path.join('.'), '0');
+        interpreter.advance();
+        assertEqual(interpreter.peek().path.join('.'), '1.0');
+    }));
+
+    // Test: Function bodies run and report the call
+    results.push(test('Function calls run their body', () => {
+        const seq = new Sequence();
+        seq.addCommand('left');
+        seq.addCommand('down');
+        seq.saveAsFunction();
+        seq.clear();
+        seq.addFunctionCall(0);
+        
+        // Calls refer to the function by id; the sequence fills in the bodies
+        const interpreter = new Interpreter(seq.expandFunctions(), { sense: () => false });
+        assertEqual(interpreter.peek().path.join('.'), '0');
+        assertEqual(runAll(interpreter).join(','), 'move left,move down');
+    }));
+
+    // Test: State round trip
+    results.push(test('restoreState rewinds the position', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addCommand('up');
+        seq.addCommand('down');
+        
+        const interpreter = new Interpreter(seq.commands, { sense: () => false });
+        interpreter.peek();
+        interpreter.advance();
+        const state = interpreter.getState();
+        interpreter.advance();
+        interpreter.advance();
+        assertEqual(interpreter.peek().direction, 'down');
+        
+        interpreter.restoreState(state);
+        assertEqual(interpreter.peek().direction, 'down');
+        interpreter.advance();
+        assertEqual(interpreter.peek().direction, 'up');
+    }));
+
+    // Test: Editing the sequence does not change a running program
+    results.push(test('Interpreter keeps its own copy of the commands', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        
+        const interpreter = new Interpreter(seq.commands, { sense: () => false });
+        seq.addCommand('down');
+        
+        assertEqual(runAll(interpreter).length, 1);
+    }));
+
+    // Test: Empty branches are skipped
+    results.push(test('Empty branches produce no actions', () => {
+        const seq = new Sequence();
+        seq.addIf('rock', 'up');
+        
+        const interpreter = new Interpreter(seq.commands, { sense: () => true });
+        assertEqual(interpreter.peek(), null);
+    }));
+
+    return results;
+}
+
+// ===== Test Utilities =====
+
+/**
+ * Run a program to the end and describe each action
+ */
+function runAll(interpreter) {
+    const actions = [];
+    let cmd;
+    while ((cmd = interpreter.peek()) !== null) {
+        actions.push(`${cmd.type} ${cmd.direction}`);
+        interpreter.advance();
+    }
+    return actions;
+}
+
+function test(name, fn) {
+    try {
+        fn();
+        return { name, passed: true };
+    } catch (error) {
+        return { name, passed: false, error: error.message };
+    }
+}
+
+function assertEqual(actual, expected) {
+    if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+    }
+}
@@ -1,10 +1,27 @@
 /**
  * Tests for Levels module
  */
-import { getLevel, getTotalLevels, validateLevel, LEVELS } from '../js/Levels.js';
+import {
+    getLevel,
+    getTotalLevels,
+    validateLevel,
+    LEVELS,
+    LEVEL_PACK_KEY,
+    setCustomLevels,
+    getCustomLevels,
+    parseLevelPack,
+    exportLevelPack,
+    loadStoredLevelPack,
+    storeLevelPack
+} from '../js/Levels.js';
+import { solveLevel } from '../js/Solver.js';
+import { Robot } from '../js/Robot.js';
+import { Grid } from '../js/Grid.js';
 
 export function runLevelsTests() {
     const results = [];
+    // Solving every level once is slow enough to share between tests
+    const solved = LEVELS.map(level => solveLevel(level));
 
     // Test: getLevel returns correct level
     results.push(test('getLevel returns correct level data', () => {
@@ -171,11 +188,240 @@ export function runLevelsTests() {
         assertTrue(result.errors.some(e => e.includes('start')));
     }));
 
+    // Test: Custom levels come after the built-ins
+    results.push(test('Custom levels are played after the built-in levels', () => {
+        const custom = { gridSize: 4, start: { x: 1, y: 1 }, targets: ['2,1'], obstacles: ['3,3'] };
+        setCustomLevels([custom]);
+        try {
+            assertEqual(getTotalLevels(), LEVELS.length + 1);
+            const level = getLevel(LEVELS.length + 1);
+            assertEqual(level.gridSize, 4);
+            assertEqual(level.obstacles.join(';'), '3,3');
+            // Changing the copy leaves the stored level alone
+            level.targets.push('0,0');
+            assertEqual(getCustomLevels()[0].targets.length, 1);
+        } finally {
+            setCustomLevels([]);
+        }
+        assertEqual(getTotalLevels(), LEVELS.length);
+    }));
+
+    // Test: Export then import gives the same levels
+    results.push(test('exportLevelPack output can be read back by parseLevelPack', () => {
+        const levels = [getLevel(1), getLevel(6)];
+        const { levels: parsed, errors } = parseLevelPack(exportLevelPack(levels));
+        assertEqual(errors.length, 0);
+        assertEqual(JSON.stringify(parsed), JSON.stringify(levels));
+    }));
+
+    // Test: Broken packs are refused as a whole
+    results.push(test('parseLevelPack reports broken JSON and invalid levels', () => {
+        assertEqual(parseLevelPack('{ nope').levels.length, 0);
+        assertTrue(parseLevelPack('{ nope').errors[0].startsWith('Not valid JSON'));
+        assertEqual(parseLevelPack({}).errors.length, 1);
+
+        const result = parseLevelPack({
+            levels: [
+                getLevel(1),
+                { gridSize: 3, start: { x: 0, y: 0 }, targets: ['5,5'] },
+                { gridSize: 3, start: { x: 0 }, targets: [] }
+            ]
+        });
+        assertEqual(result.levels.length, 0);
+        assertEqual(result.errors.length, 2);
+        assertTrue(result.errors[0].startsWith('Level 2:'));
+        assertTrue(result.errors[1].startsWith('Level 3:'));
+    }));
+
+    // Test: The stored pack round-trips through storage
+    results.push(test('storeLevelPack and loadStoredLevelPack use the given storage', () => {
+        const storage = new MemoryStorage();
+        try {
+            storeLevelPack([getLevel(2)], storage);
+            assertTrue(storage.getItem(LEVEL_PACK_KEY) !== null);
+            setCustomLevels([]);
+
+            assertEqual(loadStoredLevelPack(storage), 1);
+            assertEqual(getTotalLevels(), LEVELS.length + 1);
+
+            storeLevelPack([], storage);
+            assertEqual(storage.getItem(LEVEL_PACK_KEY), null);
+            assertEqual(loadStoredLevelPack(storage), 0);
+        } finally {
+            setCustomLevels([]);
+        }
+    }));
+
+    // Test: A corrupt stored pack is ignored
+    results.push(test('loadStoredLevelPack ignores a corrupt pack', () => {
+        const storage = new MemoryStorage();
+        storage.setItem(LEVEL_PACK_KEY, 'not json');
+        assertEqual(loadStoredLevelPack(storage), 0);
+        assertEqual(getTotalLevels(), LEVELS.length);
+    }));
+
+    // Test: Every shipped level can be finished, checked by the solver
+    results.push(test('Solver finishes every built-in level', () => {
+        LEVELS.forEach((level, i) => {
+            const result = solved[i];
+            assertTrue(result.solvable === true, `Level ${i + 1} is not solvable`);
+            assertEqual(result.solution.length, result.moves);
+            assertTrue(result.blocks <= result.moves, `Level ${i + 1} needs more blocks with loops`);
+            assertTrue(playSolution(level, result.solution), `Level ${i + 1} solution does not paint every target`);
+        });
+    }));
+
+    // Test: Recorded minimums, so a level edit that changes them is noticed
+    results.push(test('Built-in levels keep their minimum command counts', () => {
+        const expectedMoves = [2, 4, 3, 5, 7, 5, 15, 10, 19, 23, 7, 9, 5, 6, 12, 7, 8, 16, 7, 18, 19];
+        LEVELS.forEach((level, i) => {
+            assertEqual(`${i + 1}: ${solved[i].moves}`, `${i + 1}: ${expectedMoves[i]}`);
+        });
+    }));
+
+    // Test: Par is what the solver needs with loops
+    results.push(test('Every built-in level has the solver\'s block count as par', () => {
+        LEVELS.forEach((level, i) => {
+            assertEqual(`${i + 1}: ${level.par}`, `${i + 1}: ${solved[i].blocks}`);
+        });
+    }));
+
+    // Test: Par survives packs
+    results.push(test('Level packs keep each level\'s par', () => {
+        const { levels } = parseLevelPack(exportLevelPack([{ ...getLevel(3), par: 7 }]));
+        assertEqual(levels[0].par, 7);
+        assertEqual(parseLevelPack({ levels: [{ ...getLevel(3), par: 'lots' }] }).errors.length, 1);
+    }));
+
+    // Test: Pixel-art levels
+    results.push(test('Level packs keep pixel-art colours', () => {
+        const pixelArt = LEVELS.findIndex(level => level.colors);
+        const level = getLevel(pixelArt + 1);
+        const { levels } = parseLevelPack(exportLevelPack([level]));
+        assertEqual(JSON.stringify(levels[0].colors), JSON.stringify(level.colors));
+        assertEqual(getLevel(1).colors, undefined);
+        assertEqual(parseLevelPack({ levels: [{ ...level, colors: ['red'] }] }).errors.length, 1);
+    }));
+
+    results.push(test('validateLevel checks pixel-art colours', () => {
+        const level = { gridSize: 3, start: { x: 0, y: 0 }, targets: ['1,0'] };
+        assertTrue(validateLevel({ ...level, colors: { '1,0': 'red' } }).valid);
+        assertFalse(validateLevel({ ...level, colors: { '1,0': 'purple' } }).valid);
+        assertFalse(validateLevel({ ...level, colors: { '2,0': 'red' } }).valid, 'Colour off the targets');
+    }));
+
+    // Test: Items and doors
+    results.push(test('Level packs keep items and doors', () => {
+        const withDoors = LEVELS.findIndex(level => level.doors);
+        const level = getLevel(withDoors + 1);
+        const { levels } = parseLevelPack(exportLevelPack([level]));
+        assertEqual(JSON.stringify(levels[0].items), JSON.stringify(level.items));
+        assertEqual(JSON.stringify(levels[0].doors), JSON.stringify(level.doors));
+        assertEqual(getLevel(1).items, undefined);
+        assertEqual(parseLevelPack({ levels: [{ ...level, doors: '1,1' }] }).errors.length, 1);
+    }));
+
+    results.push(test('validateLevel checks items and doors', () => {
+        const level = { gridSize: 3, start: { x: 0, y: 0 }, targets: ['2,0'], obstacles: ['1,1'] };
+        assertTrue(validateLevel({ ...level, items: { '0,2': 'key' }, doors: ['1,0'] }).valid);
+        assertFalse(validateLevel({ ...level, items: { '0,2': 'coin' } }).valid, 'Unknown item');
+        assertFalse(validateLevel({ ...level, items: { '3,0': 'star' } }).valid, 'Item out of bounds');
+        assertFalse(validateLevel({ ...level, items: { '1,1': 'star' } }).valid, 'Item under a rock');
+        assertFalse(validateLevel({ ...level, items: { '0,0': 'star' } }).valid, 'Item under the robot');
+        assertFalse(validateLevel({ ...level, doors: ['1,0'] }).valid, 'Door without a key');
+        assertFalse(validateLevel({ ...level, items: { '0,2': 'key' }, doors: ['0,0'] }).valid, 'Door at the start');
+    }));
+
+    // Test: Turtle levels
+    results.push(test('Level packs keep the command set and heading', () => {
+        const turtle = LEVELS.findIndex(level => level.commandSet === 'turtle');
+        const level = getLevel(turtle + 1);
+        const { levels } = parseLevelPack(exportLevelPack([level]));
+        assertEqual(levels[0].commandSet, 'turtle');
+        assertEqual(levels[0].heading, level.heading);
+        assertEqual(getLevel(1).commandSet, undefined);
+        assertEqual(parseLevelPack({ levels: [{ ...level, commandSet: 'logo' }] }).errors.length, 1);
+        assertEqual(parseLevelPack({ levels: [{ ...level, heading: 'north' }] }).errors.length, 1);
+    }));
+
+    results.push(test('Turtle levels without a heading face up', () => {
+        const { levels } = parseLevelPack({ levels: [{ ...getLevel(1), commandSet: 'turtle' }] });
+        assertEqual(levels[0].heading, 'up');
+    }));
+
     return results;
 }
 
 // ===== Test Utilities =====
 
+/**
+ * Play flat move/fire/bucket/turn commands with the game's rules
+ * @returns {boolean} True if nothing crashed, no target got the wrong
+ *   colour, every target got painted and every star collected
+ */
+function playSolution(level, commands) {
+    const robot = new Robot(level.start, level.heading);
+    const grid = new Grid(level.gridSize, level.targets, level.obstacles, level.colors);
+    grid.resetItems(level.items, level.doors);
+    const deltas = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+
+    for (const cmd of commands) {
+        if (cmd.type === 'bucket') {
+            robot.setColor(cmd.color);
+            continue;
+        }
+        if (cmd.type === 'turn') {
+            robot.turn(cmd.direction);
+            continue;
+        }
+        const [dx, dy] = deltas[robot.resolveDirection(cmd.direction)];
+        if (cmd.type === 'fire') {
+            let x = robot.position.x + dx;
+            let y = robot.position.y + dy;
+            while (x >= 0 && y >= 0 && x < level.gridSize && y < level.gridSize &&
+                !grid.hasDoor(`${x},${y}`) && !grid.removeObstacle(`${x},${y}`)) {
+                x += dx;
+                y += dy;
+            }
+            continue;
+        }
+        const next = `${robot.position.x + dx},${robot.position.y + dy}`;
+        if (grid.hasObstacle(next)) return false;
+        if (grid.hasDoor(next)) {
+            if (!robot.useItem('key')) return false;
+            grid.openDoor(next);
+        }
+        robot.move(cmd.direction);
+        if (robot.isOutOfBounds(level.gridSize)) return false;
+        grid.paintCell(robot.getPositionKey(), robot.color);
+        if (grid.isWrongColor(robot.getPositionKey())) return false;
+        const item = grid.takeItem(robot.getPositionKey());
+        if (item) robot.pickUp(item);
+    }
+    return grid.isComplete();
+}
+
+/**
+ * In-memory stand-in for localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
 function test(name, fn) {
     try {
         fn();
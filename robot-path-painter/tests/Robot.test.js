@@ -1,7 +1,8 @@
 /**
  * Tests for Robot class
  */
-import { Robot } from '../js/Robot.js';
+import { Robot, DEFAULT_HEADING } from '../js/Robot.js';
+import { DEFAULT_COLOR } from '../js/Grid.js';
 
 export function runRobotTests() {
     const results = [];
@@ -105,6 +106,82 @@ export function runRobotTests() {
         assertEqual(robot.startPosition.y, 3);
     }));
 
+    // Test: Robot state snapshot round-trips
+    results.push(test('Robot restoreState returns to a saved position', () => {
+        const robot = new Robot({ x: 1, y: 1 });
+        const state = robot.getState();
+        robot.move('right');
+        robot.move('down');
+        robot.restoreState(state);
+        assertEqual(robot.position.x, 1);
+        assertEqual(robot.position.y, 1);
+    }));
+
+    // Test: Paint colour
+    results.push(test('Robot carries a paint colour that resets with it', () => {
+        const robot = new Robot({ x: 0, y: 0 });
+        assertEqual(robot.color, DEFAULT_COLOR);
+        
+        const state = robot.getState();
+        robot.setColor('blue');
+        assertEqual(robot.color, 'blue');
+        robot.restoreState(state);
+        assertEqual(robot.color, DEFAULT_COLOR);
+        
+        robot.setColor('red');
+        robot.reset();
+        assertEqual(robot.color, DEFAULT_COLOR);
+    }));
+
+    // Test: Inventory
+    results.push(test('Robot carries items and uses up keys', () => {
+        const robot = new Robot({ x: 0, y: 0 });
+        assertFalse(robot.useItem('key'), 'Should have no key to start with');
+        
+        robot.pickUp('key');
+        robot.pickUp('star');
+        const state = robot.getState();
+        assertTrue(robot.useItem('key'));
+        assertEqual(robot.countItem('key'), 0);
+        assertEqual(robot.countItem('star'), 1);
+        
+        robot.restoreState(state);
+        assertEqual(robot.countItem('key'), 1);
+        robot.reset();
+        assertEqual(robot.inventory.length, 0);
+    }));
+
+    // Test: Turtle heading
+    results.push(test('Robot turns and moves the way it faces', () => {
+        const robot = new Robot({ x: 2, y: 2 });
+        assertEqual(robot.heading, DEFAULT_HEADING);
+        
+        robot.turn('right');
+        assertEqual(robot.heading, 'right');
+        robot.move('forward');
+        assertEqual(robot.position.x, 3);
+        
+        robot.turn('left');
+        robot.turn('left');
+        assertEqual(robot.heading, 'left');
+        assertEqual(robot.resolveDirection('forward'), 'left');
+        assertEqual(robot.resolveDirection('down'), 'down', 'Arrows ignore the heading');
+    }));
+
+    results.push(test('Robot heading is saved and reset', () => {
+        const robot = new Robot({ x: 0, y: 0 }, 'down');
+        const state = robot.getState();
+        robot.turn('right');
+        robot.restoreState(state);
+        assertEqual(robot.heading, 'down');
+        
+        robot.turn('left');
+        robot.reset();
+        assertEqual(robot.heading, 'down');
+        robot.setStartPosition({ x: 1, y: 1 }, 'left');
+        assertEqual(robot.heading, 'left');
+    }));
+
     return results;
 }
 
@@ -1,7 +1,7 @@
 /**
  * Tests for Sequence class
  */
-import { Sequence } from '../js/Sequence.js';
+import { Sequence, FUNCTION_NAMES } from '../js/Sequence.js';
 
 export function runSequenceTests() {
     const results = [];
@@ -145,23 +145,206 @@ export function runSequenceTests() {
         assertEqual(Sequence.getDirectionEmoji('invalid'), '❓');
     }));
 
-    // Test: Function only saves move commands
-    results.push(test('Function only saves move commands, not function calls', () => {
+    // Test: Functions keep every kind of block, including calls
+    results.push(test('Function saves loops, fire and function calls', () => {
         const seq = new Sequence();
         seq.addCommand('up');
         seq.saveAsFunction();
         seq.clear();
         
-        // Add mix of moves and function calls
+        // Add mix of moves, fire, a loop and a function call
         seq.addCommand('left');
+        seq.addFireCommand('up');
         seq.addFunctionCall(0);
+        seq.setActiveLoop(seq.addLoop(2));
         seq.addCommand('right');
         
         const saved = seq.saveAsFunction();
         
         assertTrue(saved);
-        // Should only save 'left' and 'right', not the function call
-        assertEqual(seq.savedFunctions[1].commands.length, 2);
+        assertEqual(seq.savedFunctions[1].commands.length, 4);
+        assertEqual(seq.savedFunctions[1].commands[1].type, 'fire');
+        assertEqual(seq.savedFunctions[1].commands[3].type, 'loop');
+    }));
+
+    // Test: Calls refer to the function, not a copy
+    results.push(test('Updating a function changes every call', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.saveAsFunction();
+        seq.clear();
+        seq.addFunctionCall(0);
+        seq.addFunctionCall(0);
+        
+        seq.updateFunction(seq.savedFunctions[0].id, [{ type: 'move', direction: 'down' }, { type: 'fire', direction: 'left' }]);
+        
+        assertEqual(seq.commands[0].commands, undefined);
+        assertEqual(seq.flatten().map(c => c.direction).join(','), 'down,left,down,left');
+    }));
+
+    // Test: Functions get picture names and ids
+    results.push(test('Saved functions get a picture name each', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        FUNCTION_NAMES.forEach(() => assertTrue(seq.saveAsFunction()));
+        
+        assertEqual(new Set(seq.savedFunctions.map(f => f.name)).size, FUNCTION_NAMES.length);
+        assertEqual(seq.savedFunctions[1].id, 2);
+        assertFalse(seq.saveAsFunction());
+    }));
+
+    // Test: A function calling another
+    results.push(test('A function can call another function', () => {
+        const seq = new Sequence();
+        seq.addCommand('right');
+        seq.saveAsFunction();
+        seq.clear();
+        seq.addFunctionCall(0);
+        seq.addCommand('down');
+        seq.saveAsFunction();
+        seq.clear();
+        
+        seq.addFunctionCall(1);
+        
+        assertEqual(seq.flatten().map(c => c.direction).join(','), 'right,down');
+    }));
+
+    // Test: No recursion
+    results.push(test('A function cannot call itself while being edited', () => {
+        const seq = new Sequence();
+        seq.addCommand('right');
+        seq.saveAsFunction();
+        seq.clear();
+        seq.addFunctionCall(0);
+        seq.saveAsFunction();
+        
+        // Editing the first function: calling the second would loop back
+        seq.editFunction(0);
+        assertFalse(seq.addFunctionCall(0));
+        assertFalse(seq.addFunctionCall(1));
+        assertFalse(seq.updateFunction(1, [{ type: 'function', id: 2 }]));
+        assertEqual(seq.commands.length, 1);
+    }));
+
+    // Test: Editing puts the main sequence aside
+    results.push(test('Editing a function keeps the main sequence', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.saveAsFunction();
+        seq.clear();
+        seq.addCommand('left');
+        seq.addFunctionCall(0);
+        
+        seq.editFunction(0);
+        assertTrue(seq.isEditingFunction());
+        assertEqual(seq.commands[0].direction, 'up');
+        seq.addCommand('down');
+        assertTrue(seq.saveAsFunction());
+        
+        assertFalse(seq.isEditingFunction());
+        assertEqual(seq.commands.length, 2);
+        assertEqual(seq.flatten().map(c => c.direction).join(','), 'left,up,down');
+    }));
+
+    // Test: Cancel editing
+    results.push(test('finishEditing without saving keeps the old body', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.saveAsFunction();
+        
+        seq.editFunction(0);
+        seq.clear();
+        seq.finishEditing(false);
+        
+        assertEqual(seq.savedFunctions[0].commands.length, 1);
+        assertEqual(seq.commands.length, 1);
+    }));
+
+    // Test: A new level never starts inside a function
+    results.push(test('reset during editing drops the edit and the main sequence', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.saveAsFunction();
+        seq.addCommand('left');
+        
+        seq.editFunction(0);
+        seq.addCommand('down');
+        seq.reset();
+        
+        assertFalse(seq.isEditingFunction());
+        assertEqual(seq.mainCommands, null);
+        assertTrue(seq.isEmpty());
+        assertEqual(seq.savedFunctions[0].commands.length, 1);
+        seq.addCommand('right');
+        assertEqual(seq.flatten().map(c => c.direction).join(','), 'right');
+    }));
+
+    // Test: Numeric parameter
+    results.push(test('A 📏 loop repeats by the number the call passes', () => {
+        const seq = new Sequence();
+        const path = seq.addLoop(2);
+        seq.setActiveLoop(path);
+        seq.addCommand('right');
+        seq.setLoopParameter(path, true);
+        seq.saveAsFunction();
+        seq.clear();
+        
+        seq.addFunctionCall(0);
+        seq.setCallArgument([0], 4);
+        seq.addFunctionCall(0);
+        
+        assertTrue(seq.hasParameter(seq.savedFunctions[0]));
+        assertEqual(seq.commands[0].arg, 4);
+        assertEqual(seq.commands[1].arg, 2);
+        assertEqual(seq.flatten().length, 6);
+    }));
+
+    // Test: Arguments follow the function
+    results.push(test('Calls gain or lose their number when the function changes', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.saveAsFunction();
+        seq.clear();
+        seq.addFunctionCall(0);
+        assertEqual(seq.commands[0].arg, undefined);
+        
+        seq.updateFunction(1, [{ type: 'loop', iterations: 2, param: true, commands: [{ type: 'move', direction: 'up' }] }]);
+        assertEqual(seq.commands[0].arg, 2);
+        
+        seq.updateFunction(1, [{ type: 'move', direction: 'up' }]);
+        assertEqual(seq.commands[0].arg, undefined);
+    }));
+
+    // Test: Deleting a function removes its calls
+    results.push(test('Deleting a function removes calls to it', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.saveAsFunction();
+        seq.clear();
+        seq.addCommand('left');
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addFunctionCall(0);
+        seq.setActiveLoop(null);
+        seq.addFunctionCall(0);
+        
+        seq.deleteFunction(0);
+        
+        assertEqual(seq.commands.length, 2);
+        assertEqual(seq.commands[1].commands.length, 0);
+    }));
+
+    // Test: Saved solutions carry the functions they call
+    results.push(test('toSolution includes saved functions', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.saveAsFunction();
+        seq.clear();
+        seq.addFunctionCall(0);
+        
+        const solution = seq.toSolution();
+        
+        assertEqual(solution.blocks, 1);
+        assertEqual(solution.functions[0].commands[0].direction, 'up');
     }));
 
     // Test: Sequence adds fire commands
@@ -418,6 +601,307 @@ export function runSequenceTests() {
         assertEqual(seq.commands[2].type, 'loop');
     }));
 
+    // Test: countBlocks counts a loop as one block plus its contents
+    results.push(test('countBlocks counts loop as one block plus contents', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.addLoop(4);
+        seq.setActiveLoop(1);
+        seq.addCommand('right');
+        seq.addCommand('down');
+        
+        assertEqual(seq.countBlocks(), 4);
+    }));
+
+    // Test: toSolution snapshots a deep copy
+    results.push(test('toSolution returns block count and a copy of commands', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.addCommand('right');
+        
+        const solution = seq.toSolution();
+        seq.commands[0].direction = 'down';
+        
+        assertEqual(solution.blocks, 2);
+        assertEqual(solution.commands[0].direction, 'up');
+    }));
+
+    // Test: Loops nest inside the active loop
+    results.push(test('addLoop nests inside the active loop', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addLoop(2));
+        const inner = seq.addLoop(3);
+        
+        assertEqual(inner.join('.'), '0.0');
+        assertEqual(seq.commands.length, 1);
+        assertEqual(seq.commands[0].commands[0].type, 'loop');
+    }));
+
+    // Test: Flatten expands nested loops
+    results.push(test('Flatten expands loops inside loops', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addCommand('up');
+        seq.setActiveLoop(seq.addLoop(3));
+        seq.addCommand('right');
+        
+        const flat = seq.flatten();
+        
+        // (up + right * 3) * 2 = 8
+        assertEqual(flat.length, 8);
+        assertEqual(flat.map(cmd => cmd.direction).join(','), 'up,right,right,right,up,right,right,right');
+        assertEqual(seq.countBlocks(), 4);
+    }));
+
+    // Test: Nesting stops at max depth
+    results.push(test('addLoop goes to the main sequence at max depth', () => {
+        const seq = new Sequence();
+        seq.maxLoopDepth = 2;
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.setActiveLoop(seq.addLoop(2));
+        const third = seq.addLoop(2);
+        
+        assertEqual(third.join('.'), '1');
+        assertEqual(seq.getLoopHeight(seq.commands[0]), 2);
+    }));
+
+    // Test: Active loop follows its block when the sequence changes
+    results.push(test('Active nested loop survives inserts before it', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.insertAt({ type: 'move', direction: 'up' }, 0);
+        seq.addCommand('down');
+        
+        assertEqual(seq.getActiveLoopPath().join('.'), '1.0');
+        assertEqual(seq.activeLoopIndex, null);
+        assertEqual(seq.commands[1].commands[0].commands[0].direction, 'down');
+    }));
+
+    // Test: Flat index maps back to the innermost block
+    results.push(test('getPathForFlatIndex finds blocks inside nested loops', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addCommand('left');
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addCommand('right');
+        seq.addCommand('down');
+        
+        // up, [left, [right, down] x2] x2
+        assertEqual(seq.getPathForFlatIndex(0).join('.'), '0');
+        assertEqual(seq.getPathForFlatIndex(1).join('.'), '1.0');
+        assertEqual(seq.getPathForFlatIndex(2).join('.'), '1.1.0');
+        assertEqual(seq.getPathForFlatIndex(5).join('.'), '1.1.1');
+        assertEqual(seq.getPathForFlatIndex(6).join('.'), '1.0');
+        assertEqual(seq.getPathForFlatIndex(10).join('.'), '1.1.1');
+        assertEqual(seq.getPathForFlatIndex(11), null);
+    }));
+
+    // Test: Function calls inside nested loops map to the call block
+    results.push(test('getPathForFlatIndex maps function commands to the call', () => {
+        const seq = new Sequence();
+        seq.addCommand('up');
+        seq.addCommand('up');
+        seq.saveAsFunction();
+        seq.clear();
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addFunctionCall(0);
+        
+        assertEqual(seq.flatten().length, 4);
+        assertEqual(seq.getPathForFlatIndex(1).join('.'), '0.0');
+        assertEqual(seq.getPathForFlatIndex(3).join('.'), '0.0');
+    }));
+
+    // Test: Moving a loop into another loop
+    results.push(test('moveFromMainToLoop moves a loop into a loop', () => {
+        const seq = new Sequence();
+        seq.addLoop(2);
+        seq.addLoop(3);
+        
+        seq.moveFromMainToLoop(1, 0, 0);
+        
+        assertEqual(seq.commands.length, 1);
+        assertEqual(seq.commands[0].commands[0].iterations, 3);
+    }));
+
+    // Test: A loop cannot be moved inside itself or too deep
+    results.push(test('Loop moves respect self-nesting and max depth', () => {
+        const seq = new Sequence();
+        seq.maxLoopDepth = 2;
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addLoop(2);
+        seq.setActiveLoop(null);
+        seq.addLoop(2);
+        
+        assertFalse(seq.moveBetween(null, 0, [0, 0], 0));
+        assertFalse(seq.moveBetween(null, 0, [1], 0));
+        assertEqual(seq.commands.length, 2);
+    }));
+
+    // Test: Moving commands between nested loops
+    results.push(test('moveBetweenLoops moves a command across loops', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addLoop(2));
+        seq.addCommand('up');
+        seq.addLoop(2);
+        
+        seq.moveBetweenLoops([0], 0, [0, 1], 0);
+        
+        assertEqual(seq.commands[0].commands.length, 1);
+        assertEqual(seq.commands[0].commands[0].commands[0].direction, 'up');
+    }));
+
+    // Test: If blocks go where tapped commands go
+    results.push(test('addIf adds an empty if block inside the active loop', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addLoop(2));
+        const path = seq.addIf('rock', 'up');
+        
+        assertEqual(path.join('.'), '0.0');
+        const block = seq.getIfBlock(path);
+        assertEqual(block.condition, 'rock');
+        assertEqual(block.direction, 'up');
+        assertEqual(block.then.length, 0);
+        assertEqual(seq.addIf('lava'), null);
+    }));
+
+    // Test: Active branch receives moves and fires
+    results.push(test('Active branch receives tapped commands', () => {
+        const seq = new Sequence();
+        const path = seq.addIf('rock', 'right');
+        seq.setActiveBranch(path, 'then');
+        seq.addFireCommand('right');
+        seq.setActiveBranch(path, 'else');
+        seq.addCommand('right');
+        seq.setActiveBranch(null);
+        seq.addCommand('down');
+        
+        const block = seq.getIfBlock(path);
+        assertEqual(block.then[0].type, 'fire');
+        assertEqual(block.else[0].direction, 'right');
+        assertEqual(seq.commands.length, 2);
+        assertEqual(seq.countBlocks(), 4);
+    }));
+
+    // Test: Branch and loop selection are exclusive
+    results.push(test('Selecting a loop deselects the branch', () => {
+        const seq = new Sequence();
+        const path = seq.addIf('painted', 'left');
+        seq.addLoop(2);
+        seq.setActiveBranch(path, 'then');
+        assertTrue(seq.isActiveBranch(path, 'then'));
+        
+        seq.setActiveLoop(1);
+        assertFalse(seq.isActiveBranch(path, 'then'));
+        seq.addCommand('up');
+        assertEqual(seq.commands[1].commands.length, 1);
+    }));
+
+    // Test: Removing an if block forgets its branch
+    results.push(test('Removing the if block clears the active branch', () => {
+        const seq = new Sequence();
+        const path = seq.addIf('rock', 'down');
+        seq.setActiveBranch(path, 'else');
+        seq.removeAt(0);
+        seq.addCommand('up');
+        
+        assertEqual(seq.activeBranch, null);
+        assertEqual(seq.commands[0].type, 'move');
+    }));
+
+    // Test: Changing the sensor
+    results.push(test('setCondition changes sensor and direction', () => {
+        const seq = new Sequence();
+        const path = seq.addIf('rock', 'down');
+        seq.setCondition(path, 'painted', 'left');
+        seq.setCondition(path, 'lava', 'up');
+        
+        assertEqual(seq.getIfBlock(path).condition, 'painted');
+        assertEqual(seq.getIfBlock(path).direction, 'left');
+    }));
+
+    // Test: Repeat until loops
+    results.push(test('addUntilLoop adds a loop that waits for a sensor', () => {
+        const seq = new Sequence();
+        const path = seq.addUntilLoop('wall', 'up');
+        seq.setActiveLoop(path);
+        seq.addCommand('up');
+        seq.updateLoopIterations(path, 5);
+        
+        const loop = seq.getLoop(path);
+        assertTrue(seq.isUntilLoop(loop));
+        assertEqual(loop.until.condition, 'wall');
+        assertEqual(loop.until.direction, 'up');
+        assertEqual(loop.iterations, undefined);
+        assertEqual(loop.commands[0].direction, 'up');
+        assertEqual(seq.addUntilLoop('lava'), null);
+    }));
+
+    // Test: Flattening cannot know how often an until loop runs
+    results.push(test('flatten lists an until loop body once', () => {
+        const seq = new Sequence();
+        seq.setActiveLoop(seq.addUntilLoop('rock'));
+        seq.addCommand('right');
+        seq.addCommand('down');
+        
+        assertEqual(seq.flatten().length, 2);
+        assertEqual(seq.getPathForFlatIndex(1).join('.'), '0.1');
+    }));
+
+    // Test: Changing what an until loop waits for
+    results.push(test('setUntilCondition only accepts known sensors', () => {
+        const seq = new Sequence();
+        const path = seq.addUntilLoop('wall');
+        seq.setUntilCondition(path, 'painted', 'left');
+        seq.setUntilCondition(path, 'lava', 'up');
+        
+        assertEqual(seq.getLoop(path).until.condition, 'painted');
+        assertEqual(seq.getLoop(path).until.direction, 'left');
+    }));
+
+    // Test: Paint buckets
+    results.push(test('Sequence adds bucket commands for known colours', () => {
+        const seq = new Sequence();
+        assertTrue(seq.addBucketCommand('red'));
+        assertFalse(seq.addBucketCommand('purple'));
+        
+        assertEqual(seq.commands.length, 1);
+        assertEqual(seq.commands[0].type, 'bucket');
+        assertEqual(seq.commands[0].color, 'red');
+        assertEqual(Sequence.getBucketEmoji('red'), '🪣🟥');
+    }));
+
+    // Test: Buckets go wherever moves go
+    results.push(test('Bucket commands go into loops and branches', () => {
+        const seq = new Sequence();
+        seq.addLoop(2);
+        seq.insertIntoLoop(0, 0, 'bucket', 'green');
+        const path = seq.addIf('painted', 'right');
+        seq.insertIntoBranch(path, 'then', 0, 'bucket', 'blue');
+        
+        assertEqual(seq.commands[0].commands[0].color, 'green');
+        assertEqual(seq.getIfBlock(path).then[0].color, 'blue');
+        assertEqual(seq.getIfBlock(path).then[0].direction, undefined);
+    }));
+
+    // Test: Turtle turns
+    results.push(test('Sequence adds turn commands for turtle levels', () => {
+        const seq = new Sequence();
+        assertTrue(seq.addTurnCommand('left'));
+        assertFalse(seq.addTurnCommand('up'));
+        seq.addCommand('forward');
+        const path = seq.addIf('rock', 'forward');
+        seq.insertIntoBranch(path, 'then', 0, 'turn', 'right');
+        
+        assertEqual(seq.commands[0].type, 'turn');
+        assertEqual(seq.commands[0].direction, 'left');
+        assertEqual(seq.getIfBlock(path).direction, 'forward');
+        assertEqual(seq.getIfBlock(path).then[0].type, 'turn');
+        assertEqual(Sequence.getTurnEmoji('right'), '↪️');
+        assertEqual(Sequence.getDirectionEmoji('forward'), '🔼');
+    }));
+
     return results;
 }
 
@@ -0,0 +1,245 @@
+/**
+ * Tests for Solver module
+ * Every shipped level is checked in Levels.test.js; these use small levels
+ */
+import { solveLevel, compressWithLoops, MAX_LOOP_ITERATIONS } from '../js/Solver.js';
+import { Sequence } from '../js/Sequence.js';
+
+export function runSolverTests() {
+    const results = [];
+
+    // Test: Straight line
+    results.push(test('Solver finds the shortest path', () => {
+        const result = solveLevel({ gridSize: 4, start: { x: 0, y: 0 }, targets: ['3,0', '3,2'] });
+        assertTrue(result.solvable);
+        assertEqual(result.moves, 5);
+        assertEqual(result.solution.length, 5);
+    }));
+
+    // Test: Rocks in the way
+    results.push(test('Solver fires at a rock that blocks the only way', () => {
+        const result = solveLevel({
+            gridSize: 3,
+            start: { x: 0, y: 0 },
+            targets: ['2,0'],
+            obstacles: ['1,0', '0,1', '1,1']
+        });
+        assertEqual(result.moves, 3);
+        assertEqual(describe(result.solution), 'fire:right,move:right,move:right');
+    }));
+
+    // Test: Going round is cheaper than shooting
+    results.push(test('Solver walks around a rock when that is shorter', () => {
+        const result = solveLevel({
+            gridSize: 3,
+            start: { x: 0, y: 1 },
+            targets: ['1,0', '2,1'],
+            obstacles: ['1,1']
+        });
+        assertEqual(result.moves, 4);
+        assertFalse(result.solution.some(cmd => cmd.type === 'fire'));
+    }));
+
+    // Test: Start cell is not painted until the robot comes back
+    results.push(test('A target under the start needs the robot to step off and back', () => {
+        const result = solveLevel({ gridSize: 2, start: { x: 0, y: 0 }, targets: ['0,0'] });
+        assertEqual(result.moves, 2);
+    }));
+
+    // Test: Impossible levels
+    results.push(test('Solver proves a level cannot be finished', () => {
+        const result = solveLevel({ gridSize: 1, start: { x: 0, y: 0 }, targets: ['0,0'] });
+        assertFalse(result.solvable);
+        assertEqual(result.moves, null);
+    }));
+
+    // Test: Giving up
+    results.push(test('Solver gives up after maxStates', () => {
+        const result = solveLevel(
+            { gridSize: 5, start: { x: 0, y: 0 }, targets: ['4,4', '0,4', '4,0', '2,2'] },
+            { maxStates: 5 }
+        );
+        assertEqual(result.solvable, null);
+    }));
+
+    // Test: The budget holds inside one search pass
+    results.push(test('Solver gives up quickly on a big level it cannot finish', () => {
+        // Checkerboard on the biggest editor grid, with a locked door and no key
+        const targets = ['7,7'];
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+                if ((x + y) % 2 === 1) targets.push(`${x},${y}`);
+            }
+        }
+        const started = Date.now();
+        const result = solveLevel(
+            { gridSize: 8, start: { x: 0, y: 0 }, targets, doors: ['7,7'] },
+            { maxStates: 2000 }
+        );
+        assertEqual(result.solvable, null);
+        assertTrue(Date.now() - started < 1000, 'Search should stop once the budget runs out');
+    }));
+
+    // Test: Loops shrink the program
+    results.push(test('Solver counts blocks with loops', () => {
+        const result = solveLevel({ gridSize: 5, start: { x: 0, y: 0 }, targets: ['4,0'] });
+        assertEqual(result.moves, 4);
+        assertEqual(result.blocks, 2);
+        assertEqual(result.loopSolution[0].iterations, 4);
+    }));
+
+    // Test: Compression of a repeated pattern
+    results.push(test('compressWithLoops wraps a repeated pair in one loop', () => {
+        const commands = parse('move:up,move:right,move:up,move:right,move:up,move:right');
+        const result = compressWithLoops(commands);
+        assertEqual(result.blocks, 3);
+        assertEqual(result.commands.length, 1);
+        assertEqual(result.commands[0].iterations, 3);
+    }));
+
+    // Test: Nested loops
+    results.push(test('compressWithLoops nests loops and respects maxDepth', () => {
+        // (right ×3, down) ×2
+        const commands = parse('move:right,move:right,move:right,move:down,move:right,move:right,move:right,move:down');
+        assertEqual(compressWithLoops(commands).blocks, 4);
+        assertEqual(compressWithLoops(commands, 1).blocks, 5);
+        assertEqual(compressWithLoops(commands, 0).blocks, 8);
+    }));
+
+    // Test: Iteration limit
+    results.push(test('compressWithLoops keeps loops within the repeat limit', () => {
+        const commands = parse(Array(MAX_LOOP_ITERATIONS + 1).fill('move:right').join(','));
+        const result = compressWithLoops(commands);
+        assertEqual(result.blocks, 3);
+        result.commands.forEach(cmd => {
+            assertTrue(cmd.type !== 'loop' || cmd.iterations <= MAX_LOOP_ITERATIONS);
+        });
+    }));
+
+    // Test: Block counts agree with the sequence
+    results.push(test('Loop solutions count the same as Sequence.countBlocks', () => {
+        const result = solveLevel({
+            gridSize: 6,
+            start: { x: 0, y: 5 },
+            targets: ['0,4', '1,4', '1,3', '2,3', '2,2', '3,2', '3,1', '4,1']
+        });
+        assertEqual(new Sequence().countBlocks(result.loopSolution), result.blocks);
+        assertEqual(result.blocks, 3);
+    }));
+
+    // Test: Pixel art
+    results.push(test('Solver picks up a bucket before a coloured target', () => {
+        const result = solveLevel({
+            gridSize: 4,
+            start: { x: 0, y: 0 },
+            targets: ['1,0', '2,0'],
+            colors: { '2,0': 'blue' }
+        });
+        assertEqual(result.moves, 3);
+        assertEqual(describe(result.solution).includes('bucket:blue'), true);
+    }));
+
+    // Test: A coloured target cannot be crossed in another colour
+    results.push(test('Solver never paints a target the wrong colour', () => {
+        const result = solveLevel({
+            gridSize: 3,
+            start: { x: 0, y: 0 },
+            targets: ['1,0', '2,0'],
+            colors: { '1,0': 'red', '2,0': 'yellow' }
+        });
+        // Walking right in yellow and coming back with red would paint 1,0 yellow first
+        assertEqual(result.moves, 4);
+        assertEqual(describe(result.solution), 'bucket:red,move:right,bucket:yellow,move:right');
+    }));
+
+    // Test: Items and doors
+    results.push(test('Solver collects every star', () => {
+        const result = solveLevel({
+            gridSize: 3,
+            start: { x: 0, y: 0 },
+            targets: ['1,0'],
+            items: { '0,2': 'star' }
+        });
+        // Painting 1,0 alone takes one move, but the star needs three more
+        assertEqual(result.moves, 4);
+    }));
+
+    results.push(test('Solver fetches a key before going through a door', () => {
+        const result = solveLevel({
+            gridSize: 3,
+            start: { x: 0, y: 0 },
+            targets: ['2,0'],
+            items: { '0,2': 'key' },
+            doors: ['1,0', '1,1', '1,2']
+        });
+        assertEqual(result.moves, 6);
+        assertEqual(describe(result.solution.slice(0, 2)), 'move:down,move:down');
+    }));
+
+    results.push(test('Solver cannot shoot its way through a door', () => {
+        const result = solveLevel({
+            gridSize: 3,
+            start: { x: 0, y: 0 },
+            targets: ['2,0'],
+            doors: ['1,0', '1,1', '1,2']
+        });
+        assertEqual(result.solvable, false);
+    }));
+
+    // Test: Turtle levels
+    results.push(test('Solver turns a turtle robot to face the way', () => {
+        const result = solveLevel({
+            gridSize: 3,
+            start: { x: 0, y: 0 },
+            targets: ['0,1', '0,2'],
+            commandSet: 'turtle',
+            heading: 'right'
+        });
+        assertEqual(describe(result.solution), 'turn:right,move:forward,move:forward');
+    }));
+
+    return results;
+}
+
+// ===== Test Utilities =====
+
+/**
+ * Build flat commands from "type:direction" pairs
+ */
+function parse(text) {
+    return text.split(',').map(pair => {
+        const [type, direction] = pair.split(':');
+        return { type, direction };
+    });
+}
+
+function describe(commands) {
+    return commands.map(cmd => `${cmd.type}:${cmd.direction ?? cmd.color}`).join(',');
+}
+
+function test(name, fn) {
+    try {
+        fn();
+        return { name, passed: true };
+    } catch (error) {
+        return { name, passed: false, error: error.message };
+    }
+}
+
+function assertEqual(actual, expected) {
+    if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (value !== true) {
+        throw new Error(message || `Expected true, got ${value}`);
+    }
+}
+
+function assertFalse(value) {
+    if (value !== false) {
+        throw new Error(`Expected false, got ${value}`);
+    }
+}
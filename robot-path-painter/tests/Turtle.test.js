@@ -0,0 +1,84 @@
+/**
+ * Tests for Turtle module
+ */
+import { toTurtleProgram, toAbsoluteProgram, getTurns } from '../js/Turtle.js';
+
+export function runTurtleTests() {
+    const results = [];
+
+    // Test: Turning the short way round
+    results.push(test('getTurns picks the fewest quarter turns', () => {
+        assertEqual(getTurns('up', 'up').join(','), '');
+        assertEqual(getTurns('up', 'right').join(','), 'right');
+        assertEqual(getTurns('up', 'left').join(','), 'left');
+        assertEqual(getTurns('left', 'right').join(','), 'right,right');
+    }));
+
+    // Test: Arrows to turtle
+    results.push(test('toTurtleProgram turns before each change of direction', () => {
+        const program = toTurtleProgram(parse('move:up,move:right,move:right,fire:down'), 'up');
+        assertEqual(describe(program), 'move:forward,turn:right,move:forward,move:forward,turn:right,fire:forward');
+    }));
+
+    // Test: Turtle to arrows
+    results.push(test('toAbsoluteProgram follows the heading through turns', () => {
+        const program = toAbsoluteProgram(parse('move:forward,turn:left,move:forward,bucket:red,fire:forward'), 'down');
+        assertEqual(describe(program), 'move:down,move:right,bucket:red,fire:right');
+    }));
+
+    // Test: Loops are unrolled and wrapped again
+    results.push(test('Converting keeps the program\'s path through loops', () => {
+        const square = [{ type: 'loop', iterations: 4, commands: parse('move:forward,turn:right') }];
+        const absolute = toAbsoluteProgram(square, 'up');
+        assertEqual(describe(absolute), 'move:up,move:right,move:down,move:left');
+        assertEqual(describe(toTurtleProgram(absolute, 'up')), 'move:forward,loop:3[turn:right,move:forward]');
+    }));
+
+    // Test: Blocks that read the grid
+    results.push(test('Programs with sensors or functions are not converted', () => {
+        const ifBlock = { type: 'if', condition: 'rock', direction: 'up', then: [], else: [] };
+        const untilLoop = { type: 'loop', until: { condition: 'wall', direction: 'up' }, commands: [] };
+        assertEqual(toTurtleProgram([ifBlock]), null);
+        assertEqual(toAbsoluteProgram([untilLoop]), null);
+        assertEqual(toTurtleProgram([{ type: 'function', id: 1 }]), null);
+    }));
+
+    return results;
+}
+
+// ===== Test Utilities =====
+
+/**
+ * Build flat commands from "type:value" pairs (value is the colour for buckets)
+ */
+function parse(text) {
+    return text.split(',').map(pair => {
+        const [type, value] = pair.split(':');
+        return type === 'bucket' ? { type, color: value } : { type, direction: value };
+    });
+}
+
+/**
+ * Write commands as "type:value" pairs, with loops as "loop:N[...]"
+ */
+function describe(commands) {
+    return commands.map(cmd => {
+        if (cmd.type === 'loop') return `loop:${cmd.iterations}[${describe(cmd.commands)}]`;
+        return `${cmd.type}:${cmd.direction ?? cmd.color}`;
+    }).join(',');
+}
+
+function test(name, fn) {
+    try {
+        fn();
+        return { name, passed: true };
+    } catch (error) {
+        return { name, passed: false, error: error.message };
+    }
+}
+
+function assertEqual(actual, expected) {
+    if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+    }
+}
@@ -18,6 +18,7 @@ export class BaseDragDrop {
         this.onMoveFromLoop = options.onMoveFromLoop;
         this.onMoveToLoop = options.onMoveToLoop;
         this.onRemoveFromLoop = options.onRemoveFromLoop;
+        this.onMoveBetweenLoops = options.onMoveBetweenLoops;
         
         this.dragState = null;
         this.dragElement = null;
@@ -55,6 +56,34 @@ export class BaseDragDrop {
         return 'var(--color-primary)';
     }
 
+    /**
+     * Get the element that starts a drag for a sequence block
+     * Loop blocks are dragged by their icon so their body stays tappable.
+     * Override in subclass for other container blocks.
+     * @param {HTMLElement} item - Block in the sequence
+     * @returns {HTMLElement|null}
+     */
+    getDragHandle(item) {
+        if (item.classList.contains('loop-block')) {
+            return item.querySelector(':scope > .loop-header .loop-icon');
+        }
+        return item;
+    }
+
+    /**
+     * Get the content shown in the drag ghost
+     * Override in subclass for other container blocks.
+     * @param {HTMLElement} sourceElement - Element being dragged
+     * @param {Object} data - Drag data
+     * @returns {string} HTML
+     */
+    getDragGhostContent(sourceElement, data) {
+        if (data.isLoop) {
+            return sourceElement.querySelector(':scope > .loop-header .loop-icon')?.textContent || '🔄';
+        }
+        return sourceElement.innerHTML;
+    }
+
     /**
      * Setup the sequence area for receiving drops and reordering
      */
@@ -90,7 +119,8 @@ export class BaseDragDrop {
                             type: 'reorder-loop-item',
                             loopIndex: loopIndex,
                             cmdIndex: cmdIndex,
-                            element: item
+                            element: item,
+                            isLoop: isLoop
                         });
                     } else {
                         this.startDrag(e, item, {
@@ -186,9 +216,9 @@ export class BaseDragDrop {
             const index = parseInt(item.dataset.index);
             if (isNaN(index)) return;
             
-            // For loop blocks, attach drag handlers to the loop icon in the header
+            // Container blocks are dragged by a handle in their header
             const isLoopBlock = item.classList.contains('loop-block');
-            const dragTarget = isLoopBlock ? item.querySelector('.loop-icon') : item;
+            const dragTarget = this.getDragHandle(item);
             
             if (!dragTarget) return;
             
@@ -260,27 +290,32 @@ export class BaseDragDrop {
 
     /**
      * Make items inside a loop draggable
+     * Nested loop blocks are dragged by their loop icon
      * @param {HTMLElement} loopBody - The loop body element
-     * @param {number} loopIndex - Index of the loop in the main sequence
+     * @param {number|number[]} loopIndex - Index or path of the loop
      */
     makeLoopItemsDraggable(loopBody, loopIndex) {
-        const items = loopBody.querySelectorAll('.loop-item');
+        const items = loopBody.querySelectorAll(':scope > [data-cmd-index]');
         items.forEach((item) => {
             const cmdIndex = parseInt(item.dataset.cmdIndex);
             if (isNaN(cmdIndex)) return;
             
+            const isLoopBlock = item.classList.contains('loop-block');
+            const dragTarget = this.getDragHandle(item);
+            if (!dragTarget) return;
+            
             let startPos = null;
             let isDragging = false;
 
             // Touch events
-            item.addEventListener('touchstart', (e) => {
+            dragTarget.addEventListener('touchstart', (e) => {
                 e.stopPropagation();
                 const touch = e.touches[0];
                 startPos = { x: touch.clientX, y: touch.clientY };
                 isDragging = false;
             }, { passive: true });
 
-            item.addEventListener('touchmove', (e) => {
+            dragTarget.addEventListener('touchmove', (e) => {
                 if (!startPos) return;
                 
                 const touch = e.touches[0];
@@ -295,7 +330,8 @@ export class BaseDragDrop {
                         type: 'reorder-loop-item',
                         loopIndex: loopIndex,
                         cmdIndex: cmdIndex,
-                        element: item
+                        element: item,
+                        isLoop: isLoopBlock
                     });
                     item.classList.add('dragging');
                 }
@@ -306,7 +342,7 @@ export class BaseDragDrop {
                 }
             }, { passive: false });
 
-            item.addEventListener('touchend', (e) => {
+            dragTarget.addEventListener('touchend', (e) => {
                 if (isDragging && this.dragState) {
                     e.stopPropagation();
                     this.handleDrop();
@@ -315,14 +351,14 @@ export class BaseDragDrop {
                 isDragging = false;
             });
 
-            item.addEventListener('touchcancel', () => {
+            dragTarget.addEventListener('touchcancel', () => {
                 startPos = null;
                 isDragging = false;
                 this.cancelDrag();
             });
 
             // Mouse events
-            item.addEventListener('mousedown', (e) => {
+            dragTarget.addEventListener('mousedown', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
                 this.mouseDragPending = {
@@ -331,7 +367,8 @@ export class BaseDragDrop {
                     item: item,
                     loopIndex: loopIndex,
                     cmdIndex: cmdIndex,
-                    isLoopItem: true
+                    isLoopItem: true,
+                    isLoop: isLoopBlock
                 };
             });
         });
@@ -355,12 +392,7 @@ export class BaseDragDrop {
         this.dragElement = document.createElement('div');
         this.dragElement.className = 'drag-ghost';
         
-        // For loop blocks, show simplified loop icon
-        if (data.isLoop) {
-            this.dragElement.innerHTML = '🔄';
-        } else {
-            this.dragElement.innerHTML = sourceElement.innerHTML;
-        }
+        this.dragElement.innerHTML = this.getDragGhostContent(sourceElement, data);
         
         this.dragElement.style.cssText = `
             position: fixed;
@@ -440,15 +472,20 @@ export class BaseDragDrop {
 
     /**
      * Find which loop body (if any) the touch point is over
+     * Returns the innermost body when loops are nested, skipping the
+     * loop being dragged so it cannot be dropped into itself
      */
     getLoopBodyAtPoint(touch) {
+        const dragged = this.dragState?.data?.isLoop ? this.dragState.data.element : null;
         const loopBodies = this.sequenceArea.querySelectorAll('.loop-body');
+        let found = null;
         for (const body of loopBodies) {
+            if (dragged && dragged.contains(body)) continue;
             if (this.isOverElement(touch, body)) {
-                return body;
+                found = body;
             }
         }
-        return null;
+        return found;
     }
 
     /**
@@ -458,6 +495,29 @@ export class BaseDragDrop {
         return loopBody.closest('.loop-block');
     }
 
+    /**
+     * Get the sequence path of a loop block
+     * Nested blocks carry data-path ("2.0"); top-level ones only data-index
+     * @param {HTMLElement} loopBlock - Loop block element
+     * @returns {number[]} Loop path
+     */
+    getLoopPath(loopBlock) {
+        if (loopBlock.dataset.path) {
+            return loopBlock.dataset.path.split('.').map(Number);
+        }
+        return [parseInt(loopBlock.dataset.index)];
+    }
+
+    /**
+     * Check if two loop references point at the same loop
+     * @param {number|number[]} a - Loop index or path
+     * @param {number|number[]} b - Loop index or path
+     * @returns {boolean}
+     */
+    isSameLoop(a, b) {
+        return [].concat(a).join('.') === [].concat(b).join('.');
+    }
+
     /**
      * Cancel drag operation
      */
@@ -512,7 +572,7 @@ export class BaseDragDrop {
      * Get drop index in main sequence
      */
     getDropIndex(touch) {
-        const items = this.sequenceArea.querySelectorAll(':scope > .sequence-item:not(.drag-ghost), :scope > .loop-block');
+        const items = this.sequenceArea.querySelectorAll(':scope > [data-index]:not(.drag-ghost)');
         let dropIndex = 0;
 
         for (let i = 0; i < items.length; i++) {
@@ -549,7 +609,7 @@ export class BaseDragDrop {
         }
         this.placeholder.classList.remove('loop-placeholder-indicator');
 
-        const items = this.sequenceArea.querySelectorAll(':scope > .sequence-item:not(.dragging), :scope > .loop-block:not(.dragging)');
+        const items = this.sequenceArea.querySelectorAll(':scope > [data-index]:not(.dragging)');
         let insertBefore = null;
 
         for (const item of items) {
@@ -580,7 +640,7 @@ export class BaseDragDrop {
         }
         this.placeholder.classList.add('loop-placeholder-indicator');
 
-        const items = loopBody.querySelectorAll('.loop-item:not(.dragging)');
+        const items = loopBody.querySelectorAll(':scope > [data-cmd-index]:not(.dragging)');
         let insertBefore = null;
 
         for (const item of items) {
@@ -612,7 +672,7 @@ export class BaseDragDrop {
      * Get drop index within a loop body
      */
     getDropIndexInLoop(touch, loopBody) {
-        const items = loopBody.querySelectorAll('.loop-item');
+        const items = loopBody.querySelectorAll(':scope > [data-cmd-index]');
         let dropIndex = 0;
 
         for (let i = 0; i < items.length; i++) {
@@ -4,18 +4,134 @@
  * Provides core functionality for managing command sequences with loops.
  * Games extend this class and implement game-specific command handling.
  */
+
+// Deepest loop nesting allowed unless a game configures its own
+export const DEFAULT_MAX_LOOP_DEPTH = 3;
+
 export class BaseSequence {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxLoopDepth] - How many loops may be nested inside each other
+     */
+    constructor(options = {}) {
         this.commands = [];
-        this.activeLoopIndex = null;
+        this.activeLoop = null;
+        this.maxLoopDepth = options.maxLoopDepth ?? DEFAULT_MAX_LOOP_DEPTH;
+    }
+
+    // ===== Loop Paths =====
+    // Loops can be nested, so a loop is located by a path of indices from the
+    // main sequence: [2] is the loop at index 2, [2, 0] is the first command
+    // inside it. Methods taking a loop accept a path or a plain top-level index.
+
+    /**
+     * Normalize a loop reference to a path
+     * @param {number|number[]|null} loopRef - Top-level index, path, or null for the main sequence
+     * @returns {number[]} Path ([] is the main sequence)
+     */
+    toPath(loopRef) {
+        if (loopRef === null || loopRef === undefined) return [];
+        return Array.isArray(loopRef) ? loopRef : [loopRef];
+    }
+
+    /**
+     * Get the command at a path
+     * @param {number[]} path - Path to the command
+     * @returns {Object|null}
+     */
+    getCommandAt(path) {
+        let list = this.commands;
+        let cmd = null;
+        for (const index of path) {
+            cmd = list?.[index];
+            if (!cmd) return null;
+            list = cmd.type === 'loop' ? cmd.commands : null;
+        }
+        return cmd;
+    }
+
+    /**
+     * Get a loop block
+     * @param {number|number[]} loopRef - Top-level index or path
+     * @returns {Object|null} The loop, or null if there is no loop there
+     */
+    getLoop(loopRef) {
+        const path = this.toPath(loopRef);
+        const cmd = path.length > 0 ? this.getCommandAt(path) : null;
+        return cmd?.type === 'loop' ? cmd : null;
     }
 
+    /**
+     * Get the command list of the main sequence or of a loop
+     * @param {number|number[]|null} loopRef - Loop reference, or null for the main sequence
+     * @returns {Array|null}
+     */
+    getList(loopRef) {
+        const path = this.toPath(loopRef);
+        if (path.length === 0) return this.commands;
+        return this.getLoop(path)?.commands || null;
+    }
+
+    /**
+     * Find the path of a command object
+     * @param {Object} target - Command to look for
+     * @param {Array} [commands] - List to search
+     * @returns {number[]|null}
+     */
+    findPath(target, commands = this.commands) {
+        for (let i = 0; i < commands.length; i++) {
+            const cmd = commands[i];
+            if (cmd === target) return [i];
+            if (cmd.type === 'loop') {
+                const inner = this.findPath(target, cmd.commands);
+                if (inner) return [i, ...inner];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check if a command contains another one somewhere inside it
+     * @param {Object} outer - Possible ancestor
+     * @param {Object} inner - Possible descendant
+     * @returns {boolean}
+     */
+    containsCommand(outer, inner) {
+        return outer.type === 'loop' && this.findPath(inner, outer.commands) !== null;
+    }
+
+    /**
+     * Count how many loops deep a command goes (0 for plain commands)
+     * @param {Object} cmd - Command
+     * @returns {number}
+     */
+    getLoopHeight(cmd) {
+        if (cmd.type !== 'loop') return 0;
+        return 1 + cmd.commands.reduce((max, inner) => Math.max(max, this.getLoopHeight(inner)), 0);
+    }
+
+    /**
+     * Check if a command may go inside the list at a path without
+     * exceeding maxLoopDepth
+     * @param {Object} cmd - Command to place
+     * @param {number|number[]|null} loopRef - Target loop, or null for the main sequence
+     * @returns {boolean}
+     */
+    canPlace(cmd, loopRef) {
+        return this.toPath(loopRef).length + this.getLoopHeight(cmd) <= this.maxLoopDepth;
+    }
+
+    // ===== Loops =====
+
     /**
      * Add a loop block to the sequence
+     * Goes inside the active loop when the nesting limit allows,
+     * otherwise at the end of the main sequence
      * @param {number} iterations - Number of loop iterations (default 2)
+     * @returns {number[]} Path of the new loop
      */
     addLoop(iterations = 2) {
-        this.commands.push({
+        return this.placeLoop({
             type: 'loop',
             iterations: iterations,
             commands: []
@@ -23,106 +139,220 @@ export class BaseSequence {
     }
 
     /**
-     * Set the active loop for command insertion
-     * @param {number|null} index - Loop index or null to deselect
+     * Add a "repeat until" loop that runs until a condition is true
+     * Placed like addLoop(); the game's sensor decides the condition
+     * @param {string} condition - Game-specific condition key
+     * @param {string|null} [direction] - Where to look, for games that need it
+     * @returns {number[]} Path of the new loop
+     */
+    addUntilLoop(condition, direction = null) {
+        return this.placeLoop({
+            type: 'loop',
+            until: { condition, direction },
+            commands: []
+        });
+    }
+
+    /**
+     * Put a new loop in the active loop or at the end of the main sequence
+     * @param {Object} loop - Loop command
+     * @returns {number[]} Path of the loop
      */
-    setActiveLoop(index) {
-        if (index !== null && this.commands[index]?.type === 'loop') {
-            this.activeLoopIndex = index;
+    placeLoop(loop) {
+        const activePath = this.getActiveLoopPath();
+        if (activePath && this.canPlace(loop, activePath)) {
+            this.activeLoop.commands.push(loop);
+            return [...activePath, this.activeLoop.commands.length - 1];
+        }
+
+        this.commands.push(loop);
+        return [this.commands.length - 1];
+    }
+
+    /**
+     * Check if a command is a "repeat until" loop
+     * @param {Object} cmd - Command
+     * @returns {boolean}
+     */
+    isUntilLoop(cmd) {
+        return !!cmd && cmd.type === 'loop' && !!cmd.until;
+    }
+
+    /**
+     * Change what a "repeat until" loop waits for
+     * @param {number|number[]} loopRef - Loop index or path
+     * @param {string} condition - Game-specific condition key
+     * @param {string|null} [direction] - Where to look
+     */
+    setUntilCondition(loopRef, condition, direction = null) {
+        const loop = this.getLoop(loopRef);
+        if (this.isUntilLoop(loop)) {
+            loop.until = { condition, direction };
+        }
+    }
+
+    /**
+     * Add a command to the active loop, or to the main sequence
+     * @param {Object} cmd - Command object
+     */
+    appendCommand(cmd) {
+        if (this.activeLoop && this.getActiveLoopPath()) {
+            this.activeLoop.commands.push(cmd);
         } else {
-            this.activeLoopIndex = null;
+            this.commands.push(cmd);
+        }
+    }
+
+    /**
+     * Set the active loop for command insertion
+     * @param {number|number[]|null} loopRef - Loop index or path, or null to deselect
+     */
+    setActiveLoop(loopRef) {
+        this.activeLoop = loopRef === null ? null : this.getLoop(loopRef);
+    }
+
+    /**
+     * Path of the active loop
+     * @returns {number[]|null}
+     */
+    getActiveLoopPath() {
+        return this.activeLoop ? this.findPath(this.activeLoop) : null;
+    }
+
+    /**
+     * Index of the active loop in the main sequence
+     * (null when no loop is active or the active loop is nested)
+     * @returns {number|null}
+     */
+    get activeLoopIndex() {
+        const path = this.getActiveLoopPath();
+        return path && path.length === 1 ? path[0] : null;
+    }
+
+    /**
+     * Check if a loop is the active one
+     * @param {number|number[]} loopRef - Loop index or path
+     * @returns {boolean}
+     */
+    isActiveLoop(loopRef) {
+        return this.activeLoop !== null && this.getLoop(loopRef) === this.activeLoop;
+    }
+
+    /**
+     * Forget the active loop if it is being removed
+     * @param {Object} removed - Command leaving the sequence
+     */
+    releaseActiveLoop(removed) {
+        if (removed && this.activeLoop &&
+            (removed === this.activeLoop || this.containsCommand(removed, this.activeLoop))) {
+            this.activeLoop = null;
         }
     }
 
     /**
      * Update loop iteration count
-     * @param {number} loopIndex - Index of the loop
+     * @param {number|number[]} loopRef - Loop index or path
+     * "Repeat until" loops have no count and are left alone
      * @param {number} iterations - New iteration count (clamped 1-9)
      */
-    updateLoopIterations(loopIndex, iterations) {
-        if (this.commands[loopIndex]?.type === 'loop') {
-            this.commands[loopIndex].iterations = Math.max(1, Math.min(9, iterations));
+    updateLoopIterations(loopRef, iterations) {
+        const loop = this.getLoop(loopRef);
+        if (loop && !this.isUntilLoop(loop)) {
+            loop.iterations = Math.max(1, Math.min(9, iterations));
         }
     }
 
     /**
      * Remove a command from inside a loop
-     * @param {number} loopIndex - Index of the loop
+     * @param {number|number[]} loopRef - Loop index or path
      * @param {number} cmdIndex - Index of command within loop
      */
-    removeFromLoop(loopIndex, cmdIndex) {
-        if (this.commands[loopIndex]?.type === 'loop') {
-            this.commands[loopIndex].commands.splice(cmdIndex, 1);
+    removeFromLoop(loopRef, cmdIndex) {
+        const loop = this.getLoop(loopRef);
+        if (loop) {
+            const [removed] = loop.commands.splice(cmdIndex, 1);
+            this.releaseActiveLoop(removed);
         }
     }
 
+    /**
+     * Move a command from one list to another (main sequence or any loop)
+     * Refuses moves that would put a loop inside itself or nest too deep
+     * @param {number|number[]|null} fromRef - Source loop, or null for the main sequence
+     * @param {number} fromIndex - Source index within that list
+     * @param {number|number[]|null} toRef - Target loop, or null for the main sequence
+     * @param {number} toIndex - Target index within that list
+     * @returns {boolean} True if moved
+     */
+    moveBetween(fromRef, fromIndex, toRef, toIndex) {
+        const fromList = this.getList(fromRef);
+        const toList = this.getList(toRef);
+        if (!fromList || !toList) return false;
+        if (fromIndex < 0 || fromIndex >= fromList.length) return false;
+        if (toIndex < 0 || toIndex > toList.length) return false;
+
+        const cmd = fromList[fromIndex];
+
+        if (fromList === toList) {
+            fromList.splice(fromIndex, 1);
+            const adjustedTo = toIndex > fromIndex ? toIndex - 1 : toIndex;
+            fromList.splice(adjustedTo, 0, cmd);
+            return true;
+        }
+
+        const targetLoop = this.getLoop(toRef);
+        if (targetLoop && (targetLoop === cmd || this.containsCommand(cmd, targetLoop))) return false;
+        if (!this.canPlace(cmd, toRef)) return false;
+
+        fromList.splice(fromIndex, 1);
+        toList.splice(toIndex, 0, cmd);
+        return true;
+    }
+
     /**
      * Move command within a loop
-     * @param {number} loopIndex - Index of the loop in main sequence
+     * @param {number|number[]} loopRef - Loop index or path
      * @param {number} fromIndex - Source index within loop
      * @param {number} toIndex - Target index within loop
      */
-    moveWithinLoop(loopIndex, fromIndex, toIndex) {
-        const loop = this.commands[loopIndex];
-        if (!loop || loop.type !== 'loop') return;
-        
-        const cmds = loop.commands;
-        if (fromIndex < 0 || fromIndex >= cmds.length) return;
-        if (toIndex < 0 || toIndex > cmds.length) return;
-        
-        const [cmd] = cmds.splice(fromIndex, 1);
-        const adjustedTo = toIndex > fromIndex ? toIndex - 1 : toIndex;
-        cmds.splice(adjustedTo, 0, cmd);
+    moveWithinLoop(loopRef, fromIndex, toIndex) {
+        if (!this.getLoop(loopRef)) return;
+        this.moveBetween(loopRef, fromIndex, loopRef, toIndex);
     }
 
     /**
      * Move command from loop to main sequence
-     * @param {number} loopIndex - Index of the loop
+     * @param {number|number[]} loopRef - Loop index or path
      * @param {number} cmdIndex - Index within the loop
      * @param {number} targetIndex - Target index in main sequence
      */
-    moveFromLoopToMain(loopIndex, cmdIndex, targetIndex) {
-        const loop = this.commands[loopIndex];
-        if (!loop || loop.type !== 'loop') return;
-        if (cmdIndex < 0 || cmdIndex >= loop.commands.length) return;
-        
-        const [cmd] = loop.commands.splice(cmdIndex, 1);
-        
-        // Update active loop index if needed
-        if (this.activeLoopIndex !== null && targetIndex <= this.activeLoopIndex) {
-            this.activeLoopIndex++;
-        }
-        
-        this.commands.splice(targetIndex, 0, cmd);
+    moveFromLoopToMain(loopRef, cmdIndex, targetIndex) {
+        if (!this.getLoop(loopRef)) return;
+        this.moveBetween(loopRef, cmdIndex, null, targetIndex);
     }
 
     /**
      * Move command from main sequence into a loop
+     * Loops may go inside loops up to maxLoopDepth
      * @param {number} cmdIndex - Index in main sequence
-     * @param {number} loopIndex - Target loop index
+     * @param {number|number[]} loopRef - Target loop index or path
      * @param {number} targetIndex - Target index within loop
      */
-    moveFromMainToLoop(cmdIndex, loopIndex, targetIndex) {
-        // Can't move a loop into another loop
-        if (this.commands[cmdIndex]?.type === 'loop') return;
-        
-        const loop = this.commands[loopIndex];
-        if (!loop || loop.type !== 'loop') return;
-        
-        // Adjust loop index if we're removing from before it
-        const adjustedLoopIndex = cmdIndex < loopIndex ? loopIndex - 1 : loopIndex;
-        
-        // Update active loop index
-        if (this.activeLoopIndex !== null) {
-            if (cmdIndex < this.activeLoopIndex) {
-                this.activeLoopIndex--;
-            } else if (cmdIndex === this.activeLoopIndex) {
-                this.activeLoopIndex = null;
-            }
-        }
-        
-        const [cmd] = this.commands.splice(cmdIndex, 1);
-        this.commands[adjustedLoopIndex].commands.splice(targetIndex, 0, cmd);
+    moveFromMainToLoop(cmdIndex, loopRef, targetIndex) {
+        if (!this.getLoop(loopRef)) return;
+        this.moveBetween(null, cmdIndex, loopRef, targetIndex);
+    }
+
+    /**
+     * Move command from one loop into another loop
+     * @param {number|number[]} fromLoopRef - Source loop index or path
+     * @param {number} cmdIndex - Index within the source loop
+     * @param {number|number[]} toLoopRef - Target loop index or path
+     * @param {number} targetIndex - Target index within the target loop
+     */
+    moveBetweenLoops(fromLoopRef, cmdIndex, toLoopRef, targetIndex) {
+        if (!this.getLoop(fromLoopRef) || !this.getLoop(toLoopRef)) return;
+        this.moveBetween(fromLoopRef, cmdIndex, toLoopRef, targetIndex);
     }
 
     /**
@@ -130,12 +360,8 @@ export class BaseSequence {
      * @param {number} index - Command index
      */
     removeAt(index) {
-        if (this.activeLoopIndex === index) {
-            this.activeLoopIndex = null;
-        } else if (this.activeLoopIndex !== null && index < this.activeLoopIndex) {
-            this.activeLoopIndex--;
-        }
-        this.commands.splice(index, 1);
+        const [removed] = this.commands.splice(index, 1);
+        this.releaseActiveLoop(removed);
     }
 
     /**
@@ -144,28 +370,7 @@ export class BaseSequence {
      * @param {number} toIndex - Target index
      */
     moveCommand(fromIndex, toIndex) {
-        if (fromIndex < 0 || fromIndex >= this.commands.length) return;
-        if (toIndex < 0 || toIndex > this.commands.length) return;
-        
-        // Update activeLoopIndex if needed
-        if (this.activeLoopIndex !== null) {
-            if (this.activeLoopIndex === fromIndex) {
-                // Moving the active loop
-                if (toIndex > fromIndex) {
-                    this.activeLoopIndex = toIndex - 1;
-                } else {
-                    this.activeLoopIndex = toIndex;
-                }
-            } else if (fromIndex < this.activeLoopIndex && toIndex > this.activeLoopIndex) {
-                this.activeLoopIndex--;
-            } else if (fromIndex > this.activeLoopIndex && toIndex <= this.activeLoopIndex) {
-                this.activeLoopIndex++;
-            }
-        }
-        
-        const [command] = this.commands.splice(fromIndex, 1);
-        const adjustedTo = toIndex > fromIndex ? toIndex - 1 : toIndex;
-        this.commands.splice(adjustedTo, 0, command);
+        this.moveBetween(null, fromIndex, null, toIndex);
     }
 
     /**
@@ -173,7 +378,7 @@ export class BaseSequence {
      */
     clear() {
         this.commands = [];
-        this.activeLoopIndex = null;
+        this.activeLoop = null;
     }
 
     /**
@@ -192,6 +397,106 @@ export class BaseSequence {
         return this.commands;
     }
 
+    /**
+     * Count blocks as placed by the player
+     * A loop is one block plus the blocks inside it; other commands
+     * (including function calls) are one block each
+     * @param {Array} [commands] - Commands to count (default: whole sequence)
+     * @returns {number}
+     */
+    countBlocks(commands = this.commands) {
+        return commands.reduce((total, cmd) => {
+            if (cmd.type === 'loop') {
+                return total + 1 + this.countBlocks(cmd.commands);
+            }
+            return total + 1;
+        }, 0);
+    }
+
+    /**
+     * Snapshot the sequence for saving
+     * @returns {Object} { blocks, commands } deep copy
+     */
+    toSolution() {
+        return {
+            blocks: this.countBlocks(),
+            commands: JSON.parse(JSON.stringify(this.commands))
+        };
+    }
+
+    /**
+     * How many times a block runs its body when flattened
+     * A "repeat until" loop only knows that at run time, so it counts once
+     * @param {Object} cmd - Command with a body
+     * @returns {number}
+     */
+    getRepeats(cmd) {
+        return cmd.type === 'loop' && !cmd.until ? cmd.iterations : 1;
+    }
+
+    /**
+     * Count the flat commands a block expands to
+     * Loops repeat their body; other blocks with a body (functions) run it once
+     * @param {Object} cmd - Command
+     * @returns {number}
+     */
+    getFlatLength(cmd) {
+        if (!Array.isArray(cmd.commands)) return 1;
+        const bodyLength = cmd.commands.reduce((total, inner) => total + this.getFlatLength(inner), 0);
+        return bodyLength * this.getRepeats(cmd);
+    }
+
+    /**
+     * Expand loops (at any depth) and function bodies into plain commands
+     * "Repeat until" loops appear once; run them with the Interpreter
+     * @param {Array} [commands] - Commands to expand (default: whole sequence)
+     * @returns {Array} Flat array of command objects
+     */
+    flattenCommands(commands = this.commands) {
+        const flat = [];
+        for (const cmd of commands) {
+            if (cmd.type === 'loop') {
+                for (let i = 0; i < this.getRepeats(cmd); i++) {
+                    flat.push(...this.flattenCommands(cmd.commands));
+                }
+            } else if (Array.isArray(cmd.commands)) {
+                flat.push(...this.flattenCommands(cmd.commands));
+            } else {
+                flat.push(cmd);
+            }
+        }
+        return flat;
+    }
+
+    /**
+     * Map an index in flatten() back to the block that produced it
+     * Descends into loops so the innermost block is found; a function
+     * call is reported as itself
+     * @param {number} flatIndex - Index in the flattened sequence
+     * @param {Array} [commands] - Commands that were flattened (default: whole sequence)
+     * @returns {number[]|null} Path of the block
+     */
+    getPathForFlatIndex(flatIndex, commands = this.commands) {
+        if (flatIndex < 0) return null;
+
+        const walk = (commands, offset, prefix) => {
+            for (let i = 0; i < commands.length; i++) {
+                const cmd = commands[i];
+                const size = this.getFlatLength(cmd);
+                if (offset < size) {
+                    if (cmd.type === 'loop') {
+                        return walk(cmd.commands, offset % (size / this.getRepeats(cmd)), [...prefix, i]);
+                    }
+                    return [...prefix, i];
+                }
+                offset -= size;
+            }
+            return null;
+        };
+
+        return walk(commands, flatIndex, []);
+    }
+
     /**
      * Insert command at index - must be implemented by subclass
      * @abstract
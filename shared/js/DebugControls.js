@@ -0,0 +1,135 @@
+/**
+ * DebugControls - The ▶️ ⏸️ ⏭️ ⏮️ buttons of a game, driving its Debugger
+ *
+ * Owns the run/step/step back/pause buttons and the "is a run going"
+ * flag, and keeps the buttons enabled to match the debugger. A paused run
+ * carries on while the program is unchanged; otherwise the game is asked
+ * to set up a fresh one. A reset pressed mid-run waits for the running
+ * command to finish, then calls back into the game.
+ */
+import { DEBUG_STATE } from './Debugger.js';
+
+export class DebugControls {
+    /**
+     * @param {Object} options
+     * @param {Debugger} options.debugger - Runner the buttons drive
+     * @param {Object} options.buttons - { play, pause, step, stepBack } elements
+     * @param {function} options.getSource - Returns what a run is made from; a paused run continues only while it matches
+     * @param {function} options.isEmpty - Returns true when there is nothing to run
+     * @param {function} options.prepare - Resets the world and starts the debugger (may be async)
+     * @param {function} [options.onFinish] - Every command ran (may be async)
+     * @param {function} [options.onStepBack] - A command was undone
+     * @param {function} [options.onReset] - Reset asked for mid-run, once the command finished
+     */
+    constructor(options) {
+        this.debugger = options.debugger;
+        this.buttons = options.buttons;
+        this.getSource = options.getSource;
+        this.isEmpty = options.isEmpty;
+        this.prepare = options.prepare;
+        this.onFinish = options.onFinish || (() => {});
+        this.onStepBack = options.onStepBack || (() => {});
+        this.onReset = options.onReset || (() => {});
+        this.isRunning = false;
+        this.resetRequested = false;
+
+        this.buttons.play.addEventListener('click', () => this.play());
+        this.buttons.pause.addEventListener('click', () => this.pause());
+        this.buttons.step.addEventListener('click', () => this.step());
+        this.buttons.stepBack.addEventListener('click', () => this.stepBack());
+    }
+
+    /**
+     * Run to the end (continues a paused run)
+     */
+    async play() {
+        await this.run(() => this.debugger.resume());
+    }
+
+    /**
+     * Run just the next command
+     */
+    async step() {
+        await this.run(() => this.debugger.step());
+    }
+
+    /**
+     * Undo the last command using its snapshot
+     */
+    stepBack() {
+        if (this.isRunning) return;
+        // Snapshots belong to the program as it was when the run started
+        if (!this.debugger.matches(this.getSource())) {
+            this.debugger.stop();
+        } else if (this.debugger.stepBack()) {
+            this.onStepBack();
+        }
+        this.update();
+    }
+
+    /**
+     * Pause after the current command
+     */
+    pause() {
+        this.debugger.pause();
+    }
+
+    /**
+     * Stop any session, e.g. because the level changed
+     */
+    stop() {
+        this.debugger.stop();
+        this.update();
+    }
+
+    /**
+     * Ask to rewind everything; mid-run this waits for the command to finish
+     * @returns {boolean} True if the game may reset now
+     */
+    requestReset() {
+        if (this.isRunning) {
+            this.resetRequested = true;
+            this.debugger.pause();
+            return false;
+        }
+        this.resetRequested = false;
+        this.stop();
+        return true;
+    }
+
+    /**
+     * Set up the run if needed, then let the debugger go
+     * @param {function} action - Drives the debugger, resolves when it stops
+     */
+    async run(action) {
+        if (this.isRunning || this.isEmpty()) return;
+        this.isRunning = true;
+        this.update();
+
+        if (this.debugger.state !== DEBUG_STATE.PAUSED || !this.debugger.matches(this.getSource())) {
+            await this.prepare();
+        }
+        await action();
+
+        this.isRunning = false;
+        if (this.resetRequested) {
+            await this.onReset();
+            return;
+        }
+        if (this.debugger.state === DEBUG_STATE.FINISHED) {
+            this.debugger.stop();
+            await this.onFinish();
+        }
+        this.update();
+    }
+
+    /**
+     * Enable the buttons to match the debugger
+     */
+    update() {
+        this.buttons.play.disabled = this.isRunning;
+        this.buttons.step.disabled = this.isRunning;
+        this.buttons.pause.disabled = !this.isRunning;
+        this.buttons.stepBack.disabled = this.isRunning || !this.debugger.canStepBack();
+    }
+}
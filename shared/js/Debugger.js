@@ -0,0 +1,270 @@
+/**
+ * Debugger - Step-through runner for command programs
+ *
+ * Runs a program one command at a time. The program is either the output of
+ * a BaseSequence subclass's flatten() or an interpreter that picks the next
+ * command from live game state (see "Programs" below). Before each command
+ * the game's state is snapshotted, so a run can be paused, stepped forward,
+ * stepped back and resumed. A failing command rolls the world back to just
+ * before it and stops, so the game can mark the block instead of wiping the
+ * attempt.
+ *
+ * The debugger knows nothing about the game; it talks to it through
+ * callbacks:
+ *   execute(cmd, index)  async, resolves false when the command fails
+ *   snapshot()           returns a copy of the game state
+ *   restore(state)       puts a snapshot back and re-renders
+ *   onStep(index, cmd)   command about to run (or current after step back)
+ *   onFail(index, cmd)   command failed; state is restored to before it
+ *   onFinish()           every command ran
+ *
+ * Programs:
+ *   An array is run in order. Anything else must provide
+ *   peek()               next command, or null when finished
+ *   advance()            move past the command peek() returned
+ *   getState()           copy of the position, snapshotted with the game
+ *   restoreState(state)  put a position back
+ *   signature            string that changes when the source is edited
+ */
+
+// Debugger states
+export const DEBUG_STATE = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    FAILED: 'failed',
+    FINISHED: 'finished'
+};
+
+/**
+ * Program over a fixed list of commands
+ */
+class ListProgram {
+    constructor(commands) {
+        this.commands = commands;
+        this.signature = JSON.stringify(commands);
+        this.position = 0;
+    }
+
+    peek() {
+        return this.position < this.commands.length ? this.commands[this.position] : null;
+    }
+
+    advance() {
+        this.position++;
+    }
+
+    getState() {
+        return this.position;
+    }
+
+    restoreState(position) {
+        this.position = position;
+    }
+}
+
+export class Debugger {
+    /**
+     * @param {Object} options
+     * @param {function} options.execute - async (cmd, index) => boolean
+     * @param {function} options.snapshot - () => state
+     * @param {function} options.restore - (state) => void
+     * @param {function} [options.onStep] - (index, cmd) => void
+     * @param {function} [options.onFail] - (index, cmd) => void
+     * @param {function} [options.onFinish] - () => void
+     */
+    constructor(options) {
+        this.execute = options.execute;
+        this.snapshot = options.snapshot;
+        this.restore = options.restore;
+        this.onStep = options.onStep || (() => {});
+        this.onFail = options.onFail || (() => {});
+        this.onFinish = options.onFinish || (() => {});
+
+        this.session = 0;
+        this.stop();
+    }
+
+    /**
+     * Begin a new session, paused before the first command (finished if
+     * there is none)
+     * @param {Array|Object} program - Flattened commands or a program object
+     */
+    start(program) {
+        this.program = Array.isArray(program) ? new ListProgram(program) : program;
+        this.signature = this.program.signature;
+        this.index = 0;
+        this.history = [];
+        this.failedIndex = null;
+        this.session++;
+        this.state = DEBUG_STATE.PAUSED;
+
+        // Nothing to run, e.g. a "repeat until" that is already satisfied
+        if (this.program.peek() === null) {
+            this.state = DEBUG_STATE.FINISHED;
+            this.onFinish();
+        }
+    }
+
+    /**
+     * End the session and forget all snapshots
+     */
+    stop() {
+        this.program = new ListProgram([]);
+        this.signature = null;
+        this.index = 0;
+        this.history = [];
+        this.failedIndex = null;
+        this.busy = false;
+        this.pauseRequested = false;
+        this.session++;
+        this.state = DEBUG_STATE.IDLE;
+    }
+
+    /**
+     * Check if a session is open for these commands
+     * Editing the sequence makes the recorded snapshots meaningless
+     * @param {Array} commands - The commands the program was built from
+     * @returns {boolean}
+     */
+    matches(commands) {
+        return this.state !== DEBUG_STATE.IDLE && this.signature === JSON.stringify(commands);
+    }
+
+    /**
+     * Check if a command is executing right now
+     * @returns {boolean}
+     */
+    isBusy() {
+        return this.busy;
+    }
+
+    /**
+     * Check if the session can continue forward
+     * @returns {boolean}
+     */
+    canStep() {
+        return !this.busy &&
+            (this.state === DEBUG_STATE.PAUSED || this.state === DEBUG_STATE.FAILED) &&
+            this.program.peek() !== null;
+    }
+
+    /**
+     * Check if there is a snapshot to rewind to
+     * @returns {boolean}
+     */
+    canStepBack() {
+        return !this.busy && this.state !== DEBUG_STATE.RUNNING && this.index > 0;
+    }
+
+    /**
+     * Execute the next command while paused
+     * @returns {Promise<boolean>} False if the command failed or nothing ran
+     */
+    async step() {
+        if (!this.canStep()) return false;
+        return this.advance();
+    }
+
+    /**
+     * Run commands until paused, failed or finished
+     * @returns {Promise<string>} Final DEBUG_STATE
+     */
+    async resume() {
+        if (!this.canStep()) return this.state;
+
+        this.state = DEBUG_STATE.RUNNING;
+        this.pauseRequested = false;
+        while (this.state === DEBUG_STATE.RUNNING) {
+            await this.advance();
+            if (this.state === DEBUG_STATE.RUNNING && this.pauseRequested) {
+                this.state = DEBUG_STATE.PAUSED;
+            }
+        }
+        this.pauseRequested = false;
+        return this.state;
+    }
+
+    /**
+     * Execute the command at the current index and record its snapshot
+     * @returns {Promise<boolean>} False if the command failed
+     */
+    async advance() {
+        const index = this.index;
+        const session = this.session;
+        const cmd = this.program.peek();
+        this.busy = true;
+        this.failedIndex = null;
+        this.history.push({ world: this.snapshot(), program: this.program.getState() });
+        this.onStep(index, cmd);
+
+        this.program.advance();
+        let ok;
+        try {
+            ok = await this.execute(cmd, index);
+        } catch (error) {
+            // Put the world back so the session can still be stepped or stopped
+            if (session === this.session) {
+                this.restoreEntry(this.history.pop());
+                this.state = DEBUG_STATE.PAUSED;
+            }
+            throw error;
+        } finally {
+            this.busy = false;
+        }
+
+        // Session was stopped while the command ran
+        if (session !== this.session) return false;
+
+        if (ok === false) {
+            this.restoreEntry(this.history.pop());
+            this.failedIndex = index;
+            this.state = DEBUG_STATE.FAILED;
+            this.onFail(index, cmd);
+            return false;
+        }
+
+        this.index++;
+        if (this.program.peek() === null) {
+            this.state = DEBUG_STATE.FINISHED;
+            this.onFinish();
+        } else if (this.state === DEBUG_STATE.FAILED) {
+            this.state = DEBUG_STATE.PAUSED;
+        }
+        return true;
+    }
+
+    /**
+     * Pause a running session after the current command
+     */
+    pause() {
+        if (this.state === DEBUG_STATE.RUNNING) {
+            this.pauseRequested = true;
+        }
+    }
+
+    /**
+     * Undo the last executed command using its snapshot
+     * @returns {boolean} True if rewound
+     */
+    stepBack() {
+        if (!this.canStepBack()) return false;
+
+        this.index--;
+        this.restoreEntry(this.history[this.index]);
+        this.history.length = this.index;
+        this.failedIndex = null;
+        this.state = DEBUG_STATE.PAUSED;
+        this.onStep(this.index, this.program.peek());
+        return true;
+    }
+
+    /**
+     * Put the world and the program back to a history entry
+     * @param {Object} entry - { world, program } recorded before a command
+     */
+    restoreEntry(entry) {
+        this.program.restoreState(entry.program);
+        this.restore(entry.world);
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Interpreter - Walks a command tree one action at a time
+ *
+ * "if" blocks and "repeat until" loops depend on what the world looks like
+ * when they are reached, so the sequence cannot be flattened before the run.
+ * The interpreter keeps a stack of frames (one per loop, branch or function
+ * being run) and only decides a condition when the next action is asked for,
+ * against the live world.
+ *
+ * A "repeat until" loop checks its condition before every pass and stops as
+ * soon as it is true. Every action and every check counts as a step; once
+ * maxSteps is reached the next check hands out a { type: 'halt' } command
+ * instead, so a loop that never ends fails on its own block.
+ *
+ * It is a Debugger program: peek()/advance() hand out actions and
+ * getState()/restoreState() let the debugger rewind it with the world.
+ */
+
+// Steps allowed before a "repeat until" loop is halted
+export const DEFAULT_MAX_STEPS = 200;
+
+export class Interpreter {
+    /**
+     * @param {Array} commands - Sequence commands (copied, so later edits do not leak in)
+     * @param {Object} options
+     * @param {function} options.sense - (condition, direction) => boolean
+     * @param {number} [options.maxSteps] - Steps before an until loop is halted
+     */
+    constructor(commands, options) {
+        this.commands = JSON.parse(JSON.stringify(commands));
+        this.signature = JSON.stringify(commands);
+        this.sense = options.sense;
+        this.maxSteps = options.maxSteps ?? DEFAULT_MAX_STEPS;
+        this.reset();
+    }
+
+    /**
+     * Go back to the first command
+     */
+    reset() {
+        this.stack = [{ commands: this.commands, index: 0, repeats: 1, path: [], blockPath: null }];
+        this.steps = 0;
+    }
+
+    /**
+     * Find the next action, entering loops, functions and "if" branches
+     * Each action carries the path of the block to highlight: its own, or
+     * the "if" block or function call it came from
+     * @returns {Object|null} { type, direction, path } or null when finished
+     */
+    peek() {
+        while (this.stack.length > 0) {
+            const frame = this.stack[this.stack.length - 1];
+
+            if (frame.index >= frame.commands.length) {
+                if (frame.repeats > 1) {
+                    frame.repeats--;
+                    frame.index = 0;
+                } else {
+                    this.stack.pop();
+                }
+                continue;
+            }
+
+            const cmd = frame.commands[frame.index];
+            const path = [...frame.path, frame.index];
+            const blockPath = frame.blockPath || path;
+
+            if (cmd.type === 'loop' && cmd.until) {
+                if (this.steps >= this.maxSteps) {
+                    return { type: 'halt', path: blockPath };
+                }
+                this.steps++;
+                if (this.sense(cmd.until.condition, cmd.until.direction)) {
+                    frame.index++;
+                } else {
+                    // Stay on the loop so it is checked again after the body
+                    this.stack.push({ commands: cmd.commands, index: 0, repeats: 1, path, blockPath: frame.blockPath });
+                }
+            } else if (cmd.type === 'loop') {
+                frame.index++;
+                if (cmd.iterations > 0) {
+                    this.stack.push({ commands: cmd.commands, index: 0, repeats: cmd.iterations, path, blockPath: frame.blockPath });
+                }
+            } else if (cmd.type === 'if') {
+                frame.index++;
+                const branch = this.sense(cmd.condition, cmd.direction) ? cmd.then : cmd.else;
+                this.stack.push({ commands: branch, index: 0, repeats: 1, path, blockPath });
+            } else if (cmd.type === 'function') {
+                frame.index++;
+                this.stack.push({ commands: cmd.commands, index: 0, repeats: 1, path, blockPath });
+            } else {
+                return { ...cmd, path: blockPath };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Move past the action peek() returned
+     * A halt is never passed; it fails every time it is run
+     */
+    advance() {
+        const cmd = this.peek();
+        if (cmd !== null && cmd.type !== 'halt') {
+            this.stack[this.stack.length - 1].index++;
+            this.steps++;
+        }
+    }
+
+    /**
+     * Copy of the position in the tree
+     * @returns {Object} { stack, steps }
+     */
+    getState() {
+        return {
+            stack: this.stack.map(frame => ({ ...frame })),
+            steps: this.steps
+        };
+    }
+
+    /**
+     * Put a position back
+     * @param {Object} state - From getState()
+     */
+    restoreState(state) {
+        this.stack = state.stack.map(frame => ({ ...frame }));
+        this.steps = state.steps;
+    }
+}
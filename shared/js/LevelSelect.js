@@ -0,0 +1,86 @@
+/**
+ * LevelSelect - Shared level map built from saved progress
+ *
+ * Renders one big button per level into a container: completed levels
+ * show their best star rating (or ✅ if they were finished before stars
+ * existed), locked levels show 🔒 and cannot be tapped.
+ */
+import { renderStars } from './StarRating.js';
+
+export class LevelSelect {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Element that holds the level buttons
+     * @param {ProgressStore} options.progress - Saved progress for this game
+     * @param {function} options.getTotalLevels - Returns the number of levels
+     * @param {function} options.onSelect - Called with the chosen level number
+     */
+    constructor(options) {
+        this.container = options.container;
+        this.progress = options.progress;
+        this.getTotalLevels = options.getTotalLevels;
+        this.onSelect = options.onSelect;
+    }
+
+    /**
+     * Render the level buttons
+     * @param {number} currentLevel - Level being played (highlighted)
+     */
+    render(currentLevel) {
+        this.container.innerHTML = '';
+
+        for (let level = 1; level <= this.getTotalLevels(); level++) {
+            this.container.appendChild(this.createLevelButton(level, currentLevel));
+        }
+    }
+
+    /**
+     * Create a button for one level
+     * @param {number} level - Level number
+     * @param {number} currentLevel - Level being played
+     * @returns {HTMLButtonElement}
+     */
+    createLevelButton(level, currentLevel) {
+        const btn = document.createElement('button');
+        btn.className = 'level-select-btn';
+        btn.dataset.level = level;
+
+        const num = document.createElement('span');
+        num.className = 'level-select-num';
+        num.textContent = level;
+        btn.appendChild(num);
+
+        const badge = document.createElement('span');
+        badge.className = 'level-select-badge';
+        badge.setAttribute('aria-hidden', 'true');
+        btn.appendChild(badge);
+
+        if (!this.progress.isLevelUnlocked(level)) {
+            btn.classList.add('locked');
+            btn.disabled = true;
+            badge.textContent = '🔒';
+            btn.setAttribute('aria-label', `Level ${level} locked`);
+        } else {
+            if (this.progress.isLevelCompleted(level)) {
+                btn.classList.add('completed');
+                const stars = this.progress.getStars(level);
+                if (stars > 0) {
+                    const rating = document.createElement('span');
+                    rating.className = 'level-select-stars star-rating';
+                    renderStars(rating, stars);
+                    btn.appendChild(rating);
+                } else {
+                    badge.textContent = '✅';
+                }
+            }
+            btn.setAttribute('aria-label', `Level ${level}`);
+            btn.addEventListener('click', () => this.onSelect(level));
+        }
+
+        if (level === currentLevel) {
+            btn.classList.add('current');
+        }
+
+        return btn;
+    }
+}
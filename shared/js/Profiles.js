@@ -0,0 +1,91 @@
+/**
+ * Profiles - Child profiles that scope all saved progress
+ *
+ * Each profile is an emoji avatar and a colour, so kids who cannot read
+ * yet can still find themselves. The active profile decides which
+ * progress every game's ProgressStore reads and writes.
+ */
+import { DEFAULT_PROFILE, loadSave, writeSave } from './ProgressStore.js';
+
+// Avatars and colours offered by the profile picker
+export const PROFILE_AVATARS = ['🐶', '🐱', '🦊', '🐼', '🐸', '🦁', '🐵', '🐰', '🐯', '🐨'];
+export const PROFILE_COLORS = ['#FF6B6B', '#FFE66D', '#4ECDC4', '#6C63FF', '#FF9F43', '#A3CB38'];
+
+export class Profiles {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Storage backend (default localStorage)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || globalThis.localStorage;
+    }
+
+    /**
+     * Get all profiles in creation order
+     * @returns {Array<{id: string, avatar: string, color: string}>}
+     */
+    getProfiles() {
+        const save = loadSave(this.storage);
+        return Object.values(save.profiles).map(({ id, avatar, color }) => ({ id, avatar, color }));
+    }
+
+    /**
+     * Get the profile currently playing
+     * @returns {{id: string, avatar: string, color: string}}
+     */
+    getActiveProfile() {
+        const profiles = this.getProfiles();
+        const activeId = loadSave(this.storage).activeProfile;
+        return profiles.find(p => p.id === activeId) || profiles[0] || { ...DEFAULT_PROFILE };
+    }
+
+    /**
+     * Create a profile and make it active
+     * @param {string} avatar - Emoji avatar
+     * @param {string} color - CSS colour
+     * @returns {{id: string, avatar: string, color: string}} The new profile
+     */
+    createProfile(avatar, color) {
+        const save = loadSave(this.storage);
+        const id = `p${Date.now().toString(36)}${Object.keys(save.profiles).length}`;
+
+        save.profiles[id] = { id, avatar, color, games: {} };
+        save.activeProfile = id;
+        writeSave(this.storage, save);
+
+        return { id, avatar, color };
+    }
+
+    /**
+     * Switch to another profile
+     * @param {string} id - Profile id
+     * @returns {boolean} True if the profile exists
+     */
+    setActiveProfile(id) {
+        const save = loadSave(this.storage);
+        if (!save.profiles[id]) return false;
+
+        save.activeProfile = id;
+        writeSave(this.storage, save);
+        return true;
+    }
+
+    /**
+     * Delete a profile and all of its progress
+     * The last remaining profile cannot be deleted
+     * @param {string} id - Profile id
+     * @returns {boolean} True if deleted
+     */
+    deleteProfile(id) {
+        const save = loadSave(this.storage);
+        const ids = Object.keys(save.profiles);
+        if (!save.profiles[id] || ids.length <= 1) return false;
+
+        delete save.profiles[id];
+        if (save.activeProfile === id) {
+            save.activeProfile = ids.find(other => other !== id);
+        }
+        writeSave(this.storage, save);
+        return true;
+    }
+}
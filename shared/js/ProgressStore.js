@@ -0,0 +1,340 @@
+/**
+ * ProgressStore - Shared save-state service for all games
+ *
+ * Persists completed levels, best solutions, star ratings and unlocked content in
+ * localStorage under a single versioned key. Progress is scoped to a
+ * child profile, with one namespace per game inside each profile.
+ * Older saves are upgraded through MIGRATIONS before they are used, and
+ * each game can pass a migrate hook to import its legacy storage keys
+ * (see ProgressStore.importLegacyKey).
+ */
+export const STORAGE_KEY = 'coding4kids_progress';
+export const SCHEMA_VERSION = 3;
+
+// Known game namespaces
+export const GAME_IDS = {
+    ROBOT: 'robot-path-painter',
+    GARDEN: 'magic-garden',
+    BUILDER: 'block-builder',
+    MUSIC: 'music-box-composer'
+};
+
+// Profile used before any child picks an avatar
+export const DEFAULT_PROFILE = { id: 'default', avatar: '🙂', color: '#6C63FF' };
+
+// Schema migrations: MIGRATIONS[n] upgrades a save from version n to n + 1
+const MIGRATIONS = {
+    // Version 0: unversioned save, only a games map
+    0: (save) => ({ ...save, games: save.games || {} }),
+    // Version 1: single player - move all games into the default profile
+    1: (save) => ({
+        activeProfile: DEFAULT_PROFILE.id,
+        profiles: {
+            [DEFAULT_PROFILE.id]: { ...DEFAULT_PROFILE, games: save.games }
+        }
+    }),
+    // Version 2: no star ratings yet - every game starts with none
+    2: (save) => {
+        Object.values(save.profiles).forEach(profile => {
+            Object.values(profile.games).forEach(namespace => {
+                namespace.stars = namespace.stars || {};
+            });
+        });
+        return save;
+    }
+};
+
+/**
+ * Create an empty game namespace
+ * @returns {Object} Namespace data
+ */
+function createNamespace() {
+    return {
+        completedLevels: [],
+        bestSolutions: {},
+        stars: {},
+        unlocked: [],
+        data: {}
+    };
+}
+
+/**
+ * Upgrade a save to the current schema version
+ * @param {Object} save - Parsed save data
+ * @returns {Object} Save data at SCHEMA_VERSION
+ */
+export function migrateSave(save) {
+    let upgraded = { ...save };
+    let version = upgraded.version || 0;
+
+    while (version < SCHEMA_VERSION) {
+        const migration = MIGRATIONS[version];
+        if (migration) {
+            upgraded = migration(upgraded);
+        }
+        version++;
+    }
+
+    upgraded.version = SCHEMA_VERSION;
+    return upgraded;
+}
+
+/**
+ * Read and migrate the save from storage
+ * @param {Storage} storage - Storage backend
+ * @returns {Object} Save data at SCHEMA_VERSION
+ */
+export function loadSave(storage) {
+    try {
+        const stored = storage.getItem(STORAGE_KEY);
+        if (stored) {
+            return migrateSave(JSON.parse(stored));
+        }
+    } catch (error) {
+        console.error('Failed to load progress:', error);
+    }
+    return migrateSave({});
+}
+
+/**
+ * Write the save to storage
+ * @param {Storage} storage - Storage backend
+ * @param {Object} save - Save data
+ */
+export function writeSave(storage, save) {
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(save));
+    } catch (error) {
+        console.error('Failed to save progress:', error);
+    }
+}
+
+export class ProgressStore {
+    /**
+     * @param {string} gameId - Game namespace (see GAME_IDS)
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Storage backend (default localStorage)
+     * @param {string} [options.profileId] - Profile to use (default: active profile)
+     * @param {function} [options.migrate] - Hook (namespace, storage, profileId) run once when
+     *   the namespace is created in a profile
+     */
+    constructor(gameId, options = {}) {
+        this.gameId = gameId;
+        this.storage = options.storage || globalThis.localStorage;
+        this.migrate = options.migrate || null;
+
+        const save = loadSave(this.storage);
+        this.profileId = options.profileId ||
+            (save.profiles[save.activeProfile] ? save.activeProfile : DEFAULT_PROFILE.id);
+
+        this.namespace = save.profiles[this.profileId]?.games[this.gameId] || null;
+        if (!this.namespace) {
+            this.createGameNamespace();
+        }
+    }
+
+    /**
+     * Create this game's namespace, importing legacy data via the migrate hook
+     */
+    createGameNamespace() {
+        this.namespace = createNamespace();
+        if (this.migrate) {
+            this.migrate(this.namespace, this.storage, this.profileId);
+        }
+        this.persist();
+    }
+
+    /**
+     * Migrate hook that moves a pre-profile storage key into the namespace
+     * Only the default profile gets the old data, as it was saved before
+     * any child picked a profile; the key is removed once it is copied
+     * @param {string} legacyKey - Storage key the game used to write to
+     * @param {string} dataKey - Key in the namespace data (see get/set)
+     * @returns {function} Hook for options.migrate
+     */
+    static importLegacyKey(legacyKey, dataKey) {
+        return (namespace, storage, profileId) => {
+            if (profileId !== DEFAULT_PROFILE.id) return;
+            const legacy = storage.getItem(legacyKey);
+            if (legacy === null) return;
+            try {
+                namespace.data[dataKey] = JSON.parse(legacy);
+            } catch (error) {
+                console.error('Failed to import legacy data:', error);
+            }
+            storage.removeItem(legacyKey);
+        };
+    }
+
+    /**
+     * Write this game's namespace back to storage
+     * Re-reads the save first so other games and profiles are never clobbered
+     */
+    persist() {
+        const save = loadSave(this.storage);
+        if (!save.profiles[this.profileId]) {
+            save.profiles[this.profileId] = { ...DEFAULT_PROFILE, id: this.profileId, games: {} };
+        }
+        save.profiles[this.profileId].games[this.gameId] = this.namespace;
+        writeSave(this.storage, save);
+    }
+
+    /**
+     * Get this game's namespace
+     * @returns {Object} Namespace data
+     */
+    getNamespace() {
+        return this.namespace;
+    }
+
+    /**
+     * Record a completed level and keep the shortest solution and most stars
+     * @param {number} levelNum - Level number (1-indexed)
+     * @param {Object} [solution] - { blocks: number, commands: Array }
+     * @param {number} [stars] - Star rating for this run (see StarRating)
+     * @returns {boolean} True if the solution is a new best
+     */
+    completeLevel(levelNum, solution = null, stars = 0) {
+        const namespace = this.getNamespace();
+        if (!namespace.completedLevels.includes(levelNum)) {
+            namespace.completedLevels.push(levelNum);
+            namespace.completedLevels.sort((a, b) => a - b);
+        }
+
+        let isBest = false;
+        if (solution) {
+            const best = namespace.bestSolutions[levelNum];
+            if (!best || solution.blocks < best.blocks) {
+                namespace.bestSolutions[levelNum] = JSON.parse(JSON.stringify(solution));
+                isBest = true;
+            }
+        }
+
+        if (stars > this.getStars(levelNum)) {
+            namespace.stars[levelNum] = stars;
+        }
+
+        this.persist();
+        return isBest;
+    }
+
+    /**
+     * Check if a level has been completed
+     * @param {number} levelNum - Level number
+     * @returns {boolean}
+     */
+    isLevelCompleted(levelNum) {
+        return this.getNamespace().completedLevels.includes(levelNum);
+    }
+
+    /**
+     * Get all completed level numbers
+     * @returns {number[]} Sorted level numbers
+     */
+    getCompletedLevels() {
+        return [...this.getNamespace().completedLevels];
+    }
+
+    /**
+     * Get the best recorded solution for a level
+     * @param {number} levelNum - Level number
+     * @returns {Object|null} { blocks, commands } or null
+     */
+    getBestSolution(levelNum) {
+        return this.getNamespace().bestSolutions[levelNum] || null;
+    }
+
+    /**
+     * Get the most stars earned on a level
+     * @param {number} levelNum - Level number
+     * @returns {number} 0 when the level has no rating yet
+     */
+    getStars(levelNum) {
+        return this.getNamespace().stars[levelNum] || 0;
+    }
+
+    /**
+     * Check if a level can be played
+     * Level 1 is always open; others open once the previous level is done
+     * @param {number} levelNum - Level number
+     * @returns {boolean}
+     */
+    isLevelUnlocked(levelNum) {
+        return levelNum <= 1 ||
+            this.isLevelCompleted(levelNum) ||
+            this.isLevelCompleted(levelNum - 1) ||
+            this.isUnlocked(`level:${levelNum}`);
+    }
+
+    /**
+     * Get the first unlocked level that has not been completed
+     * @param {number} totalLevels - Number of levels in the game
+     * @returns {number} Level number
+     */
+    getNextLevel(totalLevels) {
+        for (let level = 1; level <= totalLevels; level++) {
+            if (this.isLevelUnlocked(level) && !this.isLevelCompleted(level)) {
+                return level;
+            }
+        }
+        return totalLevels;
+    }
+
+    /**
+     * Unlock a piece of content (e.g. 'level:5', a plant, a pattern)
+     * @param {string} item - Content id
+     */
+    unlock(item) {
+        const namespace = this.getNamespace();
+        if (!namespace.unlocked.includes(item)) {
+            namespace.unlocked.push(item);
+            this.persist();
+        }
+    }
+
+    /**
+     * Check if content is unlocked
+     * @param {string} item - Content id
+     * @returns {boolean}
+     */
+    isUnlocked(item) {
+        return this.getNamespace().unlocked.includes(item);
+    }
+
+    /**
+     * Get all unlocked content ids
+     * @returns {string[]}
+     */
+    getUnlocked() {
+        return [...this.getNamespace().unlocked];
+    }
+
+    /**
+     * Read game-specific data
+     * @param {string} key - Data key
+     * @param {*} fallback - Value returned when key is missing
+     * @returns {*} Stored value
+     */
+    get(key, fallback = null) {
+        const data = this.getNamespace().data;
+        return key in data ? data[key] : fallback;
+    }
+
+    /**
+     * Write game-specific data
+     * @param {string} key - Data key
+     * @param {*} value - JSON-serializable value
+     */
+    set(key, value) {
+        this.getNamespace().data[key] = value;
+        this.persist();
+    }
+
+    /**
+     * Erase all progress for this game
+     */
+    reset() {
+        this.namespace = createNamespace();
+        this.persist();
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * StarRating - 1 to 3 ⭐ for a finished level
+ *
+ * Each level has a par: the blocks in a good solution, counted the way
+ * BaseSequence.countBlocks counts them (a loop is one block plus its body,
+ * a function call is one block). Reaching par earns 3 stars, a program up
+ * to half as long again earns 2, and any working program earns 1, so kids
+ * are nudged toward loops and functions without ever being told they failed.
+ */
+export const MAX_STARS = 3;
+
+// Blocks over par (as a share of par) that still earn 2 stars
+export const TWO_STAR_MARGIN = 0.5;
+
+/**
+ * Rate a working program
+ * @param {number} blocks - Blocks the player used
+ * @param {number|null} par - Blocks in a good solution (no par gives full marks)
+ * @returns {number} 1 to MAX_STARS
+ */
+export function rateSolution(blocks, par) {
+    if (!par || blocks <= par) return MAX_STARS;
+    if (blocks <= Math.ceil(par * (1 + TWO_STAR_MARGIN))) return 2;
+    return 1;
+}
+
+/**
+ * Fill an element with earned and missing stars
+ * @param {HTMLElement} container - Element to fill
+ * @param {number} stars - Stars earned (0 to MAX_STARS)
+ */
+export function renderStars(container, stars) {
+    container.innerHTML = '';
+    container.setAttribute('aria-label', `${stars} of ${MAX_STARS} stars`);
+
+    for (let i = 1; i <= MAX_STARS; i++) {
+        const star = document.createElement('span');
+        star.className = i <= stars ? 'star-rating-star earned' : 'star-rating-star';
+        star.textContent = '⭐';
+        star.setAttribute('aria-hidden', 'true');
+        container.appendChild(star);
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Tests for DebugControls module
+ * Buttons are stand-ins with only what the controls touch
+ */
+import { DebugControls } from '../js/DebugControls.js';
+import { Debugger, DEBUG_STATE } from '../js/Debugger.js';
+
+export async function runDebugControlsTests() {
+    const results = [];
+
+    // Test: Play runs to the end
+    results.push(await test('play runs the program and reports the finish', async () => {
+        const game = createGame([1, 2, 3]);
+        await game.controls.play();
+        assertEqual(game.total, 6);
+        assertEqual(game.prepared, 1);
+        assertEqual(game.finished, 1);
+        assertEqual(game.debugger.state, DEBUG_STATE.IDLE);
+        assertFalse(game.controls.isRunning);
+        assertFalse(game.buttons.play.disabled);
+        assertTrue(game.buttons.pause.disabled);
+    }));
+
+    // Test: Paused runs carry on
+    results.push(await test('step continues a paused run until the program changes', async () => {
+        const game = createGame([1, 2, 3]);
+        await game.controls.step();
+        await game.controls.step();
+        assertEqual(game.total, 3);
+        assertEqual(game.prepared, 1);
+        assertFalse(game.buttons.stepBack.disabled);
+
+        game.program = [5];
+        await game.controls.step();
+        assertEqual(game.prepared, 2);
+        assertEqual(game.total, 5);
+    }));
+
+    // Test: Step back
+    results.push(await test('stepBack undoes a command, or stops if the program changed', async () => {
+        const game = createGame([1, 2]);
+        await game.controls.step();
+        game.controls.stepBack();
+        assertEqual(game.total, 0);
+        assertEqual(game.steppedBack, 1);
+
+        await game.controls.step();
+        game.program = [7];
+        game.controls.stepBack();
+        assertEqual(game.debugger.state, DEBUG_STATE.IDLE);
+        assertTrue(game.buttons.stepBack.disabled);
+    }));
+
+    // Test: Reset mid-run
+    results.push(await test('A reset during a run waits for the command to finish', async () => {
+        const game = createGame([1, 2, 3]);
+        game.onExecute = () => {
+            assertFalse(game.controls.requestReset());
+            game.onExecute = () => {};
+        };
+        await game.controls.play();
+        assertEqual(game.total, 1);
+        assertEqual(game.resets, 1);
+        assertEqual(game.finished, 0);
+        assertEqual(game.debugger.state, DEBUG_STATE.IDLE);
+    }));
+
+    // Test: Nothing to run
+    results.push(await test('An empty program does not start a run', async () => {
+        const game = createGame([]);
+        await game.controls.play();
+        assertEqual(game.prepared, 0);
+        assertEqual(game.finished, 0);
+    }));
+
+    return results;
+}
+
+// ===== Test Utilities =====
+
+/**
+ * Tiny game whose state is a running total, with stand-in buttons
+ */
+function createGame(program) {
+    const game = {
+        program,
+        total: 0,
+        prepared: 0,
+        finished: 0,
+        steppedBack: 0,
+        resets: 0,
+        onExecute: () => {},
+        buttons: {
+            play: createButton(),
+            pause: createButton(),
+            step: createButton(),
+            stepBack: createButton()
+        }
+    };
+    game.debugger = new Debugger({
+        execute: async (cmd) => {
+            game.total += cmd;
+            game.onExecute();
+            return true;
+        },
+        snapshot: () => game.total,
+        restore: (total) => { game.total = total; }
+    });
+    game.controls = new DebugControls({
+        debugger: game.debugger,
+        buttons: game.buttons,
+        getSource: () => game.program,
+        isEmpty: () => game.program.length === 0,
+        prepare: () => {
+            game.prepared++;
+            game.total = 0;
+            game.debugger.start(game.program);
+        },
+        onFinish: () => game.finished++,
+        onStepBack: () => game.steppedBack++,
+        onReset: () => {
+            game.resets++;
+            game.controls.requestReset();
+        }
+    });
+    return game;
+}
+
+function createButton() {
+    return { disabled: false, addEventListener: () => {} };
+}
+
+async function test(name, fn) {
+    try {
+        await fn();
+        return { name, passed: true };
+    } catch (error) {
+        return { name, passed: false, error: error.message };
+    }
+}
+
+function assertEqual(actual, expected) {
+    if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (value !== true) {
+        throw new Error(message || `Expected true, got ${value}`);
+    }
+}
+
+function assertFalse(value) {
+    if (value !== false) {
+        throw new Error(`Expected false, got ${value}`);
+    }
+}
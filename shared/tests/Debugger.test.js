@@ -0,0 +1,238 @@
+/**
+ * Tests for Debugger module
+ * Debugger runs are async, so this suite returns a promise of results
+ */
+import { Debugger, DEBUG_STATE } from '../js/Debugger.js';
+
+export async function runDebuggerTests() {
+    const results = [];
+
+    // Test: Resume runs everything
+    results.push(await test('resume runs every command and finishes', async () => {
+        const world = createWorld();
+        world.debugger.start([1, 2, 3]);
+        const state = await world.debugger.resume();
+        assertEqual(state, DEBUG_STATE.FINISHED);
+        assertEqual(world.total, 6);
+        assertEqual(world.finished, 1);
+    }));
+
+    // Test: Single step
+    results.push(await test('step runs one command at a time', async () => {
+        const world = createWorld();
+        world.debugger.start([1, 2, 3]);
+        await world.debugger.step();
+        assertEqual(world.total, 1);
+        assertEqual(world.debugger.state, DEBUG_STATE.PAUSED);
+        await world.debugger.step();
+        assertEqual(world.total, 3);
+        assertEqual(world.steps.join(','), '0,1');
+    }));
+
+    // Test: Step back restores snapshot
+    results.push(await test('stepBack restores the state before the last command', async () => {
+        const world = createWorld();
+        world.debugger.start([1, 2, 3]);
+        await world.debugger.step();
+        await world.debugger.step();
+        assertTrue(world.debugger.stepBack());
+        assertEqual(world.total, 1);
+        assertEqual(world.debugger.index, 1);
+        assertTrue(world.debugger.stepBack());
+        assertEqual(world.total, 0);
+        assertFalse(world.debugger.stepBack());
+    }));
+
+    // Test: Step back after finishing
+    results.push(await test('stepBack works after the run finished', async () => {
+        const world = createWorld();
+        world.debugger.start([1, 2]);
+        await world.debugger.resume();
+        assertTrue(world.debugger.stepBack());
+        assertEqual(world.total, 1);
+        assertEqual(world.debugger.state, DEBUG_STATE.PAUSED);
+        await world.debugger.resume();
+        assertEqual(world.total, 3);
+    }));
+
+    // Test: Failure stops on the failing command
+    results.push(await test('Failing command stops and rolls back', async () => {
+        const world = createWorld();
+        world.debugger.start([1, 'crash', 5]);
+        const state = await world.debugger.resume();
+        assertEqual(state, DEBUG_STATE.FAILED);
+        assertEqual(world.debugger.failedIndex, 1);
+        assertEqual(world.failed.join(','), '1');
+        assertEqual(world.total, 1);
+        assertEqual(world.finished, 0);
+    }));
+
+    // Test: Pause
+    results.push(await test('pause stops a running session after the current command', async () => {
+        const world = createWorld();
+        world.onExecute = (index) => {
+            if (index === 1) world.debugger.pause();
+        };
+        world.debugger.start([1, 2, 3, 4]);
+        const state = await world.debugger.resume();
+        assertEqual(state, DEBUG_STATE.PAUSED);
+        assertEqual(world.total, 3);
+        await world.debugger.resume();
+        assertEqual(world.total, 10);
+    }));
+
+    // Test: Stop abandons an in-flight command
+    results.push(await test('stop during a command ends the session', async () => {
+        const world = createWorld();
+        world.onExecute = () => world.debugger.stop();
+        world.debugger.start([1, 2]);
+        await world.debugger.resume();
+        assertEqual(world.debugger.state, DEBUG_STATE.IDLE);
+        assertEqual(world.finished, 0);
+    }));
+
+    // Test: Session matching
+    results.push(await test('matches detects an edited sequence', async () => {
+        const world = createWorld();
+        assertFalse(world.debugger.matches([1]));
+        world.debugger.start([{ type: 'left' }]);
+        assertTrue(world.debugger.matches([{ type: 'left' }]));
+        assertFalse(world.debugger.matches([{ type: 'right' }]));
+    }));
+
+    // Test: Programs that choose commands as they run
+    results.push(await test('Runs and rewinds a program object', async () => {
+        const world = createWorld();
+        // Adds 1 until the total reaches 3, deciding from live state
+        const program = {
+            signature: 'count-to-3',
+            done: 0,
+            peek() { return world.total < 3 ? 1 : null; },
+            advance() { this.done++; },
+            getState() { return this.done; },
+            restoreState(done) { this.done = done; }
+        };
+        world.debugger.start(program);
+        assertEqual(await world.debugger.resume(), DEBUG_STATE.FINISHED);
+        assertEqual(world.total, 3);
+        assertEqual(program.done, 3);
+        
+        assertTrue(world.debugger.stepBack());
+        assertEqual(world.total, 2);
+        assertEqual(program.done, 2);
+        assertTrue(world.debugger.canStep());
+    }));
+
+    // Test: Nothing to run
+    results.push(await test('An empty program finishes as soon as it starts', async () => {
+        const world = createWorld();
+        world.debugger.start([]);
+        assertEqual(world.debugger.state, DEBUG_STATE.FINISHED);
+        assertEqual(await world.debugger.resume(), DEBUG_STATE.FINISHED);
+        assertFalse(await world.debugger.step());
+        assertEqual(world.finished, 1);
+        assertEqual(world.steps.length, 0);
+    }));
+
+    results.push(await test('A repeat-until that is already satisfied finishes', async () => {
+        const world = createWorld();
+        world.total = 3;
+        // Same loop as above, but its condition is true before the first pass
+        const program = {
+            signature: 'count-to-3',
+            peek() { return world.total < 3 ? 1 : null; },
+            advance() {},
+            getState() { return null; },
+            restoreState() {}
+        };
+        world.debugger.start(program);
+        assertEqual(await world.debugger.resume(), DEBUG_STATE.FINISHED);
+        assertEqual(world.finished, 1);
+        assertEqual(world.total, 3);
+    }));
+
+    // Test: A command that throws
+    results.push(await test('A throwing command leaves the debugger usable', async () => {
+        const world = createWorld();
+        world.onExecute = (index) => {
+            if (index === 1) throw new Error('boom');
+        };
+        world.debugger.start([1, 2, 3]);
+        let thrown = null;
+        try {
+            await world.debugger.resume();
+        } catch (error) {
+            thrown = error;
+        }
+        assertEqual(thrown?.message, 'boom');
+        assertFalse(world.debugger.busy);
+        assertEqual(world.debugger.history.length, 1);
+        assertEqual(world.debugger.state, DEBUG_STATE.PAUSED);
+        assertEqual(world.total, 1);
+
+        world.onExecute = () => {};
+        assertEqual(await world.debugger.resume(), DEBUG_STATE.FINISHED);
+        assertEqual(world.total, 6);
+    }));
+
+    return results;
+}
+
+// ===== Test Utilities =====
+
+/**
+ * Tiny game whose state is a running total; 'crash' commands fail
+ */
+function createWorld() {
+    const world = {
+        total: 0,
+        steps: [],
+        failed: [],
+        finished: 0,
+        onExecute: () => {}
+    };
+    world.debugger = new Debugger({
+        execute: async (cmd, index) => {
+            world.onExecute(index);
+            if (cmd === 'crash') {
+                world.total += 100;
+                return false;
+            }
+            world.total += cmd;
+            return true;
+        },
+        snapshot: () => world.total,
+        restore: (total) => { world.total = total; },
+        onStep: (index) => world.steps.push(index),
+        onFail: (index) => world.failed.push(index),
+        onFinish: () => world.finished++
+    });
+    return world;
+}
+
+async function test(name, fn) {
+    try {
+        await fn();
+        return { name, passed: true };
+    } catch (error) {
+        return { name, passed: false, error: error.message };
+    }
+}
+
+function assertEqual(actual, expected) {
+    if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (value !== true) {
+        throw new Error(message || `Expected true, got ${value}`);
+    }
+}
+
+function assertFalse(value) {
+    if (value !== false) {
+        throw new Error(`Expected false, got ${value}`);
+    }
+}
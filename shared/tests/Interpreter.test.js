@@ -0,0 +1,169 @@
+/**
+ * Tests for Interpreter module
+ * Game-specific sequences are covered by each game's own tests; these use
+ * plain command objects and a fake sensor
+ */
+import { Interpreter, DEFAULT_MAX_STEPS } from '../js/Interpreter.js';
+import { BaseSequence } from '../js/BaseSequence.js';
+
+export function runInterpreterTests() {
+    const results = [];
+
+    // Test: Until loops stop when the condition becomes true
+    results.push(test('Repeat until runs the body until the sensor says yes', () => {
+        const world = { x: 0 };
+        const interpreter = new Interpreter([
+            { type: 'loop', until: { condition: 'wall', direction: null }, commands: [{ type: 'step' }] },
+            { type: 'done' }
+        ], { sense: () => world.x >= 3 });
+
+        const actions = runAll(interpreter, (cmd) => {
+            if (cmd.type === 'step') world.x++;
+        });
+
+        assertEqual(actions.join(','), 'step,step,step,done');
+    }));
+
+    // Test: Condition already true
+    results.push(test('Repeat until skips the body when already true', () => {
+        const interpreter = new Interpreter([
+            { type: 'loop', until: { condition: 'wall' }, commands: [{ type: 'step' }] }
+        ], { sense: () => true });
+
+        assertEqual(interpreter.peek(), null);
+    }));
+
+    // Test: Sensor gets the loop's condition
+    results.push(test('Repeat until passes its condition to the sensor', () => {
+        const checks = [];
+        const interpreter = new Interpreter([
+            { type: 'loop', until: { condition: 'rock', direction: 'up' }, commands: [] }
+        ], {
+            sense: (condition, direction) => {
+                checks.push(`${condition} ${direction}`);
+                return true;
+            }
+        });
+
+        interpreter.peek();
+        assertEqual(checks.join(','), 'rock up');
+    }));
+
+    // Test: Infinite loops are halted on the loop block
+    results.push(test('A loop that never ends halts after maxSteps', () => {
+        const interpreter = new Interpreter([
+            { type: 'step' },
+            { type: 'loop', until: { condition: 'wall' }, commands: [{ type: 'step' }] }
+        ], { sense: () => false, maxSteps: 10 });
+
+        let count = 0;
+        let cmd;
+        while ((cmd = interpreter.peek()) !== null && cmd.type !== 'halt') {
+            count++;
+            interpreter.advance();
+        }
+
+        assertEqual(cmd.type, 'halt');
+        assertEqual(cmd.path.join('.'), '1');
+        assertTrue(count < 10, `Ran ${count} actions`);
+
+        // A halt cannot be stepped past
+        interpreter.advance();
+        assertEqual(interpreter.peek().type, 'halt');
+    }));
+
+    // Test: Empty bodies still count towards the limit
+    results.push(test('An empty until loop halts instead of hanging', () => {
+        const interpreter = new Interpreter([
+            { type: 'loop', until: { condition: 'wall' }, commands: [] }
+        ], { sense: () => false });
+
+        assertEqual(interpreter.peek().type, 'halt');
+        assertEqual(interpreter.steps, DEFAULT_MAX_STEPS);
+    }));
+
+    // Test: Fixed loops are never halted
+    results.push(test('Counted loops are not limited by maxSteps', () => {
+        const interpreter = new Interpreter([
+            { type: 'loop', iterations: 9, commands: [{ type: 'step' }] }
+        ], { sense: () => false, maxSteps: 3 });
+
+        assertEqual(runAll(interpreter).length, 9);
+    }));
+
+    // Test: Nested until loops report their path
+    results.push(test('Actions inside a nested until loop report their own path', () => {
+        const sequence = new BaseSequence();
+        sequence.setActiveLoop(sequence.addLoop(2));
+        const path = sequence.addUntilLoop('wall');
+        sequence.getLoop(path).commands.push({ type: 'step' });
+
+        let steps = 0;
+        const interpreter = new Interpreter(sequence.commands, { sense: () => steps % 2 === 1 });
+        const cmd = interpreter.peek();
+
+        assertEqual(path.join('.'), '0.0');
+        assertEqual(cmd.path.join('.'), '0.0.0');
+        steps++;
+        interpreter.advance();
+        // Second pass of the outer loop enters the until loop again
+        steps++;
+        assertEqual(interpreter.peek().path.join('.'), '0.0.0');
+    }));
+
+    // Test: Step counter is part of the state
+    results.push(test('restoreState rewinds the step count', () => {
+        const interpreter = new Interpreter([
+            { type: 'loop', until: { condition: 'wall' }, commands: [{ type: 'step' }] }
+        ], { sense: () => false, maxSteps: 5 });
+
+        interpreter.peek();
+        const state = interpreter.getState();
+        const steps = interpreter.steps;
+        runAll(interpreter);
+        assertEqual(interpreter.peek().type, 'halt');
+
+        interpreter.restoreState(state);
+        assertEqual(interpreter.steps, steps);
+        assertEqual(interpreter.peek().type, 'step');
+    }));
+
+    return results;
+}
+
+// ===== Test Utilities =====
+
+/**
+ * Run a program until it finishes or halts, listing each action type
+ */
+function runAll(interpreter, onAction = () => {}) {
+    const actions = [];
+    let cmd;
+    while ((cmd = interpreter.peek()) !== null && cmd.type !== 'halt') {
+        actions.push(cmd.type);
+        onAction(cmd);
+        interpreter.advance();
+    }
+    return actions;
+}
+
+function test(name, fn) {
+    try {
+        fn();
+        return { name, passed: true };
+    } catch (error) {
+        return { name, passed: false, error: error.message };
+    }
+}
+
+function assertEqual(actual, expected) {
+    if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (value !== true) {
+        throw new Error(message || `Expected true, got ${value}`);
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Tests for Profiles module
+ */
+import { Profiles } from '../js/Profiles.js';
+import { ProgressStore, GAME_IDS, DEFAULT_PROFILE } from '../js/ProgressStore.js';
+
+export function runProfilesTests() {
+    const results = [];
+
+    // Test: Default profile exists
+    results.push(test('New save has the default profile active', () => {
+        const profiles = new Profiles({ storage: new MemoryStorage() });
+        assertEqual(profiles.getProfiles().length, 1);
+        assertEqual(profiles.getActiveProfile().id, DEFAULT_PROFILE.id);
+    }));
+
+    // Test: Creating a profile activates it
+    results.push(test('createProfile adds and activates a profile', () => {
+        const profiles = new Profiles({ storage: new MemoryStorage() });
+        const fox = profiles.createProfile('🦊', '#FF9F43');
+        assertEqual(profiles.getProfiles().length, 2);
+        assertEqual(profiles.getActiveProfile().id, fox.id);
+        assertEqual(profiles.getActiveProfile().avatar, '🦊');
+        assertEqual(profiles.getActiveProfile().color, '#FF9F43');
+    }));
+
+    // Test: Switching profiles
+    results.push(test('setActiveProfile switches only to known profiles', () => {
+        const profiles = new Profiles({ storage: new MemoryStorage() });
+        profiles.createProfile('🐼', '#4ECDC4');
+        assertTrue(profiles.setActiveProfile(DEFAULT_PROFILE.id));
+        assertEqual(profiles.getActiveProfile().id, DEFAULT_PROFILE.id);
+        assertFalse(profiles.setActiveProfile('missing'));
+        assertEqual(profiles.getActiveProfile().id, DEFAULT_PROFILE.id);
+    }));
+
+    // Test: Games follow the active profile
+    results.push(test('Game progress follows the active profile', () => {
+        const storage = new MemoryStorage();
+        const profiles = new Profiles({ storage });
+        new ProgressStore(GAME_IDS.ROBOT, { storage }).completeLevel(1);
+
+        profiles.createProfile('🐸', '#A3CB38');
+        const frog = new ProgressStore(GAME_IDS.ROBOT, { storage });
+        assertFalse(frog.isLevelCompleted(1));
+        frog.set('userPatterns', ['🎶']);
+
+        profiles.setActiveProfile(DEFAULT_PROFILE.id);
+        const original = new ProgressStore(GAME_IDS.ROBOT, { storage });
+        assertTrue(original.isLevelCompleted(1));
+        assertEqual(original.get('userPatterns'), null);
+    }));
+
+    // Test: Deleting profiles
+    results.push(test('deleteProfile keeps at least one profile', () => {
+        const profiles = new Profiles({ storage: new MemoryStorage() });
+        const cat = profiles.createProfile('🐱', '#FF6B6B');
+        assertTrue(profiles.deleteProfile(cat.id));
+        assertEqual(profiles.getActiveProfile().id, DEFAULT_PROFILE.id);
+        assertFalse(profiles.deleteProfile(DEFAULT_PROFILE.id));
+        assertEqual(profiles.getProfiles().length, 1);
+    }));
+
+    return results;
+}
+
+// ===== Test Utilities =====
+
+/**
+ * In-memory stand-in for localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+function test(name, fn) {
+    try {
+        fn();
+        return { name, passed: true };
+    } catch (error) {
+        return { name, passed: false, error: error.message };
+    }
+}
+
+function assertEqual(actual, expected) {
+    if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (value !== true) {
+        throw new Error(message || `Expected true, got ${value}`);
+    }
+}
+
+function assertFalse(value) {
+    if (value !== false) {
+        throw new Error(`Expected false, got ${value}`);
+    }
+}
@@ -0,0 +1,270 @@
+/**
+ * Tests for ProgressStore module
+ */
+import { ProgressStore, STORAGE_KEY, SCHEMA_VERSION, GAME_IDS, DEFAULT_PROFILE, migrateSave } from '../js/ProgressStore.js';
+
+export function runProgressStoreTests() {
+    const results = [];
+
+    // Test: New store starts empty
+    results.push(test('New store has no completed levels', () => {
+        const store = new ProgressStore(GAME_IDS.ROBOT, { storage: new MemoryStorage() });
+        assertEqual(store.getCompletedLevels().length, 0);
+        assertFalse(store.isLevelCompleted(1));
+    }));
+
+    // Test: Completing a level persists
+    results.push(test('Completed levels persist across instances', () => {
+        const storage = new MemoryStorage();
+        const store = new ProgressStore(GAME_IDS.ROBOT, { storage });
+        store.completeLevel(2);
+        store.completeLevel(1);
+
+        const reloaded = new ProgressStore(GAME_IDS.ROBOT, { storage });
+        assertTrue(reloaded.isLevelCompleted(1));
+        assertTrue(reloaded.isLevelCompleted(2));
+        assertEqual(reloaded.getCompletedLevels().join(','), '1,2');
+    }));
+
+    // Test: Save is versioned
+    results.push(test('Save is written with schema version', () => {
+        const storage = new MemoryStorage();
+        new ProgressStore(GAME_IDS.ROBOT, { storage }).completeLevel(1);
+        const save = JSON.parse(storage.getItem(STORAGE_KEY));
+        assertEqual(save.version, SCHEMA_VERSION);
+    }));
+
+    // Test: Games do not share namespaces
+    results.push(test('Games keep separate namespaces', () => {
+        const storage = new MemoryStorage();
+        const robot = new ProgressStore(GAME_IDS.ROBOT, { storage });
+        const garden = new ProgressStore(GAME_IDS.GARDEN, { storage });
+        robot.completeLevel(3);
+        garden.completeLevel(5);
+
+        const robotReloaded = new ProgressStore(GAME_IDS.ROBOT, { storage });
+        assertTrue(robotReloaded.isLevelCompleted(3));
+        assertFalse(robotReloaded.isLevelCompleted(5));
+    }));
+
+    // Test: Best solution keeps fewest blocks
+    results.push(test('Best solution keeps the fewest blocks', () => {
+        const store = new ProgressStore(GAME_IDS.ROBOT, { storage: new MemoryStorage() });
+        assertTrue(store.completeLevel(1, { blocks: 5, commands: [] }));
+        assertFalse(store.completeLevel(1, { blocks: 7, commands: [] }));
+        assertTrue(store.completeLevel(1, { blocks: 3, commands: [] }));
+        assertEqual(store.getBestSolution(1).blocks, 3);
+    }));
+
+    // Test: Level unlocking
+    results.push(test('Levels unlock after the previous level', () => {
+        const store = new ProgressStore(GAME_IDS.ROBOT, { storage: new MemoryStorage() });
+        assertTrue(store.isLevelUnlocked(1));
+        assertFalse(store.isLevelUnlocked(2));
+        store.completeLevel(1);
+        assertTrue(store.isLevelUnlocked(2));
+        assertFalse(store.isLevelUnlocked(3));
+    }));
+
+    // Test: Next level is first unfinished
+    results.push(test('getNextLevel returns first unfinished level', () => {
+        const store = new ProgressStore(GAME_IDS.ROBOT, { storage: new MemoryStorage() });
+        assertEqual(store.getNextLevel(12), 1);
+        store.completeLevel(1);
+        store.completeLevel(2);
+        assertEqual(store.getNextLevel(12), 3);
+    }));
+
+    // Test: Unlocked content
+    results.push(test('Unlocked content is recorded once', () => {
+        const store = new ProgressStore(GAME_IDS.GARDEN, { storage: new MemoryStorage() });
+        store.unlock('🌷');
+        store.unlock('🌷');
+        assertTrue(store.isUnlocked('🌷'));
+        assertEqual(store.getUnlocked().length, 1);
+    }));
+
+    // Test: Game-specific data
+    results.push(test('get/set stores game-specific data', () => {
+        const storage = new MemoryStorage();
+        const store = new ProgressStore(GAME_IDS.BUILDER, { storage });
+        assertEqual(store.get('visited', false), false);
+        store.set('visited', true);
+        assertEqual(new ProgressStore(GAME_IDS.BUILDER, { storage }).get('visited'), true);
+    }));
+
+    // Test: Migrate hook imports legacy data once
+    results.push(test('Migrate hook runs when namespace is created', () => {
+        const storage = new MemoryStorage();
+        storage.setItem('legacy-key', 'yes');
+        let calls = 0;
+        const migrate = (namespace, legacyStorage) => {
+            calls++;
+            namespace.data.legacy = legacyStorage.getItem('legacy-key');
+        };
+
+        const store = new ProgressStore(GAME_IDS.MUSIC, { storage, migrate });
+        new ProgressStore(GAME_IDS.MUSIC, { storage, migrate });
+        assertEqual(store.get('legacy'), 'yes');
+        assertEqual(calls, 1);
+    }));
+
+    // Test: Legacy keys go to the default profile only
+    results.push(test('importLegacyKey moves old data into the default profile once', () => {
+        const storage = new MemoryStorage();
+        storage.setItem('musicbox_user_patterns', JSON.stringify([{ id: 'mine' }]));
+        const migrate = ProgressStore.importLegacyKey('musicbox_user_patterns', 'userPatterns');
+
+        const owner = new ProgressStore(GAME_IDS.MUSIC, { storage, migrate, profileId: DEFAULT_PROFILE.id });
+        const sibling = new ProgressStore(GAME_IDS.MUSIC, { storage, migrate, profileId: 'kid' });
+        assertEqual(owner.get('userPatterns').length, 1);
+        assertEqual(sibling.get('userPatterns', []).length, 0);
+        assertEqual(storage.getItem('musicbox_user_patterns'), null);
+    }));
+
+    results.push(test('importLegacyKey leaves the key for the default profile', () => {
+        const storage = new MemoryStorage();
+        storage.setItem('musicbox_user_patterns', JSON.stringify([{ id: 'mine' }]));
+        const migrate = ProgressStore.importLegacyKey('musicbox_user_patterns', 'userPatterns');
+
+        const kid = new ProgressStore(GAME_IDS.MUSIC, { storage, migrate, profileId: 'kid' });
+        assertEqual(kid.get('userPatterns', []).length, 0);
+        const owner = new ProgressStore(GAME_IDS.MUSIC, { storage, migrate, profileId: DEFAULT_PROFILE.id });
+        assertEqual(owner.get('userPatterns').length, 1);
+    }));
+
+    // Test: Unversioned saves are migrated
+    results.push(test('migrateSave upgrades unversioned saves', () => {
+        const upgraded = migrateSave({});
+        assertEqual(upgraded.version, SCHEMA_VERSION);
+        assertTrue(typeof upgraded.profiles[DEFAULT_PROFILE.id].games === 'object');
+    }));
+
+    // Test: Version 1 saves move into the default profile
+    results.push(test('migrateSave moves v1 games into the default profile', () => {
+        const upgraded = migrateSave({
+            version: 1,
+            games: { [GAME_IDS.ROBOT]: { completedLevels: [1, 2], bestSolutions: {}, unlocked: [], data: {} } }
+        });
+        assertEqual(upgraded.activeProfile, DEFAULT_PROFILE.id);
+        assertEqual(upgraded.profiles[DEFAULT_PROFILE.id].games[GAME_IDS.ROBOT].completedLevels.join(','), '1,2');
+        assertEqual(upgraded.games, undefined);
+    }));
+
+    // Test: Version 2 saves get empty star ratings
+    results.push(test('migrateSave adds star ratings to v2 games', () => {
+        const upgraded = migrateSave({
+            version: 2,
+            activeProfile: 'a',
+            profiles: {
+                a: { id: 'a', games: { [GAME_IDS.ROBOT]: { completedLevels: [1], bestSolutions: {}, unlocked: [], data: {} } } }
+            }
+        });
+        assertEqual(JSON.stringify(upgraded.profiles.a.games[GAME_IDS.ROBOT].stars), '{}');
+        assertEqual(upgraded.profiles.a.games[GAME_IDS.ROBOT].completedLevels.join(','), '1');
+    }));
+
+    // Test: Stars keep the best rating
+    results.push(test('completeLevel keeps the most stars per level', () => {
+        const storage = new MemoryStorage();
+        const store = new ProgressStore(GAME_IDS.ROBOT, { storage });
+        assertEqual(store.getStars(2), 0);
+
+        store.completeLevel(2, { blocks: 9, commands: [] }, 1);
+        store.completeLevel(2, { blocks: 4, commands: [] }, 3);
+        store.completeLevel(2, { blocks: 6, commands: [] }, 2);
+
+        const reloaded = new ProgressStore(GAME_IDS.ROBOT, { storage });
+        assertEqual(reloaded.getStars(2), 3);
+        assertEqual(reloaded.getStars(1), 0);
+    }));
+
+    // Test: Progress is scoped to a profile
+    results.push(test('Profiles keep separate progress', () => {
+        const storage = new MemoryStorage();
+        const first = new ProgressStore(GAME_IDS.ROBOT, { storage, profileId: 'a' });
+        const second = new ProgressStore(GAME_IDS.ROBOT, { storage, profileId: 'b' });
+        first.completeLevel(1);
+        second.completeLevel(4);
+
+        const save = JSON.parse(storage.getItem(STORAGE_KEY));
+        assertEqual(save.profiles.a.games[GAME_IDS.ROBOT].completedLevels.join(','), '1');
+        assertEqual(save.profiles.b.games[GAME_IDS.ROBOT].completedLevels.join(','), '4');
+    }));
+
+    // Test: Corrupt save does not throw
+    results.push(test('Corrupt save falls back to empty progress', () => {
+        const storage = new MemoryStorage();
+        storage.setItem(STORAGE_KEY, '{not json');
+        const originalError = console.error;
+        console.error = () => {};
+        const store = new ProgressStore(GAME_IDS.ROBOT, { storage });
+        console.error = originalError;
+        assertEqual(store.getCompletedLevels().length, 0);
+    }));
+
+    // Test: Reset
+    results.push(test('reset clears only this game', () => {
+        const storage = new MemoryStorage();
+        const robot = new ProgressStore(GAME_IDS.ROBOT, { storage });
+        const garden = new ProgressStore(GAME_IDS.GARDEN, { storage });
+        robot.completeLevel(1);
+        garden.completeLevel(1);
+        robot.reset();
+
+        assertFalse(new ProgressStore(GAME_IDS.ROBOT, { storage }).isLevelCompleted(1));
+        assertTrue(new ProgressStore(GAME_IDS.GARDEN, { storage }).isLevelCompleted(1));
+    }));
+
+    return results;
+}
+
+// ===== Test Utilities =====
+
+/**
+ * In-memory stand-in for localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+function test(name, fn) {
+    try {
+        fn();
+        return { name, passed: true };
+    } catch (error) {
+        return { name, passed: false, error: error.message };
+    }
+}
+
+function assertEqual(actual, expected) {
+    if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertTrue(value, message = '') {
+    if (value !== true) {
+        throw new Error(message || `Expected true, got ${value}`);
+    }
+}
+
+function assertFalse(value) {
+    if (value !== false) {
+        throw new Error(`Expected false, got ${value}`);
+    }
+}
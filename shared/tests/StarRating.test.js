@@ -0,0 +1,51 @@
+/**
+ * Tests for StarRating module
+ */
+import { rateSolution, MAX_STARS } from '../js/StarRating.js';
+
+export function runStarRatingTests() {
+    const results = [];
+
+    // Test: Par or better
+    results.push(test('Reaching par earns 3 stars', () => {
+        assertEqual(rateSolution(5, 5), MAX_STARS);
+        assertEqual(rateSolution(3, 5), MAX_STARS);
+    }));
+
+    // Test: A little over par
+    results.push(test('Up to half as long again earns 2 stars', () => {
+        assertEqual(rateSolution(6, 4), 2);
+        assertEqual(rateSolution(8, 5), 2);
+        assertEqual(rateSolution(9, 5), 1);
+    }));
+
+    // Test: Long programs still get a star
+    results.push(test('Any working program earns 1 star', () => {
+        assertEqual(rateSolution(40, 4), 1);
+    }));
+
+    // Test: Levels without a par
+    results.push(test('A level without a par gives full marks', () => {
+        assertEqual(rateSolution(12, null), MAX_STARS);
+        assertEqual(rateSolution(12, undefined), MAX_STARS);
+    }));
+
+    return results;
+}
+
+// ===== Test Utilities =====
+
+function test(name, fn) {
+    try {
+        fn();
+        return { name, passed: true };
+    } catch (error) {
+        return { name, passed: false, error: error.message };
+    }
+}
+
+function assertEqual(actual, expected) {
+    if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+    }
+}